@@ -0,0 +1,26 @@
+// config/branches.js
+// Branches used until the Branch collection has been seeded (see services/branchService.js).
+// `name` is what daily/monthly reports store, `code` what zanaco stores, and
+// `loanSystemId` the id on imported loans (fill in via PUT /api/branches/:code).
+// The real ids are not known here, so they ship empty: until each is set, that
+// branch's admins get 409 BRANCH_SETUP_REQUIRED on loan/client/PAR routes
+// (middleware/auth.js scopedLoanSystemId) and `node server.js --seed` lists them.
+
+const DEFAULT_BRANCHES = [
+  { code: 'monze', name: 'Monze' },
+  { code: 'mazabuka', name: 'Mazabuka' },
+  { code: 'lusaka', name: 'Lusaka' },
+  { code: 'solwezi', name: 'Solwezi' },
+  { code: 'lumezi', name: 'Lumezi' },
+  { code: 'nakonde', name: 'Nakonde' },
+  { code: 'mbala', name: 'Mbala' },
+  { code: 'kitwe', name: 'Kitwe' },
+].map((b) => ({
+  loanSystemId: '',
+  aliases: [],
+  adminEmail: `${b.code}@directaccess.com`,
+  active: true,
+  ...b,
+}));
+
+module.exports = { DEFAULT_BRANCHES };
@@ -0,0 +1,18 @@
+// config/channels.js
+// Channels used until the Channel collection has been seeded (see services/channelService.js).
+// `code` is what zanaco rows and daily report balance maps store; add or rename
+// channels via /api/channels.
+
+const DEFAULT_CHANNELS = [
+  { code: 'airtel', name: 'Airtel Money', aliases: ['airtel money'] },
+  { code: 'mtn', name: 'MTN MoMo', aliases: ['mtn momo', 'mtn money', 'momo'] },
+  { code: 'zamtel', name: 'Zamtel Kwacha', aliases: ['zamtel kwacha', 'kwacha'] },
+  { code: 'bank', name: 'Bank transfer', aliases: ['bank transfer'] },
+  { code: 'cash', name: 'Cash', aliases: [] },
+].map((c, i) => ({
+  sortOrder: i,
+  active: true,
+  ...c,
+}));
+
+module.exports = { DEFAULT_CHANNELS };
@@ -0,0 +1,37 @@
+// config/penalties.js
+// Penalty policy for overdue loans. Every value can be overridden from .env.
+
+function num(v, fallback) {
+  if (v == null || String(v).trim() === '') return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * mode:
+ *  - 'flat'            -> flatAmount once per missed installment due date
+ *  - 'percent_per_day' -> ratePerDay % of the overdue amount for each day late
+ * capPercent / capAmount limit the total penalty a loan can carry (0 = no cap;
+ * loans without a schedule then do not accrue, their nextDueDate never moves on).
+ */
+function loadPenaltyPolicy(overrides = {}) {
+  const policy = {
+    mode: String(process.env.PENALTY_MODE || 'percent_per_day').toLowerCase().trim(),
+    flatAmount: num(process.env.PENALTY_FLAT_AMOUNT, 0),
+    ratePerDay: num(process.env.PENALTY_RATE_PER_DAY, 0),
+    capPercent: num(process.env.PENALTY_CAP_PERCENT, 0),
+    capAmount: num(process.env.PENALTY_CAP_AMOUNT, 0),
+    graceDays: num(process.env.PENALTY_GRACE_DAYS, 0),
+    ...overrides,
+  };
+
+  if (!['flat', 'percent_per_day'].includes(policy.mode)) {
+    throw new Error(`Unknown PENALTY_MODE '${policy.mode}' (use flat or percent_per_day)`);
+  }
+  return policy;
+}
+
+const PENALTY_JOB_ENABLED = String(process.env.PENALTY_JOB_ENABLED || '').toLowerCase() === 'true';
+const PENALTY_JOB_INTERVAL_HOURS = num(process.env.PENALTY_JOB_INTERVAL_HOURS, 24);
+
+module.exports = { loadPenaltyPolicy, PENALTY_JOB_ENABLED, PENALTY_JOB_INTERVAL_HOURS };
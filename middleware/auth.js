@@ -1,6 +1,8 @@
 // middleware/auth.js
 const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
+const branchService = require("../services/branchService");
+const { httpError } = require("../utils/httpError");
 
 const JWT_SECRET = process.env.JWT_SECRET || "changeme";
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
@@ -57,6 +59,7 @@ async function authMiddleware(req, res, next) {
           role: user.role,
           name: user.name || decoded.name || "",
           phone: user.phone || decoded.phone || "",
+          branch: user.branch || "",
           id: user._id?.toString(),
         }
       : {
@@ -80,4 +83,70 @@ function requireRole(...roles) {
   };
 }
 
-module.exports = { authMiddleware, requireRole, generateToken };
+/**
+ * Branch scoping for admin routes (run after authMiddleware).
+ * - ovadmin:      req.branchScope = null (every branch)
+ * - branch_admin: req.branchScope = their registry branch; 403 if none is assigned
+ * - anyone else:  403
+ */
+async function requireBranchScope(req, res, next) {
+  try {
+    const role = req.user?.role;
+    if (role === "ovadmin") {
+      req.branchScope = null;
+      return next();
+    }
+    if (role !== "branch_admin") return res.status(403).json({ message: "Forbidden" });
+
+    const branch = req.user.branch ? await branchService.resolveBranch(req.user.branch) : null;
+    if (!branch) {
+      return res.status(403).json({ success: false, error: "No branch assigned to this account", code: "NO_BRANCH_ASSIGNED" });
+    }
+    req.branchScope = branch;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** True when req (after requireBranchScope) may touch `branch` (registry object or code). */
+function canAccessBranch(req, branch) {
+  if (!req.branchScope) return true;
+  const code = branch && typeof branch === "object" ? branch.code : branch;
+  return !!code && String(code).toLowerCase() === req.branchScope.code;
+}
+
+function assertBranchAccess(req, branch) {
+  if (canAccessBranch(req, branch)) return;
+  const label = branch && typeof branch === "object" ? branch.name : branch;
+  throw httpError(403, `No access to branch '${label || "unknown"}'`, "BRANCH_FORBIDDEN");
+}
+
+/**
+ * Loan.branchId the request is limited to: null for ovadmin, else the
+ * branch's loanSystemId. A branch without one is a setup gap, not a permission
+ * problem: 409 BRANCH_SETUP_REQUIRED until an ovadmin sets it.
+ */
+function scopedLoanSystemId(req) {
+  if (!req.branchScope) return null;
+  if (!req.branchScope.loanSystemId) {
+    const err = httpError(
+      409,
+      `Branch '${req.branchScope.name}' is not set up for loans yet: an ovadmin must set its loanSystemId (PUT /api/branches/${req.branchScope.code})`,
+      "BRANCH_SETUP_REQUIRED"
+    );
+    err.details = { branch: req.branchScope.code, missing: "loanSystemId" };
+    throw err;
+  }
+  return req.branchScope.loanSystemId;
+}
+
+module.exports = {
+  authMiddleware,
+  requireRole,
+  generateToken,
+  requireBranchScope,
+  canAccessBranch,
+  assertBranchAccess,
+  scopedLoanSystemId,
+};
@@ -0,0 +1,135 @@
+// middleware/idempotency.js
+// Idempotency-Key support for retried writes (sync and bulk endpoints).
+//
+// First request with a key runs normally and its response is stored.
+// A retry with the same key, URL (query string included) and body replays the stored response
+// (header Idempotent-Replayed: true) instead of re-applying the writes.
+// Same key with a different body -> 422; retry while the first is still running -> 409.
+// A key past expiresAt counts as absent. While the first request runs it renews
+// its lease (startedAt) every third of IDEMPOTENCY_LEASE_SECONDS; only a key whose
+// lease ran out, i.e. whose process died, is taken over, so a crashed request
+// does not block retries until the key expires.
+// 5xx responses are not stored, so the client can retry them for real.
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 300;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+  return crypto.createHash("sha256").update(JSON.stringify({ url: req.originalUrl, body: req.body || {} })).digest("hex");
+}
+
+function ownerOf(req) {
+  const u = req.user || {};
+  return String(u.id || u._id || u.email || "anonymous");
+}
+
+/**
+ * Must run after authMiddleware (keys are scoped per user).
+ * Requests without the header pass straight through.
+ */
+async function idempotency(req, res, next) {
+  const key = (req.get("Idempotency-Key") || "").trim();
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, code: "IDEMPOTENCY_KEY_INVALID" });
+  }
+
+  const owner = ownerOf(req);
+  const requestHash = hashRequest(req);
+  const path = req.baseUrl + req.path;
+
+  const now = new Date();
+  const fields = {
+    key,
+    owner,
+    method: req.method,
+    path,
+    requestHash,
+    state: "in_progress",
+    leaseId: crypto.randomUUID(),
+    startedAt: now,
+    expiresAt: new Date(now.getTime() + TTL_HOURS * 3600 * 1000),
+  };
+
+  let record;
+  let existing;
+  try {
+    record = await IdempotencyKey.create(fields);
+  } catch (err) {
+    if (!err || err.code !== 11000) {
+      console.error("idempotency lookup error", err);
+      return res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+
+    try {
+      // Take over an expired key or an abandoned in_progress lease
+      const leaseCutoff = new Date(now.getTime() - LEASE_SECONDS * 1000);
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          owner,
+          key,
+          $or: [
+            { expiresAt: { $lte: now } },
+            { state: "in_progress", startedAt: { $lte: leaseCutoff } },
+            { state: "in_progress", startedAt: { $exists: false }, createdAt: { $lte: leaseCutoff } },
+          ],
+        },
+        { $set: fields, $unset: { responseStatus: 1, responseBody: 1 } },
+        { new: true }
+      ).lean();
+      if (!record) existing = await IdempotencyKey.findOne({ owner, key }).lean();
+    } catch (lookupErr) {
+      console.error("idempotency lookup error", lookupErr);
+      return res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+  }
+
+  if (!record) {
+    if (!existing) return res.status(409).json({ success: false, error: "Request with this Idempotency-Key is still in progress", code: "IDEMPOTENCY_IN_PROGRESS" });
+    if (existing.requestHash !== requestHash || existing.method !== req.method || existing.path !== path) {
+      return res.status(422).json({ success: false, error: "Idempotency-Key was already used for a different request", code: "IDEMPOTENCY_KEY_REUSED" });
+    }
+    if (existing.state !== "completed") {
+      return res.status(409).json({ success: false, error: "Request with this Idempotency-Key is still in progress", code: "IDEMPOTENCY_IN_PROGRESS" });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Capture the JSON body the handler sends, then store or release the key once it is out
+  let captured;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = body;
+    return originalJson(body);
+  };
+
+  // Matching leaseId too: if another request took the lease over, it owns the key now
+  const mine = { _id: record._id, state: "in_progress", leaseId: record.leaseId };
+  const heartbeat = setInterval(() => {
+    IdempotencyKey.updateOne(mine, { $set: { startedAt: new Date() } })
+      .catch((err) => console.error("idempotency lease renewal error", err));
+  }, (LEASE_SECONDS * 1000) / 3);
+  heartbeat.unref();
+
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    clearInterval(heartbeat);
+    const store = res.statusCode < 500 && captured !== undefined && res.writableFinished;
+    const op = store
+      ? IdempotencyKey.updateOne(mine, { $set: { state: "completed", responseStatus: res.statusCode, responseBody: captured } })
+      : IdempotencyKey.deleteOne(mine);
+    op.catch((err) => console.error("idempotency store error", err));
+  };
+  res.on("finish", settle);
+  res.on("close", settle);
+
+  return next();
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,32 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One entry per document changed by a financial mutation (utils/auditTrail.js).
+ * changes holds only the paths whose value differs: [{ path, before, after }].
+ */
+const AuditLogSchema = new Schema({
+  entity: { type: String, required: true },          // 'daily_report' | 'monthly_report' | 'zanaco' | 'client' | 'user'
+  entityId: { type: Schema.Types.ObjectId, required: true },
+  action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+  actor: {
+    id: { type: String, default: null },
+    email: { type: String, default: null },          // null = system (scripts, scheduled jobs)
+    role: { type: String, default: null },
+    branch: { type: String, default: null }
+  },
+  route: { type: String, default: null },            // "POST /api/sync_reports"
+  changes: {
+    type: [{ _id: false, path: String, before: Schema.Types.Mixed, after: Schema.Types.Mixed }],
+    default: []
+  },
+  at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+AuditLogSchema.index({ at: -1 });
+AuditLogSchema.index({ entity: 1, at: -1 });
+AuditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+AuditLogSchema.index({ 'actor.email': 1, at: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,65 @@
+// models/BankReconciliation.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One upload of a Zanaco / mobile-money statement checked against
+ * ZanacoDistribution rows (services/bankReconciliationService.js).
+ *
+ * - matched:        bank line and distribution agree on date, channel, branch and amount
+ * - over / under:   same date, channel and branch but the distribution records more / less than the bank line
+ * - unmatchedLines: bank lines with no distribution at all
+ * - unevidenced:    distributions in the statement period with no bank line
+ */
+const LineSchema = new Schema({
+  line: Number,               // row number in the file (header = 1)
+  date: Date,
+  channel: String,
+  branch: { type: String, default: null }, // registry code, null when the line names no branch
+  amount: Number,
+  reference: { type: String, default: '' },
+  description: { type: String, default: '' },
+  distributionId: { type: Schema.Types.ObjectId, default: null },
+  recordedAmount: { type: Number, default: null },
+  difference: { type: Number, default: null } // recorded - bank
+}, { _id: false });
+
+const DistributionRefSchema = new Schema({
+  distributionId: Schema.Types.ObjectId,
+  date: Date,
+  channel: String,
+  branch: String,
+  fromBranch: String,
+  amount: Number
+}, { _id: false });
+
+const BankReconciliationSchema = new Schema({
+  filename: { type: String, default: '' },
+  channel: { type: String, default: null },  // default channel for lines without one
+  branch: { type: String, default: null },   // default branch code for lines without one
+  uploadedBy: { type: String, default: null },
+  period: { from: Date, to: Date },
+  dateToleranceDays: { type: Number, default: 0 },
+  summary: {
+    lines: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    over: { type: Number, default: 0 },
+    under: { type: Number, default: 0 },
+    unmatchedLines: { type: Number, default: 0 },
+    unevidenced: { type: Number, default: 0 },
+    invalidLines: { type: Number, default: 0 },
+    bankTotal: { type: Number, default: 0 },
+    recordedTotal: { type: Number, default: 0 }
+  },
+  matched: { type: [LineSchema], default: [] },
+  over: { type: [LineSchema], default: [] },
+  under: { type: [LineSchema], default: [] },
+  unmatchedLines: { type: [LineSchema], default: [] },
+  unevidenced: { type: [DistributionRefSchema], default: [] },
+  invalidLines: { type: [{ _id: false, line: Number, reason: String }], default: [] },
+  warnings: { type: [String], default: [] }
+}, { timestamps: true, versionKey: false });
+
+BankReconciliationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankReconciliation', BankReconciliationSchema);
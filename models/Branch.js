@@ -0,0 +1,33 @@
+// models/Branch.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Branch registry. One branch is known under several identities:
+ * - code: lowercase slug (zanaco rows store this)
+ * - name: display name (DailyReport / MonthlyReport `branch`)
+ * - loanSystemId: id from the loan system (Loan.branchId)
+ * - aliases: any other spellings clients send
+ */
+const BranchSchema = new Schema({
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9-]+$/ },
+  name: { type: String, required: true, unique: true, trim: true },
+  loanSystemId: { type: String, default: '', trim: true },
+  aliases: { type: [String], default: [] },
+  adminEmail: { type: String, default: '', lowercase: true, trim: true },
+  active: { type: Boolean, default: true, index: true }
+}, { timestamps: true, versionKey: false });
+
+BranchSchema.index(
+  { loanSystemId: 1 },
+  { unique: true, partialFilterExpression: { loanSystemId: { $type: 'string', $gt: '' } } }
+);
+
+BranchSchema.pre('validate', function(next) {
+  if (Array.isArray(this.aliases)) {
+    this.aliases = [...new Set(this.aliases.map((a) => String(a || '').toLowerCase().trim()).filter(Boolean))];
+  }
+  next();
+});
+
+module.exports = mongoose.model('Branch', BranchSchema);
@@ -0,0 +1,27 @@
+// models/Channel.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Channel registry: the mobile money wallets / accounts a branch holds float in.
+ * - code: lowercase slug stored as the zanaco `channel` and as the key of
+ *   DailyReport balance maps
+ * - name: display name
+ * - aliases: other spellings clients or bank statements send ("Airtel Money")
+ */
+const ChannelSchema = new Schema({
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9-]+$/ },
+  name: { type: String, required: true, unique: true, trim: true },
+  aliases: { type: [String], default: [] },
+  sortOrder: { type: Number, default: 0 },
+  active: { type: Boolean, default: true, index: true }
+}, { timestamps: true, versionKey: false });
+
+ChannelSchema.pre('validate', function(next) {
+  if (Array.isArray(this.aliases)) {
+    this.aliases = [...new Set(this.aliases.map((a) => String(a || '').toLowerCase().trim()).filter(Boolean))];
+  }
+  next();
+});
+
+module.exports = mongoose.model('Channel', ChannelSchema);
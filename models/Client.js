@@ -1,5 +1,6 @@
 // models/Client.js
 const mongoose = require("mongoose");
+const { auditTrail } = require("../utils/auditTrail");
 
 const ClientSchema = new mongoose.Schema(
   {
@@ -15,6 +16,9 @@ const ClientSchema = new mongoose.Schema(
     statusBucket: { type: String, enum: ["balance", "cleared", "extended"], default: "balance" },
     isExtended: { type: Boolean, default: false },
 
+    // Loan.branchId values of this client's loans (branch_admin scoping)
+    branchIds: { type: [String], default: [] },
+
     // the only thing you really care about for login display
     balance: { type: Number, default: 0 },
 
@@ -29,8 +33,12 @@ const ClientSchema = new mongoose.Schema(
 // Helpful indexes
 ClientSchema.index({ email: 1 });
 ClientSchema.index({ phone: 1 });
+ClientSchema.index({ branchIds: 1 });
 ClientSchema.index({ updatedAt: -1 });
 ClientSchema.index({ statementDate: -1 });
 ClientSchema.index({ lastImportedAt: -1 });
 
+// Audit trail of balance/detail edits (import timestamps are noise)
+ClientSchema.plugin(auditTrail, { entity: "client", ignore: ["lastImportedAt"] });
+
 module.exports = mongoose.model("Client", ClientSchema);
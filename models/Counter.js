@@ -0,0 +1,119 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A reservation not released within this window (crashed process) stops holding readers back
+const DEFAULT_LEASE_MS = 30 * 1000;
+
+/**
+ * Named monotonic counters (e.g. 'syncSeq' for the offline sync change feed).
+ * - inFlight: values reserved by writes that have not committed yet
+ * - published: highest safeMark handed to a reader
+ * Lease ages are stamped and compared with the database clock ($$NOW) only.
+ */
+const CounterSchema = new Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+  inFlight: {
+    type: [{ _id: false, first: Number, last: Number, at: Date }],
+    default: []
+  },
+  published: { type: Number, default: 0 }
+}, { versionKey: false });
+
+// reservations younger than leaseMs by the database clock
+function openReservations(leaseMs) {
+  return {
+    $filter: {
+      input: { $ifNull: ['$inFlight', []] },
+      cond: { $gt: ['$$this.at', { $subtract: ['$$NOW', leaseMs] }] }
+    }
+  };
+}
+
+/**
+ * Reserve `count` consecutive values and record them as in flight until
+ * release(). Both happen in one update, so a reader never sees the counter
+ * ahead of its reservations. Expired reservations are dropped on the way.
+ * @returns { first, last }
+ */
+CounterSchema.statics.reserve = async function(name, count = 1, leaseMs = DEFAULT_LEASE_MS) {
+  const doc = await this.findOneAndUpdate(
+    { _id: name },
+    [
+      { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, count] } } },
+      {
+        $set: {
+          inFlight: {
+            $concatArrays: [
+              openReservations(leaseMs),
+              [{ first: { $subtract: ['$seq', count - 1] }, last: '$seq', at: '$$NOW' }]
+            ]
+          }
+        }
+      }
+    ],
+    // defaults cannot be merged into a pipeline update; the pipeline sets every field
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  ).lean();
+  return { first: doc.seq - count + 1, last: doc.seq };
+};
+
+/**
+ * End a reservation made by reserve() (whether or not its write succeeded).
+ * @returns true when a reader was already handed a mark at or past `last`
+ *   (the lease expired before the write committed), so the values it wrote
+ *   are behind the feed and must be stamped again.
+ */
+CounterSchema.statics.release = async function(name, first, last = first) {
+  const before = await this.findOneAndUpdate(
+    { _id: name },
+    { $pull: { inFlight: { first } } },
+    { new: false, projection: { published: 1 } }
+  ).lean();
+  return !!before && last <= (before.published || 0);
+};
+
+CounterSchema.statics.current = async function(name) {
+  const doc = await this.findById(name).lean();
+  return doc ? doc.seq : 0;
+};
+
+/**
+ * Highest value below every unexpired reservation: everything up to it has
+ * either committed or failed, so readers can move a cursor up to it safely.
+ * Recorded as `published` in the same update, so release() can tell a write
+ * that committed after readers had moved past it.
+ */
+CounterSchema.statics.safeMark = async function(name, leaseMs = DEFAULT_LEASE_MS) {
+  const doc = await this.findOneAndUpdate(
+    { _id: name },
+    [
+      {
+        $set: {
+          published: {
+            $max: [
+              { $ifNull: ['$published', 0] },
+              {
+                $let: {
+                  vars: { open: openReservations(leaseMs) },
+                  in: {
+                    $cond: [
+                      { $gt: [{ $size: '$$open' }, 0] },
+                      { $subtract: [{ $min: '$$open.first' }, 1] },
+                      { $ifNull: ['$seq', 0] }
+                    ]
+                  }
+                }
+              }
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, projection: { published: 1 } }
+  ).lean();
+  return doc ? doc.published : 0;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
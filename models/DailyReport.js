@@ -1,6 +1,8 @@
 // models/DailyReport.js
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { syncTracking } = require('../utils/syncTracking');
+const { auditTrail } = require('../utils/auditTrail');
 
 /**
  * Normalize a date to UTC midnight for storage/unique indexing.
@@ -15,6 +17,7 @@ function normalizeToUtcDay(dateInput) {
 const DailyReportSchema = new Schema({
   branch: { type: String, required: true, trim: true, index: true },
   date: { type: Date, required: true, index: true }, // normalized to UTC midnight
+  // Keyed by Channel registry code (services/channelService.js normalizes on write)
   openingBalances: { type: Map, of: Number, default: {} },
   loanCounts: { type: Map, of: Number, default: {} },
   closingBalances: { type: Map, of: Number, default: {} },
@@ -23,9 +26,41 @@ const DailyReportSchema = new Schema({
   collectedForOtherBranches: { type: Number, default: 0 },
   pettyCash: { type: Number, default: 0 },
   expenses: { type: Number, default: 0 },
+  // Principal of loans disbursed through /api/loans/applications on this day.
+  // Server-owned (services/dailyReportService.js): branch syncs never set it.
+  loanDisbursements: { type: Number, default: 0 },
 
   // per-channel sentinel for Zanaco application, e.g. { 'airtel': true, 'mtn': true }
   zanacoApplied: { type: Map, of: Boolean, default: {} },
+  // Net Zanaco (received - sent) the server added to closingBalances per channel
+  // (services/zanacoApplyService.js); kept so it can be adjusted or taken back later
+  zanacoAdjustments: { type: Map, of: Number, default: {} },
+
+  // Result of services/reconciliationService.js for the figures above
+  reconciliation: {
+    balanced: { type: Boolean },
+    variance: { type: Number },          // actual closing - expected closing
+    expectedClosing: { type: Number },
+    actualClosing: { type: Number },
+    channelVariance: { type: Map, of: Number }, // closing - opening per channel key
+    previousDate: { type: Date },        // report the opening balances were compared with
+    carryForwardVariance: { type: Map, of: Number }, // opening - previous closing per channel key
+    openingAutoFilled: { type: Boolean },
+    failedRules: {
+      type: [{ _id: false, rule: String, message: String, expected: Number, actual: Number }],
+      default: undefined
+    }
+  },
+
+  // Period close (services/periodService.js): closed reports refuse sync writes and deletes until reopened
+  closed: { type: Boolean, default: false },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: String, default: null },   // email of the admin who closed it
+  closeReason: { type: String, default: '' },
+  closeHistory: {
+    type: [{ _id: false, action: { type: String, enum: ['close', 'reopen'] }, by: String, reason: String, at: Date }],
+    default: []
+  },
 
   synced: { type: Boolean, default: false },
   updatedAt: { type: Date, default: () => new Date() }
@@ -36,6 +71,13 @@ const DailyReportSchema = new Schema({
 
 // Unique index to ensure only one report per branch+day
 DailyReportSchema.index({ branch: 1, date: 1 }, { unique: true });
+// Exceptions listing (unbalanced branch-days)
+DailyReportSchema.index({ 'reconciliation.balanced': 1, date: -1 });
+
+// version / syncSeq for the offline sync change feed (utils/syncTracking.js)
+DailyReportSchema.plugin(syncTracking, { name: 'daily', keyFields: ['branch', 'date'] });
+// who changed what (utils/auditTrail.js)
+DailyReportSchema.plugin(auditTrail, { entity: 'daily_report', ignore: ['reconciliation'] });
 
 DailyReportSchema.pre('validate', function(next) {
   if (this.date) {
@@ -74,6 +116,11 @@ DailyReportSchema.method('toJSON', function() {
   obj.closingBalances = mapToObj(obj.closingBalances);
   obj.loanCounts = mapToObj(obj.loanCounts);
   obj.zanacoApplied = mapToObj(obj.zanacoApplied);
+  obj.zanacoAdjustments = mapToObj(obj.zanacoAdjustments);
+  if (obj.reconciliation) {
+    obj.reconciliation.channelVariance = mapToObj(obj.reconciliation.channelVariance);
+    obj.reconciliation.carryForwardVariance = mapToObj(obj.reconciliation.carryForwardVariance);
+  }
   if (obj.date) obj.date = new Date(obj.date).toISOString();
   if (obj.updatedAt) obj.updatedAt = new Date(obj.updatedAt).toISOString();
   if (obj.createdAt) obj.createdAt = new Date(obj.createdAt).toISOString();
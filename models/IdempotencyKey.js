@@ -0,0 +1,28 @@
+// models/IdempotencyKey.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Idempotency-Key record (middleware/idempotency.js).
+ * One per caller + key; holds the first response so retries replay it.
+ * Documents expire via the TTL index on expiresAt (the middleware also treats
+ * a past expiresAt as absent, since the TTL monitor only runs once a minute).
+ */
+const IdempotencyKeySchema = new Schema({
+  key: { type: String, required: true },
+  owner: { type: String, required: true },            // user id / email the key belongs to
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },      // sha256 of the JSON body
+  state: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  leaseId: { type: String, default: '' },             // holder of the in_progress lease
+  startedAt: { type: Date, default: Date.now },       // last lease renewal; stale leases can be taken over
+  responseStatus: { type: Number },
+  responseBody: { type: Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true, versionKey: false });
+
+IdempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
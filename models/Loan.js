@@ -1,6 +1,27 @@
 // models/Loan.js
 const mongoose = require('mongoose');
 
+// Contract terms used to generate the repayment schedule.
+// interestRate is a percentage per month, as quoted by the loan system ("30%/Month").
+const loanTermsSchema = new mongoose.Schema({
+  interestRate: { type: Number, min: 0, default: 0 },
+  tenor: { type: Number, min: 1, default: 1 }, // number of installments
+  frequency: { type: String, enum: ['weekly', 'fortnightly', 'monthly'], default: 'monthly' },
+  method: { type: String, enum: ['flat', 'reducing'], default: 'flat' },
+  startDate: { type: Date, default: null } // disbursement date; first installment is one period later
+}, { _id: false });
+
+const installmentSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  principal: { type: Number, default: 0 },
+  interest: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+  balance: { type: Number, default: 0 }, // principal outstanding after this installment
+  paidAmount: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'partial', 'paid'], default: 'pending' }
+}, { _id: false });
+
 const loanSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -41,7 +62,7 @@ const loanSchema = new mongoose.Schema({
   loanStatus: {
     type: String,
     required: true,
-    enum: ['Fully Paid', 'Restructured', 'Defaulted', 'Past Maturity', 'Missed Repayment', 'Write-Off'],
+    enum: ['Current', 'Fully Paid', 'Restructured', 'Defaulted', 'Past Maturity', 'Missed Repayment', 'Write-Off'],
     index: true
   },
 
@@ -78,12 +99,36 @@ const loanSchema = new mongoose.Schema({
     default: 0
   },
 
+  // PenaltyEntries added to penaltyAmount but not yet flagged appliedToLoan
+  // (services/penaltyEngine.js): the $inc is guarded on this list, so an entry
+  // is never added twice
+  applyingPenaltyEntryIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+
   branchId: {
     type: String,
     default: '5235364',
     index: true
   },
 
+  terms: {
+    type: loanTermsSchema,
+    default: null
+  },
+
+  // Generated from `terms`; nextDueDate / nextInstallmentAmount are derived from it
+  schedule: {
+    type: [installmentSchema],
+    default: []
+  },
+
+  scheduleGeneratedAt: {
+    type: Date,
+    default: null
+  },
+
   importedAt: {
     type: Date,
     default: Date.now
@@ -98,7 +143,7 @@ const loanSchema = new mongoose.Schema({
         try { ret._id = String(ret._id); } catch (e) {}
         ret.id = ret.id || ret._id;
       }
-      const dateFields = ['importedAt', 'borrowerDateOfBirth', 'nextDueDate', 'createdAt', 'updatedAt'];
+      const dateFields = ['importedAt', 'borrowerDateOfBirth', 'nextDueDate', 'scheduleGeneratedAt', 'createdAt', 'updatedAt'];
       for (const f of dateFields) {
         if (ret[f] instanceof Date && !Number.isNaN(ret[f].getTime())) {
           ret[f] = ret[f].toISOString();
@@ -0,0 +1,49 @@
+// models/LoanApplication.js
+const mongoose = require('mongoose');
+const Loan = require('./Loan');
+const { Schema } = mongoose;
+
+const STATUSES = ['draft', 'submitted', 'branch-approved', 'ovadmin-approved', 'disbursed', 'rejected'];
+
+const HistorySchema = new Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  by: { type: String, default: '' }, // email
+  note: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Loan origination: draft -> submitted -> branch-approved -> ovadmin-approved -> disbursed
+ * (or rejected from any pre-disbursement state). Disbursement creates the Loan.
+ */
+const LoanApplicationSchema = new Schema({
+  fullName: { type: String, required: true, trim: true },
+  borrowerMobile: { type: String, default: '', trim: true },
+  borrowerEmail: { type: String, default: '', lowercase: true, trim: true },
+  borrowerAddress: { type: String, default: '' },
+  borrowerDateOfBirth: { type: Date, default: null },
+
+  // `branch` is the name used by daily reports; `branchId` the loan-system id stored on Loan
+  branch: { type: String, required: true, trim: true, index: true },
+  branchId: { type: String, default: '', trim: true, index: true },
+
+  principalAmount: { type: Number, required: true, min: 0.01 },
+  terms: { type: Loan.schema.path('terms').schema, default: null },
+  purpose: { type: String, default: '' },
+  notes: { type: String, default: '' },
+
+  status: { type: String, enum: STATUSES, default: 'draft', index: true },
+  history: { type: [HistorySchema], default: [] },
+  rejectionReason: { type: String, default: '' },
+
+  createdBy: { type: String, default: '' },
+  loanId: { type: Schema.Types.ObjectId, ref: 'Loan', default: null },
+  disbursedAt: { type: Date, default: null }
+}, { timestamps: true, versionKey: false });
+
+LoanApplicationSchema.index({ branch: 1, status: 1, createdAt: -1 });
+
+LoanApplicationSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('LoanApplication', LoanApplicationSchema);
@@ -1,6 +1,8 @@
 // models/MonthlyReport.js
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { syncTracking } = require('../utils/syncTracking');
+const { auditTrail } = require('../utils/auditTrail');
 
 /**
  * Normalize date to UTC month start (YYYY-MM-01T00:00:00Z)
@@ -41,6 +43,15 @@ const MonthlyReportSchema = new Schema({
   clearance: { type: Number, default: 0 },
   totalCollections: { type: Number, default: 0 },
   permicCashAdvance: { type: Number, default: 0 },
+  // Period close (services/periodService.js): closed reports refuse sync writes and deletes until reopened
+  closed: { type: Boolean, default: false },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: String, default: null },   // email of the admin who closed it
+  closeReason: { type: String, default: '' },
+  closeHistory: {
+    type: [{ _id: false, action: { type: String, enum: ['close', 'reopen'] }, by: String, reason: String, at: Date }],
+    default: []
+  },
   synced: { type: Boolean, default: false, index: true },
   updatedAt: { type: Date, default: () => new Date() },
   createdAt: { type: Date, default: () => new Date() }
@@ -52,6 +63,11 @@ const MonthlyReportSchema = new Schema({
 
 MonthlyReportSchema.index({ branch: 1, date: 1 }, { unique: true });
 
+// version / syncSeq for the offline sync change feed (utils/syncTracking.js)
+MonthlyReportSchema.plugin(syncTracking, { name: 'monthly', keyFields: ['branch', 'date'] });
+// who changed what (utils/auditTrail.js)
+MonthlyReportSchema.plugin(auditTrail, { entity: 'monthly_report' });
+
 MonthlyReportSchema.pre('validate', function(next) {
   if (this.date) {
     const normalized = normalizeToUtcMonthStart(this.date);
@@ -0,0 +1,32 @@
+// models/PenaltyEntry.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One penalty accrual posted to a Loan by the penalty engine.
+ * accrualKey makes runs idempotent per loan:
+ *  - 'day:YYYY-MM-DD'  for percent_per_day (one entry per run day)
+ *  - 'flat:YYYY-MM-DD' for flat (one entry per missed due date)
+ * appliedToLoan: false until the amount has been added to Loan.penaltyAmount
+ * (guarded per entry by Loan.applyingPenaltyEntryIds); the next run finishes
+ * entries left false by a failed update.
+ */
+const PenaltyEntrySchema = new Schema({
+  loanId: { type: Schema.Types.ObjectId, ref: 'Loan', required: true, index: true },
+  branchId: { type: String, default: '', index: true },
+  accrualKey: { type: String, required: true },
+  accrualDate: { type: Date, required: true, index: true },
+  dueDate: { type: Date, default: null },
+  mode: { type: String, enum: ['flat', 'percent_per_day'], required: true },
+  daysPastDue: { type: Number, default: 0 },
+  daysCharged: { type: Number, default: 0 },
+  overdueAmount: { type: Number, default: 0 },
+  amount: { type: Number, required: true, min: 0 },
+  policy: { type: Schema.Types.Mixed, default: {} },
+  appliedToLoan: { type: Boolean, default: false, index: true },
+  createdBy: { type: String, default: 'system' }
+}, { timestamps: true, versionKey: false });
+
+PenaltyEntrySchema.index({ loanId: 1, accrualKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('PenaltyEntry', PenaltyEntrySchema);
@@ -0,0 +1,60 @@
+// models/Repayment.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One payment posted against a Loan.
+ * - allocation: how the amount was applied (penalty -> interest -> principal)
+ * - balanceBefore/After: loanActualBalance around the posting
+ * - reversal never deletes the row; it flips status to 'reversed' and restores the loan
+ */
+const AllocationSchema = new Schema({
+  penalty: { type: Number, default: 0 },
+  interest: { type: Number, default: 0 },
+  principal: { type: Number, default: 0 },
+  unapplied: { type: Number, default: 0 } // overpayment beyond the outstanding balance
+}, { _id: false });
+
+const RepaymentSchema = new Schema({
+  loanId: { type: Schema.Types.ObjectId, ref: 'Loan', required: true, index: true },
+  branchId: { type: String, default: '', index: true },
+
+  amount: { type: Number, required: true, min: 0.01 },
+  paidAt: { type: Date, required: true, index: true },
+  method: { type: String, trim: true, lowercase: true, default: 'cash' }, // cash/airtel/mtn/bank...
+  reference: { type: String, trim: true, default: '' },
+  notes: { type: String, default: '' },
+
+  allocation: { type: AllocationSchema, default: () => ({}) },
+  // schedule installments this payment settled: [{ number, amount }]
+  installments: {
+    type: [new Schema({ number: Number, amount: Number }, { _id: false })],
+    default: []
+  },
+  balanceBefore: { type: Number, default: 0 },
+  balanceAfter: { type: Number, default: 0 },
+  loanStatusBefore: { type: String, default: '' },
+
+  status: { type: String, enum: ['posted', 'reversed'], default: 'posted', index: true },
+  recordedBy: { type: String, default: '' }, // email
+  reversedAt: { type: Date, default: null },
+  reversedBy: { type: String, default: '' },
+  reversalReason: { type: String, default: '' }
+}, {
+  timestamps: true,
+  versionKey: false,
+  toJSON: {
+    transform(doc, ret) {
+      if (ret._id) ret._id = String(ret._id);
+      if (ret.loanId) ret.loanId = String(ret.loanId);
+      for (const f of ['paidAt', 'reversedAt', 'createdAt', 'updatedAt']) {
+        if (ret[f] instanceof Date) ret[f] = ret[f].toISOString();
+      }
+      return ret;
+    }
+  }
+});
+
+RepaymentSchema.index({ loanId: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Repayment', RepaymentSchema);
@@ -0,0 +1,22 @@
+// models/Statement.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * A generated PDF statement. The file itself lives in the GridFS 'statements'
+ * bucket (services/statementService.js); this is the listing/lookup record.
+ */
+const StatementSchema = new Schema({
+  kind: { type: String, enum: ['branch'], required: true },
+  branch: { type: String, required: true, lowercase: true, trim: true }, // registry code
+  period: { type: Date, required: true },            // month start (UTC)
+  fileId: { type: Schema.Types.ObjectId, required: true },
+  filename: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  generatedBy: { type: String, default: null },      // email; null = system
+  summary: { type: Schema.Types.Mixed, default: {} } // headline figures printed on the statement
+}, { timestamps: true, versionKey: false });
+
+StatementSchema.index({ kind: 1, branch: 1, period: -1, createdAt: -1 });
+
+module.exports = mongoose.model('Statement', StatementSchema);
@@ -0,0 +1,20 @@
+// models/SyncTombstone.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Left behind when a synced document is deleted so the change feed can tell
+ * offline clients to drop their copy.
+ */
+const SyncTombstoneSchema = new Schema({
+  collectionName: { type: String, required: true },   // 'daily' | 'monthly' | 'zanaco'
+  docId: { type: Schema.Types.ObjectId, required: true },
+  key: { type: Schema.Types.Mixed, default: {} },      // branch/date(/fromBranch/channel) of the deleted doc
+  version: { type: Number, default: 0 },               // last version before deletion
+  syncSeq: { type: Number, required: true, index: true },
+  deletedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+SyncTombstoneSchema.index({ collectionName: 1, syncSeq: 1 });
+
+module.exports = mongoose.model('SyncTombstone', SyncTombstoneSchema);
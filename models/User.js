@@ -1,5 +1,6 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/auditTrail');
 
 const NextPaymentSchema = new mongoose.Schema({
   amount: { type: Number, default: 0 },
@@ -26,9 +27,14 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, default: '' },
   phone: { type: String, default: '' },
   role: { type: String, enum: ['client','branch_admin','ovadmin'], default: 'client' },
+  // Branch registry code (models/Branch.js); limits what a branch_admin can see
+  branch: { type: String, default: '', lowercase: true, trim: true, index: true },
   passwordHash: { type: String, required: true },
   balances: { type: BalanceSchema, default: () => ({}) },
   notifications: { type: [NotificationSchema], default: [] }
 }, { timestamps: true });
 
+// Audit trail of balance changes only (notifications/passwords are not financial)
+UserSchema.plugin(auditTrail, { entity: 'user', fields: ['balances'] });
+
 module.exports = mongoose.model('User', UserSchema);
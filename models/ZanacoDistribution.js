@@ -1,12 +1,14 @@
 // models/ZanacoDistribution.js
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { syncTracking } = require('../utils/syncTracking');
+const { auditTrail } = require('../utils/auditTrail');
 
 /**
  * Zanaco distribution row:
  * - fromBranch: sender branch
  * - branch: receiving branch (kept name for compatibility)
- * - channel: airtel/mtn
+ * - channel: Channel registry code (airtel, mtn, zamtel, ...; see services/channelService.js)
  *
  * Unique on date + fromBranch + branch + channel (so different senders won't overwrite)
  */
@@ -18,6 +20,25 @@ const ZanacoDistributionSchema = new Schema(
     channel: { type: String, required: true, trim: true, lowercase: true, index: true },
     amount: { type: Number, required: true, default: 0 },
     metadata: { type: Schema.Types.Mixed, default: {} },
+    // Allocation lifecycle (services/zanacoWorkflowService.js)
+    status: { type: String, enum: ['proposed', 'acknowledged', 'disputed', 'applied'], default: 'proposed', index: true },
+    disputeReason: { type: String, default: '' },
+    acknowledgedAt: { type: Date, default: null },
+    acknowledgedBy: { type: String, default: null },
+    appliedAt: { type: Date, default: null },
+    appliedBy: { type: String, default: null },
+    statusHistory: {
+      type: [{ _id: false, status: String, by: String, reason: String, amount: Number, at: Date }],
+      default: [],
+    },
+    // Latest bank statement check (services/bankReconciliationService.js); written by the server only
+    bankReconciliation: {
+      status: { type: String, enum: ['matched', 'over', 'under', 'unevidenced'] },
+      runId: { type: Schema.Types.ObjectId },
+      checkedAt: { type: Date },
+      bankAmount: { type: Number },
+      line: { type: Number },
+    },
   },
   { timestamps: true, versionKey: false }
 );
@@ -27,6 +48,11 @@ ZanacoDistributionSchema.index(
   { unique: true }
 );
 
+// version / syncSeq for the offline sync change feed (utils/syncTracking.js)
+ZanacoDistributionSchema.plugin(syncTracking, { name: 'zanaco', keyFields: ['date', 'fromBranch', 'branch', 'channel'] });
+// who changed what (utils/auditTrail.js)
+ZanacoDistributionSchema.plugin(auditTrail, { entity: 'zanaco', ignore: ['bankReconciliation'] });
+
 // Normalize date input to UTC midnight
 function normalizeToUtcDay(dateInput) {
   const d = new Date(dateInput);
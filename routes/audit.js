@@ -0,0 +1,22 @@
+// routes/audit.js
+// Audit trail queries: mounted at /api/audit (ovadmin only)
+const express = require('express');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+router.use(authMiddleware, requireRole('ovadmin'));
+
+// GET /api/audit?entity=&entityId=&actor=&action=&from=&to=&limit=&skip=
+router.get('/', async (req, res) => {
+  try {
+    const result = await auditService.listAudit(req.query);
+    return res.json({ success: true, count: result.entries.length, ...result });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/audit');
+  }
+});
+
+module.exports = router;
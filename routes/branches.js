@@ -0,0 +1,65 @@
+// routes/branches.js
+// Branch registry: mounted at /api/branches
+const express = require('express');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const branchService = require('../services/branchService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// GET /api/branches?includeInactive=true
+router.get('/', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' || req.query.includeInactive === '1';
+    const branches = await branchService.listBranches({ includeInactive });
+    return res.json({ success: true, count: branches.length, branches });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/branches');
+  }
+});
+
+// GET /api/branches/:id  (code, name, alias or loan-system id)
+router.get('/:id', async (req, res) => {
+  try {
+    const branch = await branchService.resolveBranch(req.params.id);
+    if (!branch) return res.status(404).json({ success: false, error: 'Branch not found' });
+    return res.json({ success: true, branch });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/branches/:id');
+  }
+});
+
+// POST /api/branches
+// Body: { code, name, loanSystemId?, aliases?, adminEmail?, active? }
+router.post('/', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const branch = await branchService.createBranch(req.body || {});
+    return res.status(201).json({ success: true, branch });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/branches');
+  }
+});
+
+// PUT /api/branches/:code  (code itself cannot change)
+router.put('/:code', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const branch = await branchService.updateBranch(req.params.code, req.body || {});
+    return res.json({ success: true, branch });
+  } catch (err) {
+    return sendServiceError(res, err, 'PUT /api/branches/:code');
+  }
+});
+
+// DELETE /api/branches/:code  (deactivates; reports keep referring to it)
+router.delete('/:code', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const branch = await branchService.deactivateBranch(req.params.code);
+    return res.json({ success: true, message: 'Branch deactivated', branch });
+  } catch (err) {
+    return sendServiceError(res, err, 'DELETE /api/branches/:code');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/channels.js
+// Channel registry: mounted at /api/channels
+const express = require('express');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const channelService = require('../services/channelService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// GET /api/channels?includeInactive=true
+router.get('/', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' || req.query.includeInactive === '1';
+    const channels = await channelService.listChannels({ includeInactive });
+    return res.json({ success: true, count: channels.length, channels });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/channels');
+  }
+});
+
+// GET /api/channels/:id  (code, name or alias)
+router.get('/:id', async (req, res) => {
+  try {
+    const channel = await channelService.resolveChannel(req.params.id);
+    if (!channel) return res.status(404).json({ success: false, error: 'Channel not found' });
+    return res.json({ success: true, channel });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/channels/:id');
+  }
+});
+
+// POST /api/channels
+// Body: { code, name, aliases?, sortOrder?, active? }
+router.post('/', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const channel = await channelService.createChannel(req.body || {});
+    return res.status(201).json({ success: true, channel });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/channels');
+  }
+});
+
+// PUT /api/channels/:code  (code itself cannot change)
+router.put('/:code', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const channel = await channelService.updateChannel(req.params.code, req.body || {});
+    return res.json({ success: true, channel });
+  } catch (err) {
+    return sendServiceError(res, err, 'PUT /api/channels/:code');
+  }
+});
+
+// DELETE /api/channels/:code  (deactivates; reports and allocations keep referring to it)
+router.delete('/:code', requireRole('ovadmin'), async (req, res) => {
+  try {
+    const channel = await channelService.deactivateChannel(req.params.code);
+    return res.json({ success: true, message: 'Channel deactivated', channel });
+  } catch (err) {
+    return sendServiceError(res, err, 'DELETE /api/channels/:code');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,11 @@ const jwt = require("jsonwebtoken");
 
 const Client = require("../models/Client");
 const Loan = require("../models/Loan");
+const { toNumber, loanActualBalance } = require("../utils/loanBalance");
+const { requireBranchScope, scopedLoanSystemId } = require("../middleware/auth");
+const { paginate, dateRange } = require("../utils/pagination");
+const branchService = require("../services/branchService");
+const clientStatementService = require("../services/clientStatementService");
 
 // ----------------------------------------------------
 // Safe User model loader (prevents OverwriteModelError)
@@ -63,12 +68,50 @@ async function requireAdmin(req, res, next) {
     if (!isAdmin) return res.status(403).json({ success: false, message: "Forbidden" });
 
     req.userDb = user;
+    // role/branch from the DB win over whatever the token carried
+    req.user = { ...req.user, role: user.role, branch: user.branch || "" };
     return next();
   } catch (e) {
     return res.status(401).json({ success: false, message: "Unauthorized" });
   }
 }
 
+// ----------------------------------------------------
+// Branch scope: branch_admin only sees clients with a loan in their branch.
+// Client.branchIds is only filled by rebuild-from-loans, so the branch's loans
+// are also matched by clientKey (covers clients and loans added since). ovadmin sees all.
+// ----------------------------------------------------
+const adminGuard = [requireAuth, requireAdmin, requireBranchScope];
+
+// Same key rebuild-from-loans gives a loan's client: phone first, else email
+function loanClientKey(loan) {
+  const phone09 = normalizeZMPhone(loan.borrowerMobile || "");
+  const email = String(loan.borrowerEmail || "").toLowerCase().trim();
+  return phone09 ? `phone:${phone09}` : email ? `email:${email}` : "";
+}
+
+/** Clients with a loan whose Loan.branchId is `branchId`. */
+async function branchClientFilter(branchId) {
+  const keys = new Set();
+  const cursor = Loan.find({ branchId }).select("borrowerMobile borrowerEmail").lean().cursor();
+  for await (const loan of cursor) {
+    const k = loanClientKey(loan);
+    if (k) keys.add(k);
+  }
+  return { $or: [{ branchIds: branchId }, { clientKey: { $in: [...keys] } }] };
+}
+
+async function clientScopeFilter(req) {
+  const branchId = scopedLoanSystemId(req);
+  return branchId === null ? {} : branchClientFilter(branchId);
+}
+
+function sendScopeError(res, err) {
+  if (!err.status) return false;
+  res.status(err.status).json({ success: false, message: err.message, code: err.code });
+  return true;
+}
+
 // ------------- Normalizers (Zambia: always return 09XXXXXXXX) -------------
 function normalizeZMPhone(input) {
   const d = String(input || "").replace(/[^\d]/g, "");
@@ -129,42 +172,6 @@ function cleanFullName(name) {
     .trim();
 }
 
-// robust number reader (handles strings + mongo numeric wrappers)
-function toNumber(v) {
-  if (v == null) return 0;
-  if (typeof v === "number") return v;
-
-  if (typeof v === "string") {
-    const cleaned = v.replace(/,/g, "").trim();
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : 0;
-  }
-
-  // Mongo export shapes: { $numberInt: "100" }, { $numberDecimal: "100.50" }
-  if (typeof v === "object") {
-    for (const k of Object.keys(v)) {
-      const lk = String(k).toLowerCase();
-      if (lk.includes("number")) return toNumber(v[k]);
-    }
-    if (v.amount != null) return toNumber(v.amount);
-  }
-
-  return 0;
-}
-
-// ---------- “Actual balance” rule (one figure) ----------
-function loanActualBalance(loan) {
-  const status = String(loan.loanStatus || "").toLowerCase().trim();
-  if (status === "fully paid" || status === "write-off") return 0;
-
-  const a = toNumber(loan.amortizationDue);
-  const i = toNumber(loan.totalInterestBalance);
-  const p = toNumber(loan.penaltyAmount);
-
-  const total = a + i + p;
-  return total > 0 ? total : 0;
-}
-
 function pickNearestNextDueDate(loans) {
   const now = new Date();
   const startToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -195,11 +202,14 @@ const router = express.Router();
 
 /**
  * ✅ POST /api/clients/rebuild-from-loans
- * Admin-only: rebuild Clients summary from Loans
+ * ovadmin-only: rebuild Clients summary from Loans
  * Body: { purgeBad: true }
  */
 router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) => {
   try {
+    // Rebuilds every branch's clients, so head office only
+    if (req.userDb.role !== "ovadmin") return res.status(403).json({ success: false, message: "Forbidden" });
+
     const purgeBad = !!req.body?.purgeBad;
 
     // 1) Optional: delete obviously bad email keys (email:... but no "@")
@@ -219,7 +229,7 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
       .select(
         "fullName borrowerMobile borrowerEmail borrowerAddress " +
           "loanStatus principalAmount amortizationDue totalInterestBalance penaltyAmount " +
-          "nextDueDate importedAt"
+          "nextDueDate importedAt branchId"
       )
       .lean()
       .cursor();
@@ -229,7 +239,7 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
       const email = String(loan.borrowerEmail || "").toLowerCase().trim();
 
       // Prefer phone-based key, else email-based key
-      const clientKey = phone09 ? `phone:${phone09}` : email ? `email:${email}` : "";
+      const clientKey = loanClientKey(loan);
       if (!clientKey) continue;
 
       let g = groups.get(clientKey);
@@ -243,6 +253,7 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
           balance: 0,
           statementDate: null,
           lastImportedAt: null,
+          branchIds: new Set(),
         };
         groups.set(clientKey, g);
       }
@@ -252,6 +263,7 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
       if (!g.phone && phone09) g.phone = phone09;
       if (!g.email && email) g.email = email;
       if (!g.address && loan.borrowerAddress) g.address = String(loan.borrowerAddress).trim();
+      if (loan.branchId) g.branchIds.add(String(loan.branchId));
 
       // Sum balances using your rule
       g.balance += loanActualBalance(loan);
@@ -283,6 +295,7 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
               phone: g.phone,
               email: g.email,
               address: g.address || null,
+              branchIds: [...g.branchIds],
 
               balance: totalBalance,
 
@@ -319,31 +332,50 @@ router.post("/rebuild-from-loans", requireAuth, requireAdmin, async (req, res) =
   }
 });
 
+const CLIENT_LIST_FIELDS = [
+  "clientKey", "fullName", "email", "phone", "address", "branchIds", "balance", "statementDate",
+  "updatedAt", "lastImportedAt", "loanStatus", "statusBucket", "isExtended",
+];
+
 /**
  * ✅ GET /api/clients
  * Admin list clients (manual edit screen)
- * Optional query: ?q=search&limit=500
+ * Optional query: ?q=search&branch=&statusBucket=&from=&to= (updatedAt)
+ *                 &sort=-updatedAt&fields=&limit=500&cursor=
  */
-router.get("/", requireAuth, requireAdmin, async (req, res) => {
+router.get("/", adminGuard, async (req, res) => {
   try {
     const q = String(req.query.q || "").trim();
-    const limit = Math.min(parseInt(req.query.limit || "500", 10) || 500, 2000);
 
     const filter = {};
+    const and = [await clientScopeFilter(req)];
     if (q) {
       const safe = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
       const rx = new RegExp(safe, "i");
-      filter.$or = [{ fullName: rx }, { email: rx }, { phone: rx }, { clientKey: rx }, { address: rx }];
+      and.push({ $or: [{ fullName: rx }, { email: rx }, { phone: rx }, { clientKey: rx }, { address: rx }] });
     }
+    if (req.query.branch && !req.branchScope) {
+      and.push(await branchClientFilter(await branchService.requireLoanSystemId(req.query.branch)));
+    }
+    filter.$and = and;
+    if (req.query.statusBucket) filter.statusBucket = String(req.query.statusBucket).trim();
+    const range = dateRange(req.query.from, req.query.to);
+    if (range) filter.updatedAt = range;
+
+    const page = await paginate(Client, {
+      filter,
+      query: req.query,
+      sortable: ["updatedAt", "statementDate", "lastImportedAt", "fullName", "balance"],
+      defaultSort: "updatedAt",
+      fields: CLIENT_LIST_FIELDS,
+      select: CLIENT_LIST_FIELDS.join(" "),
+      defaultLimit: 500,
+      maxLimit: 2000,
+    });
 
-    const clients = await Client.find(filter)
-      .select("_id clientKey fullName email phone address balance statementDate updatedAt lastImportedAt loanStatus statusBucket isExtended")
-      .sort({ updatedAt: -1, statementDate: -1, lastImportedAt: -1 })
-      .limit(limit)
-      .lean();
-
-    return res.json({ success: true, clients });
+    return res.json({ success: true, clients: page.items, count: page.items.length, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (err) {
+    if (sendScopeError(res, err)) return;
     console.error("GET /api/clients error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
@@ -353,7 +385,7 @@ router.get("/", requireAuth, requireAdmin, async (req, res) => {
  * ✅ PUT /api/clients/:id
  * Admin manual edit (updates the Clients collection)
  */
-router.put("/:id", requireAuth, requireAdmin, async (req, res) => {
+router.put("/:id", adminGuard, async (req, res) => {
   try {
     const id = String(req.params.id || "").trim();
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -373,11 +405,12 @@ router.put("/:id", requireAuth, requireAdmin, async (req, res) => {
       update.balance = toNumber(body.balance ?? body.actualBalance);
     }
 
-    const client = await Client.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
+    const client = await Client.findOneAndUpdate({ _id: id, ...(await clientScopeFilter(req)) }, { $set: update }, { new: true }).lean();
     if (!client) return res.status(404).json({ success: false, message: "Client not found" });
 
     return res.json({ success: true, client });
   } catch (err) {
+    if (sendScopeError(res, err)) return;
     console.error("PUT /api/clients/:id error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
@@ -387,18 +420,19 @@ router.put("/:id", requireAuth, requireAdmin, async (req, res) => {
  * ✅ DELETE /api/clients/:id
  * Admin delete client (Clients collection)
  */
-router.delete("/:id", requireAuth, requireAdmin, async (req, res) => {
+router.delete("/:id", adminGuard, async (req, res) => {
   try {
     const id = String(req.params.id || "").trim();
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: "Invalid client id" });
     }
 
-    const result = await Client.deleteOne({ _id: id });
+    const result = await Client.deleteOne({ _id: id, ...(await clientScopeFilter(req)) });
     if (!result.deletedCount) return res.status(404).json({ success: false, message: "Client not found" });
 
     return res.json({ success: true });
   } catch (err) {
+    if (sendScopeError(res, err)) return;
     console.error("DELETE /api/clients/:id error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
@@ -408,62 +442,80 @@ router.delete("/:id", requireAuth, requireAdmin, async (req, res) => {
  * GET /api/clients/me
  * Optional query: ?includeLoans=true
  */
-router.get("/me", requireAuth, async (req, res) => {
-  try {
-    const emailFromToken = String(req.user?.email || req.user?.sub || "").toLowerCase().trim();
-    if (!emailFromToken) return res.status(401).json({ success: false, message: "Unauthorized" });
+// The statement also needs the schedule for each loan's next installment
+const STATEMENT_LOAN_FIELDS =
+  "fullName borrowerAddress branchId loanStatus principalAmount amortizationDue totalInterestBalance " +
+  "penaltyAmount nextDueDate nextInstallmentAmount terms schedule importedAt";
 
-    const User = getUserModelSafe();
-    const user = await User.findOne({ email: emailFromToken }).lean();
-    if (!user) return res.status(401).json({ success: false, message: "Unauthorized" });
+const ME_LOAN_FIELDS =
+  "fullName borrowerMobile borrowerEmail borrowerAddress branchId " +
+  "loanStatus principalAmount amortizationDue totalInterestBalance penaltyAmount " +
+  "nextDueDate importedAt";
 
-    const userEmail = String(user.email || emailFromToken).toLowerCase().trim();
-    const userPhone09 = normalizeZMPhone(user.phone || "");
-    const variants = phoneVariants(userPhone09);
-    const keyVariants = clientKeyVariants(userPhone09);
-
-    // 1) Find Client (email/phone/clientKey)
-    const ors = [];
-    if (userEmail) ors.push({ email: userEmail });
-    if (variants.length) ors.push({ phone: { $in: variants } });
-    if (keyVariants.length) ors.push({ clientKey: { $in: keyVariants } });
-
-    let client = null;
-    if (ors.length) {
-      client = await Client.findOne({ $or: ors })
-        .sort({ statementDate: -1, updatedAt: -1, lastImportedAt: -1 })
-        .lean();
-    }
+/**
+ * Signed-in borrower: their User, matching Client (email/phone/clientKey) and
+ * loans (embedded on the Client or from the Loan collection).
+ * null when the token does not map to a user.
+ */
+async function findBorrower(req, loanFields = ME_LOAN_FIELDS) {
+  const emailFromToken = String(req.user?.email || req.user?.sub || "").toLowerCase().trim();
+  if (!emailFromToken) return null;
+
+  const User = getUserModelSafe();
+  const user = await User.findOne({ email: emailFromToken }).lean();
+  if (!user) return null;
+
+  const userEmail = String(user.email || emailFromToken).toLowerCase().trim();
+  const userPhone09 = normalizeZMPhone(user.phone || "");
+  const variants = phoneVariants(userPhone09);
+  const keyVariants = clientKeyVariants(userPhone09);
+
+  // 1) Find Client (email/phone/clientKey)
+  const ors = [];
+  if (userEmail) ors.push({ email: userEmail });
+  if (variants.length) ors.push({ phone: { $in: variants } });
+  if (keyVariants.length) ors.push({ clientKey: { $in: keyVariants } });
+
+  let client = null;
+  if (ors.length) {
+    client = await Client.findOne({ $or: ors })
+      .sort({ statementDate: -1, updatedAt: -1, lastImportedAt: -1 })
+      .lean();
+  }
 
-    // 2) Fetch loans (from embedded or Loan collection)
-    const embeddedLoans = Array.isArray(client?.loans) ? client.loans : null;
-
-    let loans = [];
-    if (embeddedLoans && embeddedLoans.length) {
-      loans = embeddedLoans;
-    } else {
-      const loanOrs = [];
-      if (userEmail) loanOrs.push({ borrowerEmail: userEmail });
-      if (variants.length) loanOrs.push({ borrowerMobile: { $in: variants } });
-
-      loans = loanOrs.length
-        ? await Loan.find({ $or: loanOrs })
-            .select(
-              "fullName borrowerMobile borrowerEmail borrowerAddress branchId " +
-                "loanStatus principalAmount amortizationDue totalInterestBalance penaltyAmount " +
-                "nextDueDate importedAt"
-            )
-            .lean()
-        : [];
-    }
+  // 2) Fetch loans (from embedded or Loan collection)
+  const embeddedLoans = Array.isArray(client?.loans) ? client.loans : null;
 
-    if (!client && loans.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Client not found. Ensure your account phone/email matches imported client data.",
-        debug: { email: userEmail, phone: userPhone09, clientKeysTried: keyVariants },
-      });
-    }
+  let loans = [];
+  if (embeddedLoans && embeddedLoans.length) {
+    loans = embeddedLoans;
+  } else {
+    const loanOrs = [];
+    if (userEmail) loanOrs.push({ borrowerEmail: userEmail });
+    if (variants.length) loanOrs.push({ borrowerMobile: { $in: variants } });
+
+    loans = loanOrs.length ? await Loan.find({ $or: loanOrs }).select(loanFields).lean() : [];
+  }
+
+  return { user, userEmail, userPhone09, keyVariants, client, loans };
+}
+
+function sendBorrowerNotFound(res, { userEmail, userPhone09, keyVariants }) {
+  return res.status(404).json({
+    success: false,
+    message: "Client not found. Ensure your account phone/email matches imported client data.",
+    debug: { email: userEmail, phone: userPhone09, clientKeysTried: keyVariants },
+  });
+}
+
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const borrower = await findBorrower(req);
+    if (!borrower) return res.status(401).json({ success: false, message: "Unauthorized" });
+    const { user, userEmail, userPhone09, loans } = borrower;
+    let { client } = borrower;
+
+    if (!client && loans.length === 0) return sendBorrowerNotFound(res, borrower);
 
     // 3) Compute totals
     const totalBorrowed = loans.reduce((s, l) => s + toNumber(l.principalAmount), 0);
@@ -542,4 +594,39 @@ router.get("/me", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * ✅ GET /api/clients/me/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Printable PDF of the signed-in borrower's loans and payments (payments limited to from/to).
+ */
+router.get("/me/statement", requireAuth, async (req, res) => {
+  try {
+    const borrower = await findBorrower(req, STATEMENT_LOAN_FIELDS);
+    if (!borrower) return res.status(401).json({ success: false, message: "Unauthorized" });
+    if (!borrower.client && borrower.loans.length === 0) return sendBorrowerNotFound(res, borrower);
+
+    const { user, client, loans } = borrower;
+    const buffer = await clientStatementService.renderClientStatement({
+      borrower: {
+        fullName: cleanFullName(client?.fullName || loans[0]?.fullName || user.name || ""),
+        phone: borrower.userPhone09 || client?.phone || null,
+        email: borrower.userEmail || client?.email || null,
+        address: client?.address || loans[0]?.borrowerAddress || null,
+      },
+      loans,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="loan_statement_${stamp}.pdf"`);
+    res.setHeader("Content-Length", buffer.length);
+    return res.end(buffer);
+  } catch (err) {
+    if (err.status) return sendScopeError(res, err);
+    console.error("GET /api/clients/me/statement error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,28 @@
+// routes/dashboard.js
+// Consolidated dashboard: mounted at /api/dashboard
+const express = require('express');
+const { authMiddleware, requireBranchScope } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const branchService = require('../services/branchService');
+const dashboardService = require('../services/dashboardService');
+
+const router = express.Router();
+
+router.use(authMiddleware, requireBranchScope);
+
+// GET /api/dashboard?from=YYYY-MM-DD&to=YYYY-MM-DD&branch=
+// ovadmin sees every branch (or one with ?branch=); branch_admin only their own.
+router.get('/', async (req, res) => {
+  try {
+    let branch = req.branchScope;
+    if (!branch && req.query.branch) {
+      branch = await branchService.requireBranch(req.query.branch, { allowInactive: true });
+    }
+    const dashboard = await dashboardService.getDashboard({ from: req.query.from, to: req.query.to, branch });
+    return res.json({ success: true, ...dashboard });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/dashboard');
+  }
+});
+
+module.exports = router;
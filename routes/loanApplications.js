@@ -0,0 +1,114 @@
+// routes/loanApplications.js
+// Mounted at /api/loans/applications (before /api/loans so "/applications" is not taken as a loan id)
+const express = require('express');
+const { authMiddleware, requireRole, requireBranchScope, assertBranchAccess } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const applicationService = require('../services/loanApplicationService');
+const branchService = require('../services/branchService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(requireBranchScope);
+
+// branch_admin may only touch applications of their own branch
+router.param('id', async (req, res, next, id) => {
+  try {
+    if (!req.branchScope) return next();
+    const app = await applicationService.loadApplication(id);
+    assertBranchAccess(req, await branchService.resolveBranch(app.branch));
+    return next();
+  } catch (err) {
+    return sendServiceError(res, err, 'loan application branch scope');
+  }
+});
+
+/** Body branch for create/update; branch_admin defaults to, and is limited to, their own. */
+async function scopeBodyBranch(req, body, { required }) {
+  if (!req.branchScope) return body;
+  if (body.branch === undefined && !required) return body;
+  const branch = await branchService.requireBranch(body.branch || req.branchScope.code);
+  assertBranchAccess(req, branch);
+  return { ...body, branch: branch.name };
+}
+
+function actorOf(req) {
+  return { email: req.user?.email || '', role: req.user?.role || '' };
+}
+
+// GET /api/loans/applications?status=&branch=&limit=
+router.get('/', async (req, res) => {
+  try {
+    const query = req.branchScope ? { ...req.query, branch: req.branchScope.code } : req.query;
+    const applications = await applicationService.listApplications(query);
+    return res.json({ success: true, count: applications.length, applications });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/loans/applications');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const application = await applicationService.loadApplication(req.params.id);
+    return res.json({ success: true, application });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/loans/applications/:id');
+  }
+});
+
+// POST /api/loans/applications  (creates a draft)
+// Body: { fullName, borrowerMobile, borrowerEmail, branch, principalAmount, terms, ... } (branchId comes from the branch registry)
+router.post('/', async (req, res) => {
+  try {
+    const body = await scopeBodyBranch(req, req.body || {}, { required: true });
+    const application = await applicationService.createApplication(body, req.user?.email);
+    return res.status(201).json({ success: true, application });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/loans/applications');
+  }
+});
+
+// PUT /api/loans/applications/:id  (draft only)
+router.put('/:id', async (req, res) => {
+  try {
+    const body = await scopeBodyBranch(req, req.body || {}, { required: false });
+    const application = await applicationService.updateApplication(req.params.id, body, req.user?.email);
+    return res.json({ success: true, application });
+  } catch (err) {
+    return sendServiceError(res, err, 'PUT /api/loans/applications/:id');
+  }
+});
+
+function transitionRoute(action) {
+  return async (req, res) => {
+    try {
+      const note = req.body?.note || req.body?.reason || '';
+      const application = await applicationService.transition(req.params.id, action, { note, actor: actorOf(req) });
+      return res.json({ success: true, application });
+    } catch (err) {
+      return sendServiceError(res, err, `POST /api/loans/applications/:id/${action}`);
+    }
+  };
+}
+
+router.post('/:id/submit', transitionRoute('submit'));
+router.post('/:id/branch-approve', transitionRoute('branch-approve'));
+router.post('/:id/approve', requireRole('ovadmin'), transitionRoute('approve'));
+router.post('/:id/reject', transitionRoute('reject'));
+
+// POST /api/loans/applications/:id/disburse
+// Body: { disbursedAt?, note? }
+router.post('/:id/disburse', async (req, res) => {
+  try {
+    const { application, loan } = await applicationService.disburse(req.params.id, {
+      disbursedAt: req.body?.disbursedAt,
+      note: req.body?.note || '',
+      actor: actorOf(req),
+    });
+    return res.status(201).json({ success: true, application, loan });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/loans/applications/:id/disburse');
+  }
+});
+
+module.exports = router;
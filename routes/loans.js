@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Loan = require('../models/Loan');
+const { authMiddleware, requireBranchScope, requireRole, scopedLoanSystemId } = require('../middleware/auth');
+const repaymentService = require('../services/repaymentService');
+const amortizationService = require('../services/amortizationService');
+const branchService = require('../services/branchService');
+const { loanActualBalance } = require('../utils/loanBalance');
+const { sendServiceError } = require('../utils/httpError');
 
 function escapeRegex(s = '') {
   return String(s).replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
@@ -89,10 +95,28 @@ function normalizeLoanForClient(raw) {
   };
 }
 
-// GET /api/loans?email=...&phone=...&name=...&limit=...&exactMatch=...
-router.get('/', async (req, res) => {
+// Admin-only; branch_admin sees loans of their own branch (Loan.branchId = branch loanSystemId)
+const branchGuard = [authMiddleware, requireBranchScope];
+
+/** For /:id routes: 403 when the loan belongs to a branch outside req.branchScope. */
+async function loanInScope(req, res, next) {
+  try {
+    const branchId = scopedLoanSystemId(req);
+    if (branchId === null || !mongoose.Types.ObjectId.isValid(req.params.id)) return next();
+    const loan = await Loan.findById(req.params.id).select('branchId').lean();
+    if (loan && loan.branchId !== branchId) {
+      return res.status(403).json({ success: false, error: 'Loan belongs to another branch', code: 'BRANCH_FORBIDDEN' });
+    }
+    return next();
+  } catch (err) {
+    return sendServiceError(res, err, 'loan branch scope');
+  }
+}
+
+// GET /api/loans?email=...&phone=...&name=...&branch=...&limit=...&exactMatch=...
+router.get('/', branchGuard, async (req, res) => {
   try {
-    const { email, phone, name, limit, exactMatch } = req.query;
+    const { email, phone, name, branch, limit, exactMatch } = req.query;
     const qLimit = Math.min(parseInt(limit || '50', 10), 200);
     const useExactMatch = exactMatch === 'true';
     
@@ -151,6 +175,18 @@ router.get('/', async (req, res) => {
       pipeline.push({ $match: { $or: matchStages } });
     }
 
+    // branch: any registry identity, matched against Loan.branchId
+    const scopedBranchId = scopedLoanSystemId(req);
+    if (branch && String(branch).trim()) {
+      const branchId = await branchService.requireLoanSystemId(branch);
+      if (scopedBranchId !== null && branchId !== scopedBranchId) {
+        return res.status(403).json({ success: false, error: 'Branch outside your scope', code: 'BRANCH_FORBIDDEN' });
+      }
+      pipeline.push({ $match: { branchId } });
+    } else if (scopedBranchId !== null) {
+      pipeline.push({ $match: { branchId: scopedBranchId } });
+    }
+
     // Add scoring and sorting
     pipeline.push(
       {
@@ -188,6 +224,7 @@ router.get('/', async (req, res) => {
       query: { email, phone, name }
     });
   } catch (err) {
+    if (err.status) return sendServiceError(res, err, 'GET /api/loans');
     console.error('GET /api/loans error', err);
     return res.status(500).json({ 
       success: false, 
@@ -198,7 +235,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/loans/:id - Enhanced single loan lookup
-router.get('/:id', async (req, res) => {
+router.get('/:id', branchGuard, async (req, res) => {
   try {
     const { id } = req.params;
     if (!id || id.trim() === '') {
@@ -238,7 +275,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    doc = await Loan.findOne({ $or: lookupConditions }).lean().exec();
+    const scopedBranchId = scopedLoanSystemId(req);
+    const filter = { $or: lookupConditions };
+    if (scopedBranchId !== null) filter.branchId = scopedBranchId;
+
+    doc = await Loan.findOne(filter).lean().exec();
 
     if (!doc) {
       return res.status(404).json({ 
@@ -254,6 +295,7 @@ router.get('/:id', async (req, res) => {
       loan: normalized 
     });
   } catch (err) {
+    if (err.status) return sendServiceError(res, err, 'GET /api/loans/:id');
     console.error('GET /api/loans/:id error', err);
     return res.status(500).json({ 
       success: false, 
@@ -264,9 +306,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/loans/bulk-query - For complex queries
-router.post('/bulk-query', async (req, res) => {
+router.post('/bulk-query', branchGuard, async (req, res) => {
   try {
     const { queries, limit = 50 } = req.body;
+    const scopedBranchId = scopedLoanSystemId(req);
     
     if (!Array.isArray(queries)) {
       return res.status(400).json({ 
@@ -313,8 +356,10 @@ router.post('/bulk-query', async (req, res) => {
       }
 
       if (matchStages.length > 0) {
+        const match = { $or: matchStages };
+        if (scopedBranchId !== null) match.branchId = scopedBranchId;
         const pipeline = [
-          { $match: { $or: matchStages } },
+          { $match: match },
           { $limit: Math.min(limit, 20) }
         ];
 
@@ -333,6 +378,7 @@ router.post('/bulk-query', async (req, res) => {
       queryCount: processedQueries.size
     });
   } catch (err) {
+    if (err.status) return sendServiceError(res, err, 'POST /api/loans/bulk-query');
     console.error('POST /api/loans/bulk-query error', err);
     return res.status(500).json({ 
       success: false, 
@@ -342,4 +388,110 @@ router.post('/bulk-query', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ---------------- Repayment ledger ----------------
+
+// GET /api/loans/:id/repayments?includeReversed=false
+router.get('/:id/repayments', branchGuard, loanInScope, async (req, res) => {
+  try {
+    const includeReversed = String(req.query.includeReversed || 'true').toLowerCase() !== 'false';
+    const { loan, repayments, totalPaid } = await repaymentService.listRepayments(req.params.id, { includeReversed });
+
+    return res.json({
+      success: true,
+      count: repayments.length,
+      totalPaid,
+      balance: loanActualBalance(loan),
+      repayments
+    });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/loans/:id/repayments');
+  }
+});
+
+// POST /api/loans/:id/repayments
+// Body: { amount, paidAt?, method?, reference?, notes? }
+router.post('/:id/repayments', branchGuard, loanInScope, async (req, res) => {
+  try {
+    const { repayment, loan } = await repaymentService.recordRepayment(req.params.id, req.body || {}, req.user?.email);
+
+    return res.status(201).json({
+      success: true,
+      repayment,
+      balance: loanActualBalance(loan),
+      loan: normalizeLoanForClient(loan)
+    });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/loans/:id/repayments');
+  }
+});
+
+// POST /api/loans/:id/repayments/:repaymentId/reverse
+// Body: { reason }
+router.post('/:id/repayments/:repaymentId/reverse', branchGuard, loanInScope, async (req, res) => {
+  try {
+    const { repayment, loan } = await repaymentService.reverseRepayment(
+      req.params.id,
+      req.params.repaymentId,
+      req.body || {},
+      req.user?.email
+    );
+
+    return res.json({
+      success: true,
+      repayment,
+      balance: loanActualBalance(loan),
+      loan: normalizeLoanForClient(loan)
+    });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/loans/:id/repayments/:repaymentId/reverse');
+  }
+});
+
+// ---------------- Amortization schedule ----------------
+
+function schedulePayload(loan) {
+  const schedule = amortizationService.toPlainSchedule(loan.schedule || []);
+  return {
+    success: true,
+    loanId: String(loan._id),
+    terms: loan.terms || null,
+    generatedAt: loan.scheduleGeneratedAt || null,
+    nextDueDate: loan.nextDueDate || null,
+    nextInstallmentAmount: loan.nextInstallmentAmount || 0,
+    totals: amortizationService.scheduleTotals(schedule),
+    schedule
+  };
+}
+
+// GET /api/loans/:id/schedule  (read-only; an unstored schedule comes back computed with generatedAt null)
+router.get('/:id/schedule', branchGuard, loanInScope, async (req, res) => {
+  try {
+    const loan = await amortizationService.getSchedule(req.params.id);
+    return res.json(schedulePayload(loan));
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/loans/:id/schedule');
+  }
+});
+
+// POST /api/loans/:id/schedule/regenerate  (ovadmin; rebuilds from the stored terms)
+router.post('/:id/schedule/regenerate', authMiddleware, requireRole('ovadmin'), async (req, res) => {
+  try {
+    const loan = await amortizationService.regenerateSchedule(req.params.id);
+    return res.json(schedulePayload(loan));
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/loans/:id/schedule/regenerate');
+  }
+});
+
+// PUT /api/loans/:id/terms
+// Body: { interestRate (% per month), tenor, frequency: weekly|fortnightly|monthly, method: flat|reducing, startDate? }
+router.put('/:id/terms', branchGuard, loanInScope, async (req, res) => {
+  try {
+    const loan = await amortizationService.setLoanTerms(req.params.id, req.body || {});
+    return res.json(schedulePayload(loan));
+  } catch (err) {
+    return sendServiceError(res, err, 'PUT /api/loans/:id/terms');
+  }
+});
+
+module.exports = router;
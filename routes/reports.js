@@ -1,584 +1,580 @@
 // routes/reports.js
+// Daily reports, monthly reports and Zanaco allocations, mounted at /api.
+// Handlers validate and scope the request; the work happens in
+// services/dailyReportService.js, monthlyReportService.js and zanacoService.js.
 const express = require('express');
 const router = express.Router();
 
 const DailyReport = require('../models/DailyReport');
 const MonthlyReport = require('../models/MonthlyReport');
-const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { authMiddleware, requireRole, requireBranchScope, assertBranchAccess } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { sendServiceError } = require('../utils/httpError');
+const { paginate, wantsPage, dateRange, parseBoolean } = require('../utils/pagination');
+const portfolioService = require('../services/portfolioService');
+const reconciliationService = require('../services/reconciliationService');
+const periodService = require('../services/periodService');
+const monthlyDraftService = require('../services/monthlyDraftService');
+const dailyReportService = require('../services/dailyReportService');
+const monthlyReportService = require('../services/monthlyReportService');
+const zanacoService = require('../services/zanacoService');
+const zanacoWorkflowService = require('../services/zanacoWorkflowService');
+const zanacoApplyService = require('../services/zanacoApplyService');
+const exportService = require('../services/exportService');
+const branchService = require('../services/branchService');
+const { reportBranchSpellings } = branchService;
+const {
+  normalizeDateToDay,
+  MONTHLY_AMOUNT_FIELDS,
+  MONTHLY_COUNT_FIELDS
+} = require('../services/reportService');
+
+// ---------------- Branch resolution ----------------
+
+// Every endpoint here needs a signed-in admin; branch_admin is limited to req.branchScope
+const branchGuard = [authMiddleware, requireBranchScope];
+
+// Retried bulk writes replay the first response when they carry an Idempotency-Key
+const retrySafeGuard = [...branchGuard, idempotency];
 
-// ---------------- Helpers ----------------
-
-function normalizeDateToDay(dateInput) {
-  const d = new Date(dateInput);
-  if (isNaN(d.getTime())) return null;
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
-}
-
-function normalizeDateToMonthStart(dateInput) {
-  const d = new Date(dateInput);
-  if (isNaN(d.getTime())) return null;
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1, 0, 0, 0));
-}
-
-function sanitizeNumericMap(maybe) {
-  if (!maybe || typeof maybe !== 'object') return {};
-  const out = {};
-  for (const [k, v] of Object.entries(maybe)) {
-    const num = (typeof v === 'number') ? v : (v === null || v === '' ? 0 : Number(v));
-    out[k] = Number.isNaN(num) ? 0 : num;
+/**
+ * Resolve a client-supplied branch through the registry and, unless
+ * checkAccess is false, check it is inside the caller's scope. On failure the
+ * 400/403 is already sent and null returned. Writes also reject inactive branches.
+ */
+async function resolveBranchOrReject(req, res, input, { forWrite = false, checkAccess = true, field = 'branch' } = {}) {
+  try {
+    const b = await branchService.requireBranch(input, { allowInactive: !forWrite, field });
+    if (checkAccess) assertBranchAccess(req, b);
+    return b;
+  } catch (err) {
+    sendServiceError(res, err, `resolve ${field}`);
+    return null;
   }
-  return out;
 }
 
-function sanitizeIntegerMap(maybe) {
-  if (!maybe || typeof maybe !== 'object') return {};
-  const out = {};
-  for (const [k, v] of Object.entries(maybe)) {
-    if (typeof v === 'number') out[k] = Math.trunc(v);
-    else if (typeof v === 'string') {
-      const asInt = parseInt(v, 10);
-      if (!Number.isNaN(asInt)) out[k] = asInt;
-      else {
-        const asFloat = parseFloat(v);
-        out[k] = Number.isNaN(asFloat) ? 0 : Math.trunc(asFloat);
-      }
-    } else out[k] = 0;
-  }
-  return out;
-}
+// ---------------- Listing ----------------
+
+const REPORT_SORTABLE = ['date', 'updatedAt', 'createdAt', 'branch'];
+const DAILY_FIELDS = [
+  'branch', 'date', 'openingBalances', 'closingBalances', 'loanCounts', 'totalDisbursed', 'loanDisbursements',
+  'totalCollected', 'collectedForOtherBranches', 'pettyCash', 'expenses', 'zanacoApplied', 'zanacoAdjustments', 'reconciliation', 'closed',
+  'synced', 'version', 'updatedAt', 'createdAt'
+];
+const MONTHLY_FIELDS = [
+  'branch', 'date', ...MONTHLY_AMOUNT_FIELDS, ...MONTHLY_COUNT_FIELDS, 'closed', 'synced', 'version', 'updatedAt', 'createdAt'
+];
 
-function toNumber(v) {
-  if (v == null) return 0;
-  if (typeof v === 'number') return v;
-  if (typeof v === 'string') {
-    const n = Number(v);
-    return Number.isNaN(n) ? 0 : n;
+/**
+ * Report filter from ?branch=&from=&to=&synced= limited to the caller's scope.
+ * null when the branch was rejected (response already sent).
+ */
+async function reportFilter(req, res) {
+  const filter = {};
+  if (req.query.branch) {
+    const b = await resolveBranchOrReject(req, res, req.query.branch);
+    if (!b) return null;
+    filter.branch = { $in: reportBranchSpellings(b) };
+  } else if (req.branchScope) {
+    filter.branch = { $in: reportBranchSpellings(req.branchScope) };
   }
-  return 0;
+  const range = dateRange(req.query.from, req.query.to);
+  if (range) filter.date = range;
+  const synced = parseBoolean(req.query.synced, 'synced');
+  if (synced !== undefined) filter.synced = synced;
+  return filter;
 }
 
-// ---------------- DAILY endpoints ----------------
-
 /**
- * Bulk sync daily reports: POST /sync_reports
- * Body: { reports: [ { branch, date, openingBalances, closingBalances, loanCounts, ... }, ... ] }
+ * List handler for report collections.
+ * Query: branch, from, to, synced, sort, fields, limit, cursor.
+ * Without limit/cursor the response stays the legacy bare array; with them it is
+ * { success, items, count, nextCursor, hasMore }.
  */
-router.post('/sync_reports', async (req, res) => {
-  try {
-    const { reports } = req.body;
-    if (!reports || !Array.isArray(reports)) {
-      return res.status(400).json({ success: false, error: 'Invalid request: expected { reports: [...] }' });
-    }
-
-    const operations = [];
-    const skipped = [];
-    const errors = [];
-    const canonicalTargets = [];
-
-    for (const raw of reports) {
-      try {
-        if (!raw || typeof raw !== 'object') {
-          skipped.push({ reason: 'invalid item (not object)', item: raw });
-          continue;
-        }
-
-        const branch = raw.branch ? String(raw.branch).trim() : '';
-        if (!branch) {
-          skipped.push({ reason: 'missing branch', item: raw });
-          continue;
-        }
-
-        const normalizedDate = normalizeDateToDay(raw.date);
-        if (!normalizedDate) {
-          skipped.push({ reason: 'invalid date', item: raw });
-          continue;
-        }
-
-        const openingBalances = sanitizeNumericMap(raw.openingBalances);
-        const closingBalances = sanitizeNumericMap(raw.closingBalances);
-        const loanCounts = sanitizeIntegerMap(raw.loanCounts);
-
-        const updateData = {
-          branch,
-          date: normalizedDate,
-          openingBalances,
-          loanCounts,
-          closingBalances,
-          totalDisbursed: toNumber(raw.totalDisbursed),
-          totalCollected: toNumber(raw.totalCollected),
-          collectedForOtherBranches: toNumber(raw.collectedForOtherBranches),
-          pettyCash: toNumber(raw.pettyCash),
-          expenses: toNumber(raw.expenses),
-          zanacoApplied: raw.zanacoApplied || {},
-          synced: true,
-          updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date()
-        };
-
-        operations.push({
-          updateOne: {
-            filter: { branch: branch, date: normalizedDate },
-            update: { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-            upsert: true
-          }
-        });
-
-        canonicalTargets.push({ branch, date: normalizedDate });
-      } catch (inner) {
-        console.error('prepare op error:', inner);
-        errors.push({ item: raw, error: inner.message || String(inner) });
-      }
-    }
-
-    if (operations.length === 0) {
-      return res.json({ success: true, message: 'No valid reports to process', saved: [], skipped, errors });
-    }
-
-    let bulkResult;
+function listReports(Model, fields, label) {
+  return async (req, res) => {
     try {
-      bulkResult = await DailyReport.bulkWrite(operations, { ordered: false });
-    } catch (bulkErr) {
-      console.error('bulkWrite error:', bulkErr);
-      errors.push({ error: 'bulkWrite failed', detail: bulkErr.message || String(bulkErr) });
+      const filter = await reportFilter(req, res);
+      if (!filter) return;
+
+      const paged = wantsPage(req.query);
+      const page = await paginate(Model, {
+        filter,
+        query: req.query,
+        sortable: REPORT_SORTABLE,
+        defaultSort: 'date',
+        fields,
+        lean: false, // keep the models' toJSON (Maps -> objects, ISO dates)
+        unbounded: !paged,
+      });
+      if (!paged) return res.json(page.items);
+      return res.json({ success: true, items: page.items, count: page.items.length, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (err) {
+      return sendServiceError(res, err, label);
     }
+  };
+}
 
-    const orFilters = canonicalTargets.map(t => ({ branch: t.branch, date: t.date }));
-    let savedDocs = [];
-    if (orFilters.length > 0) {
-      try {
-        savedDocs = await DailyReport.find({ $or: orFilters }).select('branch date _id').lean();
-      } catch (qerr) {
-        console.error('Query after bulkWrite failed:', qerr);
-        errors.push({ error: 'post-query failed', detail: qerr.message || String(qerr) });
+/**
+ * Spreadsheet export handler: same filters as listReports plus ?format=csv|xlsx.
+ * Rows are streamed ordered by branch then date.
+ */
+function exportReports(kind, label) {
+  return async (req, res) => {
+    try {
+      const format = exportService.parseFormat(req.query.format);
+      const filter = await reportFilter(req, res);
+      if (!filter) return;
+      const prepared = await exportService.prepareExport({ kind, filter });
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', exportService.CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="${kind}_reports_${stamp}.${format}"`);
+      await exportService.streamExport(prepared, format, res);
+    } catch (err) {
+      // Once rows are on the wire the only option left is to cut the download short
+      if (res.headersSent) {
+        console.error(`${label} error:`, err);
+        return res.destroy(err);
       }
+      return sendServiceError(res, err, label);
     }
+  };
+}
 
-    const saved = savedDocs.map(d => ({ branch: d.branch, date: new Date(d.date).toISOString(), id: d._id ? d._id.toString() : null }));
-
-    return res.json({
-      success: true,
-      message: `${saved.length} reports processed (bulkWrite)`,
-      saved,
-      skipped,
-      errors,
-      bulkWriteResult: bulkResult ? {
-        insertedCount: bulkResult.insertedCount || 0,
-        matchedCount: bulkResult.matchedCount || 0,
-        modifiedCount: bulkResult.modifiedCount || 0,
-        upsertedCount: bulkResult.upsertedCount || 0,
-        upsertedIds: bulkResult.upsertedIds || {}
-      } : undefined
-    });
+// ---------------- DAILY endpoints ----------------
 
+/**
+ * Bulk sync daily reports: POST /sync_reports
+ * Body: { reports: [ { branch, date, openingBalances, closingBalances, loanCounts, autoFillOpening?, ... }, ... ], autoFillOpening? }
+ * autoFillOpening (per report or for the whole batch) takes opening balances from the branch's previous report.
+ * A report that already exists on the server needs baseVersion (its stored version); stale ones are skipped (STALE_REPORT).
+ */
+router.post('/sync_reports', retrySafeGuard, async (req, res) => {
+  try {
+    const { reports, autoFillOpening } = req.body || {};
+    const result = await dailyReportService.syncDailyReports({ reports, autoFillOpening, scope: req.branchScope });
+    return res.json({ success: true, ...result });
   } catch (err) {
-    console.error('POST /sync_reports catastrophic error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'POST /sync_reports');
   }
 });
 
 /**
  * Query single daily report by branch + date: GET /reports/query?branch=...&date=...
  */
-router.get('/reports/query', async (req, res) => {
+router.get('/reports/query', branchGuard, async (req, res) => {
   try {
     const { branch, date } = req.query;
     if (!branch || !date) return res.status(400).json({ success: false, error: 'branch and date required' });
-    const norm = normalizeDateToDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: 'invalid date' });
-    const doc = await DailyReport.findOne({ branch: String(branch).trim(), date: norm }).lean();
-    return res.json({ success: true, report: doc });
+    const b = await resolveBranchOrReject(req, res, branch);
+    if (!b) return;
+    const report = await dailyReportService.findDailyReport({ branch: b, date });
+    return res.json({ success: true, report });
   } catch (err) {
-    console.error('GET /reports/query error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'GET /reports/query');
   }
 });
 
 /**
  * Upsert single daily report: POST /report
- * Body: { branch, date, openingBalances, closingBalances, loanCounts, ... }
+ * Body: { branch, date, baseVersion (when the report exists), openingBalances, closingBalances, loanCounts, autoFillOpening?, ... }
+ * 409 STALE_REPORT when baseVersion is not the stored version.
  */
-router.post('/report', async (req, res) => {
+router.post('/report', branchGuard, async (req, res) => {
   try {
     const raw = req.body || {};
-    const branch = raw.branch ? String(raw.branch).trim() : '';
-    const dateNorm = normalizeDateToDay(raw.date);
-    if (!branch || !dateNorm) return res.status(400).json({ success: false, error: 'branch and valid date required' });
-
-    const openingBalances = sanitizeNumericMap(raw.openingBalances);
-    const closingBalances = sanitizeNumericMap(raw.closingBalances);
-    const loanCounts = sanitizeIntegerMap(raw.loanCounts);
-
-    const updateData = {
-      branch,
-      date: dateNorm,
-      openingBalances,
-      loanCounts,
-      closingBalances,
-      totalDisbursed: toNumber(raw.totalDisbursed),
-      totalCollected: toNumber(raw.totalCollected),
-      collectedForOtherBranches: toNumber(raw.collectedForOtherBranches),
-      pettyCash: toNumber(raw.pettyCash),
-      expenses: toNumber(raw.expenses),
-      zanacoApplied: raw.zanacoApplied || {},
-      synced: true,
-      updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date()
-    };
-
-    const doc = await DailyReport.findOneAndUpdate(
-      { branch, date: dateNorm },
-      { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-      { upsert: true, new: true }
-    );
-
-    return res.json({ success: true, report: doc });
+    const rawBranch = raw.branch ? String(raw.branch).trim() : '';
+    if (!rawBranch || !normalizeDateToDay(raw.date)) return res.status(400).json({ success: false, error: 'branch and valid date required' });
+    const b = await resolveBranchOrReject(req, res, rawBranch, { forWrite: true });
+    if (!b) return;
+    const report = await dailyReportService.saveDailyReport({ branch: b, raw });
+    return res.json({ success: true, report });
   } catch (err) {
-    console.error('POST /report error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'POST /report');
   }
 });
 
 /**
- * GET /reports - returns all daily reports sorted desc by date
+ * Unbalanced branch-days for review: GET /reports/exceptions?from=&to=&branch=&limit=
+ * (ovadmin only; failed rules and variances come from services/reconciliationService.js)
  */
-router.get('/reports', async (req, res) => {
+router.get('/reports/exceptions', branchGuard, requireRole('ovadmin'), async (req, res) => {
   try {
-    const reports = await DailyReport.find().sort({ date: -1 });
-    return res.json(reports);
+    const { from, to, branch, limit } = req.query;
+    let branches = null;
+    if (branch) {
+      const b = await resolveBranchOrReject(req, res, branch);
+      if (!b) return;
+      branches = reportBranchSpellings(b);
+    }
+    const exceptions = await reconciliationService.listExceptions({ from, to, branches, limit });
+    return res.json({ success: true, count: exceptions.length, exceptions });
   } catch (err) {
-    console.error('GET /reports error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'GET /reports/exceptions');
   }
 });
 
 /**
- * DELETE /reports - delete by branch + date (body: { branch, date })
+ * Carry-forward continuity of one branch: GET /reports/continuity?branch=&from=&to=
+ * Lists days without a report and days whose opening balances do not match the
+ * previous report's closing balances. branch_admin defaults to their own branch.
  */
-router.delete('/reports', async (req, res) => {
+router.get('/reports/continuity', branchGuard, async (req, res) => {
   try {
-    const { branch, date } = req.body;
-    if (!branch || !date) return res.status(400).json({ success: false, error: 'branch and date are required' });
+    const { from, to } = req.query;
+    const input = req.query.branch || (req.branchScope && req.branchScope.code);
+    if (!input) return res.status(400).json({ success: false, error: 'branch is required' });
+    const b = await resolveBranchOrReject(req, res, input);
+    if (!b) return;
+    const continuity = await reconciliationService.continuityReport({ branch: b, from, to });
+    return res.json({ success: true, continuity });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /reports/continuity');
+  }
+});
 
-    const parsed = new Date(date);
-    if (isNaN(parsed.getTime())) return res.status(400).json({ success: false, error: 'invalid date format' });
+/**
+ * GET /reports - daily reports, newest first
+ * ?branch=&from=&to=&synced=&sort=-date&fields=&limit=&cursor=  (see listReports)
+ */
+router.get('/reports', branchGuard, listReports(DailyReport, DAILY_FIELDS, 'GET /reports'));
 
-    const startOfDay = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate(), 0, 0, 0));
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+/**
+ * GET /reports/export?format=csv|xlsx&branch=&from=&to=&synced=
+ * Opening/loan count/closing Maps become one column per channel.
+ */
+router.get('/reports/export', branchGuard, exportReports('daily', 'GET /reports/export'));
 
-    const deleted = await DailyReport.findOneAndDelete({ branch: branch, date: { $gte: startOfDay, $lt: endOfDay } });
-    if (!deleted) return res.status(404).json({ success: false, error: 'Report not found' });
+/**
+ * DELETE /reports - delete by branch + date (body: { branch, date })
+ */
+router.delete('/reports', branchGuard, async (req, res) => {
+  try {
+    const { branch, date } = req.body || {};
+    if (!branch || !date) return res.status(400).json({ success: false, error: 'branch and date are required' });
+    const b = await resolveBranchOrReject(req, res, branch);
+    if (!b) return;
+    const deleted = await dailyReportService.deleteDailyReport({ branch: b, date });
     return res.json({ success: true, message: 'Report deleted', deletedId: deleted._id.toString() });
   } catch (err) {
-    console.error('DELETE /reports error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'DELETE /reports');
   }
 });
 
 /**
  * DELETE /reports/:id - delete by ID
  */
-router.delete('/reports/:id', async (req, res) => {
+router.delete('/reports/:id', branchGuard, async (req, res) => {
   try {
-    const id = req.params.id;
-    const deleted = await DailyReport.findByIdAndDelete(id);
-    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await dailyReportService.deleteDailyReportById({ id: req.params.id, scope: req.branchScope });
     return res.json({ success: true, message: 'Report deleted', deletedId: deleted._id.toString() });
   } catch (err) {
-    console.error('DELETE /reports/:id error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'DELETE /reports/:id');
   }
 });
 
 // ---------------- ZANACO endpoints ----------------
 
 /**
- * GET /zanaco?date=...&branch=...&channel=...
- * - If branch & channel provided returns { success:true, amount: <num> }
+ * GET /zanaco?date=...&branch=...&fromBranch=...&channel=...&aggregate=true
+ * - branch is the receiver, fromBranch the sender
+ * - If branch & channel provided returns { success:true, amount: <num> } (summed over senders)
+ * - aggregate=true returns { success:true, totals: { channel: total } }
  * - Otherwise returns { success:true, distributions: [...] }
+ * branch_admin only sees allocations their branch received or sent.
  */
-router.get('/zanaco', async (req, res) => {
+router.get('/zanaco', branchGuard, async (req, res) => {
   try {
-    const { date, branch, channel } = req.query;
-    if (!date) return res.status(400).json({ success: false, error: 'date required' });
-    const norm = normalizeDateToDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: 'invalid date' });
-
-    const q = { date: norm };
-    if (branch) q.branch = String(branch).trim();
-    if (channel) q.channel = String(channel).toLowerCase().trim();
-
-    const docs = await ZanacoDistribution.find(q).lean();
+    const { date, branch, fromBranch, channel } = req.query;
+    const opts = { date, branch, fromBranch, channel, scope: req.branchScope };
+    if (parseBoolean(req.query.aggregate, 'aggregate')) {
+      return res.json({ success: true, totals: await zanacoService.channelTotals(opts) });
+    }
     if (branch && channel) {
-      return res.json({ success: true, amount: (docs[0] ? docs[0].amount : 0) });
+      const totals = await zanacoService.channelTotals(opts);
+      return res.json({ success: true, amount: totals[await zanacoService.channelCode(channel, { allowInactive: true })] || 0 });
     }
-    return res.json({ success: true, distributions: docs });
+    return res.json({ success: true, distributions: await zanacoService.listDistributions(opts) });
   } catch (err) {
-    console.error('GET /zanaco error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'GET /zanaco');
   }
 });
 
 /**
- * POST /zanaco - upsert a single zanaco allocation
- * Body: { date, branch, channel, amount, metadata }
+ * GET /zanaco/distributions?date=...&branch=...&fromBranch=...&channel=...
+ * Always { success:true, distributions: [...] }.
  */
-router.post('/zanaco', async (req, res) => {
+router.get('/zanaco/distributions', branchGuard, async (req, res) => {
   try {
-    const { date, branch, channel, amount, metadata } = req.body || {};
-    if (!date || !branch || !channel) return res.status(400).json({ success: false, error: 'date, branch and channel required' });
-    const norm = normalizeDateToDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: 'invalid date' });
-
-    const filter = { date: norm, branch: String(branch).trim(), channel: String(channel).toLowerCase().trim() };
-    const update = { $set: { date: norm, branch: filter.branch, channel: filter.channel, amount: Number(amount) || 0, metadata: metadata || {} } };
-    const doc = await ZanacoDistribution.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
-    return res.json({ success: true, distribution: doc });
+    const { date, branch, fromBranch, channel } = req.query;
+    const distributions = await zanacoService.listDistributions({ date, branch, fromBranch, channel, scope: req.branchScope });
+    return res.json({ success: true, distributions });
   } catch (err) {
-    console.error('POST /zanaco error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'GET /zanaco/distributions');
   }
 });
 
 /**
- * POST /zanaco/bulk - bulk upsert of allocations.
- * Body: { date, fromBranch, allocations: { 'Lusaka': { 'airtel': 100, 'mtn': 50 }, ... } }
+ * GET /zanaco/summary?branch=...&date=...  (or &month=YYYY-MM, or &from=&to=)
+ * What the branch received and sent per channel over the day or period, the
+ * net, and a per-day breakdown. branch_admin defaults to their own branch.
  */
-router.post('/zanaco/bulk', async (req, res) => {
+router.get('/zanaco/summary', branchGuard, async (req, res) => {
   try {
-    const { date, fromBranch, allocations } = req.body || {};
-    if (!date || !allocations || typeof allocations !== 'object') {
-      return res.status(400).json({ success: false, error: 'date and allocations are required' });
-    }
-    const norm = normalizeDateToDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: 'invalid date' });
-
-    const ops = [];
-    for (const [targetBranch, chMap] of Object.entries(allocations)) {
-      if (!chMap || typeof chMap !== 'object') continue;
-      for (const [ch, amtRaw] of Object.entries(chMap)) {
-        const channel = String(ch).toLowerCase().trim();
-        const amount = Number(amtRaw) || 0;
-        const filter = { date: norm, branch: String(targetBranch).trim(), channel };
-        const update = {
-          $set: {
-            date: norm,
-            branch: filter.branch,
-            channel,
-            amount,
-            metadata: { fromBranch: fromBranch || null }
-          },
-          $setOnInsert: { createdAt: new Date() }
-        };
-        ops.push({ updateOne: { filter, update, upsert: true } });
-      }
-    }
-
-    if (ops.length === 0) return res.status(400).json({ success: false, error: 'no valid allocations provided' });
+    const input = req.query.branch || (req.branchScope && req.branchScope.code);
+    if (!input) return res.status(400).json({ success: false, error: 'branch is required' });
+    const b = await resolveBranchOrReject(req, res, input);
+    if (!b) return;
+    const { date, month, from, to } = req.query;
+    const summary = await zanacoService.summary({ branch: b, date, month, from, to });
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /zanaco/summary');
+  }
+});
 
-    let bulkRes;
-    try {
-      bulkRes = await ZanacoDistribution.bulkWrite(ops, { ordered: false });
-    } catch (bulkErr) {
-      console.error('zanaco bulkWrite error:', bulkErr);
-      // continue and return what we can
-    }
+/**
+ * GET /zanaco/settlement?month=YYYY-MM (or &from=&to=) &channel=&status=acknowledged,applied
+ * Branch-by-branch matrix of net Zanaco float owed per channel over the period and
+ * a set of transfers that would settle it (greedy: at most one fewer than the branches
+ * involved, not necessarily the fewest; see zanacoService.suggestTransfers). ovadmin only.
+ */
+router.get('/zanaco/settlement', branchGuard, requireRole('ovadmin'), async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map((x) => x.trim()).filter(Boolean)
+      : zanacoService.SETTLEMENT_STATUSES;
+    const unknown = statuses.filter((x) => !zanacoWorkflowService.ZANACO_STATUSES.includes(x));
+    if (unknown.length) return res.status(400).json({ success: false, error: `Unknown status: ${unknown.join(', ')}` });
+    const { month, from, to, channel } = req.query;
+    const settlement = await zanacoService.settlementMatrix({ month, from, to, channel, statuses });
+    return res.json({ success: true, ...settlement });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /zanaco/settlement');
+  }
+});
 
-    return res.json({
-      success: true,
-      message: 'Zanaco allocations processed',
-      bulkWriteResult: bulkRes ? {
-        insertedCount: bulkRes.insertedCount || 0,
-        matchedCount: bulkRes.matchedCount || 0,
-        modifiedCount: bulkRes.modifiedCount || 0,
-        upsertedCount: bulkRes.upsertedCount || 0,
-        upsertedIds: bulkRes.upsertedIds || {}
-      } : undefined
+/**
+ * POST /zanaco - upsert a single zanaco allocation
+ * Body: { date, branch, channel, amount, fromBranch, metadata }
+ * fromBranch defaults to the caller's branch; branch_admin may only write
+ * allocations their branch sends (the receiver acknowledges them).
+ */
+router.post('/zanaco', branchGuard, async (req, res) => {
+  try {
+    const { date, branch, channel, amount, fromBranch, metadata } = req.body || {};
+    const distribution = await zanacoService.saveAllocation({
+      date, branch, fromBranch, channel, amount, metadata, actor: req.user, scope: req.branchScope,
     });
+    return res.json({ success: true, distribution });
   } catch (err) {
-    console.error('POST /zanaco/bulk error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'POST /zanaco');
   }
 });
 
-// ---------------- MONTHLY endpoints ----------------
+/**
+ * POST /zanaco/bulk - bulk upsert of one sender's allocations.
+ * Body: { date, fromBranch, allocations: { 'Lusaka': { 'airtel': 100, 'mtn': 50 }, ... } }
+ * branch_admin always sends as their own branch. Rows that failed to write come back in `errors`.
+ */
+router.post('/zanaco/bulk', retrySafeGuard, async (req, res) => {
+  try {
+    const { date, fromBranch, allocations } = req.body || {};
+    const result = await zanacoService.saveAllocations({ date, fromBranch, allocations, actor: req.user, scope: req.branchScope });
+    return res.json({ success: true, message: 'Zanaco allocations processed', ...result });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /zanaco/bulk');
+  }
+});
 
 /**
- * POST /sync_monthly_reports - bulk upsert monthly reports
- * Body: { monthlyReports: [ {...}, ... ] }
+ * GET /zanaco/workflow?direction=incoming|outgoing|all&status=proposed,disputed&branch=&from=&to=
+ * Allocations a branch has to act on or is waiting for. branch_admin sees their own branch.
  */
-router.post('/sync_monthly_reports', async (req, res) => {
+router.get('/zanaco/workflow', branchGuard, async (req, res) => {
   try {
-    const { monthlyReports } = req.body;
-    if (!monthlyReports || !Array.isArray(monthlyReports)) {
-      return res.status(400).json({ success: false, error: 'Invalid request: expected { monthlyReports: [...] }' });
+    const input = req.query.branch || (req.branchScope && req.branchScope.code);
+    if (!input) return res.status(400).json({ success: false, error: 'branch is required' });
+    const b = await resolveBranchOrReject(req, res, input);
+    if (!b) return;
+    const direction = String(req.query.direction || 'all').toLowerCase();
+    if (!['incoming', 'outgoing', 'all'].includes(direction)) {
+      return res.status(400).json({ success: false, error: 'direction must be incoming, outgoing or all' });
     }
+    const statuses = req.query.status ? String(req.query.status).split(',').map((x) => x.trim()).filter(Boolean) : null;
+    const unknown = (statuses || []).filter((x) => !zanacoWorkflowService.ZANACO_STATUSES.includes(x));
+    if (unknown.length) return res.status(400).json({ success: false, error: `Unknown status: ${unknown.join(', ')}` });
+    const range = dateRange(req.query.from, req.query.to) || {};
 
-    const operations = [];
-    const skipped = [];
-    const errors = [];
-    const canonicalTargets = [];
-
-    for (const raw of monthlyReports) {
-      try {
-        if (!raw || typeof raw !== 'object') {
-          skipped.push({ reason: 'invalid item (not object)', item: raw });
-          continue;
-        }
-
-        const branch = raw.branch ? String(raw.branch).trim() : '';
-        if (!branch) {
-          skipped.push({ reason: 'missing branch', item: raw });
-          continue;
-        }
-
-        const normalizedDate = normalizeDateToMonthStart(raw.date);
-        if (!normalizedDate) {
-          skipped.push({ reason: 'invalid date', item: raw });
-          continue;
-        }
-
-        const updateData = {
-          branch,
-          date: normalizedDate,
-          expected: toNumber(raw.expected),
-          inputs: Number.isInteger(raw.inputs) ? raw.inputs : (raw.inputs ? parseInt(raw.inputs, 10) || 0 : 0),
-          collected: toNumber(raw.collected),
-          collectedInput: Number.isInteger(raw.collectedInput) ? raw.collectedInput : (raw.collectedInput ? parseInt(raw.collectedInput, 10) || 0 : 0),
-          totalUncollected: toNumber(raw.totalUncollected),
-          uncollectedInput: Number.isInteger(raw.uncollectedInput) ? raw.uncollectedInput : (raw.uncollectedInput ? parseInt(raw.uncollectedInput, 10) || 0 : 0),
-          insufficient: toNumber(raw.insufficient),
-          insufficientInput: Number.isInteger(raw.insufficientInput) ? raw.insufficientInput : (raw.insufficientInput ? parseInt(raw.insufficientInput, 10) || 0 : 0),
-          unreported: toNumber(raw.unreported),
-          unreportedInput: Number.isInteger(raw.unreportedInput) ? raw.unreportedInput : (raw.unreportedInput ? parseInt(raw.unreportedInput, 10) || 0 : 0),
-          lateCollection: toNumber(raw.lateCollection),
-          uncollected: toNumber(raw.uncollected),
-          permicExpectedNextMonth: toNumber(raw.permicExpectedNextMonth),
-          totalInputs: Number.isInteger(raw.totalInputs) ? raw.totalInputs : (raw.totalInputs ? parseInt(raw.totalInputs, 10) || 0 : 0),
-          oldInputsAmount: toNumber(raw.oldInputsAmount),
-          oldInputsCount: Number.isInteger(raw.oldInputsCount) ? raw.oldInputsCount : (raw.oldInputsCount ? parseInt(raw.oldInputsCount, 10) || 0 : 0),
-          newInputsAmount: toNumber(raw.newInputsAmount),
-          newInputsCount: Number.isInteger(raw.newInputsCount) ? raw.newInputsCount : (raw.newInputsCount ? parseInt(raw.newInputsCount, 10) || 0 : 0),
-          cashAdvance: toNumber(raw.cashAdvance),
-          overallExpected: toNumber(raw.overallExpected),
-          actualExpected: toNumber(raw.actualExpected),
-          collected2: toNumber(raw.collected2),
-          principalReloaned: toNumber(raw.principalReloaned),
-          defaultAmount: toNumber(raw.defaultAmount),
-          clearance: toNumber(raw.clearance),
-          totalCollections: toNumber(raw.totalCollections),
-          permicCashAdvance: toNumber(raw.permicCashAdvance),
-          synced: true,
-          updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date()
-        };
-
-        operations.push({
-          updateOne: {
-            filter: { branch: branch, date: normalizedDate },
-            update: { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-            upsert: true
-          }
-        });
-
-        canonicalTargets.push({ branch, date: normalizedDate });
-      } catch (inner) {
-        console.error('prepare monthly op error:', inner);
-        errors.push({ item: raw, error: inner.message || String(inner) });
-      }
-    }
+    const items = await zanacoWorkflowService.listForBranch({ branch: b, direction, statuses, from: range.$gte, to: range.$lte });
+    return res.json({ success: true, branch: b.name, items, count: items.length });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /zanaco/workflow');
+  }
+});
 
-    if (operations.length === 0) {
-      return res.json({ success: true, message: 'No valid monthly reports to process', saved: [], skipped, errors });
-    }
+/**
+ * POST /zanaco/apply - apply a branch-day's acknowledged allocations to the daily reports
+ * Body: { branch, date }
+ * Recomputes the closing balances of the branch and every counterparty for that day.
+ */
+router.post('/zanaco/apply', branchGuard, async (req, res) => {
+  try {
+    const { branch, date } = req.body || {};
+    const input = branch || (req.branchScope && req.branchScope.code);
+    if (!input || !date) return res.status(400).json({ success: false, error: 'branch and date are required' });
+    const b = await resolveBranchOrReject(req, res, input, { forWrite: true });
+    if (!b) return;
+    const result = await zanacoApplyService.applyDay({ branch: b, date, actor: req.user });
+    return res.json({ success: true, branch: b.name, ...result });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /zanaco/apply');
+  }
+});
 
-    let bulkResult;
+/**
+ * Lifecycle transitions of one allocation (see services/zanacoWorkflowService.js).
+ * Body: { reason } (required to dispute)
+ */
+function zanacoAction(action) {
+  return async (req, res) => {
     try {
-      bulkResult = await MonthlyReport.bulkWrite(operations, { ordered: false });
-    } catch (bulkErr) {
-      console.error('monthly bulkWrite error:', bulkErr);
-      errors.push({ error: 'bulkWrite failed', detail: bulkErr.message || String(bulkErr) });
+      const distribution = await zanacoWorkflowService.transition({
+        id: req.params.id,
+        action,
+        reason: (req.body || {}).reason,
+        actor: req.user,
+        scope: req.branchScope,
+      });
+      return res.json({ success: true, distribution });
+    } catch (err) {
+      return sendServiceError(res, err, `POST /zanaco/:id/${action}`);
     }
+  };
+}
 
-    const orFilters = canonicalTargets.map(t => ({ branch: t.branch, date: t.date }));
-    let savedDocs = [];
-    if (orFilters.length > 0) {
-      try {
-        savedDocs = await MonthlyReport.find({ $or: orFilters }).select('branch date _id').lean();
-      } catch (qerr) {
-        console.error('Query after monthly bulkWrite failed:', qerr);
-        errors.push({ error: 'post-query failed', detail: qerr.message || String(qerr) });
-      }
-    }
+// acknowledge / dispute: receiving branch; apply: either branch once acknowledged
+router.post('/zanaco/:id/acknowledge', branchGuard, zanacoAction('acknowledge'));
+router.post('/zanaco/:id/dispute', branchGuard, zanacoAction('dispute'));
+router.post('/zanaco/:id/apply', branchGuard, zanacoAction('apply'));
 
-    const saved = savedDocs.map(d => ({ branch: d.branch, date: new Date(d.date).toISOString(), id: d._id ? d._id.toString() : null }));
-
-    return res.json({
-      success: true,
-      message: `${saved.length} monthly reports processed (bulkWrite)`,
-      saved,
-      skipped,
-      errors,
-      bulkWriteResult: bulkResult ? {
-        insertedCount: bulkResult.insertedCount || 0,
-        matchedCount: bulkResult.matchedCount || 0,
-        modifiedCount: bulkResult.modifiedCount || 0,
-        upsertedCount: bulkResult.upsertedCount || 0,
-        upsertedIds: bulkResult.upsertedIds || {}
-      } : undefined
-    });
+// ---------------- MONTHLY endpoints ----------------
 
+/**
+ * POST /sync_monthly_reports - bulk upsert monthly reports
+ * Body: { monthlyReports: [ {...}, ... ] }
+ */
+router.post('/sync_monthly_reports', retrySafeGuard, async (req, res) => {
+  try {
+    const { monthlyReports } = req.body || {};
+    const result = await monthlyReportService.syncMonthlyReports({ monthlyReports, scope: req.branchScope });
+    return res.json({ success: true, ...result });
   } catch (err) {
-    console.error('POST /sync_monthly_reports catastrophic error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'POST /sync_monthly_reports');
   }
 });
 
 /**
- * GET /monthly_reports - returns all monthly reports sorted desc by date
+ * GET /monthly_reports - monthly reports, newest first
+ * ?branch=&from=&to=&synced=&sort=-date&fields=&limit=&cursor=  (see listReports)
+ */
+router.get('/monthly_reports', branchGuard, listReports(MonthlyReport, MONTHLY_FIELDS, 'GET /monthly_reports'));
+
+/** GET /monthly_reports/export?format=csv|xlsx&branch=&from=&to=&synced= */
+router.get('/monthly_reports/export', branchGuard, exportReports('monthly', 'GET /monthly_reports/export'));
+
+/**
+ * Draft monthly report from daily reports + loans: GET /monthly_reports/draft?branch=&month=YYYY-MM
+ * Returns the computed figures and a diff against the submitted MonthlyReport.
+ * branch_admin defaults to their own branch.
  */
-router.get('/monthly_reports', async (req, res) => {
+router.get('/monthly_reports/draft', branchGuard, async (req, res) => {
   try {
-    const reports = await MonthlyReport.find().sort({ date: -1 });
-    return res.json(reports);
+    const input = req.query.branch || (req.branchScope && req.branchScope.code);
+    if (!input) return res.status(400).json({ success: false, error: 'branch is required' });
+    if (!req.query.month) return res.status(400).json({ success: false, error: 'month is required (YYYY-MM)' });
+    const b = await resolveBranchOrReject(req, res, input);
+    if (!b) return;
+    const draft = await monthlyDraftService.buildMonthlyDraft({ branch: b, month: req.query.month });
+    return res.json({ success: true, ...draft });
   } catch (err) {
-    console.error('GET /monthly_reports error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'GET /monthly_reports/draft');
   }
 });
 
 /**
  * DELETE /monthly_reports - deletes by branch + month (body: { branch, date })
  */
-router.delete('/monthly_reports', async (req, res) => {
+router.delete('/monthly_reports', branchGuard, async (req, res) => {
   try {
-    const { branch, date } = req.body;
+    const { branch, date } = req.body || {};
     if (!branch || !date) return res.status(400).json({ success: false, error: 'branch and date are required' });
-
-    const parsed = new Date(date);
-    if (isNaN(parsed.getTime())) return res.status(400).json({ success: false, error: 'invalid date format' });
-
-    const startOfMonth = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), 1, 0, 0, 0));
-    const startOfNextMonth = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, 1, 0, 0, 0));
-
-    const deleted = await MonthlyReport.findOneAndDelete({ branch: branch, date: { $gte: startOfMonth, $lt: startOfNextMonth } });
-    if (!deleted) return res.status(404).json({ success: false, error: 'Monthly report not found' });
+    const b = await resolveBranchOrReject(req, res, branch);
+    if (!b) return;
+    const deleted = await monthlyReportService.deleteMonthlyReport({ branch: b, date });
     return res.json({ success: true, message: 'Monthly report deleted', deletedId: deleted._id.toString() });
   } catch (err) {
-    console.error('DELETE /monthly_reports error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'DELETE /monthly_reports');
   }
 });
 
 /**
  * DELETE /monthly_reports/:id - delete by _id
  */
-router.delete('/monthly_reports/:id', async (req, res) => {
+router.delete('/monthly_reports/:id', branchGuard, async (req, res) => {
   try {
-    const id = req.params.id;
-    const deleted = await MonthlyReport.findByIdAndDelete(id);
-    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await monthlyReportService.deleteMonthlyReportById({ id: req.params.id, scope: req.branchScope });
     return res.json({ success: true, message: 'Monthly report deleted', deletedId: deleted._id.toString() });
   } catch (err) {
-    console.error('DELETE /monthly_reports/:id error:', err);
-    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+    return sendServiceError(res, err, 'DELETE /monthly_reports/:id');
+  }
+});
+
+// ---------------- PERIOD CLOSE endpoints ----------------
+
+/**
+ * Close / reopen one branch-day or branch-month.
+ * Body: { branch, date, reason }  (reason is required to reopen)
+ * Closed periods refuse sync writes and deletes with 409 PERIOD_CLOSED.
+ */
+function periodAction(period, action) {
+  return async (req, res) => {
+    const label = `POST /${period === 'day' ? 'reports' : 'monthly_reports'}/${action}`;
+    try {
+      const { branch, date, reason } = req.body || {};
+      const b = await resolveBranchOrReject(req, res, branch);
+      if (!b) return;
+      const report = await periodService.setClosed({ period, action, branch: b, date, reason, actor: req.user });
+      return res.json({ success: true, message: `${period === 'day' ? 'Day' : 'Month'} ${action === 'close' ? 'closed' : 'reopened'}`, report });
+    } catch (err) {
+      return sendServiceError(res, err, label);
+    }
+  };
+}
+
+// branch_admin may close their own branch's periods; only ovadmin can reopen
+router.post('/reports/close', branchGuard, periodAction('day', 'close'));
+router.post('/reports/reopen', branchGuard, requireRole('ovadmin'), periodAction('day', 'reopen'));
+router.post('/monthly_reports/close', branchGuard, periodAction('month', 'close'));
+router.post('/monthly_reports/reopen', branchGuard, requireRole('ovadmin'), periodAction('month', 'reopen'));
+
+// ---------------- PORTFOLIO endpoints ----------------
+
+/**
+ * Portfolio at risk / aging: GET /reports/par?branch=<any branch identity>&asOf=YYYY-MM-DD
+ * Without `branch` the report covers every branch (ovadmin only).
+ */
+router.get('/reports/par', branchGuard, async (req, res) => {
+  try {
+    // branch_admin defaults to (and is limited to) their own branch
+    const branch = req.query.branch ? String(req.query.branch).trim() : (req.branchScope ? req.branchScope.code : '');
+    if (branch) assertBranchAccess(req, await branchService.requireBranch(branch, { allowInactive: true }));
+    const branchId = branch ? await branchService.requireLoanSystemId(branch) : '';
+    const report = await portfolioService.portfolioAtRisk({ branchId, asOf: req.query.asOf });
+    return res.json({ success: true, ...report });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /reports/par');
   }
 });
 
@@ -0,0 +1,76 @@
+// routes/statements.js
+// Generated PDF statements: mounted at /api/statements
+const express = require('express');
+const { authMiddleware, requireBranchScope, assertBranchAccess } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const branchService = require('../services/branchService');
+const statementService = require('../services/statementService');
+const branchStatementService = require('../services/branchStatementService');
+const { normalizeDateToMonthStart } = require('../services/reportService');
+
+const router = express.Router();
+
+router.use(authMiddleware, requireBranchScope);
+
+/** Registry branch from ?branch= / body.branch; branch_admin defaults to (and is limited to) their own. */
+async function branchFor(req, input) {
+  if (!input && req.branchScope) return req.branchScope;
+  const b = await branchService.requireBranch(input, { allowInactive: true });
+  assertBranchAccess(req, b);
+  return b;
+}
+
+// POST /api/statements/branch  { branch, month: 'YYYY-MM' } -> generate and store a new PDF
+router.post('/branch', async (req, res) => {
+  try {
+    const { branch, month } = req.body || {};
+    if (!month) return res.status(400).json({ success: false, error: 'month is required (YYYY-MM)' });
+    const b = await branchFor(req, branch);
+    const statement = await branchStatementService.generateBranchStatement({ branch: b, month, actor: req.user });
+    return res.status(201).json({ success: true, statement });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/statements/branch');
+  }
+});
+
+// GET /api/statements/branch?branch=&from=YYYY-MM&to=YYYY-MM&limit= -> stored statements, newest first
+router.get('/branch', async (req, res) => {
+  try {
+    let code = null;
+    if (req.query.branch || req.branchScope) code = (await branchFor(req, req.query.branch)).code;
+    const items = await statementService.listStatements({
+      kind: 'branch',
+      branch: code,
+      from: req.query.from ? normalizeDateToMonthStart(req.query.from) : null,
+      to: req.query.to ? normalizeDateToMonthStart(req.query.to) : null,
+      limit: req.query.limit,
+    });
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/statements/branch');
+  }
+});
+
+// GET /api/statements/:id/download -> the PDF
+router.get('/:id/download', async (req, res) => {
+  try {
+    const statement = await statementService.findStatement(req.params.id);
+    assertBranchAccess(req, statement.branch);
+
+    const file = statementService.openStatementFile(statement);
+    file.on('error', (e) => {
+      console.error('GridFS statement download error', e);
+      if (!res.headersSent) return res.status(404).json({ success: false, error: 'Statement file not found' });
+      return res.destroy(e);
+    });
+    file.once('file', () => {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${statement.filename}"`);
+    });
+    file.pipe(res);
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/statements/:id/download');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/sync.js
+// Offline sync protocol: mounted at /api/sync (see services/syncService.js)
+const express = require('express');
+const { authMiddleware, requireBranchScope } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { sendServiceError } = require('../utils/httpError');
+const branchService = require('../services/branchService');
+const syncService = require('../services/syncService');
+
+const router = express.Router();
+
+router.use(authMiddleware, requireBranchScope);
+
+// ovadmin may narrow a pull to one branch; branch_admin is always limited to req.branchScope
+async function pullOptions(req, input) {
+  const branch = !req.branchScope && input.branch
+    ? await branchService.requireBranch(input.branch, { allowInactive: true })
+    : null;
+  return {
+    since: input.since,
+    limit: input.limit,
+    collections: input.collections,
+    branch,
+    scope: req.branchScope,
+    known: input.versions && typeof input.versions === 'object' ? input.versions : {},
+  };
+}
+
+// GET /api/sync/changes?since=<cursor>&limit=&collections=daily,monthly,zanaco&branch=
+router.get('/changes', async (req, res) => {
+  try {
+    const result = await syncService.getChanges(await pullOptions(req, req.query));
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/sync/changes');
+  }
+});
+
+// POST /api/sync/push
+// Body: { changes: [{ collection, op?, baseVersion, data, force?, clientId? }] }
+router.post('/push', idempotency, async (req, res) => {
+  try {
+    const result = await syncService.applyChanges((req.body || {}).changes, { scope: req.branchScope, actor: req.user });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/sync/push');
+  }
+});
+
+// POST /api/sync
+// Body: { since, limit?, collections?, versions?: { [id]: version }, changes? }
+// Applies pushed changes first, then returns everything since the cursor
+// (including the client's own writes, so it learns their new versions).
+router.post('/', idempotency, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const push = Array.isArray(body.changes) && body.changes.length
+      ? await syncService.applyChanges(body.changes, { scope: req.branchScope, actor: req.user })
+      : { results: [], applied: 0, conflicts: 0, rejected: 0 };
+    const pull = await syncService.getChanges(await pullOptions(req, body));
+    return res.json({ success: true, push, ...pull });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/sync');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// routes/zanacoReconciliation.js
+// Zanaco / mobile-money statement reconciliation: mounted at /api/zanaco/reconciliations (ovadmin only)
+const express = require('express');
+const multer = require('multer');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { sendServiceError } = require('../utils/httpError');
+const { dateRange } = require('../utils/pagination');
+const branchService = require('../services/branchService');
+const bankReconciliationService = require('../services/bankReconciliationService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /csv|text\/plain|excel/i.test(file.mimetype || '') || /\.csv$/i.test(file.originalname || '');
+    if (!isCsv) return cb(new Error('Only CSV statements are supported'));
+    cb(null, true);
+  }
+});
+
+const router = express.Router();
+
+router.use(authMiddleware, requireRole('ovadmin'));
+
+// POST /api/zanaco/reconciliations  multipart: file (CSV), channel?, branch?, dateToleranceDays?
+// channel / branch are defaults for statements without those columns (e.g. one Airtel wallet per file)
+router.post('/', (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, error: err.message });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
+    const branch = req.body.branch ? await branchService.requireBranch(req.body.branch, { allowInactive: true }) : null;
+    const run = await bankReconciliationService.reconcileStatement({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      channel: req.body.channel,
+      branch,
+      dateToleranceDays: req.body.dateToleranceDays,
+      actor: req.user,
+    });
+    return res.status(201).json({ success: true, reconciliation: run });
+  } catch (err) {
+    return sendServiceError(res, err, 'POST /api/zanaco/reconciliations');
+  }
+});
+
+// GET /api/zanaco/reconciliations?limit= -> past runs (summaries)
+router.get('/', async (req, res) => {
+  try {
+    const items = await bankReconciliationService.listRuns({ limit: req.query.limit });
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/zanaco/reconciliations');
+  }
+});
+
+// GET /api/zanaco/reconciliations/flagged?status=unevidenced|over|under&branch=&from=&to=
+// Distributions whose latest check did not find a matching bank line
+router.get('/flagged', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['unevidenced', 'over', 'under'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be unevidenced, over or under' });
+    }
+    let branches = null;
+    if (req.query.branch) {
+      const b = await branchService.requireBranch(req.query.branch, { allowInactive: true });
+      branches = branchService.zanacoBranchSpellings(b);
+    }
+    const range = dateRange(req.query.from, req.query.to) || {};
+    const items = await bankReconciliationService.listFlagged({ status, branches, from: range.$gte, to: range.$lte });
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/zanaco/reconciliations/flagged');
+  }
+});
+
+// GET /api/zanaco/reconciliations/:id -> one run with its matched/over/under/unmatched/unevidenced lists
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await bankReconciliationService.getRun(req.params.id);
+    return res.json({ success: true, reconciliation: run });
+  } catch (err) {
+    return sendServiceError(res, err, 'GET /api/zanaco/reconciliations/:id');
+  }
+});
+
+module.exports = router;
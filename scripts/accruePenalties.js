@@ -0,0 +1,54 @@
+// scripts/accruePenalties.js
+// Run one penalty accrual pass outside the server.
+//   node scripts/accruePenalties.js --dry-run              (preview only, nothing written)
+//   node scripts/accruePenalties.js --as-of=2025-01-31     (accrue as of a given day)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runPenaltyAccrual } = require('../services/penaltyEngine');
+
+function argValue(name) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : undefined;
+}
+
+async function accruePenalties() {
+  try {
+    const mongoUri = process.env.MONGO_URI;
+    if (!mongoUri) {
+      console.error('❌ MONGO_URI not found in .env');
+      process.exit(1);
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+    const asOf = argValue('as-of');
+
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    console.log(`🚀 Running penalty accrual${dryRun ? ' (dry run)' : ''}...`);
+    const summary = await runPenaltyAccrual({ asOf, dryRun });
+
+    for (const e of summary.entries) {
+      console.log(
+        `${e.loanId} [${e.branchId}] ${e.fromStatus} -> ${e.toStatus}` +
+          (e.amount ? ` penalty=${e.amount} overdue=${e.overdueAmount} dpd=${e.daysPastDue}` : '')
+      );
+    }
+
+    const { entries, ...totals } = summary;
+    console.log('📊 Summary:', totals);
+  } catch (error) {
+    console.error('❌ Penalty accrual failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔒 MongoDB connection closed');
+  }
+}
+
+if (require.main === module) {
+  accruePenalties();
+}
+
+module.exports = accruePenalties;
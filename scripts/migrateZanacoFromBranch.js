@@ -0,0 +1,54 @@
+// scripts/migrateZanacoFromBranch.js
+// Give Zanaco allocations written before fromBranch was part of their key a
+// sender (from metadata.fromBranch), and drop the old date+branch+channel
+// unique index. Rows with no sender recorded are listed unless --default-sender is given.
+//   node scripts/migrateZanacoFromBranch.js --dry-run
+//   node scripts/migrateZanacoFromBranch.js --default-sender=lusaka
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillFromBranch } = require('../services/zanacoService');
+
+function argValue(name) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : undefined;
+}
+
+async function migrateZanacoFromBranch() {
+  try {
+    const mongoUri = process.env.MONGO_URI;
+    if (!mongoUri) {
+      console.error('❌ MONGO_URI not found in .env');
+      process.exit(1);
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    console.log(`🚀 Backfilling Zanaco fromBranch${dryRun ? ' (dry run)' : ''}...`);
+    const summary = await backfillFromBranch({ dryRun, defaultSender: argValue('default-sender') });
+    console.log('📊 Summary:', {
+      checked: summary.checked,
+      updated: summary.updated,
+      unresolved: summary.unresolved.length,
+      conflicts: summary.conflicts.length,
+      droppedIndex: summary.droppedIndex,
+    });
+    for (const u of summary.unresolved) console.log('⚠️ No sender for', u.id, JSON.stringify(u.metadata));
+    for (const c of summary.conflicts) console.log('⚠️ Key taken for', c.id, `(existing ${c.existingId}, fromBranch ${c.fromBranch})`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔒 MongoDB connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateZanacoFromBranch();
+}
+
+module.exports = migrateZanacoFromBranch;
@@ -0,0 +1,45 @@
+// scripts/reconcileReports.js
+// Recompute reconciliation results on stored daily reports (e.g. reports synced
+// before the rules existed, or after changing RECONCILIATION_TOLERANCE).
+//   node scripts/reconcileReports.js --dry-run
+//   node scripts/reconcileReports.js --from=2025-01-01 --to=2025-01-31
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileStoredReports } = require('../services/reconciliationService');
+
+function argValue(name) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : undefined;
+}
+
+async function reconcileReports() {
+  try {
+    const mongoUri = process.env.MONGO_URI;
+    if (!mongoUri) {
+      console.error('❌ MONGO_URI not found in .env');
+      process.exit(1);
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    console.log(`🚀 Reconciling daily reports${dryRun ? ' (dry run)' : ''}...`);
+    const summary = await reconcileStoredReports({ from: argValue('from'), to: argValue('to'), dryRun });
+    console.log('📊 Summary:', summary);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔒 MongoDB connection closed');
+  }
+}
+
+if (require.main === module) {
+  reconcileReports();
+}
+
+module.exports = reconcileReports;
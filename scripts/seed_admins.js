@@ -2,6 +2,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const branchService = require('../services/branchService');
 
 const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
 if (!mongoUri) {
@@ -14,14 +15,10 @@ async function run() {
   console.log('Connected to mongo');
 
   const overallEmail = (process.env.OVERALL_ADMIN_EMAIL || 'directaccessmoney@gmail.com').toLowerCase().trim();
-  const branchEmails = [
-    'monze@directaccess.com',
-    'mazabuka@directaccess.com',
-    'lusaka@directaccess.com',
-    'solwezi@directaccess.com',
-    'lumezi@directaccess.com',
-    'nakonde@directaccess.com'
-  ];
+  // Branch registry first; branch admin accounts come from it
+  const inserted = await branchService.seedDefaultBranches();
+  console.log(`Branch registry ready (${inserted} default branches added)`);
+  const branchAdmins = (await branchService.listBranches({ includeInactive: true })).filter(b => b.adminEmail);
 
   // create overall admin
   let ov = await User.findOne({ email: overallEmail });
@@ -34,15 +31,16 @@ async function run() {
     console.log(`Overall admin ${overallEmail} already exists`);
   }
 
-  for (const e of branchEmails) {
-    const normalized = e.toLowerCase().trim();
+  for (const b of branchAdmins) {
+    const normalized = b.adminEmail.toLowerCase().trim();
     let u = await User.findOne({ email: normalized });
     if (!u) {
-      u = new User({ email: normalized, name: 'Branch Admin', role: 'branch_admin' });
+      u = new User({ email: normalized, name: 'Branch Admin', role: 'branch_admin', branch: b.code });
       await u.setPassword('admin');
       await u.save();
       console.log(`Created branch admin ${normalized} / admin`);
     } else {
+      if (!u.branch) await User.updateOne({ email: normalized }, { $set: { branch: b.code } });
       console.log(`Branch admin ${normalized} already exists`);
     }
   }
@@ -3,7 +3,7 @@
 // DAML Server (Express + MongoDB)
 // - Auth (JWT) + Users
 // - Admin submissions + notifications
-// - Daily/Monthly reports + Zanaco allocations
+// - Daily/Monthly reports + Zanaco allocations (routes/reports.js)
 // - Loans router + Imports router
 // - Clients route: fetch client summary for logged-in user
 // - Seed dev admins: node server.js --seed [--seed-reset-passwords]
@@ -21,6 +21,13 @@ const morgan = require("morgan");
 const bcrypt = require("bcrypt");
 
 const { authMiddleware, requireRole, generateToken } = require("./middleware/auth");
+const { requestContext } = require("./utils/requestContext");
+const { paginate, wantsPage, dateRange } = require("./utils/pagination");
+const { sendServiceError } = require("./utils/httpError");
+const { PENALTY_JOB_ENABLED, PENALTY_JOB_INTERVAL_HOURS } = require("./config/penalties");
+const { startPenaltyScheduler } = require("./services/penaltyEngine");
+const branchService = require("./services/branchService");
+const channelService = require("./services/channelService");
 
 // ============================================================
 // 0) CLI FLAGS
@@ -63,6 +70,8 @@ app.use(helmet());
 app.use(compression());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
+// Request context (actor/route) for model hooks such as the audit trail
+app.use(requestContext);
 app.use(morgan("combined"));
 
 // CORS
@@ -85,14 +94,11 @@ function parseCorsOrigins(v) {
 const notificationsRoute = require("./routes/notifications");
 app.use("/api/notifications", notificationsRoute);
 
-
-const reportsRoutes = require("./routes/reports");
-app.use("/api", reportsRoutes);
-
 const corsOptions = {
   origin: process.env.NODE_ENV === "production" ? parseCorsOrigins(process.env.CORS_ORIGIN) : true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
   credentials: true,
 };
 app.use(cors(corsOptions))
@@ -119,57 +125,8 @@ function getOrCreateModel(name, schema) {
 const User = require("./models/User");
 
 // ============================================================
-// 4) DATE NORMALIZERS + SANITIZERS
+// 4) SANITIZERS
 // ============================================================
-function normalizeToUtcDay(dateInput) {
-  const d = new Date(dateInput);
-  if (isNaN(d.getTime())) return null;
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
-}
-
-function normalizeToUtcMonthStart(dateInput) {
-  const d = new Date(dateInput);
-  if (isNaN(d.getTime())) return null;
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1, 0, 0, 0));
-}
-
-function sanitizeNumericMap(maybe) {
-  if (!maybe || typeof maybe !== "object") return {};
-  const out = {};
-  for (const [k, v] of Object.entries(maybe)) {
-    const num = typeof v === "number" ? v : v === null || v === "" ? 0 : Number(v);
-    out[k] = Number.isNaN(num) ? 0 : num;
-  }
-  return out;
-}
-
-function sanitizeIntegerMap(maybe) {
-  if (!maybe || typeof maybe !== "object") return {};
-  const out = {};
-  for (const [k, v] of Object.entries(maybe)) {
-    if (typeof v === "number") out[k] = Math.trunc(v);
-    else if (typeof v === "string") {
-      const asInt = parseInt(v, 10);
-      if (!Number.isNaN(asInt)) out[k] = asInt;
-      else {
-        const asFloat = parseFloat(v);
-        out[k] = Number.isNaN(asFloat) ? 0 : Math.trunc(asFloat);
-      }
-    } else out[k] = 0;
-  }
-  return out;
-}
-
-function toNumber(v) {
-  if (v == null) return 0;
-  if (typeof v === "number") return v;
-  if (typeof v === "string") {
-    const n = Number(v);
-    return Number.isNaN(n) ? 0 : n;
-  }
-  return 0;
-}
-
 function normalizePhone(p) {
   return String(p || "").replace(/[^\d]/g, "");
 }
@@ -203,119 +160,6 @@ const BranchCommentSchema = new Schema({
 });
 const BranchComment = getOrCreateModel("BranchComment", BranchCommentSchema);
 
-// DailyReport
-const DailyReportSchema = new Schema(
-  {
-    branch: { type: String, required: true, trim: true },
-    date: { type: Date, required: true },
-    openingBalances: { type: Map, of: Number, default: {} },
-    loanCounts: { type: Map, of: Number, default: {} },
-    closingBalances: { type: Map, of: Number, default: {} },
-    totalDisbursed: { type: Number, default: 0 },
-    totalCollected: { type: Number, default: 0 },
-    collectedForOtherBranches: { type: Number, default: 0 },
-    pettyCash: { type: Number, default: 0 },
-    expenses: { type: Number, default: 0 },
-    synced: { type: Boolean, default: false },
-    updatedAt: { type: Date, default: Date.now },
-  },
-  { timestamps: true }
-);
-DailyReportSchema.index({ branch: 1, date: 1 }, { unique: true });
-const DailyReport = getOrCreateModel("DailyReport", DailyReportSchema);
-
-// ZanacoDistribution
-const ZanacoDistributionSchema = new Schema(
-  {
-    date: { type: Date, required: true, index: true },
-    branch: { type: String, required: true, trim: true, index: true },
-    channel: { type: String, required: true, trim: true, lowercase: true, index: true },
-    amount: { type: Number, required: true, default: 0 },
-    metadata: { type: Schema.Types.Mixed, default: {} },
-  },
-  { timestamps: true, versionKey: false }
-);
-
-ZanacoDistributionSchema.index({ date: 1, branch: 1, channel: 1 }, { unique: true });
-
-ZanacoDistributionSchema.pre("validate", function (next) {
-  if (this.date) {
-    const n = normalizeToUtcDay(this.date);
-    if (n) this.date = n;
-  }
-  next();
-});
-
-const ZanacoDistribution = getOrCreateModel("ZanacoDistribution", ZanacoDistributionSchema);
-
-// MonthlyReport
-const MonthlyReportSchema = new Schema(
-  {
-    branch: { type: String, required: true, trim: true, index: true },
-    date: { type: Date, required: true, index: true },
-
-    expected: { type: Number, default: 0 },
-    inputs: { type: Number, default: 0 },
-    collected: { type: Number, default: 0 },
-    collectedInput: { type: Number, default: 0 },
-    totalUncollected: { type: Number, default: 0 },
-    uncollectedInput: { type: Number, default: 0 },
-    insufficient: { type: Number, default: 0 },
-    insufficientInput: { type: Number, default: 0 },
-    unreported: { type: Number, default: 0 },
-    unreportedInput: { type: Number, default: 0 },
-    lateCollection: { type: Number, default: 0 },
-    uncollected: { type: Number, default: 0 },
-    permicExpectedNextMonth: { type: Number, default: 0 },
-    totalInputs: { type: Number, default: 0 },
-    oldInputsAmount: { type: Number, default: 0 },
-    oldInputsCount: { type: Number, default: 0 },
-    newInputsAmount: { type: Number, default: 0 },
-    newInputsCount: { type: Number, default: 0 },
-    cashAdvance: { type: Number, default: 0 },
-    overallExpected: { type: Number, default: 0 },
-    actualExpected: { type: Number, default: 0 },
-    collected2: { type: Number, default: 0 },
-    principalReloaned: { type: Number, default: 0 },
-    defaultAmount: { type: Number, default: 0 },
-    clearance: { type: Number, default: 0 },
-    totalCollections: { type: Number, default: 0 },
-    permicCashAdvance: { type: Number, default: 0 },
-
-    synced: { type: Boolean, default: false, index: true },
-    updatedAt: { type: Date, default: () => new Date() },
-    createdAt: { type: Date, default: () => new Date() },
-  },
-  { timestamps: true, strict: true, versionKey: false }
-);
-
-MonthlyReportSchema.index({ branch: 1, date: 1 }, { unique: true });
-
-MonthlyReportSchema.pre("save", function (next) {
-  if (this.date) {
-    const normalized = normalizeToUtcMonthStart(this.date);
-    if (normalized) this.date = normalized;
-  }
-  this.updatedAt = new Date();
-  if (!this.createdAt) this.createdAt = new Date();
-  next();
-});
-
-MonthlyReportSchema.pre("findOneAndUpdate", function (next) {
-  const upd = this.getUpdate && this.getUpdate();
-  if (upd && upd.$set && upd.$set.date) {
-    const normalized = normalizeToUtcMonthStart(upd.$set.date);
-    if (normalized) this.getUpdate().$set.date = normalized;
-  }
-  if (upd) {
-    this.getUpdate().$set = this.getUpdate().$set || {};
-    this.getUpdate().$set.updatedAt = new Date();
-  }
-  next();
-});
-
-const MonthlyReport = getOrCreateModel("MonthlyReport", MonthlyReportSchema);
-
 // ============================================================
 // 6) AGREEMENTS ROUTER (optional)
 // ============================================================
@@ -410,6 +254,7 @@ authRouter.post("/login", async (req, res) => {
       role: user.role,
       name: user.name || "",
       phone: user.phone || "",
+      branch: user.branch || "",
     });
   } catch (err) {
     console.error("POST /api/auth/login error:", err);
@@ -422,16 +267,35 @@ authRouter.post("/login", async (req, res) => {
 // ============================================================
 const usersRouter = express.Router();
 
+const USER_LIST_FIELDS = ["email", "name", "phone", "role", "branch", "createdAt", "updatedAt"];
+
+// ?role=&branch=&from=&to= (createdAt) &sort=-createdAt&fields=&limit=&cursor=
+// Bare array unless limit/cursor is given (then { success, items, nextCursor, hasMore }).
 usersRouter.get("/", authMiddleware, requireRole("ovadmin"), async (req, res) => {
   try {
-    const items = await User.find()
-      .select("email name phone role createdAt updatedAt")
-      .sort({ createdAt: -1 })
-      .lean();
-    return res.json(items);
+    const filter = {};
+    if (req.query.role) filter.role = String(req.query.role).trim();
+    if (req.query.branch) {
+      const b = await branchService.requireBranch(req.query.branch, { allowInactive: true });
+      filter.branch = b.code;
+    }
+    const range = dateRange(req.query.from, req.query.to);
+    if (range) filter.createdAt = range;
+
+    const paged = wantsPage(req.query);
+    const page = await paginate(User, {
+      filter,
+      query: req.query,
+      sortable: ["createdAt", "updatedAt", "email", "name"],
+      defaultSort: "createdAt",
+      fields: USER_LIST_FIELDS,
+      select: USER_LIST_FIELDS.join(" "),
+      unbounded: !paged,
+    });
+    if (!paged) return res.json(page.items);
+    return res.json({ success: true, items: page.items, count: page.items.length, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (err) {
-    console.error("GET /api/users error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
+    return sendServiceError(res, err, "GET /api/users");
   }
 });
 
@@ -454,6 +318,7 @@ usersRouter.get("/:email/profile", authMiddleware, async (req, res) => {
       name: u.name || "",
       phone: u.phone || "",
       role: u.role || "client",
+      branch: u.branch || "",
       balances: u.balances || {},
       notificationsCount,
     });
@@ -487,6 +352,18 @@ usersRouter.put("/:email/profile", authMiddleware, async (req, res) => {
       update.role = r;
     }
 
+    // Branch assignment (registry code); "" clears it
+    if (body.branch != null) {
+      if (!isOvAdmin) return res.status(403).json({ success: false, error: "Forbidden" });
+      if (String(body.branch).trim() === "") {
+        update.branch = "";
+      } else {
+        const b = await branchService.resolveBranch(body.branch);
+        if (!b) return res.status(400).json({ success: false, error: `Unknown branch '${body.branch}'`, code: "UNKNOWN_BRANCH" });
+        update.branch = b.code;
+      }
+    }
+
     const u = await User.findOneAndUpdate({ email: target }, { $set: update }, { new: true }).lean();
     if (!u) return res.status(404).json({ success: false, error: "User not found" });
 
@@ -497,6 +374,7 @@ usersRouter.put("/:email/profile", authMiddleware, async (req, res) => {
         name: u.name || "",
         phone: u.phone || "",
         role: u.role || "client",
+        branch: u.branch || "",
         balances: u.balances || {},
       },
     });
@@ -666,13 +544,28 @@ adminRouter.post("/submissions", authMiddleware, async (req, res) => {
   }
 });
 
+// ?from_user=&from=&to= (ts) &sort=-ts&fields=&limit=&cursor=
+// Bare array unless limit/cursor is given (then { success, items, nextCursor, hasMore }).
 adminRouter.get("/submissions", authMiddleware, requireRole("ovadmin", "branch_admin"), async (req, res) => {
   try {
-    const items = await AdminSubmission.find().sort({ ts: -1 }).lean();
-    return res.json(items);
+    const filter = {};
+    if (req.query.from_user) filter.from = String(req.query.from_user).trim();
+    const range = dateRange(req.query.from, req.query.to);
+    if (range) filter.ts = range;
+
+    const paged = wantsPage(req.query);
+    const page = await paginate(AdminSubmission, {
+      filter,
+      query: req.query,
+      sortable: ["ts", "createdAt"],
+      defaultSort: "ts",
+      fields: ["from", "ts", "data", "createdAt", "updatedAt"],
+      unbounded: !paged,
+    });
+    if (!paged) return res.json(page.items);
+    return res.json({ success: true, items: page.items, count: page.items.length, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (err) {
-    console.error("GET /api/admin/submissions error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
+    return sendServiceError(res, err, "GET /api/admin/submissions");
   }
 });
 
@@ -689,579 +582,7 @@ adminRouter.delete("/submissions/:id", authMiddleware, requireRole("ovadmin"), a
 });
 
 // ============================================================
-// 10) REPORTS ROUTER (Zanaco + Daily + Monthly)
-// ============================================================
-const reportsRouter = express.Router();
-
-// ---- ZANACO
-reportsRouter.get("/zanaco/distributions", async (req, res) => {
-  try {
-    const { date, branch, channel } = req.query;
-    if (!date) return res.status(400).json({ success: false, error: "date required" });
-
-    const norm = normalizeToUtcDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: "invalid date" });
-
-    const q = { date: norm };
-    if (branch) q.branch = String(branch).trim();
-    if (channel) q.channel = String(channel).toLowerCase().trim();
-
-    const docs = await ZanacoDistribution.find(q).lean();
-    return res.json({ success: true, distributions: docs });
-  } catch (err) {
-    console.error("GET /api/zanaco/distributions error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.get("/zanaco", async (req, res) => {
-  try {
-    const { date, branch, channel } = req.query;
-    if (!date) return res.status(400).json({ success: false, error: "date required" });
-
-    const norm = normalizeToUtcDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: "invalid date" });
-
-    const q = { date: norm };
-    if (branch) q.branch = String(branch).trim();
-    if (channel) q.channel = String(channel).toLowerCase().trim();
-
-    const docs = await ZanacoDistribution.find(q).lean();
-    if (branch && channel) return res.json({ success: true, amount: docs[0] ? docs[0].amount : 0 });
-
-    return res.json({ success: true, distributions: docs });
-  } catch (err) {
-    console.error("GET /api/zanaco error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.post("/zanaco", async (req, res) => {
-  try {
-    const { date, branch, channel, amount, metadata } = req.body || {};
-    if (!date || !branch || !channel) {
-      return res.status(400).json({ success: false, error: "date, branch and channel required" });
-    }
-
-    const norm = normalizeToUtcDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: "invalid date" });
-
-    const filter = {
-      date: norm,
-      branch: String(branch).trim(),
-      channel: String(channel).toLowerCase().trim(),
-    };
-
-    const update = {
-      $set: {
-        date: norm,
-        branch: filter.branch,
-        channel: filter.channel,
-        amount: Number(amount) || 0,
-        metadata: metadata || {},
-      },
-    };
-
-    const doc = await ZanacoDistribution.findOneAndUpdate(filter, update, {
-      upsert: true,
-      new: true,
-      setDefaultsOnInsert: true,
-    }).lean();
-
-    return res.json({ success: true, distribution: doc });
-  } catch (err) {
-    console.error("POST /api/zanaco error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.post("/zanaco/bulk", async (req, res) => {
-  try {
-    const { date, fromBranch, allocations } = req.body || {};
-    if (!date || !allocations || typeof allocations !== "object") {
-      return res.status(400).json({ success: false, error: "date and allocations are required" });
-    }
-
-    const norm = normalizeToUtcDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: "invalid date" });
-
-    const ops = [];
-    for (const [targetBranch, chMap] of Object.entries(allocations)) {
-      if (!chMap || typeof chMap !== "object") continue;
-      for (const [ch, amtRaw] of Object.entries(chMap)) {
-        const channel = String(ch).toLowerCase().trim();
-        const amount = Number(amtRaw) || 0;
-        const filter = { date: norm, branch: String(targetBranch).trim(), channel };
-
-        const update = {
-          $set: {
-            date: norm,
-            branch: filter.branch,
-            channel,
-            amount,
-            metadata: { fromBranch: fromBranch || null },
-          },
-          $setOnInsert: { createdAt: new Date() },
-        };
-
-        ops.push({ updateOne: { filter, update, upsert: true } });
-      }
-    }
-
-    if (ops.length === 0) return res.status(400).json({ success: false, error: "no valid allocations provided" });
-
-    let bulkRes;
-    try {
-      bulkRes = await ZanacoDistribution.bulkWrite(ops, { ordered: false });
-    } catch (bulkErr) {
-      console.error("zanaco bulkWrite error:", bulkErr);
-    }
-
-    return res.json({
-      success: true,
-      message: "Zanaco allocations processed",
-      bulkWriteResult: bulkRes
-        ? {
-            insertedCount: bulkRes.insertedCount || 0,
-            matchedCount: bulkRes.matchedCount || 0,
-            modifiedCount: bulkRes.modifiedCount || 0,
-            upsertedCount: bulkRes.upsertedCount || 0,
-            upsertedIds: bulkRes.upsertedIds || {},
-          }
-        : undefined,
-    });
-  } catch (err) {
-    console.error("POST /api/zanaco/bulk error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-// ---- DAILY SYNC
-reportsRouter.post("/sync_reports", async (req, res) => {
-  try {
-    const { reports } = req.body;
-    if (!reports || !Array.isArray(reports)) {
-      return res.status(400).json({ success: false, error: "Invalid request: expected { reports: [...] }" });
-    }
-
-    const operations = [];
-    const skipped = [];
-    const errors = [];
-    const canonicalTargets = [];
-
-    for (const raw of reports) {
-      try {
-        if (!raw || typeof raw !== "object") {
-          skipped.push({ reason: "invalid item (not object)", item: raw });
-          continue;
-        }
-
-        const branch = raw.branch ? String(raw.branch).trim() : "";
-        if (!branch) {
-          skipped.push({ reason: "missing branch", item: raw });
-          continue;
-        }
-
-        const normalizedDate = normalizeToUtcDay(raw.date);
-        if (!normalizedDate) {
-          skipped.push({ reason: "invalid date", item: raw });
-          continue;
-        }
-
-        const openingBalances = sanitizeNumericMap(raw.openingBalances);
-        const closingBalances = sanitizeNumericMap(raw.closingBalances);
-        const loanCounts = sanitizeIntegerMap(raw.loanCounts);
-
-        const updateData = {
-          branch,
-          date: normalizedDate,
-          openingBalances,
-          loanCounts,
-          closingBalances,
-          totalDisbursed: toNumber(raw.totalDisbursed),
-          totalCollected: toNumber(raw.totalCollected),
-          collectedForOtherBranches: toNumber(raw.collectedForOtherBranches),
-          pettyCash: toNumber(raw.pettyCash),
-          expenses: toNumber(raw.expenses),
-          synced: true,
-          updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date(),
-        };
-
-        operations.push({
-          updateOne: {
-            filter: { branch, date: normalizedDate },
-            update: { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-            upsert: true,
-          },
-        });
-
-        canonicalTargets.push({ branch, date: normalizedDate });
-      } catch (inner) {
-        console.error("prepare op error:", inner);
-        errors.push({ item: raw, error: inner.message || String(inner) });
-      }
-    }
-
-    if (operations.length === 0) {
-      return res.json({ success: true, message: "No valid reports to process", saved: [], skipped, errors });
-    }
-
-    let bulkResult;
-    try {
-      bulkResult = await DailyReport.bulkWrite(operations, { ordered: false });
-    } catch (bulkErr) {
-      console.error("bulkWrite error:", bulkErr);
-      errors.push({ error: "bulkWrite failed", detail: bulkErr.message || String(bulkErr) });
-    }
-
-    const orFilters = canonicalTargets.map((t) => ({ branch: t.branch, date: t.date }));
-    let savedDocs = [];
-    if (orFilters.length > 0) {
-      try {
-        savedDocs = await DailyReport.find({ $or: orFilters }).select("branch date _id").lean();
-      } catch (qerr) {
-        console.error("Query after bulkWrite failed:", qerr);
-        errors.push({ error: "post-query failed", detail: qerr.message || String(qerr) });
-      }
-    }
-
-    const saved = savedDocs.map((d) => ({
-      branch: d.branch,
-      date: new Date(d.date).toISOString(),
-      id: d._id ? d._id.toString() : null,
-    }));
-
-    return res.json({
-      success: true,
-      message: `${saved.length} reports processed (bulkWrite)`,
-      saved,
-      skipped,
-      errors,
-      bulkWriteResult: bulkResult
-        ? {
-            insertedCount: bulkResult.insertedCount || 0,
-            matchedCount: bulkResult.matchedCount || 0,
-            modifiedCount: bulkResult.modifiedCount || 0,
-            upsertedCount: bulkResult.upsertedCount || 0,
-            upsertedIds: bulkResult.upsertedIds || {},
-          }
-        : undefined,
-    });
-  } catch (err) {
-    console.error("POST /api/sync_reports catastrophic error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.get("/reports", async (req, res) => {
-  try {
-    const reports = await DailyReport.find().sort({ date: -1 }).lean();
-    return res.json(reports);
-  } catch (err) {
-    console.error("GET /api/reports error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.get("/reports/query", async (req, res) => {
-  try {
-    const { branch, date } = req.query;
-    if (!branch || !date) return res.status(400).json({ success: false, error: "branch and date required" });
-
-    const norm = normalizeToUtcDay(date);
-    if (!norm) return res.status(400).json({ success: false, error: "invalid date" });
-
-    const doc = await DailyReport.findOne({ branch: String(branch).trim(), date: norm }).lean();
-    return res.json({ success: true, report: doc });
-  } catch (err) {
-    console.error("GET /api/reports/query error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.post("/report", async (req, res) => {
-  try {
-    const raw = req.body || {};
-    const branch = raw.branch ? String(raw.branch).trim() : "";
-    const dateNorm = normalizeToUtcDay(raw.date);
-
-    if (!branch || !dateNorm) return res.status(400).json({ success: false, error: "branch and valid date required" });
-
-    const openingBalances = sanitizeNumericMap(raw.openingBalances);
-    const closingBalances = sanitizeNumericMap(raw.closingBalances);
-    const loanCounts = sanitizeIntegerMap(raw.loanCounts);
-
-    const updateData = {
-      branch,
-      date: dateNorm,
-      openingBalances,
-      loanCounts,
-      closingBalances,
-      totalDisbursed: toNumber(raw.totalDisbursed),
-      totalCollected: toNumber(raw.totalCollected),
-      collectedForOtherBranches: toNumber(raw.collectedForOtherBranches),
-      pettyCash: toNumber(raw.pettyCash),
-      expenses: toNumber(raw.expenses),
-      synced: true,
-      updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date(),
-    };
-
-    const doc = await DailyReport.findOneAndUpdate(
-      { branch, date: dateNorm },
-      { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-      { upsert: true, new: true }
-    ).lean();
-
-    return res.json({ success: true, report: doc });
-  } catch (err) {
-    console.error("POST /api/report error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.delete("/reports", async (req, res) => {
-  try {
-    const { branch, date } = req.body;
-    if (!branch || !date) return res.status(400).json({ success: false, error: "branch and date are required" });
-
-    const parsed = new Date(date);
-    if (isNaN(parsed.getTime())) return res.status(400).json({ success: false, error: "invalid date format" });
-
-    const startOfDay = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate(), 0, 0, 0));
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
-
-    const deleted = await DailyReport.findOneAndDelete({ branch, date: { $gte: startOfDay, $lt: endOfDay } }).lean();
-    if (!deleted) return res.status(404).json({ success: false, error: "Report not found" });
-
-    return res.json({ success: true, message: "Report deleted", deletedId: String(deleted._id) });
-  } catch (err) {
-    console.error("DELETE /api/reports error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.delete("/reports/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const deleted = await DailyReport.findByIdAndDelete(id).lean();
-    if (!deleted) return res.status(404).json({ success: false, error: "Not found" });
-
-    return res.json({ success: true, message: "Report deleted", deletedId: String(deleted._id) });
-  } catch (err) {
-    console.error("DELETE /api/reports/:id error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-// ---- MONTHLY SYNC
-reportsRouter.post("/sync_monthly_reports", async (req, res) => {
-  try {
-    const { monthlyReports } = req.body;
-    if (!monthlyReports || !Array.isArray(monthlyReports)) {
-      return res.status(400).json({ success: false, error: "Invalid request: expected { monthlyReports: [...] }" });
-    }
-
-    const operations = [];
-    const skipped = [];
-    const errors = [];
-    const canonicalTargets = [];
-
-    for (const raw of monthlyReports) {
-      try {
-        if (!raw || typeof raw !== "object") {
-          skipped.push({ reason: "invalid item (not object)", item: raw });
-          continue;
-        }
-
-        const branch = raw.branch ? String(raw.branch).trim() : "";
-        if (!branch) {
-          skipped.push({ reason: "missing branch", item: raw });
-          continue;
-        }
-
-        const normalizedDate = normalizeToUtcMonthStart(raw.date);
-        if (!normalizedDate) {
-          skipped.push({ reason: "invalid date", item: raw });
-          continue;
-        }
-
-        const updateData = {
-          branch,
-          date: normalizedDate,
-          expected: toNumber(raw.expected),
-          inputs: Number.isInteger(raw.inputs) ? raw.inputs : raw.inputs ? parseInt(raw.inputs, 10) || 0 : 0,
-          collected: toNumber(raw.collected),
-          collectedInput: Number.isInteger(raw.collectedInput)
-            ? raw.collectedInput
-            : raw.collectedInput
-            ? parseInt(raw.collectedInput, 10) || 0
-            : 0,
-          totalUncollected: toNumber(raw.totalUncollected),
-          uncollectedInput: Number.isInteger(raw.uncollectedInput)
-            ? raw.uncollectedInput
-            : raw.uncollectedInput
-            ? parseInt(raw.uncollectedInput, 10) || 0
-            : 0,
-          insufficient: toNumber(raw.insufficient),
-          insufficientInput: Number.isInteger(raw.insufficientInput)
-            ? raw.insufficientInput
-            : raw.insufficientInput
-            ? parseInt(raw.insufficientInput, 10) || 0
-            : 0,
-          unreported: toNumber(raw.unreported),
-          unreportedInput: Number.isInteger(raw.unreportedInput)
-            ? raw.unreportedInput
-            : raw.unreportedInput
-            ? parseInt(raw.unreportedInput, 10) || 0
-            : 0,
-          lateCollection: toNumber(raw.lateCollection),
-          uncollected: toNumber(raw.uncollected),
-          permicExpectedNextMonth: toNumber(raw.permicExpectedNextMonth),
-          totalInputs: Number.isInteger(raw.totalInputs)
-            ? raw.totalInputs
-            : raw.totalInputs
-            ? parseInt(raw.totalInputs, 10) || 0
-            : 0,
-          oldInputsAmount: toNumber(raw.oldInputsAmount),
-          oldInputsCount: Number.isInteger(raw.oldInputsCount)
-            ? raw.oldInputsCount
-            : raw.oldInputsCount
-            ? parseInt(raw.oldInputsCount, 10) || 0
-            : 0,
-          newInputsAmount: toNumber(raw.newInputsAmount),
-          newInputsCount: Number.isInteger(raw.newInputsCount)
-            ? raw.newInputsCount
-            : raw.newInputsCount
-            ? parseInt(raw.newInputsCount, 10) || 0
-            : 0,
-          cashAdvance: toNumber(raw.cashAdvance),
-          overallExpected: toNumber(raw.overallExpected),
-          actualExpected: toNumber(raw.actualExpected),
-          collected2: toNumber(raw.collected2),
-          principalReloaned: toNumber(raw.principalReloaned),
-          defaultAmount: toNumber(raw.defaultAmount),
-          clearance: toNumber(raw.clearance),
-          totalCollections: toNumber(raw.totalCollections),
-          permicCashAdvance: toNumber(raw.permicCashAdvance),
-          synced: true,
-          updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date(),
-        };
-
-        operations.push({
-          updateOne: {
-            filter: { branch, date: normalizedDate },
-            update: { $set: updateData, $setOnInsert: { createdAt: new Date() } },
-            upsert: true,
-          },
-        });
-
-        canonicalTargets.push({ branch, date: normalizedDate });
-      } catch (inner) {
-        console.error("prepare monthly op error:", inner);
-        errors.push({ item: raw, error: inner.message || String(inner) });
-      }
-    }
-
-    if (operations.length === 0) {
-      return res.json({ success: true, message: "No valid monthly reports to process", saved: [], skipped, errors });
-    }
-
-    let bulkResult;
-    try {
-      bulkResult = await MonthlyReport.bulkWrite(operations, { ordered: false });
-    } catch (bulkErr) {
-      console.error("monthly bulkWrite error:", bulkErr);
-      errors.push({ error: "bulkWrite failed", detail: bulkErr.message || String(bulkErr) });
-    }
-
-    const orFilters = canonicalTargets.map((t) => ({ branch: t.branch, date: t.date }));
-    let savedDocs = [];
-    if (orFilters.length > 0) {
-      try {
-        savedDocs = await MonthlyReport.find({ $or: orFilters }).select("branch date _id").lean();
-      } catch (qerr) {
-        console.error("Query after monthly bulkWrite failed:", qerr);
-        errors.push({ error: "post-query failed", detail: qerr.message || String(qerr) });
-      }
-    }
-
-    const saved = savedDocs.map((d) => ({
-      branch: d.branch,
-      date: new Date(d.date).toISOString(),
-      id: d._id ? d._id.toString() : null,
-    }));
-
-    return res.json({
-      success: true,
-      message: `${saved.length} monthly reports processed (bulkWrite)`,
-      saved,
-      skipped,
-      errors,
-      bulkWriteResult: bulkResult
-        ? {
-            insertedCount: bulkResult.insertedCount || 0,
-            matchedCount: bulkResult.matchedCount || 0,
-            modifiedCount: bulkResult.modifiedCount || 0,
-            upsertedCount: bulkResult.upsertedCount || 0,
-            upsertedIds: bulkResult.upsertedIds || {},
-          }
-        : undefined,
-    });
-  } catch (err) {
-    console.error("POST /api/sync_monthly_reports catastrophic error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.get("/monthly_reports", async (req, res) => {
-  try {
-    const reports = await MonthlyReport.find().sort({ date: -1 }).lean();
-    return res.json(reports);
-  } catch (err) {
-    console.error("GET /api/monthly_reports error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.delete("/monthly_reports", async (req, res) => {
-  try {
-    const { branch, date } = req.body;
-    if (!branch || !date) return res.status(400).json({ success: false, error: "branch and date are required" });
-
-    const parsed = new Date(date);
-    if (isNaN(parsed.getTime())) return res.status(400).json({ success: false, error: "invalid date format" });
-
-    const startOfMonth = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), 1, 0, 0, 0));
-    const startOfNextMonth = new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, 1, 0, 0, 0));
-
-    const deleted = await MonthlyReport.findOneAndDelete({
-      branch,
-      date: { $gte: startOfMonth, $lt: startOfNextMonth },
-    }).lean();
-
-    if (!deleted) return res.status(404).json({ success: false, error: "Monthly report not found" });
-    return res.json({ success: true, message: "Monthly report deleted", deletedId: String(deleted._id) });
-  } catch (err) {
-    console.error("DELETE /api/monthly_reports error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-reportsRouter.delete("/monthly_reports/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const deleted = await MonthlyReport.findByIdAndDelete(id).lean();
-    if (!deleted) return res.status(404).json({ success: false, error: "Not found" });
-    return res.json({ success: true, message: "Monthly report deleted", deletedId: String(deleted._id) });
-  } catch (err) {
-    console.error("DELETE /api/monthly_reports/:id error:", err);
-    return res.status(500).json({ success: false, error: err.message || "Internal server error" });
-  }
-});
-
-// ============================================================
-// 11) CLIENTS ROUTER (MUST be mounted)
+// 10) CLIENTS ROUTER (MUST be mounted)
 // ============================================================
 try {
   const clientsRouter = require("./routes/clients");
@@ -1272,12 +593,85 @@ try {
 }
 
 // ============================================================
-// 12) MOUNT ROUTERS
+// 11) MOUNT ROUTERS
 // ============================================================
 app.use("/api/auth", authRouter);
 app.use("/api/users", usersRouter);
 app.use("/api/admin", adminRouter);
-app.use("/api", reportsRouter);
+// Daily / monthly reports + Zanaco allocations (services/dailyReportService.js, monthlyReportService.js, zanacoService.js)
+app.use("/api", require("./routes/reports"));
+
+// Branch registry router
+try {
+  const branchesRouter = require("./routes/branches");
+  app.use("/api/branches", branchesRouter);
+  console.log("✅ /api/branches mounted");
+} catch (e) {
+  console.log("ℹ️ branches router not mounted:", e.message);
+}
+
+// Channel registry router
+try {
+  const channelsRouter = require("./routes/channels");
+  app.use("/api/channels", channelsRouter);
+  console.log("✅ /api/channels mounted");
+} catch (e) {
+  console.log("ℹ️ channels router not mounted:", e.message);
+}
+
+// Audit trail queries (ovadmin)
+try {
+  const auditRouter = require("./routes/audit");
+  app.use("/api/audit", auditRouter);
+  console.log("✅ /api/audit mounted");
+} catch (e) {
+  console.log("ℹ️ audit router not mounted:", e.message);
+}
+
+// Consolidated dashboard
+try {
+  const dashboardRouter = require("./routes/dashboard");
+  app.use("/api/dashboard", dashboardRouter);
+  console.log("✅ /api/dashboard mounted");
+} catch (e) {
+  console.log("ℹ️ dashboard router not mounted:", e.message);
+}
+
+// Generated PDF statements (GridFS 'statements' bucket)
+try {
+  const statementsRouter = require("./routes/statements");
+  app.use("/api/statements", statementsRouter);
+  console.log("✅ /api/statements mounted");
+} catch (e) {
+  console.log("ℹ️ statements router not mounted:", e.message);
+}
+
+// Zanaco bank statement reconciliation
+try {
+  const zanacoReconciliationRouter = require("./routes/zanacoReconciliation");
+  app.use("/api/zanaco/reconciliations", zanacoReconciliationRouter);
+  console.log("✅ /api/zanaco/reconciliations mounted");
+} catch (e) {
+  console.log("ℹ️ zanaco reconciliation router not mounted:", e.message);
+}
+
+// Offline sync protocol (cursor feed + versioned writes)
+try {
+  const syncRouter = require("./routes/sync");
+  app.use("/api/sync", syncRouter);
+  console.log("✅ /api/sync mounted");
+} catch (e) {
+  console.log("ℹ️ sync router not mounted:", e.message);
+}
+
+// Loan applications router (must come before /api/loans/:id)
+try {
+  const loanApplicationsRouter = require("./routes/loanApplications");
+  app.use("/api/loans/applications", loanApplicationsRouter);
+  console.log("✅ /api/loans/applications mounted");
+} catch (e) {
+  console.log("ℹ️ loan applications router not mounted:", e.message);
+}
 
 // Loans router
 try {
@@ -1298,7 +692,7 @@ try {
 }
 
 // ============================================================
-// 13) HEALTH + ROOT
+// 12) HEALTH + ROOT
 // ============================================================
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -1316,8 +710,12 @@ app.get("/", (req, res) => {
     endpoints: {
       health: "/health",
       sync: "/api/sync_reports",
+      syncFeed: "/api/sync",
+      dashboard: "/api/dashboard",
+      statements: "/api/statements",
       reports: "/api/reports",
       zanaco: "/api/zanaco",
+      channels: "/api/channels",
       monthly: "/api/monthly_reports",
       clientsMe: "/api/clients/me",
     },
@@ -1325,7 +723,7 @@ app.get("/", (req, res) => {
 });
 
 // ============================================================
-// 14) ERROR HANDLER + 404
+// 13) ERROR HANDLER + 404
 // ============================================================
 app.use((err, req, res, next) => {
   console.error("Server error:", err);
@@ -1341,22 +739,21 @@ app.use((req, res) => {
 });
 
 // ============================================================
-// 15) SEED ADMINS (node server.js --seed)
+// 14) SEED ADMINS (node server.js --seed)
 // ============================================================
 async function seedAdmins({ resetPasswords = false } = {}) {
   console.log("Seeding dev admin accounts...");
 
-  // ✅ Added Mbala + Kitwe here
-  const branchEmails = [
-    "monze@directaccess.com",
-    "mazabuka@directaccess.com",
-    "lusaka@directaccess.com",
-    "solwezi@directaccess.com",
-    "lumezi@directaccess.com",
-    "nakonde@directaccess.com",
-    "mbala@directaccess.com",
-    "kitwe@directaccess.com",
-  ];
+  // Branch registry first; branch admin accounts come from it
+  const inserted = await branchService.seedDefaultBranches();
+  console.log(`✅ Branch registry ready (${inserted} default branches added)`);
+  const branchAdmins = (await branchService.listBranches({ includeInactive: true })).filter((b) => b.adminEmail);
+  const noLoanId = branchAdmins.filter((b) => !b.loanSystemId).map((b) => b.code);
+  if (noLoanId.length) {
+    console.warn(`⚠️  No loanSystemId for: ${noLoanId.join(", ")}. Their branch admins get 409 BRANCH_SETUP_REQUIRED on loan, client and PAR routes until an ovadmin sets it (PUT /api/branches/:code).`);
+  }
+  const channelsInserted = await channelService.seedDefaultChannels();
+  console.log(`✅ Channel registry ready (${channelsInserted} default channels added)`);
 
   // Overall admin
   const overall = OVERALL_ADMIN_EMAIL;
@@ -1374,20 +771,21 @@ async function seedAdmins({ resetPasswords = false } = {}) {
     console.log(`ℹ️ Overall admin already exists: ${overall}`);
   }
 
-  // Branch admins
-  for (const e of branchEmails) {
-    const normalized = e.toLowerCase().trim();
+  // Branch admins (each tied to its registry branch)
+  for (const b of branchAdmins) {
+    const normalized = b.adminEmail.toLowerCase().trim();
     const u = await User.findOne({ email: normalized }).lean();
 
     if (!u) {
       const passwordHash = await bcrypt.hash(BRANCH_ADMIN_PASSWORD, SALT_ROUNDS);
-      await User.create({ email: normalized, name: "Branch Admin", role: "branch_admin", passwordHash });
+      await User.create({ email: normalized, name: "Branch Admin", role: "branch_admin", branch: b.code, passwordHash });
       console.log(`✅ Created branch admin: ${normalized} / ${BRANCH_ADMIN_PASSWORD}`);
     } else if (resetPasswords) {
       const passwordHash = await bcrypt.hash(BRANCH_ADMIN_PASSWORD, SALT_ROUNDS);
-      await User.updateOne({ email: normalized }, { $set: { passwordHash, role: "branch_admin" } });
+      await User.updateOne({ email: normalized }, { $set: { passwordHash, role: "branch_admin", branch: b.code } });
       console.log(`🔁 Reset branch admin password: ${normalized} / ${BRANCH_ADMIN_PASSWORD}`);
     } else {
+      if (!u.branch) await User.updateOne({ email: normalized }, { $set: { branch: b.code } });
       console.log(`ℹ️ Branch admin already exists: ${normalized}`);
     }
   }
@@ -1396,9 +794,10 @@ async function seedAdmins({ resetPasswords = false } = {}) {
 }
 
 // ============================================================
-// 16) CONNECT DB + START (OR SEED)
+// 15) CONNECT DB + START (OR SEED)
 // ============================================================
 let server = null;
+let stopPenaltyScheduler = null;
 
 async function start() {
   try {
@@ -1419,9 +818,16 @@ async function start() {
       console.log(`🌐 Environment: ${process.env.NODE_ENV || "development"}`);
     });
 
+    // Penalty accrual job (opt-in via PENALTY_JOB_ENABLED=true)
+    if (PENALTY_JOB_ENABLED) {
+      stopPenaltyScheduler = startPenaltyScheduler({ intervalHours: PENALTY_JOB_INTERVAL_HOURS });
+      console.log(`⏰ Penalty accrual job every ${PENALTY_JOB_INTERVAL_HOURS}h`);
+    }
+
     // Graceful shutdown
     const shutdown = async (signal) => {
       console.log(`\nReceived ${signal}. Closing server...`);
+      if (stopPenaltyScheduler) stopPenaltyScheduler();
       if (server) {
         server.close(async () => {
           try {
@@ -0,0 +1,273 @@
+// services/amortizationService.js
+// Builds installment tables from loan terms and keeps the schedule's paid
+// amounts (and the derived nextDueDate / nextInstallmentAmount) up to date.
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { httpError } = require('../utils/httpError');
+const { toNumber, roundMoney } = require('../utils/loanBalance');
+
+const PERIODS_PER_YEAR = { weekly: 52, fortnightly: 26, monthly: 12 };
+const METHODS = ['flat', 'reducing'];
+
+/**
+ * Validate raw terms input (rate in % per month).
+ */
+function normalizeTerms(input = {}, fallbackStart) {
+  const interestRate = toNumber(input.interestRate);
+  const tenor = parseInt(input.tenor, 10);
+  const frequency = String(input.frequency || 'monthly').toLowerCase().trim();
+  const method = String(input.method || 'flat').toLowerCase().trim();
+  const startDate = input.startDate ? new Date(input.startDate) : (fallbackStart ? new Date(fallbackStart) : new Date());
+
+  if (interestRate < 0) throw httpError(400, 'interestRate must be >= 0');
+  if (!Number.isInteger(tenor) || tenor < 1 || tenor > 520) throw httpError(400, 'tenor must be a whole number of installments (1-520)');
+  if (!PERIODS_PER_YEAR[frequency]) throw httpError(400, `frequency must be one of ${Object.keys(PERIODS_PER_YEAR).join(', ')}`);
+  if (!METHODS.includes(method)) throw httpError(400, `method must be one of ${METHODS.join(', ')}`);
+  if (isNaN(startDate.getTime())) throw httpError(400, 'invalid startDate');
+
+  return { interestRate, tenor, frequency, method, startDate };
+}
+
+function periodRate(terms) {
+  return (toNumber(terms.interestRate) / 100) * (12 / PERIODS_PER_YEAR[terms.frequency]);
+}
+
+/** Due date of installment n (1-based), in UTC, clamping month ends (31 Jan -> 28/29 Feb). */
+function dueDateFor(startDate, frequency, n) {
+  const s = new Date(startDate);
+  if (frequency === 'monthly') {
+    const y = s.getUTCFullYear();
+    const m = s.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m, Math.min(s.getUTCDate(), lastDay)));
+  }
+  const days = frequency === 'weekly' ? 7 : 14;
+  return new Date(Date.UTC(s.getUTCFullYear(), s.getUTCMonth(), s.getUTCDate() + days * n));
+}
+
+/**
+ * Full installment table.
+ * - flat: interest on the original principal every period
+ * - reducing: equal installments (annuity), interest on the outstanding principal
+ * The last installment absorbs rounding so principal always sums exactly.
+ */
+function buildSchedule(principalAmount, terms) {
+  const principal = roundMoney(principalAmount);
+  const n = terms.tenor;
+  const r = periodRate(terms);
+  const rows = [];
+
+  let balance = principal;
+  const flatPrincipal = roundMoney(principal / n);
+  const flatInterest = roundMoney(principal * r);
+  const annuity = r === 0 ? principal / n : (principal * r) / (1 - Math.pow(1 + r, -n));
+
+  for (let i = 1; i <= n; i++) {
+    let interest;
+    let principalPart;
+
+    if (terms.method === 'flat') {
+      interest = flatInterest;
+      principalPart = i === n ? balance : flatPrincipal;
+    } else {
+      interest = roundMoney(balance * r);
+      principalPart = i === n ? balance : roundMoney(annuity - interest);
+    }
+
+    balance = roundMoney(balance - principalPart);
+    rows.push({
+      number: i,
+      dueDate: dueDateFor(terms.startDate, terms.frequency, i),
+      principal: roundMoney(principalPart),
+      interest,
+      amount: roundMoney(principalPart + interest),
+      balance,
+      paidAmount: 0,
+      status: 'pending',
+    });
+  }
+
+  return rows;
+}
+
+function installmentStatus(row) {
+  if (row.paidAmount >= row.amount) return 'paid';
+  return row.paidAmount > 0 ? 'partial' : 'pending';
+}
+
+/**
+ * Apply `amount` to the oldest unpaid installments (mutates schedule).
+ * Returns [{ number, amount }] so the exact split can be undone on reversal.
+ */
+function applyToSchedule(schedule, amount) {
+  let remaining = roundMoney(amount);
+  const applied = [];
+
+  for (const row of schedule) {
+    if (remaining <= 0) break;
+    const open = roundMoney(row.amount - row.paidAmount);
+    if (open <= 0) continue;
+
+    const take = roundMoney(Math.min(open, remaining));
+    row.paidAmount = roundMoney(row.paidAmount + take);
+    row.status = installmentStatus(row);
+    remaining = roundMoney(remaining - take);
+    applied.push({ number: row.number, amount: take });
+  }
+
+  return applied;
+}
+
+/** Undo an applyToSchedule() split (mutates schedule). */
+function revertFromSchedule(schedule, applied = []) {
+  for (const a of applied) {
+    const row = schedule.find((r) => r.number === a.number);
+    if (!row) continue;
+    row.paidAmount = roundMoney(Math.max(0, row.paidAmount - toNumber(a.amount)));
+    row.status = installmentStatus(row);
+  }
+}
+
+/** nextDueDate / nextInstallmentAmount from the first installment not fully paid. */
+function deriveNextInstallment(schedule = []) {
+  const next = schedule.find((r) => r.paidAmount < r.amount);
+  if (!next) return { nextDueDate: null, nextInstallmentAmount: 0 };
+  return {
+    nextDueDate: next.dueDate,
+    nextInstallmentAmount: roundMoney(next.amount - next.paidAmount),
+  };
+}
+
+function toPlainSchedule(schedule = []) {
+  return schedule.map((r) => ({
+    number: r.number,
+    dueDate: r.dueDate,
+    principal: r.principal,
+    interest: r.interest,
+    amount: r.amount,
+    balance: r.balance,
+    paidAmount: r.paidAmount || 0,
+    status: r.status || 'pending',
+  }));
+}
+
+function scheduleTotals(schedule = []) {
+  const sum = (k) => roundMoney(schedule.reduce((s, r) => s + toNumber(r[k]), 0));
+  return {
+    installments: schedule.length,
+    principal: sum('principal'),
+    interest: sum('interest'),
+    amount: sum('amount'),
+    paid: sum('paidAmount'),
+  };
+}
+
+// generateForLoan re-reads the loan and retries when a concurrent write moved updatedAt
+const GENERATE_ATTEMPTS = 5;
+
+/**
+ * Schedule fields for a loan under `terms`, without storing them. Payments
+ * already posted to the ledger are re-applied in the order they were paid;
+ * `splits` is each one's installment split on the new rows.
+ */
+async function computeSchedule(loan, terms) {
+  const schedule = buildSchedule(loan.principalAmount, terms);
+
+  const posted = await Repayment.find({ loanId: loan._id, status: 'posted' })
+    .sort({ paidAt: 1, createdAt: 1 })
+    .select('allocation')
+    .lean();
+  const splits = posted.map((r) => ({
+    _id: r._id,
+    installments: applyToSchedule(schedule, toNumber(r.allocation?.principal) + toNumber(r.allocation?.interest)),
+  }));
+
+  const set = {
+    terms,
+    schedule,
+    scheduleGeneratedAt: new Date(),
+    ...deriveNextInstallment(schedule),
+  };
+  return { set, splits };
+}
+
+/**
+ * Generate + store a schedule for a loan (see computeSchedule). Each posted
+ * repayment's `installments` split is rewritten to the new rows so a later
+ * reversal takes back the right installments. The loan write is guarded on
+ * updatedAt like repaymentService, so a payment posted meanwhile is not dropped.
+ */
+async function generateForLoan(loan, terms) {
+  let current = loan;
+  let computed = null;
+  for (let attempt = 0; attempt < GENERATE_ATTEMPTS && !computed; attempt++) {
+    if (attempt > 0) current = await Loan.findById(loan._id).lean();
+    if (!current) throw httpError(404, 'Loan not found');
+    const next = await computeSchedule(current, terms);
+    const upd = await Loan.updateOne({ _id: current._id, updatedAt: current.updatedAt || null }, { $set: next.set });
+    if (upd.matchedCount) computed = next;
+  }
+  if (!computed) throw httpError(409, 'Loan was modified concurrently, please retry');
+
+  const { splits } = computed;
+  if (splits.length) {
+    await Repayment.bulkWrite(splits.map((s) => ({
+      updateOne: { filter: { _id: s._id, status: 'posted' }, update: { $set: { installments: s.installments } } },
+    })));
+  }
+  return Loan.findById(loan._id).lean();
+}
+
+async function setLoanTerms(loanId, input = {}) {
+  if (!mongoose.Types.ObjectId.isValid(String(loanId || ''))) throw httpError(400, 'Invalid loan id');
+  const loan = await Loan.findById(loanId).lean();
+  if (!loan) throw httpError(404, 'Loan not found');
+  if (!(toNumber(loan.principalAmount) > 0)) throw httpError(409, 'Loan has no principal amount to schedule');
+
+  const terms = normalizeTerms(input, loan.terms?.startDate || loan.createdAt);
+  return generateForLoan(loan, terms);
+}
+
+/**
+ * Stored schedule for a loan. A loan with terms but no stored schedule gets the
+ * computed one in the response only; POST /:id/schedule/regenerate stores it.
+ */
+async function getSchedule(loanId) {
+  if (!mongoose.Types.ObjectId.isValid(String(loanId || ''))) throw httpError(400, 'Invalid loan id');
+  let loan = await Loan.findById(loanId).lean();
+  if (!loan) throw httpError(404, 'Loan not found');
+
+  const hasSchedule = Array.isArray(loan.schedule) && loan.schedule.length > 0;
+  if (!hasSchedule && loan.terms) {
+    const { set } = await computeSchedule(loan, normalizeTerms(loan.terms));
+    loan = { ...loan, ...set, scheduleGeneratedAt: null };
+  }
+  if (!loan.terms && !hasSchedule) {
+    throw httpError(409, 'Loan has no terms; set them with PUT /api/loans/:id/terms');
+  }
+
+  return loan;
+}
+
+/** Rebuild the schedule from the loan's current terms (posted payments are re-allocated). */
+async function regenerateSchedule(loanId) {
+  if (!mongoose.Types.ObjectId.isValid(String(loanId || ''))) throw httpError(400, 'Invalid loan id');
+  const loan = await Loan.findById(loanId).lean();
+  if (!loan) throw httpError(404, 'Loan not found');
+  if (!loan.terms) throw httpError(409, 'Loan has no terms; set them with PUT /api/loans/:id/terms');
+  return generateForLoan(loan, normalizeTerms(loan.terms));
+}
+
+module.exports = {
+  normalizeTerms,
+  buildSchedule,
+  applyToSchedule,
+  revertFromSchedule,
+  deriveNextInstallment,
+  toPlainSchedule,
+  scheduleTotals,
+  setLoanTerms,
+  getSchedule,
+  regenerateSchedule,
+};
@@ -0,0 +1,56 @@
+// services/auditService.js
+// Read side of the audit trail (entries are written by utils/auditTrail.js).
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { httpError } = require('../utils/httpError');
+
+const AUDIT_ENTITIES = ['daily_report', 'monthly_report', 'zanaco', 'client', 'user'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function parseDate(v, field) {
+  if (!v) return null;
+  const d = new Date(v);
+  if (isNaN(d.getTime())) throw httpError(400, `Invalid ${field}`);
+  return d;
+}
+
+/**
+ * Newest first.
+ * @param {Object} opts { entity, entityId, actor (email or user id), action, from, to, limit, skip }
+ */
+async function listAudit({ entity, entityId, actor, action, from, to, limit, skip } = {}) {
+  const q = {};
+  if (entity) {
+    if (!AUDIT_ENTITIES.includes(entity)) throw httpError(400, `Unknown entity '${entity}'`);
+    q.entity = entity;
+  }
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) throw httpError(400, 'Invalid entityId');
+    q.entityId = entityId;
+  }
+  if (actor) {
+    const a = String(actor).trim();
+    q.$or = [{ 'actor.email': a.toLowerCase() }, { 'actor.id': a }];
+  }
+  if (action) q.action = action;
+
+  const start = parseDate(from, 'from');
+  const end = parseDate(to, 'to');
+  if (start || end) {
+    q.at = {};
+    if (start) q.at.$gte = start;
+    if (end) q.at.$lte = end;
+  }
+
+  const lim = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sk = Math.max(parseInt(skip, 10) || 0, 0);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(q).sort({ at: -1, _id: -1 }).skip(sk).limit(lim).lean(),
+    AuditLog.countDocuments(q),
+  ]);
+  return { entries, total, limit: lim, skip: sk };
+}
+
+module.exports = { AUDIT_ENTITIES, listAudit };
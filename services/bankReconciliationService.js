@@ -0,0 +1,381 @@
+// services/bankReconciliationService.js
+// Check ZanacoDistribution rows (entered by branches) against a Zanaco /
+// mobile-money statement CSV.
+//
+// Each statement line is matched to one distribution received by the same
+// branch on the same channel, within dateToleranceDays of the line's date:
+// first on amount (within RECONCILIATION_TOLERANCE), then to any remaining
+// distribution on that branch/channel/day, which is reported as over/under.
+// Distributions in the statement period left without a line have no bank
+// evidence; every distribution checked gets its result in `bankReconciliation`.
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const BankReconciliation = require('../models/BankReconciliation');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const channelService = require('./channelService');
+const { TOLERANCE } = require('./reconciliationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted header spellings (compared lowercased, spaces/underscores removed)
+const COLUMN_ALIASES = {
+  date: ['date', 'transactiondate', 'valuedate', 'postingdate', 'txndate', 'trandate'],
+  amount: ['amount', 'amountzmw', 'value', 'transactionamount'],
+  credit: ['credit', 'creditamount', 'moneyin', 'deposit'],
+  debit: ['debit', 'debitamount', 'moneyout', 'withdrawal'],
+  channel: ['channel', 'network', 'provider', 'wallet'],
+  branch: ['branch', 'branchcode', 'branchname', 'beneficiary', 'receiver'],
+  reference: ['reference', 'ref', 'transactionid', 'txnid', 'receipt', 'receiptno'],
+  description: ['description', 'narration', 'details', 'particulars', 'remarks'],
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+function headerKey(h) {
+  return String(h || '').replace(/^\uFEFF/, '').toLowerCase().replace(/[\s_\-.()]/g, '');
+}
+
+function pick(row, field) {
+  for (const alias of COLUMN_ALIASES[field]) {
+    const v = row[alias];
+    if (v != null && String(v).trim() !== '') return String(v).trim();
+  }
+  return '';
+}
+
+/** UTC midnight for year / month (0-based) / day, or null when a part is out of range (no roll-over). */
+function utcDay(year, month, day) {
+  const y = year < 100 ? 2000 + year : year;
+  const d = new Date(Date.UTC(y, month, day));
+  if (d.getUTCFullYear() !== y || d.getUTCMonth() !== month || d.getUTCDate() !== day) return null;
+  return d;
+}
+
+/**
+ * YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY or DD-Mon-YYYY (statements are day-first) to UTC midnight.
+ * Impossible dates (month 13, 31 April, a month-first 03/25/2025) are null.
+ */
+function parseStatementDate(s) {
+  const v = String(s || '').trim();
+  let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return utcDay(+m[1], +m[2] - 1, +m[3]);
+  m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (m) return utcDay(+m[3], +m[2] - 1, +m[1]);
+  m = v.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})/);
+  if (m && MONTHS[m[2].toLowerCase()] != null) return utcDay(+m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+  return null;
+}
+
+/** Signed amount; "(100)" and "-100" are negative. */
+function parseAmount(s) {
+  const v = String(s || '').replace(/[,\s]/g, '').replace(/^ZMW|^K/i, '');
+  const neg = /^\(.*\)$/.test(v);
+  const n = Number(v.replace(/[()]/g, ''));
+  if (!Number.isFinite(n)) return null;
+  return neg ? -n : n;
+}
+
+/**
+ * Money into the wallet for a row: the credit column, else the signed amount
+ * column, else the debit column (always money out, whatever its sign).
+ */
+function lineAmount(row) {
+  const credit = pick(row, 'credit');
+  if (credit) return parseAmount(credit);
+  const amount = pick(row, 'amount');
+  if (amount) return parseAmount(amount);
+  const debit = parseAmount(pick(row, 'debit'));
+  return debit == null ? null : -Math.abs(debit);
+}
+
+/** Raw CSV rows keyed by normalized header. */
+function readCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([buffer])
+      .pipe(csv({ mapHeaders: ({ header }) => headerKey(header) }))
+      .on('data', (r) => rows.push(r))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Statement lines from a CSV buffer.
+ * @param {Object} defaults { channel (registry code), branch (registry branch) } for lines without those columns
+ * @returns { lines: [{ line, date, channel, branch, amount, reference, description }], invalidLines, warnings }
+ */
+async function parseStatement(buffer, defaults = {}) {
+  let rows;
+  try {
+    rows = await readCsv(buffer);
+  } catch (err) {
+    throw httpError(400, `Could not read CSV: ${err.message}`, 'INVALID_STATEMENT');
+  }
+  if (!rows.length) throw httpError(400, 'Statement has no rows', 'INVALID_STATEMENT');
+
+  const lines = [];
+  const invalidLines = [];
+  const unknownBranches = new Set();
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const line = i + 2; // header is line 1
+    const dateText = pick(row, 'date');
+    const date = parseStatementDate(dateText);
+    if (!date) {
+      invalidLines.push({ line, reason: dateText ? `unreadable or out-of-range date '${dateText}'` : 'missing date' });
+      continue;
+    }
+    const amount = lineAmount(row);
+    if (amount == null || amount === 0) {
+      invalidLines.push({ line, reason: 'missing or zero amount' });
+      continue;
+    }
+    // Money leaving the wallet is no evidence of an incoming distribution
+    if (amount < 0) {
+      invalidLines.push({ line, reason: `outflow of ${roundMoney(-amount)} (only receipts are matched)` });
+      continue;
+    }
+    const channelText = pick(row, 'channel');
+    let channel = defaults.channel || null;
+    if (channelText) {
+      const c = await channelService.resolveChannel(channelText);
+      if (!c) {
+        invalidLines.push({ line, reason: `unknown channel '${channelText}'` });
+        continue;
+      }
+      channel = c.code;
+    }
+    if (!channel) {
+      invalidLines.push({ line, reason: 'no channel column and no default channel given' });
+      continue;
+    }
+
+    let branch = defaults.branch ? defaults.branch.code : null;
+    const branchText = pick(row, 'branch');
+    if (branchText) {
+      const b = await branchService.resolveBranch(branchText);
+      if (b) branch = b.code;
+      else unknownBranches.add(branchText);
+    }
+
+    lines.push({
+      line,
+      date,
+      channel,
+      branch,
+      amount: roundMoney(amount),
+      reference: pick(row, 'reference'),
+      description: pick(row, 'description'),
+    });
+  }
+
+  const warnings = [...unknownBranches].map((b) => `Unknown branch '${b}' in statement; those lines were matched on channel only`);
+  return { lines, invalidLines, warnings };
+}
+
+/** Registry code for a stored distribution receiver, cached per run. */
+function receiverResolver() {
+  const seen = new Map();
+  return async (value) => {
+    if (!seen.has(value)) {
+      const b = await branchService.resolveBranch(value);
+      seen.set(value, b ? b.code : value);
+    }
+    return seen.get(value);
+  };
+}
+
+function distributionRef(d, branch) {
+  return {
+    distributionId: d._id,
+    date: d.date,
+    channel: d.channel,
+    branch,
+    fromBranch: d.fromBranch || null,
+    amount: roundMoney(d.amount),
+  };
+}
+
+/**
+ * Reconcile a statement file and store the run.
+ * @param {Object} opts { buffer, filename, channel, branch (registry branch or null), dateToleranceDays, actor }
+ * @returns the BankReconciliation record
+ */
+async function reconcileStatement({ buffer, filename, channel, branch = null, dateToleranceDays = 0, actor }) {
+  const tolerance = Math.max(0, Math.min(parseInt(dateToleranceDays, 10) || 0, 7));
+  const defaultChannel = channel ? (await channelService.requireChannel(channel, { allowInactive: true })).code : null;
+  const { lines, invalidLines, warnings } = await parseStatement(buffer, { channel: defaultChannel, branch });
+  if (!lines.length) {
+    const err = httpError(400, 'No usable lines in statement', 'INVALID_STATEMENT');
+    err.details = { invalidLines };
+    throw err;
+  }
+
+  const from = new Date(lines.reduce((m, l) => Math.min(m, l.date.getTime()), Infinity));
+  const to = new Date(lines.reduce((m, l) => Math.max(m, l.date.getTime()), -Infinity));
+  const channels = [...new Set(lines.map((l) => l.channel))];
+
+  // Only branches the statement covers: a per-branch file must not flag every other branch
+  const q = {
+    date: { $gte: new Date(from.getTime() - tolerance * DAY_MS), $lte: new Date(to.getTime() + tolerance * DAY_MS) },
+    channel: { $in: channels },
+  };
+  const statementBranches = new Set(lines.map((l) => l.branch));
+  const allBranches = statementBranches.has(null);
+  const docs = await ZanacoDistribution.find(q).sort({ date: 1 }).lean();
+
+  const receiverOf = receiverResolver();
+  const pool = [];
+  for (const d of docs) {
+    const code = await receiverOf(d.branch);
+    if (!allBranches && !statementBranches.has(code)) continue;
+    pool.push({ doc: d, branch: code, used: false });
+  }
+
+  const candidates = (l) =>
+    pool.filter((p) =>
+      !p.used &&
+      p.doc.channel === l.channel &&
+      (l.branch == null || p.branch === l.branch) &&
+      Math.abs(p.doc.date - l.date) <= tolerance * DAY_MS
+    );
+  const closest = (l, list, by) => list.sort((a, b) => by(a) - by(b) || Math.abs(a.doc.date - l.date) - Math.abs(b.doc.date - l.date))[0];
+  const result = (l, p) => ({
+    ...l,
+    branch: p ? p.branch : l.branch,
+    distributionId: p ? p.doc._id : null,
+    recordedAmount: p ? roundMoney(p.doc.amount) : null,
+    difference: p ? roundMoney(p.doc.amount - l.amount) : null,
+  });
+
+  const matched = [];
+  const over = [];
+  const under = [];
+  const unmatchedLines = [];
+
+  // Pass 1: exact amounts
+  const pending = [];
+  for (const l of lines) {
+    const exact = candidates(l).filter((p) => Math.abs(p.doc.amount - l.amount) <= TOLERANCE);
+    const p = exact.length ? closest(l, exact, () => 0) : null;
+    if (p) {
+      p.used = true;
+      matched.push(result(l, p));
+    } else {
+      pending.push(l);
+    }
+  }
+  // Pass 2: same branch/channel/day, different amount
+  for (const l of pending) {
+    const list = candidates(l);
+    const p = list.length ? closest(l, list, (c) => Math.abs(c.doc.amount - l.amount)) : null;
+    if (!p) {
+      unmatchedLines.push(result(l, null));
+      continue;
+    }
+    p.used = true;
+    (p.doc.amount > l.amount ? over : under).push(result(l, p));
+  }
+  // Outside the statement's own dates the tolerance window only helps matching; do not flag those
+  const unevidenced = pool
+    .filter((p) => !p.used && p.doc.date >= from && p.doc.date <= to)
+    .map((p) => distributionRef(p.doc, p.branch));
+
+  const run = await BankReconciliation.create({
+    filename: filename || '',
+    channel: defaultChannel,
+    branch: branch ? branch.code : null,
+    uploadedBy: (actor && actor.email) || null,
+    period: { from, to },
+    dateToleranceDays: tolerance,
+    summary: {
+      lines: lines.length,
+      matched: matched.length,
+      over: over.length,
+      under: under.length,
+      unmatchedLines: unmatchedLines.length,
+      unevidenced: unevidenced.length,
+      invalidLines: invalidLines.length,
+      bankTotal: roundMoney(lines.reduce((s, l) => s + l.amount, 0)),
+      recordedTotal: roundMoney(pool.filter((p) => p.used || (p.doc.date >= from && p.doc.date <= to)).reduce((s, p) => s + p.doc.amount, 0)),
+    },
+    matched,
+    over,
+    under,
+    unmatchedLines,
+    unevidenced,
+    invalidLines,
+    warnings,
+  });
+
+  await flagDistributions(run);
+  return run;
+}
+
+/**
+ * Record each checked distribution's outcome on the distribution itself. Goes to
+ * the raw collection: it is derived server data, so it must not bump sync
+ * versions or show up as a branch edit in the audit trail.
+ */
+async function flagDistributions(run) {
+  const checkedAt = run.createdAt || new Date();
+  const ops = [];
+  const flag = (id, status, bankAmount, line) => ops.push({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { bankReconciliation: { status, runId: run._id, checkedAt, bankAmount, line } } },
+    },
+  });
+  for (const m of run.matched) flag(m.distributionId, 'matched', m.amount, m.line);
+  for (const m of run.over) flag(m.distributionId, 'over', m.amount, m.line);
+  for (const m of run.under) flag(m.distributionId, 'under', m.amount, m.line);
+  for (const d of run.unevidenced) flag(d.distributionId, 'unevidenced', null, null);
+  if (ops.length) await ZanacoDistribution.collection.bulkWrite(ops, { ordered: false });
+}
+
+/** Runs newest first, without the per-line arrays. */
+async function listRuns({ limit } = {}) {
+  const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  return BankReconciliation.find()
+    .select('filename channel branch uploadedBy period dateToleranceDays summary warnings createdAt')
+    .sort({ createdAt: -1 })
+    .limit(lim)
+    .lean();
+}
+
+async function getRun(id) {
+  const run = await BankReconciliation.findById(id).lean().catch(() => null);
+  if (!run) throw httpError(404, 'Reconciliation not found');
+  return run;
+}
+
+/**
+ * Distributions whose latest check found no (or a different) bank amount.
+ * @param {Object} opts { status: 'unevidenced'|'over'|'under' (default all three), branches (stored spellings), from, to }
+ */
+async function listFlagged({ status, branches = null, from, to } = {}) {
+  const statuses = status ? [status] : ['unevidenced', 'over', 'under'];
+  const q = { 'bankReconciliation.status': { $in: statuses } };
+  if (branches) q.branch = { $in: branches };
+  if (from || to) {
+    q.date = {};
+    if (from) q.date.$gte = from;
+    if (to) q.date.$lte = to;
+  }
+  return ZanacoDistribution.find(q).sort({ date: -1, branch: 1 }).limit(1000).lean();
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  parseStatementDate,
+  parseStatement,
+  reconcileStatement,
+  listRuns,
+  getRun,
+  listFlagged,
+};
@@ -0,0 +1,230 @@
+// services/branchService.js
+// Branch registry lookups. Routes resolve whatever branch spelling they receive
+// (code, name, alias or loan-system id) to one Branch and store its canonical form.
+const Branch = require('../models/Branch');
+const { DEFAULT_BRANCHES } = require('../config/branches');
+const { httpError } = require('../utils/httpError');
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null; // { at, branches, index }
+
+const EDITABLE_FIELDS = ['code', 'name', 'loanSystemId', 'aliases', 'adminEmail', 'active'];
+
+function key(v) {
+  return (v == null ? '' : String(v)).trim().toLowerCase();
+}
+
+function identitiesOf(b) {
+  return [b.code, b.name, b.loanSystemId, ...(b.aliases || [])].map(key).filter(Boolean);
+}
+
+function buildIndex(branches) {
+  const index = new Map();
+  for (const b of branches) {
+    for (const k of identitiesOf(b)) {
+      if (!index.has(k)) index.set(k, b);
+    }
+  }
+  return index;
+}
+
+function toPlain(b) {
+  return {
+    code: b.code,
+    name: b.name,
+    loanSystemId: b.loanSystemId || '',
+    aliases: b.aliases || [],
+    adminEmail: b.adminEmail || '',
+    active: b.active !== false,
+  };
+}
+
+// The cache entry itself, so callers keep a reference invalidateCache() cannot null out
+async function loadCache({ fresh = false } = {}) {
+  const current = cache;
+  if (!fresh && current && Date.now() - current.at < CACHE_TTL_MS) return current;
+  const docs = await Branch.find().sort({ name: 1 }).lean();
+  const branches = (docs.length ? docs : DEFAULT_BRANCHES).map(toPlain);
+  const loaded = { at: Date.now(), branches, index: buildIndex(branches) };
+  cache = loaded;
+  return loaded;
+}
+
+/** Registry contents; falls back to config/branches.js until the collection is seeded. */
+async function loadBranches(opts) {
+  return (await loadCache(opts)).branches;
+}
+
+function invalidateCache() {
+  cache = null;
+}
+
+async function listBranches({ includeInactive = false } = {}) {
+  const branches = await loadBranches();
+  return includeInactive ? branches : branches.filter((b) => b.active);
+}
+
+/** Branch for any known identity, or null. */
+async function resolveBranch(input) {
+  const k = key(input);
+  if (!k) return null;
+  const { index } = await loadCache();
+  return index.get(k) || null;
+}
+
+/**
+ * Like resolveBranch but throws a 400 for unknown input and, unless
+ * allowInactive, for deactivated branches (writes should not target them).
+ */
+async function requireBranch(input, { allowInactive = false, field = 'branch' } = {}) {
+  if (!key(input)) throw httpError(400, `${field} is required`, 'BRANCH_REQUIRED');
+  const b = await resolveBranch(input);
+  if (!b) throw httpError(400, `Unknown ${field} '${input}'`, 'UNKNOWN_BRANCH');
+  if (!b.active && !allowInactive) throw httpError(400, `Branch '${b.name}' is inactive`, 'BRANCH_INACTIVE');
+  return b;
+}
+
+/** Loan.branchId for a branch identity; 400 when the branch has no loan-system id yet. */
+async function requireLoanSystemId(input, opts = {}) {
+  const b = await requireBranch(input, { allowInactive: true, ...opts });
+  if (!b.loanSystemId) {
+    throw httpError(400, `Branch '${b.name}' has no loanSystemId configured`, 'BRANCH_NO_LOAN_ID');
+  }
+  return b.loanSystemId;
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Reports are stored under the branch `name`; also match spellings written before the
+// registry existed, in any case ("MONZE", "monze"). Anchored case-insensitive patterns for $in.
+function reportBranchSpellings(b) {
+  const names = [...new Set([b.name, b.code, ...(b.aliases || [])].map((s) => String(s).toLowerCase()))];
+  return names.map((s) => new RegExp(`^${escapeRegex(s)}$`, 'i'));
+}
+
+// Zanaco rows are stored lowercased under the branch `code`
+function zanacoBranchSpellings(b) {
+  return [...new Set([b.code, b.name.toLowerCase(), ...(b.aliases || [])])];
+}
+
+// Zanaco allocations keyed on fromBranch (sender code) + branch (receiver); see scripts/migrateZanacoFromBranch.js
+function zanacoReceivedFilter(b) {
+  return { branch: { $in: zanacoBranchSpellings(b) } };
+}
+
+function zanacoSentFilter(b) {
+  return { fromBranch: b.code };
+}
+
+function zanacoInvolvingFilter(b) {
+  return { $or: [zanacoReceivedFilter(b), zanacoSentFilter(b)] };
+}
+
+// ---------------- CRUD ----------------
+
+function pickFields(input = {}) {
+  const out = {};
+  for (const k of EDITABLE_FIELDS) {
+    if (input[k] !== undefined) out[k] = input[k];
+  }
+  if (out.code !== undefined) out.code = key(out.code);
+  if (out.name !== undefined) out.name = String(out.name || '').trim();
+  if (out.loanSystemId !== undefined) out.loanSystemId = String(out.loanSystemId || '').trim();
+  if (out.adminEmail !== undefined) out.adminEmail = key(out.adminEmail);
+  if (out.active !== undefined) out.active = out.active === true || out.active === 'true';
+  if (out.aliases !== undefined) {
+    const list = Array.isArray(out.aliases) ? out.aliases : String(out.aliases || '').split(',');
+    out.aliases = [...new Set(list.map(key).filter(Boolean))];
+  }
+  return out;
+}
+
+/** Reject identities already used by another branch (they would make resolution ambiguous). */
+async function assertNoClash(candidate, ownCode) {
+  const docs = await Branch.find(ownCode ? { code: { $ne: ownCode } } : {}).lean();
+  const taken = buildIndex(docs.map(toPlain));
+  for (const k of identitiesOf(candidate)) {
+    const other = taken.get(k);
+    if (other) throw httpError(409, `'${k}' is already used by branch '${other.code}'`, 'BRANCH_CONFLICT');
+  }
+}
+
+/**
+ * The first write materialises the config defaults so they do not drop out of
+ * resolution once the collection is no longer empty.
+ */
+async function ensureSeeded() {
+  if ((await Branch.estimatedDocumentCount()) === 0) await seedDefaultBranches();
+}
+
+async function findByCode(code) {
+  const doc = await Branch.findOne({ code: key(code) }).lean();
+  if (!doc) throw httpError(404, 'Branch not found');
+  return doc;
+}
+
+async function createBranch(input) {
+  const fields = pickFields(input);
+  if (!fields.code) throw httpError(400, 'code is required');
+  if (!/^[a-z0-9-]+$/.test(fields.code)) throw httpError(400, 'code may only contain a-z, 0-9 and -');
+  if (!fields.name) throw httpError(400, 'name is required');
+
+  await ensureSeeded();
+  await assertNoClash(fields, null);
+  const doc = await Branch.create(fields);
+  invalidateCache();
+  return doc;
+}
+
+async function updateBranch(code, input) {
+  await ensureSeeded();
+  const existing = await findByCode(code);
+  const fields = pickFields(input);
+  delete fields.code; // code is the stable key other collections store
+  if (fields.name !== undefined && !fields.name) throw httpError(400, 'name cannot be empty');
+
+  await assertNoClash({ ...toPlain(existing), ...fields }, existing.code);
+  const doc = await Branch.findOneAndUpdate({ code: existing.code }, { $set: fields }, { new: true, runValidators: true });
+  invalidateCache();
+  return doc;
+}
+
+/** Branches are referenced by historical reports, so "delete" only deactivates. */
+async function deactivateBranch(code) {
+  await ensureSeeded();
+  await findByCode(code);
+  const doc = await Branch.findOneAndUpdate({ code: key(code) }, { $set: { active: false } }, { new: true });
+  invalidateCache();
+  return doc;
+}
+
+/** Insert config/branches.js entries that are missing; existing branches are left untouched. */
+async function seedDefaultBranches() {
+  const ops = DEFAULT_BRANCHES.map((b) => ({
+    updateOne: { filter: { code: b.code }, update: { $setOnInsert: b }, upsert: true },
+  }));
+  const result = await Branch.bulkWrite(ops, { ordered: false });
+  invalidateCache();
+  return result.upsertedCount || 0;
+}
+
+module.exports = {
+  loadBranches,
+  listBranches,
+  resolveBranch,
+  requireBranch,
+  requireLoanSystemId,
+  reportBranchSpellings,
+  zanacoBranchSpellings,
+  zanacoReceivedFilter,
+  zanacoSentFilter,
+  zanacoInvolvingFilter,
+  findByCode,
+  createBranch,
+  updateBranch,
+  deactivateBranch,
+  seedDefaultBranches,
+  invalidateCache,
+};
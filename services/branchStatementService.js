@@ -0,0 +1,153 @@
+// services/branchStatementService.js
+// Monthly branch statement PDF: the branch's MonthlyReport plus that month's
+// DailyReports and Zanaco distributions (received and sent), stored through
+// statementService so head office can download it later.
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const pdf = require('../utils/pdfDocument');
+const { reportBranchSpellings, zanacoReceivedFilter, zanacoSentFilter } = require('./branchService');
+const { normalizeDateToMonthStart, MONTHLY_AMOUNT_FIELDS, MONTHLY_COUNT_FIELDS } = require('./reportService');
+const statementService = require('./statementService');
+
+function sumOf(m) {
+  return Object.values(m || {}).reduce((s, v) => s + (Number(v) || 0), 0);
+}
+
+/**
+ * Everything printed on the statement.
+ * @param {Object} opts { branch: registry branch, month: any date in the month (e.g. '2025-03') }
+ */
+async function buildStatementData({ branch, month }) {
+  const start = normalizeDateToMonthStart(month);
+  if (!start) throw httpError(400, 'valid month is required (YYYY-MM)');
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  const inMonth = { $gte: start, $lt: end };
+
+  const [monthly, daily, received, sent] = await Promise.all([
+    MonthlyReport.findOne({ branch: { $in: reportBranchSpellings(branch) }, date: start }).lean(),
+    DailyReport.find({ branch: { $in: reportBranchSpellings(branch) }, date: inMonth }).sort({ date: 1 }).lean(),
+    ZanacoDistribution.find({ ...zanacoReceivedFilter(branch), date: inMonth }).sort({ date: 1, channel: 1 }).lean(),
+    ZanacoDistribution.find({ ...zanacoSentFilter(branch), date: inMonth }).sort({ date: 1, channel: 1 }).lean(),
+  ]);
+
+  const totals = { totalCollected: 0, totalDisbursed: 0, collectedForOtherBranches: 0, expenses: 0, pettyCash: 0 };
+  for (const d of daily) {
+    for (const k of Object.keys(totals)) totals[k] = roundMoney(totals[k] + (Number(d[k]) || 0));
+    totals.totalDisbursed = roundMoney(totals.totalDisbursed + (Number(d.loanDisbursements) || 0));
+  }
+  const zanacoReceived = roundMoney(received.reduce((s, z) => s + (Number(z.amount) || 0), 0));
+  const zanacoSent = roundMoney(sent.reduce((s, z) => s + (Number(z.amount) || 0), 0));
+  const last = daily[daily.length - 1];
+
+  return {
+    branch,
+    month: start,
+    monthly,
+    daily,
+    received,
+    sent,
+    summary: {
+      reportedDays: daily.length,
+      unbalancedDays: daily.filter((d) => d.reconciliation && d.reconciliation.balanced === false).length,
+      ...totals,
+      zanacoReceived,
+      zanacoSent,
+      zanacoNet: roundMoney(zanacoReceived - zanacoSent),
+      closingBalance: last ? roundMoney(sumOf(last.closingBalances)) : 0,
+      monthlySubmitted: !!monthly,
+      monthClosed: !!(monthly && monthly.closed),
+    },
+  };
+}
+
+/** Render the statement data to a PDF buffer. */
+async function renderStatement(data, { generatedBy } = {}) {
+  const { branch, month, monthly, daily, received, sent, summary } = data;
+  const label = month.toISOString().slice(0, 7);
+  const doc = pdf.createDocument({ Title: `Branch statement ${branch.name} ${label}` });
+  const done = pdf.toBuffer(doc);
+
+  pdf.title(doc, `Branch statement - ${branch.name}`, `Month ${label}${summary.monthClosed ? ' (closed)' : ''}`);
+
+  pdf.section(doc, 'Summary');
+  pdf.keyValues(doc, [
+    ['Days reported', `${summary.reportedDays}${summary.unbalancedDays ? ` (${summary.unbalancedDays} unbalanced)` : ''}`],
+    ['Total collected', pdf.formatMoney(summary.totalCollected)],
+    ['Total disbursed', pdf.formatMoney(summary.totalDisbursed)],
+    ['Collected for other branches', pdf.formatMoney(summary.collectedForOtherBranches)],
+    ['Expenses', pdf.formatMoney(summary.expenses)],
+    ['Petty cash', pdf.formatMoney(summary.pettyCash)],
+    ['Zanaco received', pdf.formatMoney(summary.zanacoReceived)],
+    ['Zanaco sent', pdf.formatMoney(summary.zanacoSent)],
+    ['Zanaco net', pdf.formatMoney(summary.zanacoNet)],
+    ['Closing balance (last report)', pdf.formatMoney(summary.closingBalance)],
+  ]);
+
+  pdf.section(doc, 'Monthly report');
+  if (monthly) {
+    pdf.keyValues(doc, [
+      ...MONTHLY_AMOUNT_FIELDS.map((f) => [f, pdf.formatMoney(monthly[f])]),
+      ...MONTHLY_COUNT_FIELDS.map((f) => [f, Number(monthly[f]) || 0]),
+    ]);
+  } else {
+    pdf.note(doc, 'No monthly report submitted for this month.');
+  }
+
+  pdf.section(doc, 'Daily reports');
+  if (daily.length) {
+    pdf.table(doc, [
+      { header: 'Date', width: 62, value: (d) => pdf.formatDay(d.date) },
+      { header: 'Opening', width: 62, align: 'right', value: (d) => pdf.formatMoney(sumOf(d.openingBalances)) },
+      { header: 'Collected', width: 62, align: 'right', value: (d) => pdf.formatMoney(d.totalCollected) },
+      { header: 'Disbursed', width: 62, align: 'right', value: (d) => pdf.formatMoney((Number(d.totalDisbursed) || 0) + (Number(d.loanDisbursements) || 0)) },
+      { header: 'Expenses', width: 56, align: 'right', value: (d) => pdf.formatMoney(d.expenses) },
+      { header: 'Petty cash', width: 56, align: 'right', value: (d) => pdf.formatMoney(d.pettyCash) },
+      { header: 'Closing', width: 62, align: 'right', value: (d) => pdf.formatMoney(sumOf(d.closingBalances)) },
+      { header: 'Balanced', width: 50, value: (d) => (d.reconciliation && d.reconciliation.balanced === false ? 'No' : 'Yes') },
+    ], daily);
+  } else {
+    pdf.note(doc, 'No daily reports for this month.');
+  }
+
+  const zanacoColumns = (other, otherHeader) => [
+    { header: 'Date', width: 70, value: (z) => pdf.formatDay(z.date) },
+    { header: otherHeader, width: 160, value: other },
+    { header: 'Channel', width: 90, value: (z) => z.channel },
+    { header: 'Amount', width: 90, align: 'right', value: (z) => pdf.formatMoney(z.amount) },
+  ];
+  pdf.section(doc, 'Zanaco received');
+  if (received.length) pdf.table(doc, zanacoColumns((z) => z.fromBranch || '', 'From'), received);
+  else pdf.note(doc, 'Nothing received.');
+  pdf.section(doc, 'Zanaco sent');
+  if (sent.length) pdf.table(doc, zanacoColumns((z) => z.branch, 'To'), sent);
+  else pdf.note(doc, 'Nothing sent.');
+
+  pdf.footer(doc, `Generated ${new Date().toISOString()}${generatedBy ? ` by ${generatedBy}` : ''}`);
+  doc.end();
+  return done;
+}
+
+/**
+ * Build, render and store the statement for a branch-month.
+ * @returns the Statement record
+ */
+async function generateBranchStatement({ branch, month, actor }) {
+  const data = await buildStatementData({ branch, month });
+  const generatedBy = (actor && actor.email) || null;
+  const buffer = await renderStatement(data, { generatedBy });
+  const label = data.month.toISOString().slice(0, 7);
+  return statementService.storeStatement({
+    kind: 'branch',
+    branch: branch.code,
+    period: data.month,
+    filename: `statement_${branch.code}_${label}.pdf`,
+    buffer,
+    generatedBy,
+    summary: data.summary,
+  });
+}
+
+module.exports = { buildStatementData, renderStatement, generateBranchStatement };
@@ -0,0 +1,223 @@
+// services/channelService.js
+// Channel registry lookups. Zanaco allocations, daily report balance maps and
+// bank statements name a channel in whatever spelling the client used; it is
+// resolved to one Channel and stored under its code. Unknown channels are
+// rejected rather than stored, so a typo cannot open a new wallet.
+const Channel = require('../models/Channel');
+const { DEFAULT_CHANNELS } = require('../config/channels');
+const { httpError } = require('../utils/httpError');
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null; // { at, channels, index }
+
+const EDITABLE_FIELDS = ['code', 'name', 'aliases', 'sortOrder', 'active'];
+
+// DailyReport maps keyed by channel code
+const CHANNEL_MAP_FIELDS = ['openingBalances', 'loanCounts', 'closingBalances', 'zanacoApplied', 'zanacoAdjustments'];
+
+function key(v) {
+  return (v == null ? '' : String(v)).trim().toLowerCase();
+}
+
+function identitiesOf(c) {
+  return [c.code, c.name, ...(c.aliases || [])].map(key).filter(Boolean);
+}
+
+function buildIndex(channels) {
+  const index = new Map();
+  for (const c of channels) {
+    for (const k of identitiesOf(c)) {
+      if (!index.has(k)) index.set(k, c);
+    }
+  }
+  return index;
+}
+
+function toPlain(c) {
+  return {
+    code: c.code,
+    name: c.name,
+    aliases: c.aliases || [],
+    sortOrder: Number(c.sortOrder) || 0,
+    active: c.active !== false,
+  };
+}
+
+// The cache entry itself, so callers keep a reference invalidateCache() cannot null out
+async function loadCache({ fresh = false } = {}) {
+  const current = cache;
+  if (!fresh && current && Date.now() - current.at < CACHE_TTL_MS) return current;
+  const docs = await Channel.find().sort({ sortOrder: 1, code: 1 }).lean();
+  const channels = (docs.length ? docs : DEFAULT_CHANNELS).map(toPlain);
+  const loaded = { at: Date.now(), channels, index: buildIndex(channels) };
+  cache = loaded;
+  return loaded;
+}
+
+/** Registry contents in display order; falls back to config/channels.js until the collection is seeded. */
+async function loadChannels(opts) {
+  return (await loadCache(opts)).channels;
+}
+
+function invalidateCache() {
+  cache = null;
+}
+
+async function listChannels({ includeInactive = false } = {}) {
+  const channels = await loadChannels();
+  return includeInactive ? channels : channels.filter((c) => c.active);
+}
+
+/** Channel codes in display order. */
+async function channelCodes(opts) {
+  return (await listChannels(opts)).map((c) => c.code);
+}
+
+/** Channel for any known identity, or null. */
+async function resolveChannel(input) {
+  const k = key(input);
+  if (!k) return null;
+  const { index } = await loadCache();
+  return index.get(k) || null;
+}
+
+/**
+ * Like resolveChannel but throws a 400 for unknown input and, unless
+ * allowInactive, for deactivated channels (new allocations should not use them).
+ */
+async function requireChannel(input, { allowInactive = false, field = 'channel' } = {}) {
+  if (!key(input)) throw httpError(400, `${field} is required`, 'CHANNEL_REQUIRED');
+  const c = await resolveChannel(input);
+  if (!c) throw httpError(400, `Unknown ${field} '${input}'`, 'UNKNOWN_CHANNEL');
+  if (!c.active && !allowInactive) throw httpError(400, `Channel '${c.name}' is inactive`, 'CHANNEL_INACTIVE');
+  return c;
+}
+
+/**
+ * Rekey a { channel: value } map by channel code. Inactive channels are kept
+ * (old reports still carry them); unknown keys, or two spellings of one
+ * channel, are a 400.
+ */
+async function normalizeChannelMap(map, field) {
+  const out = {};
+  for (const [k, v] of Object.entries(map || {})) {
+    const c = await requireChannel(k, { allowInactive: true, field: `${field} key` });
+    if (Object.prototype.hasOwnProperty.call(out, c.code)) {
+      throw httpError(400, `${field} has '${c.code}' more than once`, 'DUPLICATE_CHANNEL');
+    }
+    out[c.code] = v;
+  }
+  return out;
+}
+
+/** DailyReport fields (buildDailyFields output) with every channel map keyed by code. Mutates and returns `fields`. */
+async function normalizeDailyChannels(fields) {
+  for (const f of CHANNEL_MAP_FIELDS) {
+    if (fields[f] && typeof fields[f] === 'object') fields[f] = await normalizeChannelMap(fields[f], f);
+  }
+  return fields;
+}
+
+// ---------------- CRUD ----------------
+
+function pickFields(input = {}) {
+  const out = {};
+  for (const k of EDITABLE_FIELDS) {
+    if (input[k] !== undefined) out[k] = input[k];
+  }
+  if (out.code !== undefined) out.code = key(out.code);
+  if (out.name !== undefined) out.name = String(out.name || '').trim();
+  if (out.sortOrder !== undefined) out.sortOrder = Number(out.sortOrder) || 0;
+  if (out.active !== undefined) out.active = out.active === true || out.active === 'true';
+  if (out.aliases !== undefined) {
+    const list = Array.isArray(out.aliases) ? out.aliases : String(out.aliases || '').split(',');
+    out.aliases = [...new Set(list.map(key).filter(Boolean))];
+  }
+  return out;
+}
+
+/** Reject identities already used by another channel (they would make resolution ambiguous). */
+async function assertNoClash(candidate, ownCode) {
+  const docs = await Channel.find(ownCode ? { code: { $ne: ownCode } } : {}).lean();
+  const taken = buildIndex(docs.map(toPlain));
+  for (const k of identitiesOf(candidate)) {
+    const other = taken.get(k);
+    if (other) throw httpError(409, `'${k}' is already used by channel '${other.code}'`, 'CHANNEL_CONFLICT');
+  }
+}
+
+/**
+ * The first write materialises the config defaults so they do not drop out of
+ * resolution once the collection is no longer empty.
+ */
+async function ensureSeeded() {
+  if ((await Channel.estimatedDocumentCount()) === 0) await seedDefaultChannels();
+}
+
+async function findByCode(code) {
+  const doc = await Channel.findOne({ code: key(code) }).lean();
+  if (!doc) throw httpError(404, 'Channel not found');
+  return doc;
+}
+
+async function createChannel(input) {
+  const fields = pickFields(input);
+  if (!fields.code) throw httpError(400, 'code is required');
+  if (!/^[a-z0-9-]+$/.test(fields.code)) throw httpError(400, 'code may only contain a-z, 0-9 and -');
+  if (!fields.name) throw httpError(400, 'name is required');
+
+  await ensureSeeded();
+  await assertNoClash(fields, null);
+  const doc = await Channel.create(fields);
+  invalidateCache();
+  return doc;
+}
+
+async function updateChannel(code, input) {
+  await ensureSeeded();
+  const existing = await findByCode(code);
+  const fields = pickFields(input);
+  delete fields.code; // code is the key zanaco rows and report maps store
+  if (fields.name !== undefined && !fields.name) throw httpError(400, 'name cannot be empty');
+
+  await assertNoClash({ ...toPlain(existing), ...fields }, existing.code);
+  const doc = await Channel.findOneAndUpdate({ code: existing.code }, { $set: fields }, { new: true, runValidators: true });
+  invalidateCache();
+  return doc;
+}
+
+/** Channels are referenced by historical reports, so "delete" only deactivates. */
+async function deactivateChannel(code) {
+  await ensureSeeded();
+  await findByCode(code);
+  const doc = await Channel.findOneAndUpdate({ code: key(code) }, { $set: { active: false } }, { new: true });
+  invalidateCache();
+  return doc;
+}
+
+/** Insert config/channels.js entries that are missing; existing channels are left untouched. */
+async function seedDefaultChannels() {
+  const ops = DEFAULT_CHANNELS.map((c) => ({
+    updateOne: { filter: { code: c.code }, update: { $setOnInsert: c }, upsert: true },
+  }));
+  const result = await Channel.bulkWrite(ops, { ordered: false });
+  invalidateCache();
+  return result.upsertedCount || 0;
+}
+
+module.exports = {
+  CHANNEL_MAP_FIELDS,
+  loadChannels,
+  listChannels,
+  channelCodes,
+  resolveChannel,
+  requireChannel,
+  normalizeChannelMap,
+  normalizeDailyChannels,
+  findByCode,
+  createChannel,
+  updateChannel,
+  deactivateChannel,
+  seedDefaultChannels,
+  invalidateCache,
+};
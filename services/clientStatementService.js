@@ -0,0 +1,105 @@
+// services/clientStatementService.js
+// Borrower loan statement PDF (GET /api/clients/me/statement): every loan with
+// its status, principal, outstanding balance split (utils/loanBalance.js), next
+// due date, and the payments posted against it in the requested period.
+const Repayment = require('../models/Repayment');
+const { roundMoney, balanceComponents, loanActualBalance, toNumber } = require('../utils/loanBalance');
+const { dateRange } = require('../utils/pagination');
+const pdf = require('../utils/pdfDocument');
+
+/** Loan's next due date and amount: the stored figures, else the first unpaid installment. */
+function nextInstallment(loan) {
+  if (loanActualBalance(loan) <= 0) return { date: null, amount: 0 };
+  if (loan.nextDueDate) return { date: loan.nextDueDate, amount: toNumber(loan.nextInstallmentAmount) || toNumber(loan.amortizationDue) };
+  const open = (loan.schedule || []).find((i) => i.status !== 'paid');
+  return open ? { date: open.dueDate, amount: roundMoney(toNumber(open.amount) - toNumber(open.paidAmount)) } : { date: null, amount: 0 };
+}
+
+/** Posted and reversed payments per loan id in [from, to]. */
+async function paymentsByLoan(loans, range) {
+  const ids = loans.map((l) => l._id).filter(Boolean);
+  const byLoan = new Map();
+  if (!ids.length) return byLoan;
+  const q = { loanId: { $in: ids } };
+  if (range) q.paidAt = range;
+  const rows = await Repayment.find(q).sort({ paidAt: 1 }).lean();
+  for (const r of rows) {
+    const k = String(r.loanId);
+    if (!byLoan.has(k)) byLoan.set(k, []);
+    byLoan.get(k).push(r);
+  }
+  return byLoan;
+}
+
+/**
+ * @param {Object} opts { borrower: { fullName, phone, email, address }, loans (lean), from, to }
+ * @returns PDF buffer
+ */
+async function renderClientStatement({ borrower, loans, from, to }) {
+  const range = dateRange(from, to);
+  const payments = await paymentsByLoan(loans, range);
+
+  const ordered = [...loans].sort((a, b) => new Date(b.importedAt || 0) - new Date(a.importedAt || 0));
+  let totalBorrowed = 0;
+  let totalBalance = 0;
+  for (const l of ordered) {
+    totalBorrowed += toNumber(l.principalAmount);
+    totalBalance += loanActualBalance(l);
+  }
+
+  const period = range
+    ? `${range.$gte ? pdf.formatDay(range.$gte) : 'start'} to ${range.$lte ? pdf.formatDay(range.$lte) : 'today'}`
+    : 'all payments';
+
+  const doc = pdf.createDocument({ Title: `Loan statement ${borrower.fullName}` });
+  const done = pdf.toBuffer(doc);
+
+  pdf.title(doc, 'Loan statement', `Statement date ${pdf.formatDay(new Date())} - payments: ${period}`);
+  pdf.keyValues(doc, [
+    ['Name', borrower.fullName || '-'],
+    ['Phone', borrower.phone || '-'],
+    ['Email', borrower.email || '-'],
+    ['Address', borrower.address || '-'],
+    ['Loans', ordered.length],
+    ['Total borrowed', pdf.formatMoney(totalBorrowed)],
+    ['Total outstanding', pdf.formatMoney(totalBalance)],
+  ]);
+
+  ordered.forEach((loan, idx) => {
+    const { penalty, interest, principal } = balanceComponents(loan);
+    const next = nextInstallment(loan);
+    pdf.section(doc, `Loan ${idx + 1} - ${loan.loanStatus || 'Unknown'}`);
+    pdf.keyValues(doc, [
+      ['Disbursed', loan.terms && loan.terms.startDate ? pdf.formatDay(loan.terms.startDate) : '-'],
+      ['Principal', pdf.formatMoney(loan.principalAmount)],
+      ['Principal due', pdf.formatMoney(principal)],
+      ['Interest balance', pdf.formatMoney(interest)],
+      ['Penalty', pdf.formatMoney(penalty)],
+      ['Outstanding balance', pdf.formatMoney(loanActualBalance(loan))],
+      ['Next due date', next.date ? pdf.formatDay(next.date) : '-'],
+      ['Next due amount', next.date ? pdf.formatMoney(next.amount) : '-'],
+    ]);
+
+    const rows = loan._id ? payments.get(String(loan._id)) || [] : [];
+    if (!rows.length) {
+      pdf.note(doc, 'No payments in this period.');
+      return;
+    }
+    pdf.table(doc, [
+      { header: 'Date', width: 65, value: (r) => pdf.formatDay(r.paidAt) },
+      { header: 'Amount', width: 70, align: 'right', value: (r) => pdf.formatMoney(r.amount) },
+      { header: 'Method', width: 55, value: (r) => r.method },
+      { header: 'Reference', width: 90, value: (r) => r.reference || '' },
+      { header: 'Balance after', width: 75, align: 'right', value: (r) => pdf.formatMoney(r.balanceAfter) },
+      { header: 'Status', width: 60, value: (r) => (r.status === 'reversed' ? 'Reversed' : 'Posted') },
+    ], rows);
+  });
+
+  if (!ordered.length) pdf.note(doc, 'No loans on record.');
+
+  pdf.footer(doc, `Generated ${new Date().toISOString()}`);
+  doc.end();
+  return done;
+}
+
+module.exports = { renderClientStatement };
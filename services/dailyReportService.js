@@ -0,0 +1,214 @@
+// services/dailyReportService.js
+// DailyReport writes, lookups and deletes behind routes/reports.js. Every write
+// adds applied Zanaco (zanacoApplyService) and loans disbursed through the API,
+// and reconciles against the branch's previous day (reconciliationService)
+// before it is stored.
+const DailyReport = require('../models/DailyReport');
+const LoanApplication = require('../models/LoanApplication');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const channelService = require('./channelService');
+const periodService = require('./periodService');
+const reconciliationService = require('./reconciliationService');
+const zanacoApplyService = require('./zanacoApplyService');
+const { normalizeDateToDay, buildDailyFields, syncTarget, writeReports, reportWriteFilters, isDuplicateKey } = require('./reportService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Principal of the branch's loan applications disbursed on a UTC day. */
+async function loanDisbursedOn(branch, date) {
+  const [row] = await LoanApplication.aggregate([
+    {
+      $match: {
+        status: 'disbursed',
+        branch: { $in: branchService.reportBranchSpellings(branch) },
+        disbursedAt: { $gte: date, $lt: new Date(date.getTime() + DAY_MS) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$principalAmount' } } }
+  ]);
+  return roundMoney(row ? row.total : 0);
+}
+
+/**
+ * Set loanDisbursements on incoming daily reports (call before
+ * reconciliationService.applyCarryForward). Mutates item.data.
+ * @param {Array} items [{ branch: registry branch, data: { date, ... } }]
+ */
+async function withLoanDisbursements(items) {
+  for (const item of items) item.data.loanDisbursements = await loanDisbursedOn(item.branch, item.data.date);
+  return items;
+}
+
+/**
+ * Bring a stored report's loanDisbursements in line after a disbursement and
+ * re-reconcile it. The day must be open; nothing to do when the branch has not
+ * reported it yet (the next write picks the figure up).
+ * @returns the updated report, or null when there is none
+ */
+async function refreshLoanDisbursements(branch, dateInput) {
+  const date = normalizeDateToDay(dateInput);
+  if (!date) throw httpError(400, 'valid date is required');
+  await periodService.assertDayOpen(branch, date);
+  const report = await DailyReport.findOne({ branch: { $in: branchService.reportBranchSpellings(branch) }, date }).lean();
+  if (!report) return null;
+
+  const data = { ...report, loanDisbursements: await loanDisbursedOn(branch, date) };
+  await reconciliationService.applyCarryForward([{ branch, data }]);
+  data.reconciliation.openingAutoFilled = !!(report.reconciliation && report.reconciliation.openingAutoFilled);
+
+  const updated = await DailyReport.findOneAndUpdate(
+    { _id: report._id, closed: { $ne: true } },
+    { $set: { loanDisbursements: data.loanDisbursements, reconciliation: data.reconciliation } },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(409, `Daily report for ${branch.name} on ${date.toISOString().slice(0, 10)} was closed`, 'PERIOD_CLOSED');
+  return updated;
+}
+
+/**
+ * Bulk upsert from the legacy sync endpoint. Items outside the scope, for
+ * unknown/inactive branches, with unknown channel keys or for closed days are
+ * skipped, not failed.
+ * @param {Object} opts { reports: [raw], autoFillOpening (whole batch), scope (req.branchScope) }
+ * @returns { message, saved, skipped, errors, exceptions, bulkWriteResult }
+ */
+async function syncDailyReports({ reports, autoFillOpening = false, scope = null }) {
+  if (!reports || !Array.isArray(reports)) throw httpError(400, 'Invalid request: expected { reports: [...] }');
+
+  const skipped = [];
+  const errors = [];
+  const exceptions = [];
+  const prepared = [];
+
+  for (const raw of reports) {
+    try {
+      const target = await syncTarget(raw, { scope, normalizeDate: normalizeDateToDay, lock: periodService.dayLock });
+      if (target.skip) {
+        skipped.push({ ...target.skip, item: raw });
+        continue;
+      }
+      let fields;
+      try {
+        fields = await channelService.normalizeDailyChannels(buildDailyFields(raw));
+      } catch (err) {
+        if (!err.status) throw err;
+        skipped.push({ reason: err.message, code: err.code, item: raw });
+        continue;
+      }
+      let stored;
+      try {
+        stored = await zanacoApplyService.baseReport(target.branch, target.date, raw.baseVersion ?? raw.version);
+      } catch (err) {
+        if (!err.status) throw err;
+        skipped.push({ reason: err.message, code: err.code, details: err.details, item: raw });
+        continue;
+      }
+      const data = { branch: target.branch.name, date: target.date, ...fields };
+      prepared.push({ branch: target.branch, data, stored, autoFill: !!(raw.autoFillOpening || autoFillOpening) });
+    } catch (inner) {
+      console.error('prepare op error:', inner);
+      errors.push({ item: raw, error: inner.message || String(inner) });
+    }
+  }
+
+  if (prepared.length === 0) return { message: 'No valid reports to process', saved: [], skipped, errors };
+
+  // Add applied Zanaco and API disbursements, then chain each report to the branch's previous day (may be earlier in this batch)
+  await zanacoApplyService.withZanaco(prepared);
+  await withLoanDisbursements(prepared);
+  await reconciliationService.applyCarryForward(prepared);
+
+  for (const { data } of prepared) {
+    if (!data.reconciliation.balanced) {
+      exceptions.push({
+        branch: data.branch,
+        date: data.date.toISOString(),
+        variance: data.reconciliation.variance,
+        failedRules: data.reconciliation.failedRules
+      });
+    }
+  }
+
+  const { saved, closed, bulkWriteResult } = await writeReports(DailyReport, prepared.map((p) => p.data), errors);
+  skipped.push(...closed);
+  return { message: `${saved.length} reports processed (bulkWrite)`, saved, skipped, errors, exceptions, bulkWriteResult };
+}
+
+/**
+ * Upsert one report.
+ * @param {Object} opts { branch: registry branch (already access-checked), raw: client payload incl. date, autoFillOpening? }
+ */
+async function saveDailyReport({ branch, raw }) {
+  const date = normalizeDateToDay(raw.date);
+  if (!date) throw httpError(400, 'branch and valid date required');
+  await periodService.assertDayOpen(branch, date);
+
+  const fields = await channelService.normalizeDailyChannels(buildDailyFields(raw));
+  const stored = await zanacoApplyService.baseReport(branch, date, raw.baseVersion ?? raw.version);
+  const item = { branch, data: { branch: branch.name, date, ...fields }, stored, autoFill: !!raw.autoFillOpening };
+  await zanacoApplyService.withZanaco([item]);
+  await withLoanDisbursements([item]);
+  await reconciliationService.applyCarryForward([item]);
+
+  const [filter] = await reportWriteFilters(DailyReport, [item.data]);
+  try {
+    return await DailyReport.findOneAndUpdate(
+      filter,
+      { $set: item.data, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // the day was closed after assertDayOpen: the upsert collided with the closed report
+    if (!isDuplicateKey(err)) throw err;
+    await periodService.assertDayOpen(branch, date);
+    throw httpError(409, `Day ${date.toISOString().slice(0, 10)} is closed for ${branch.name}`, periodService.PERIOD_CLOSED);
+  }
+}
+
+/** The report of a branch-day under any spelling of the branch, or null. */
+async function findDailyReport({ branch, date: dateInput }) {
+  const date = normalizeDateToDay(dateInput);
+  if (!date) throw httpError(400, 'invalid date');
+  return DailyReport.findOne({ branch: { $in: branchService.reportBranchSpellings(branch) }, date }).lean();
+}
+
+/** Delete a branch-day's report (the day must be open). 404 when there is none. */
+async function deleteDailyReport({ branch, date: dateInput }) {
+  const start = normalizeDateToDay(dateInput);
+  if (!start) throw httpError(400, 'invalid date format');
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  await periodService.assertDayOpen(branch, start);
+
+  const deleted = await DailyReport.findOneAndDelete({
+    branch: { $in: branchService.reportBranchSpellings(branch) },
+    date: { $gte: start, $lt: end },
+    closed: { $ne: true }
+  });
+  if (!deleted) throw httpError(404, 'Report not found');
+  return deleted;
+}
+
+/** Delete a report by _id; branch_admin (scope) only within their branch. */
+async function deleteDailyReportById({ id, scope = null }) {
+  const existing = await DailyReport.findById(id).select('branch date').lean();
+  if (!existing) throw httpError(404, 'Not found');
+  const owner = await branchService.resolveBranch(existing.branch);
+  if (scope && !(owner && owner.code === scope.code)) throw httpError(403, 'Report belongs to another branch', 'BRANCH_FORBIDDEN');
+  if (owner) await periodService.assertReportOpen('day', owner, existing);
+
+  const deleted = await DailyReport.findOneAndDelete({ _id: id, closed: { $ne: true } });
+  if (!deleted) throw httpError(404, 'Not found');
+  return deleted;
+}
+
+module.exports = {
+  withLoanDisbursements,
+  refreshLoanDisbursements,
+  syncDailyReports,
+  saveDailyReport,
+  findDailyReport,
+  deleteDailyReport,
+  deleteDailyReportById,
+};
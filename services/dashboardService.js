@@ -0,0 +1,159 @@
+// services/dashboardService.js
+// Consolidated per-branch and company totals for the ovadmin dashboard,
+// computed with aggregations over DailyReport, ZanacoDistribution and Loan.
+const DailyReport = require('../models/DailyReport');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const { portfolioAtRisk } = require('./portfolioService');
+const { normalizeDateToDay } = require('./reportService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyRow(branch) {
+  return {
+    code: branch ? branch.code : null,
+    name: branch ? branch.name : null,
+    disbursed: 0,
+    collected: 0,
+    collectedForOtherBranches: 0,
+    expenses: 0,
+    pettyCash: 0,
+    reportedDays: 0,
+    zanaco: { received: 0, sent: 0, net: 0 },
+    activeLoans: 0,
+    outstandingBalance: 0,
+    par: { par1: 0, par30: 0, par60: 0, par90: 0 },
+  };
+}
+
+/** [from, to] as whole UTC days; defaults to the current month up to today. */
+function parseRange(from, to) {
+  const today = normalizeDateToDay(new Date());
+  const end = to ? normalizeDateToDay(to) : today;
+  const start = from
+    ? normalizeDateToDay(from)
+    : end && new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  if (!start || !end) throw httpError(400, 'Invalid from/to');
+  if (start > end) throw httpError(400, 'from must be before to');
+  return { start, end, endExclusive: new Date(end.getTime() + DAY_MS) };
+}
+
+/**
+ * @param {Object} opts { from, to, branch: registry branch to limit to (branch_admin scope), or null for all }
+ * @returns { from, to, asOf, branches: [row], totals: row, unmatched: [{ source, key }] }
+ */
+async function getDashboard({ from, to, branch = null } = {}) {
+  const { start, end, endExclusive } = parseRange(from, to);
+  const dateRange = { $gte: start, $lt: endExclusive };
+
+  const dailyMatch = { date: dateRange };
+  const receivedMatch = { date: dateRange };
+  const sentMatch = { date: dateRange };
+  if (branch) {
+    dailyMatch.branch = { $in: branchService.reportBranchSpellings(branch) };
+    Object.assign(receivedMatch, branchService.zanacoReceivedFilter(branch));
+    Object.assign(sentMatch, branchService.zanacoSentFilter(branch));
+  }
+
+  const [daily, received, sent, portfolio] = await Promise.all([
+    DailyReport.aggregate([
+      { $match: dailyMatch },
+      {
+        $group: {
+          _id: '$branch',
+          disbursed: { $sum: { $add: [{ $ifNull: ['$totalDisbursed', 0] }, { $ifNull: ['$loanDisbursements', 0] }] } },
+          collected: { $sum: { $ifNull: ['$totalCollected', 0] } },
+          collectedForOtherBranches: { $sum: { $ifNull: ['$collectedForOtherBranches', 0] } },
+          expenses: { $sum: { $ifNull: ['$expenses', 0] } },
+          pettyCash: { $sum: { $ifNull: ['$pettyCash', 0] } },
+          reportedDays: { $sum: 1 },
+        },
+      },
+    ]),
+    ZanacoDistribution.aggregate([
+      { $match: receivedMatch },
+      { $group: { _id: '$branch', amount: { $sum: { $ifNull: ['$amount', 0] } } } },
+    ]),
+    ZanacoDistribution.aggregate([
+      { $match: sentMatch },
+      { $group: { _id: '$fromBranch', amount: { $sum: { $ifNull: ['$amount', 0] } } } },
+    ]),
+    // Loans only carry the loan-system id; a branch without one has no loan figures
+    branch && !branch.loanSystemId
+      ? Promise.resolve({ branches: [] })
+      : portfolioAtRisk({ branchId: branch ? branch.loanSystemId : '', asOf: end }),
+  ]);
+
+  const rows = new Map();
+  const unmatched = [];
+  const initial = branch ? [branch] : await branchService.listBranches();
+  for (const b of initial) rows.set(b.code, emptyRow(b));
+
+  async function rowFor(source, key) {
+    const b = key ? await branchService.resolveBranch(key) : null;
+    if (!b) {
+      unmatched.push({ source, key: key == null ? null : key });
+      return null;
+    }
+    if (!rows.has(b.code)) rows.set(b.code, emptyRow(b));
+    return rows.get(b.code);
+  }
+
+  for (const d of daily) {
+    const row = await rowFor('daily', d._id);
+    if (!row) continue;
+    for (const k of ['disbursed', 'collected', 'collectedForOtherBranches', 'expenses', 'pettyCash']) {
+      row[k] = roundMoney(row[k] + d[k]);
+    }
+    row.reportedDays += d.reportedDays;
+  }
+  for (const z of received) {
+    const row = await rowFor('zanaco', z._id);
+    if (row) row.zanaco.received = roundMoney(row.zanaco.received + z.amount);
+  }
+  for (const z of sent) {
+    if (!z._id) continue; // legacy rows without a sender only count as received
+    const row = await rowFor('zanaco', z._id);
+    if (row) row.zanaco.sent = roundMoney(row.zanaco.sent + z.amount);
+  }
+  for (const p of portfolio.branches) {
+    const row = await rowFor('loans', p.branchId);
+    if (!row) continue;
+    row.activeLoans = p.totalLoans;
+    row.outstandingBalance = p.totalBalance;
+    row.par = p.par;
+  }
+
+  const branches = [...rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+  const totals = emptyRow(null);
+  totals.code = 'ALL';
+  totals.name = 'Company';
+  for (const row of branches) {
+    row.zanaco.net = roundMoney(row.zanaco.received - row.zanaco.sent);
+    for (const k of ['disbursed', 'collected', 'collectedForOtherBranches', 'expenses', 'pettyCash']) {
+      totals[k] = roundMoney(totals[k] + row[k]);
+    }
+    totals.reportedDays += row.reportedDays;
+    for (const k of ['received', 'sent', 'net']) totals.zanaco[k] = roundMoney(totals.zanaco[k] + row.zanaco[k]);
+  }
+  // Loan figures come from the portfolio totals so loans of unmatched branch ids still count;
+  // company PAR is balance-weighted over every loan, not an average of branch ratios
+  if (portfolio.totals) {
+    totals.activeLoans = portfolio.totals.totalLoans;
+    totals.outstandingBalance = portfolio.totals.totalBalance;
+    totals.par = portfolio.totals.par;
+  }
+
+  return {
+    from: start.toISOString().slice(0, 10),
+    to: end.toISOString().slice(0, 10),
+    asOf: portfolio.asOf || end.toISOString(),
+    branches,
+    totals,
+    unmatched,
+  };
+}
+
+module.exports = { getDashboard };
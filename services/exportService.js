@@ -0,0 +1,179 @@
+// services/exportService.js
+// CSV / XLSX export of DailyReport and MonthlyReport rows.
+//
+// Map fields (openingBalances, loanCounts, closingBalances) are flattened into
+// one column per channel code, e.g. "Opening airtel", "Loans airtel", "Closing airtel".
+// Every active registry channel gets a column, in registry order; keys found in the
+// matching reports that the registry no longer lists follow, so every row has the
+// same columns.
+const ExcelJS = require('exceljs');
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const { httpError } = require('../utils/httpError');
+const { MONTHLY_AMOUNT_FIELDS, MONTHLY_COUNT_FIELDS } = require('./reportService');
+const channelService = require('./channelService');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const DAILY_MAP_FIELDS = [
+  { field: 'openingBalances', label: 'Opening' },
+  { field: 'loanCounts', label: 'Loans' },
+  { field: 'closingBalances', label: 'Closing' },
+];
+
+const DAILY_TOTAL_FIELDS = ['totalDisbursed', 'loanDisbursements', 'totalCollected', 'collectedForOtherBranches', 'pettyCash', 'expenses'];
+
+function isoDay(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : '';
+}
+
+function isoTime(d) {
+  return d ? new Date(d).toISOString() : '';
+}
+
+function numberOr0(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/** Distinct keys of a Map field over the matching reports, sorted. */
+async function mapKeys(Model, filter, field) {
+  const rows = await Model.aggregate([
+    { $match: filter },
+    { $project: { kv: { $objectToArray: { $ifNull: [`$${field}`, {}] } } } },
+    { $unwind: '$kv' },
+    { $group: { _id: '$kv.k' } },
+  ]);
+  return rows.map((r) => r._id).sort();
+}
+
+/** [{ header, value(doc) }] for a daily export. */
+async function dailyColumns(filter) {
+  const columns = [
+    { header: 'Branch', value: (d) => d.branch },
+    { header: 'Date', value: (d) => isoDay(d.date) },
+  ];
+  const registered = await channelService.channelCodes({ includeInactive: true });
+  const active = await channelService.channelCodes();
+  for (const { field, label } of DAILY_MAP_FIELDS) {
+    const found = await mapKeys(DailyReport, filter, field);
+    const keys = [
+      ...registered.filter((c) => active.includes(c) || found.includes(c)),
+      ...found.filter((k) => !registered.includes(k)),
+    ];
+    for (const key of keys) {
+      columns.push({ header: `${label} ${key}`, value: (d) => numberOr0(d[field] && d[field][key]) });
+    }
+  }
+  for (const f of DAILY_TOTAL_FIELDS) columns.push({ header: f, value: (d) => numberOr0(d[f]) });
+  columns.push(
+    { header: 'balanced', value: (d) => (d.reconciliation && d.reconciliation.balanced != null ? d.reconciliation.balanced : '') },
+    { header: 'variance', value: (d) => (d.reconciliation && d.reconciliation.variance != null ? d.reconciliation.variance : '') },
+    { header: 'closed', value: (d) => !!d.closed },
+    { header: 'synced', value: (d) => !!d.synced },
+    { header: 'updatedAt', value: (d) => isoTime(d.updatedAt) }
+  );
+  return columns;
+}
+
+function monthlyColumns() {
+  return [
+    { header: 'Branch', value: (d) => d.branch },
+    { header: 'Month', value: (d) => isoDay(d.date).slice(0, 7) },
+    ...[...MONTHLY_AMOUNT_FIELDS, ...MONTHLY_COUNT_FIELDS].map((f) => ({ header: f, value: (d) => numberOr0(d[f]) })),
+    { header: 'closed', value: (d) => !!d.closed },
+    { header: 'synced', value: (d) => !!d.synced },
+    { header: 'updatedAt', value: (d) => isoTime(d.updatedAt) },
+  ];
+}
+
+const KINDS = {
+  daily: { model: DailyReport, columns: dailyColumns, sheet: 'Daily reports' },
+  monthly: { model: MonthlyReport, columns: monthlyColumns, sheet: 'Monthly reports' },
+};
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Write and wait for 'drain' when the response buffer is full (or 'close' if the client went away). */
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+async function writeCsv(stream, columns, cursor) {
+  let count = 0;
+  // BOM so Excel opens the UTF-8 file with the right encoding
+  await write(stream, '\uFEFF' + columns.map((c) => csvCell(c.header)).join(',') + '\r\n');
+  for await (const doc of cursor) {
+    if (stream.destroyed) break;
+    await write(stream, columns.map((c) => csvCell(c.value(doc))).join(',') + '\r\n');
+    count++;
+  }
+  stream.end();
+  return count;
+}
+
+async function writeXlsx(stream, columns, cursor, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({ header: c.header, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  let count = 0;
+  for await (const doc of cursor) {
+    if (stream.destroyed) break;
+    sheet.addRow(columns.map((c) => c.value(doc))).commit();
+    count++;
+  }
+  sheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+/** Validated format, defaulting to csv. */
+function parseFormat(v) {
+  const format = String(v || 'csv').toLowerCase().trim();
+  if (!EXPORT_FORMATS.includes(format)) throw httpError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  return format;
+}
+
+/**
+ * Columns for an export. Call before writing headers so a bad request can
+ * still be answered with JSON.
+ * @param {Object} opts { kind: 'daily'|'monthly', filter }
+ */
+async function prepareExport({ kind, filter = {} }) {
+  const spec = KINDS[kind];
+  if (!spec) throw httpError(400, `Unknown export '${kind}'`);
+  const columns = await spec.columns(filter);
+  return { spec, columns, filter };
+}
+
+/**
+ * Stream a prepared export to `stream` (usually the response).
+ * @returns number of rows written
+ */
+function streamExport({ spec, columns, filter }, format, stream) {
+  const cursor = spec.model.find(filter).sort({ branch: 1, date: 1 }).lean().cursor();
+  if (format === 'xlsx') return writeXlsx(stream, columns, cursor, spec.sheet);
+  return writeCsv(stream, columns, cursor);
+}
+
+module.exports = { EXPORT_FORMATS, CONTENT_TYPES, parseFormat, prepareExport, streamExport };
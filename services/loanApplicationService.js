@@ -0,0 +1,222 @@
+// services/loanApplicationService.js
+// State machine for loan applications; disbursement creates the Loan and
+// books the amount into that branch's DailyReport.loanDisbursements.
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LoanApplication = require('../models/LoanApplication');
+const { httpError } = require('../utils/httpError');
+const { toNumber, roundMoney } = require('../utils/loanBalance');
+const amortizationService = require('./amortizationService');
+const branchService = require('./branchService');
+const dailyReportService = require('./dailyReportService');
+const { assertDayOpen } = require('./periodService');
+
+// action -> allowed source states + target state
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted' },
+  'branch-approve': { from: ['submitted'], to: 'branch-approved' },
+  approve: { from: ['branch-approved'], to: 'ovadmin-approved' },
+  reject: { from: ['submitted', 'branch-approved', 'ovadmin-approved'], to: 'rejected' },
+  disburse: { from: ['ovadmin-approved'], to: 'disbursed' },
+};
+
+const EDITABLE_FIELDS = [
+  'fullName', 'borrowerMobile', 'borrowerEmail', 'borrowerAddress', 'borrowerDateOfBirth',
+  'branch', 'principalAmount', 'terms', 'purpose', 'notes',
+];
+
+function normalizeToUtcDay(dateInput) {
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
+}
+
+function pickFields(input = {}) {
+  const out = {};
+  for (const k of EDITABLE_FIELDS) {
+    if (input[k] !== undefined) out[k] = input[k];
+  }
+  if (out.principalAmount !== undefined) out.principalAmount = roundMoney(toNumber(out.principalAmount));
+  if (out.branch !== undefined) out.branch = String(out.branch || '').trim();
+  if (out.terms) out.terms = amortizationService.normalizeTerms(out.terms);
+  return out;
+}
+
+/**
+ * Resolve `branch` through the registry: store the report name and the
+ * registry's loan-system id (never client-supplied; cleared when the branch has none).
+ */
+async function resolveBranchFields(fields) {
+  if (fields.branch === undefined) return fields;
+  const b = await branchService.requireBranch(fields.branch);
+  fields.branch = b.name;
+  fields.branchId = b.loanSystemId || '';
+  return fields;
+}
+
+async function loadApplication(id) {
+  if (!mongoose.Types.ObjectId.isValid(String(id || ''))) throw httpError(400, 'Invalid application id');
+  const app = await LoanApplication.findById(id).lean();
+  if (!app) throw httpError(404, 'Application not found');
+  return app;
+}
+
+async function createApplication(input, actorEmail) {
+  const fields = pickFields(input);
+  if (!fields.fullName) throw httpError(400, 'fullName is required');
+  if (!fields.branch) throw httpError(400, 'branch is required');
+  if (!(fields.principalAmount > 0)) throw httpError(400, 'principalAmount must be greater than 0');
+  await resolveBranchFields(fields);
+
+  return LoanApplication.create({
+    ...fields,
+    status: 'draft',
+    createdBy: actorEmail || '',
+    history: [{ from: null, to: 'draft', by: actorEmail || '', at: new Date() }],
+  });
+}
+
+async function updateApplication(id, input, actorEmail) {
+  await loadApplication(id);
+  const fields = pickFields(input);
+  if (fields.principalAmount !== undefined && !(fields.principalAmount > 0)) {
+    throw httpError(400, 'principalAmount must be greater than 0');
+  }
+  await resolveBranchFields(fields);
+
+  const doc = await LoanApplication.findOneAndUpdate(
+    { _id: id, status: 'draft' },
+    { $set: fields },
+    { new: true, runValidators: true }
+  );
+  if (!doc) throw httpError(409, 'Only draft applications can be edited');
+  return doc;
+}
+
+/**
+ * Move an application along TRANSITIONS. The status guard is part of the
+ * update filter so two admins acting at once cannot both win.
+ */
+async function transition(id, action, { note = '', actor = {} } = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) throw httpError(400, `Unknown action '${action}'`);
+
+  const app = await loadApplication(id);
+  if (!rule.from.includes(app.status)) {
+    throw httpError(409, `Cannot ${action} an application in status '${app.status}'`);
+  }
+  // Once head office has approved, only head office can take it back
+  if (action === 'reject' && app.status === 'ovadmin-approved' && actor.role !== 'ovadmin') {
+    throw httpError(403, 'Only ovadmin can reject an ovadmin-approved application');
+  }
+  if (action === 'reject' && !String(note || '').trim()) throw httpError(400, 'reason is required');
+
+  const set = { status: rule.to };
+  if (action === 'reject') set.rejectionReason = String(note).trim();
+
+  const doc = await LoanApplication.findOneAndUpdate(
+    { _id: id, status: app.status },
+    {
+      $set: set,
+      $push: { history: { from: app.status, to: rule.to, by: actor.email || '', note: String(note || ''), at: new Date() } },
+    },
+    { new: true }
+  );
+  if (!doc) throw httpError(409, 'Application was modified concurrently, please retry');
+  return doc;
+}
+
+function buildLoanFromApplication(app, disbursedAt, branchId) {
+  const loan = {
+    fullName: app.fullName,
+    borrowerMobile: app.borrowerMobile || '',
+    borrowerEmail: app.borrowerEmail || '',
+    borrowerAddress: app.borrowerAddress || '',
+    borrowerDateOfBirth: app.borrowerDateOfBirth || null,
+    loanStatus: 'Current',
+    principalAmount: app.principalAmount,
+    amortizationDue: app.principalAmount,
+    totalInterestBalance: 0,
+    penaltyAmount: 0,
+    importedAt: disbursedAt,
+    branchId,
+  };
+
+  if (app.terms) {
+    const terms = amortizationService.normalizeTerms({ ...app.terms, startDate: disbursedAt });
+    const schedule = amortizationService.buildSchedule(app.principalAmount, terms);
+    Object.assign(loan, {
+      terms,
+      schedule,
+      scheduleGeneratedAt: new Date(),
+      totalInterestBalance: amortizationService.scheduleTotals(schedule).interest,
+      ...amortizationService.deriveNextInstallment(schedule),
+    });
+  }
+
+  return loan;
+}
+
+/** Undo a failed disbursement: drop the Loan and put the application back so it can be retried. */
+async function rollbackDisbursement(app, loan, err) {
+  if (loan) await Loan.deleteOne({ _id: loan._id }).catch((e) => console.error('loan rollback failed', e));
+  await LoanApplication.updateOne(
+    { _id: app._id, status: 'disbursed' },
+    {
+      $set: { status: 'ovadmin-approved', loanId: null, disbursedAt: null },
+      $push: { history: { from: 'disbursed', to: 'ovadmin-approved', by: 'system', note: `disbursement failed: ${err.message}`, at: new Date() } },
+    }
+  ).catch((e) => console.error('application rollback failed', e));
+}
+
+/**
+ * ovadmin-approved -> disbursed: create the Loan, link it, and add the
+ * principal to DailyReport.loanDisbursements for the branch + disbursement day
+ * (which must be open). Any failure after the transition is rolled back.
+ */
+async function disburse(id, { disbursedAt, note = '', actor = {} } = {}) {
+  const when = disbursedAt ? new Date(disbursedAt) : new Date();
+  if (isNaN(when.getTime())) throw httpError(400, 'invalid disbursedAt');
+
+  const current = await loadApplication(id);
+  const branch = await branchService.requireBranch(current.branch, { allowInactive: true });
+  // the Loan belongs to the registry branch's loan-system id, never a default or client value
+  if (!branch.loanSystemId) {
+    throw httpError(409, `Branch '${branch.name}' has no loanSystemId configured`, 'BRANCH_NO_LOAN_ID');
+  }
+  const day = normalizeToUtcDay(when);
+  await assertDayOpen(branch, day);
+
+  const app = await transition(id, 'disburse', { note, actor });
+
+  let loan = null;
+  try {
+    loan = await Loan.create(buildLoanFromApplication(app.toObject(), when, branch.loanSystemId));
+    await LoanApplication.updateOne({ _id: app._id }, { $set: { loanId: loan._id, disbursedAt: when } });
+    await dailyReportService.refreshLoanDisbursements(branch, day);
+  } catch (err) {
+    await rollbackDisbursement(app, loan, err);
+    throw err;
+  }
+
+  const application = await LoanApplication.findById(app._id).lean();
+  return { application, loan };
+}
+
+async function listApplications({ status, branch, limit } = {}) {
+  const q = {};
+  if (status) q.status = String(status);
+  if (branch) q.branch = (await branchService.requireBranch(branch, { allowInactive: true })).name;
+  const qLimit = Math.min(parseInt(limit || '100', 10) || 100, 500);
+  return LoanApplication.find(q).sort({ createdAt: -1 }).limit(qLimit).lean();
+}
+
+module.exports = {
+  TRANSITIONS,
+  loadApplication,
+  createApplication,
+  updateApplication,
+  transition,
+  disburse,
+  listApplications,
+};
@@ -0,0 +1,156 @@
+// services/monthlyDraftService.js
+// Draft MonthlyReport for a branch-month, computed from that month's DailyReports
+// and the branch's loan schedules, side by side with the submitted figures.
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const Loan = require('../models/Loan');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const { reportBranchSpellings } = require('./branchService');
+const { normalizeDateToMonthStart } = require('./reportService');
+
+// Where each drafted MonthlyReport field comes from (also returned to the client)
+const DRAFT_SOURCES = {
+  collected: 'sum of DailyReport.totalCollected',
+  totalCollections: 'sum of DailyReport.totalCollected',
+  cashAdvance: 'sum of DailyReport.totalDisbursed',
+  expected: 'sum of loan installments due in the month',
+  inputs: 'number of loan installments due in the month',
+  collectedInput: 'installments due in the month that are fully paid',
+  totalUncollected: 'unpaid amount of installments due in the month',
+  uncollectedInput: 'installments due in the month not fully paid',
+  insufficient: 'unpaid amount of partially paid installments due in the month',
+  insufficientInput: 'partially paid installments due in the month',
+  newInputsAmount: 'principal of loans disbursed in the month',
+  newInputsCount: 'loans disbursed in the month',
+};
+
+async function dailyTotals(branch, start, end) {
+  const [row] = await DailyReport.aggregate([
+    { $match: { branch: { $in: reportBranchSpellings(branch) }, date: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: null,
+        reportedDays: { $sum: 1 },
+        totalCollected: { $sum: { $ifNull: ['$totalCollected', 0] } },
+        // branch-reported plus loans disbursed through the API
+        totalDisbursed: { $sum: { $add: [{ $ifNull: ['$totalDisbursed', 0] }, { $ifNull: ['$loanDisbursements', 0] }] } },
+        collectedForOtherBranches: { $sum: { $ifNull: ['$collectedForOtherBranches', 0] } },
+        expenses: { $sum: { $ifNull: ['$expenses', 0] } },
+        pettyCash: { $sum: { $ifNull: ['$pettyCash', 0] } },
+      },
+    },
+  ]);
+  const t = row || {};
+  return {
+    reportedDays: t.reportedDays || 0,
+    totalCollected: roundMoney(t.totalCollected),
+    totalDisbursed: roundMoney(t.totalDisbursed),
+    collectedForOtherBranches: roundMoney(t.collectedForOtherBranches),
+    expenses: roundMoney(t.expenses),
+    pettyCash: roundMoney(t.pettyCash),
+  };
+}
+
+async function installmentTotals(branchId, start, end) {
+  const inMonth = { $gte: start, $lt: end };
+  const unpaid = { $max: [{ $subtract: ['$schedule.amount', { $ifNull: ['$schedule.paidAmount', 0] }] }, 0] };
+  const [row] = await Loan.aggregate([
+    { $match: { branchId, 'schedule.dueDate': inMonth } },
+    { $unwind: '$schedule' },
+    { $match: { 'schedule.dueDate': inMonth } },
+    {
+      $group: {
+        _id: null,
+        expected: { $sum: '$schedule.amount' },
+        inputs: { $sum: 1 },
+        collectedInput: { $sum: { $cond: [{ $eq: ['$schedule.status', 'paid'] }, 1, 0] } },
+        totalUncollected: { $sum: { $cond: [{ $eq: ['$schedule.status', 'paid'] }, 0, unpaid] } },
+        insufficient: { $sum: { $cond: [{ $eq: ['$schedule.status', 'partial'] }, unpaid, 0] } },
+        insufficientInput: { $sum: { $cond: [{ $eq: ['$schedule.status', 'partial'] }, 1, 0] } },
+      },
+    },
+  ]);
+  const t = row || {};
+  return {
+    expected: roundMoney(t.expected),
+    inputs: t.inputs || 0,
+    collectedInput: t.collectedInput || 0,
+    totalUncollected: roundMoney(t.totalUncollected),
+    uncollectedInput: (t.inputs || 0) - (t.collectedInput || 0),
+    insufficient: roundMoney(t.insufficient),
+    insufficientInput: t.insufficientInput || 0,
+  };
+}
+
+async function disbursementTotals(branchId, start, end) {
+  const [row] = await Loan.aggregate([
+    { $match: { branchId, 'terms.startDate': { $gte: start, $lt: end } } },
+    { $group: { _id: null, count: { $sum: 1 }, principal: { $sum: '$principalAmount' } } },
+  ]);
+  return { newInputsCount: row ? row.count : 0, newInputsAmount: roundMoney(row && row.principal) };
+}
+
+/**
+ * Draft monthly figures and their difference from the submitted MonthlyReport.
+ * Loan-based fields are left out when the branch has no loanSystemId.
+ * @param {Object} opts { branch: registry branch, month: any date in the month (e.g. '2025-03') }
+ * @returns { branch, month, draft, daily, submitted, diff: [{ field, draft, submitted, difference }], sources, warnings }
+ */
+async function buildMonthlyDraft({ branch, month } = {}) {
+  const start = normalizeDateToMonthStart(month);
+  if (!start) throw httpError(400, 'valid month is required (YYYY-MM)');
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+
+  const warnings = [];
+  const daily = await dailyTotals(branch, start, end);
+  if (!daily.reportedDays) warnings.push('No daily reports for this month');
+
+  const draft = {
+    collected: daily.totalCollected,
+    totalCollections: daily.totalCollected,
+    cashAdvance: daily.totalDisbursed,
+  };
+
+  if (branch.loanSystemId) {
+    const [installments, disbursed] = await Promise.all([
+      installmentTotals(branch.loanSystemId, start, end),
+      disbursementTotals(branch.loanSystemId, start, end),
+    ]);
+    Object.assign(draft, installments, disbursed);
+  } else {
+    warnings.push(`Branch '${branch.name}' has no loanSystemId; loan-based fields were not drafted`);
+  }
+
+  const submittedDoc = await MonthlyReport.findOne({ branch: { $in: reportBranchSpellings(branch) }, date: start }).lean();
+  const submitted = submittedDoc
+    ? Object.fromEntries(Object.keys(draft).map((k) => [k, submittedDoc[k] == null ? 0 : submittedDoc[k]]))
+    : null;
+  if (!submittedDoc) warnings.push('No monthly report submitted for this month');
+
+  const diff = Object.keys(draft).map((field) => ({
+    field,
+    draft: draft[field],
+    submitted: submitted ? submitted[field] : null,
+    difference: submitted ? roundMoney(submitted[field] - draft[field]) : null,
+  }));
+
+  const sources = {};
+  for (const k of Object.keys(draft)) sources[k] = DRAFT_SOURCES[k];
+
+  return {
+    branch: branch.name,
+    month: start.toISOString().slice(0, 7),
+    draft,
+    daily,
+    submitted,
+    submittedId: submittedDoc ? String(submittedDoc._id) : null,
+    closed: !!(submittedDoc && submittedDoc.closed),
+    diff,
+    mismatches: diff.filter((d) => d.difference != null && d.difference !== 0).length,
+    sources,
+    warnings,
+  };
+}
+
+module.exports = { DRAFT_SOURCES, buildMonthlyDraft };
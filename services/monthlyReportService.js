@@ -0,0 +1,78 @@
+// services/monthlyReportService.js
+// MonthlyReport writes and deletes behind routes/reports.js (drafts live in monthlyDraftService).
+const MonthlyReport = require('../models/MonthlyReport');
+const { httpError } = require('../utils/httpError');
+const branchService = require('./branchService');
+const periodService = require('./periodService');
+const { normalizeDateToMonthStart, buildMonthlyFields, syncTarget, writeReports } = require('./reportService');
+
+/**
+ * Bulk upsert from the legacy sync endpoint. Items outside the scope, for
+ * unknown/inactive branches or closed months are skipped, not failed.
+ * @param {Object} opts { monthlyReports: [raw], scope (req.branchScope) }
+ * @returns { message, saved, skipped, errors, bulkWriteResult }
+ */
+async function syncMonthlyReports({ monthlyReports, scope = null }) {
+  if (!monthlyReports || !Array.isArray(monthlyReports)) {
+    throw httpError(400, 'Invalid request: expected { monthlyReports: [...] }');
+  }
+
+  const skipped = [];
+  const errors = [];
+  const docs = [];
+
+  for (const raw of monthlyReports) {
+    try {
+      const target = await syncTarget(raw, { scope, normalizeDate: normalizeDateToMonthStart, lock: periodService.monthLock });
+      if (target.skip) {
+        skipped.push({ ...target.skip, item: raw });
+        continue;
+      }
+      docs.push({ branch: target.branch.name, date: target.date, ...buildMonthlyFields(raw) });
+    } catch (inner) {
+      console.error('prepare monthly op error:', inner);
+      errors.push({ item: raw, error: inner.message || String(inner) });
+    }
+  }
+
+  if (docs.length === 0) return { message: 'No valid monthly reports to process', saved: [], skipped, errors };
+
+  const { saved, closed, bulkWriteResult } = await writeReports(MonthlyReport, docs, errors);
+  skipped.push(...closed);
+  return { message: `${saved.length} monthly reports processed (bulkWrite)`, saved, skipped, errors, bulkWriteResult };
+}
+
+/** Delete a branch-month's report (the month must be open). 404 when there is none. */
+async function deleteMonthlyReport({ branch, date: dateInput }) {
+  const start = normalizeDateToMonthStart(dateInput);
+  if (!start) throw httpError(400, 'invalid date format');
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  await periodService.assertMonthOpen(branch, start);
+
+  const deleted = await MonthlyReport.findOneAndDelete({
+    branch: { $in: branchService.reportBranchSpellings(branch) },
+    date: { $gte: start, $lt: end },
+    closed: { $ne: true }
+  });
+  if (!deleted) throw httpError(404, 'Monthly report not found');
+  return deleted;
+}
+
+/** Delete a monthly report by _id; branch_admin (scope) only within their branch. */
+async function deleteMonthlyReportById({ id, scope = null }) {
+  const existing = await MonthlyReport.findById(id).select('branch date').lean();
+  if (!existing) throw httpError(404, 'Not found');
+  const owner = await branchService.resolveBranch(existing.branch);
+  if (scope && !(owner && owner.code === scope.code)) throw httpError(403, 'Report belongs to another branch', 'BRANCH_FORBIDDEN');
+  if (owner) await periodService.assertReportOpen('month', owner, existing);
+
+  const deleted = await MonthlyReport.findOneAndDelete({ _id: id, closed: { $ne: true } });
+  if (!deleted) throw httpError(404, 'Not found');
+  return deleted;
+}
+
+module.exports = {
+  syncMonthlyReports,
+  deleteMonthlyReport,
+  deleteMonthlyReportById,
+};
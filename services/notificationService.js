@@ -0,0 +1,38 @@
+// services/notificationService.js
+// Server-generated notifications (models/Notification.js, read via /api/notifications).
+// Best effort: a failed notification is logged and never fails the request that caused it.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const branchService = require('./branchService');
+
+/** Emails that act for a branch: its registry adminEmail plus its branch_admin users. */
+async function branchRecipients(branch) {
+  const users = await User.find({ role: 'branch_admin', branch: branch.code }).select('email').lean();
+  const emails = [branch.adminEmail, ...users.map((u) => u.email)]
+    .map((e) => String(e || '').toLowerCase().trim())
+    .filter(Boolean);
+  return [...new Set(emails)];
+}
+
+/**
+ * Notify everyone acting for `branch` (registry branch or any identity).
+ * @param {Object} n { title, message, type: info|success|warning|error, data }
+ * @param {Object} opts { exclude: email not to notify (usually the actor) }
+ * @returns number of notifications created
+ */
+async function notifyBranch(branch, { title, message, type = 'info', data = {} }, { exclude } = {}) {
+  try {
+    const b = branch && typeof branch === 'object' ? branch : await branchService.resolveBranch(branch);
+    if (!b) return 0;
+    const skip = String(exclude || '').toLowerCase().trim();
+    const to = (await branchRecipients(b)).filter((e) => e !== skip);
+    if (!to.length) return 0;
+    await Notification.insertMany(to.map((toEmail) => ({ toEmail, title, message, type, data })));
+    return to.length;
+  } catch (err) {
+    console.error('notifyBranch error:', err);
+    return 0;
+  }
+}
+
+module.exports = { notifyBranch };
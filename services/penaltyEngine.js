@@ -0,0 +1,296 @@
+// services/penaltyEngine.js
+// Walks loans past nextDueDate, accrues penalties per config/penalties.js and
+// moves loanStatus to 'Missed Repayment' / 'Past Maturity' once the grace days
+// are over ('Restructured' loans keep their status).
+//
+// Each accrual is a PenaltyEntry (unique per loan + accrualKey) that is added to
+// Loan.penaltyAmount only when it was newly inserted. The $inc also records the
+// entry id on the loan until the entry is flagged appliedToLoan, and entries
+// whose loan update failed are finished by the next run, so each entry is
+// charged exactly once. Loans without a schedule never move nextDueDate on, so
+// they only accrue under a cap (capAmount / capPercent).
+// Used by the in-process scheduler (server.js) and scripts/accruePenalties.js.
+const Loan = require('../models/Loan');
+const PenaltyEntry = require('../models/PenaltyEntry');
+const { loadPenaltyPolicy } = require('../config/penalties');
+const { toNumber, roundMoney } = require('../utils/loanBalance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that still accrue; Fully Paid / Write-Off / Defaulted are left alone
+const ACCRUING_STATUSES = ['Current', 'Restructured', 'Missed Repayment', 'Past Maturity'];
+
+function utcDay(dateInput) {
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
+}
+
+function dayKey(d) {
+  return utcDay(d).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.floor((utcDay(to) - utcDay(from)) / DAY_MS);
+}
+
+/** Amount currently overdue: unpaid scheduled installments already due, else the next installment. */
+function overdueAmount(loan, asOfDay) {
+  if (Array.isArray(loan.schedule) && loan.schedule.length) {
+    return roundMoney(
+      loan.schedule
+        .filter((r) => new Date(r.dueDate) < asOfDay)
+        .reduce((s, r) => s + Math.max(0, toNumber(r.amount) - toNumber(r.paidAmount)), 0)
+    );
+  }
+  return roundMoney(toNumber(loan.nextInstallmentAmount) || toNumber(loan.amortizationDue));
+}
+
+function maturityDate(loan) {
+  if (Array.isArray(loan.schedule) && loan.schedule.length) {
+    return new Date(loan.schedule[loan.schedule.length - 1].dueDate);
+  }
+  return null;
+}
+
+/** Status for a loan past its nextDueDate; unchanged within the grace days and for Restructured loans. */
+function overdueStatus(loan, asOfDay, policy = {}) {
+  if (loan.loanStatus === 'Restructured' || loan.loanStatus === 'Past Maturity') return loan.loanStatus;
+  const graceDays = toNumber(policy.graceDays);
+  if (daysBetween(loan.nextDueDate, asOfDay) <= graceDays) return loan.loanStatus;
+  const maturity = maturityDate(loan);
+  if (maturity && daysBetween(maturity, asOfDay) > graceDays) return 'Past Maturity';
+  return 'Missed Repayment';
+}
+
+function penaltyCap(loan, policy) {
+  const caps = [];
+  if (policy.capAmount > 0) caps.push(policy.capAmount);
+  if (policy.capPercent > 0) caps.push(toNumber(loan.principalAmount) * (policy.capPercent / 100));
+  return caps.length ? Math.min(...caps) : Infinity;
+}
+
+/** True when accrual would be unbounded: no schedule to move nextDueDate on and no cap. */
+function uncapped(loan, policy) {
+  const hasSchedule = Array.isArray(loan.schedule) && loan.schedule.length > 0;
+  return !hasSchedule && penaltyCap(loan, policy) === Infinity;
+}
+
+/**
+ * Penalty to post for one loan (or null). `history` = { total, lastDailyAccrual }
+ * from previous entries so runs are idempotent and catch up after downtime.
+ * Grace days are not charged, nor are unscheduled loans without a cap.
+ */
+function computePenalty(loan, asOfDay, policy, history = {}) {
+  if (uncapped(loan, policy)) return null;
+  const dueDate = utcDay(loan.nextDueDate);
+  const daysPastDue = daysBetween(dueDate, asOfDay);
+  if (daysPastDue <= policy.graceDays) return null;
+
+  const overdue = overdueAmount(loan, asOfDay);
+  let amount = 0;
+  let daysCharged = 0;
+  let accrualKey;
+
+  if (policy.mode === 'flat') {
+    accrualKey = `flat:${dayKey(dueDate)}`;
+    amount = policy.flatAmount;
+  } else {
+    accrualKey = `day:${dayKey(asOfDay)}`;
+    const graceEnd = new Date(dueDate.getTime() + policy.graceDays * DAY_MS);
+    const last = history.lastDailyAccrual && history.lastDailyAccrual > graceEnd ? history.lastDailyAccrual : graceEnd;
+    daysCharged = daysBetween(last, asOfDay);
+    amount = overdue * (policy.ratePerDay / 100) * daysCharged;
+  }
+
+  const room = penaltyCap(loan, policy) - toNumber(history.total);
+  amount = roundMoney(Math.min(amount, room));
+  if (!(amount > 0)) return null;
+
+  return { accrualKey, dueDate, daysPastDue, daysCharged, overdueAmount: overdue, amount };
+}
+
+/**
+ * Add an entry to its loan's penaltyAmount once, then flag it applied. The
+ * entry id sits in Loan.applyingPenaltyEntryIds between the two writes, so a
+ * retry after a failure in between finds it and does not add it again.
+ */
+async function applyEntry(entry) {
+  await Loan.updateOne(
+    { _id: entry.loanId, applyingPenaltyEntryIds: { $ne: entry._id } },
+    { $inc: { penaltyAmount: entry.amount }, $addToSet: { applyingPenaltyEntryIds: entry._id } }
+  );
+  await PenaltyEntry.updateOne({ _id: entry._id }, { $set: { appliedToLoan: true } });
+  await Loan.updateOne({ _id: entry.loanId }, { $pull: { applyingPenaltyEntryIds: entry._id } });
+}
+
+/** Finish entries whose loan update did not happen, or was not flagged on the entry. */
+async function repairUnappliedEntries() {
+  const pending = await PenaltyEntry.find({ appliedToLoan: false }).sort({ loanId: 1, createdAt: 1 }).lean();
+  for (const entry of pending) await applyEntry(entry);
+  return pending.length;
+}
+
+async function loadHistory(loanIds) {
+  const rows = await PenaltyEntry.aggregate([
+    { $match: { loanId: { $in: loanIds } } },
+    {
+      $group: {
+        _id: '$loanId',
+        total: { $sum: '$amount' },
+        lastDailyAccrual: { $max: { $cond: [{ $eq: ['$mode', 'percent_per_day'] }, '$accrualDate', null] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r]));
+}
+
+/**
+ * Run one accrual pass.
+ * @param {Object} opts { asOf?: Date|string, dryRun?: boolean, policy?: overrides, batchSize?: number }
+ * @returns summary + per-loan preview rows
+ */
+async function runPenaltyAccrual(opts = {}) {
+  const asOfDay = utcDay(opts.asOf || new Date());
+  if (!asOfDay) throw new Error('invalid asOf date');
+  const policy = loadPenaltyPolicy(opts.policy || {});
+  const dryRun = !!opts.dryRun;
+  const batchSize = opts.batchSize || 500;
+
+  const summary = {
+    asOf: asOfDay.toISOString(),
+    dryRun,
+    policy,
+    scanned: 0,
+    penalized: 0,
+    totalPenalty: 0,
+    statusChanges: {},
+    repaired: 0,
+    uncapped: 0,
+    entries: [],
+  };
+
+  if (!dryRun) summary.repaired = await repairUnappliedEntries();
+
+  const cursor = Loan.find({
+    loanStatus: { $in: ACCRUING_STATUSES },
+    nextDueDate: { $ne: null, $lt: asOfDay },
+  })
+    .select('branchId loanStatus principalAmount amortizationDue nextInstallmentAmount nextDueDate schedule')
+    .lean()
+    .cursor({ batchSize });
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const history = await loadHistory(batch.map((l) => l._id));
+    for (const loan of batch) {
+      await processLoan(loan, history.get(String(loan._id)));
+    }
+    batch = [];
+  };
+
+  async function processLoan(loan, history) {
+    summary.scanned++;
+    if (uncapped(loan, policy)) summary.uncapped++;
+    const penalty = computePenalty(loan, asOfDay, policy, history);
+    const status = overdueStatus(loan, asOfDay, policy);
+    const statusChanged = status !== loan.loanStatus;
+    if (!penalty && !statusChanged) return;
+
+    const row = {
+      loanId: String(loan._id),
+      branchId: loan.branchId || '',
+      fromStatus: loan.loanStatus,
+      toStatus: status,
+      ...(penalty || {}),
+    };
+
+    let charged = !!penalty;
+    if (!dryRun && penalty) {
+      const res = await PenaltyEntry.updateOne(
+        { loanId: loan._id, accrualKey: penalty.accrualKey },
+        {
+          $setOnInsert: {
+            loanId: loan._id,
+            branchId: loan.branchId || '',
+            accrualDate: asOfDay,
+            mode: policy.mode,
+            policy,
+            appliedToLoan: false,
+            ...penalty,
+          },
+        },
+        { upsert: true }
+      );
+      // an existing entry means this loan was already charged for this key
+      charged = !!res.upsertedId;
+      if (charged) await applyEntry({ _id: res.upsertedId, loanId: loan._id, amount: penalty.amount });
+    }
+
+    if (!dryRun && statusChanged) {
+      await Loan.updateOne({ _id: loan._id }, { $set: { loanStatus: status } });
+    }
+    if (!charged && !statusChanged) return;
+
+    if (charged) {
+      summary.penalized++;
+      summary.totalPenalty = roundMoney(summary.totalPenalty + penalty.amount);
+    }
+    if (statusChanged) {
+      const k = `${loan.loanStatus} -> ${status}`;
+      summary.statusChanges[k] = (summary.statusChanges[k] || 0) + 1;
+    }
+    if (summary.entries.length < 1000) summary.entries.push(row);
+  }
+
+  for await (const loan of cursor) {
+    batch.push(loan);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  // Scheduled loans that caught up go back to Current
+  if (!dryRun) {
+    const recovered = await Loan.updateMany(
+      { loanStatus: 'Missed Repayment', 'schedule.0': { $exists: true }, nextDueDate: { $gte: asOfDay } },
+      { $set: { loanStatus: 'Current' } }
+    );
+    if (recovered.modifiedCount) summary.statusChanges['Missed Repayment -> Current'] = recovered.modifiedCount;
+  }
+
+  return summary;
+}
+
+/**
+ * In-process scheduler: runs once shortly after start, then every `intervalHours`.
+ * Overlapping runs are skipped. Returns a stop() function.
+ */
+function startPenaltyScheduler({ intervalHours = 24, initialDelayMs = 60 * 1000 } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const s = await runPenaltyAccrual();
+      console.log(`⏰ Penalty accrual: scanned=${s.scanned} penalized=${s.penalized} total=${s.totalPenalty}`, s.statusChanges);
+    } catch (err) {
+      console.error('Penalty accrual failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const first = setTimeout(tick, initialDelayMs);
+  const every = setInterval(tick, intervalHours * 60 * 60 * 1000);
+  first.unref();
+  every.unref();
+
+  return function stop() {
+    clearTimeout(first);
+    clearInterval(every);
+  };
+}
+
+module.exports = { computePenalty, overdueStatus, runPenaltyAccrual, startPenaltyScheduler };
@@ -0,0 +1,124 @@
+// services/periodService.js
+// Day close / month close for DailyReport and MonthlyReport.
+//
+// A closed report refuses sync writes and deletes (409 PERIOD_CLOSED) until an
+// ovadmin reopens it. Closing a month also locks every daily report of that
+// branch in the month.
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const { httpError } = require('../utils/httpError');
+const { reportBranchSpellings } = require('./branchService');
+const { normalizeDateToDay, normalizeDateToMonthStart } = require('./reportService');
+
+const PERIOD_CLOSED = 'PERIOD_CLOSED';
+
+const PERIODS = {
+  day: { model: DailyReport, normalize: normalizeDateToDay, label: 'Day' },
+  month: { model: MonthlyReport, normalize: normalizeDateToMonthStart, label: 'Month' },
+};
+
+function isoDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+function closedError(period, branch, date, doc) {
+  const label = period === 'day' ? isoDay(date) : isoDay(date).slice(0, 7);
+  const err = httpError(409, `${PERIODS[period].label} ${label} is closed for ${branch.name}`, PERIOD_CLOSED);
+  err.details = {
+    period,
+    branch: branch.name,
+    date: isoDay(date),
+    closedAt: doc.closedAt || null,
+    closedBy: doc.closedBy || null,
+    reason: doc.closeReason || '',
+  };
+  return err;
+}
+
+/**
+ * null when the branch-day can be written, otherwise the 409 error to surface.
+ * A day is locked by its own close or by the close of its month.
+ */
+async function dayLock(branch, dateInput) {
+  const date = normalizeDateToDay(dateInput);
+  const branchFilter = { $in: reportBranchSpellings(branch) };
+  const select = 'closedAt closedBy closeReason';
+  const [day, month] = await Promise.all([
+    DailyReport.findOne({ branch: branchFilter, date, closed: true }).select(select).lean(),
+    MonthlyReport.findOne({ branch: branchFilter, date: normalizeDateToMonthStart(date), closed: true }).select(select).lean(),
+  ]);
+  if (month) return closedError('month', branch, date, month);
+  if (day) return closedError('day', branch, date, day);
+  return null;
+}
+
+/** null when the branch-month can be written, otherwise the 409 error to surface. */
+async function monthLock(branch, dateInput) {
+  const date = normalizeDateToMonthStart(dateInput);
+  const doc = await MonthlyReport.findOne({ branch: { $in: reportBranchSpellings(branch) }, date, closed: true })
+    .select('closedAt closedBy closeReason')
+    .lean();
+  return doc ? closedError('month', branch, date, doc) : null;
+}
+
+async function assertDayOpen(branch, date) {
+  const err = await dayLock(branch, date);
+  if (err) throw err;
+}
+
+async function assertMonthOpen(branch, date) {
+  const err = await monthLock(branch, date);
+  if (err) throw err;
+}
+
+/** Lock state of an already-loaded report (delete-by-id paths). */
+async function assertReportOpen(period, branch, doc) {
+  if (period === 'day') return assertDayOpen(branch, doc.date);
+  return assertMonthOpen(branch, doc.date);
+}
+
+/**
+ * Close or reopen one report.
+ * @param {Object} opts { period: 'day'|'month', action: 'close'|'reopen', branch (registry branch), date, reason, actor (req.user) }
+ */
+async function setClosed({ period, action, branch, date: dateInput, reason, actor }) {
+  const spec = PERIODS[period];
+  if (!spec) throw httpError(400, `Unknown period '${period}'`);
+  const date = spec.normalize(dateInput);
+  if (!date) throw httpError(400, 'valid date is required');
+  const why = String(reason || '').trim();
+  if (action === 'reopen' && !why) throw httpError(400, 'reason is required to reopen');
+
+  const filter = { branch: { $in: reportBranchSpellings(branch) }, date };
+  const existing = await spec.model.findOne(filter).select('closed').lean();
+  if (!existing) throw httpError(404, `No ${period === 'day' ? 'daily' : 'monthly'} report for ${branch.name} on ${isoDay(date)}`);
+
+  const closing = action === 'close';
+  if (!!existing.closed === closing) {
+    throw httpError(409, `${spec.label} is already ${closing ? 'closed' : 'open'}`, closing ? PERIOD_CLOSED : 'PERIOD_OPEN');
+  }
+
+  const by = (actor && actor.email) || null;
+  const now = new Date();
+  const set = closing
+    ? { closed: true, closedAt: now, closedBy: by, closeReason: why }
+    : { closed: false, closedAt: null, closedBy: null, closeReason: '' };
+
+  const doc = await spec.model.findOneAndUpdate(
+    { _id: existing._id, closed: closing ? { $ne: true } : true },
+    { $set: set, $push: { closeHistory: { action, by, reason: why, at: now } } },
+    { new: true }
+  ).lean();
+  if (!doc) throw httpError(409, `${spec.label} was ${action === 'close' ? 'closed' : 'reopened'} by someone else`);
+  return doc;
+}
+
+module.exports = {
+  PERIOD_CLOSED,
+  dayLock,
+  monthLock,
+  assertDayOpen,
+  assertMonthOpen,
+  assertReportOpen,
+  setClosed,
+};
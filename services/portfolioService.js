@@ -0,0 +1,134 @@
+// services/portfolioService.js
+// Portfolio-at-risk / aging computed from Loan with a single aggregation.
+const Loan = require('../models/Loan');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets by days past nextDueDate (lower bound inclusive)
+const AGING_BUCKETS = [
+  { key: 'current', min: -Infinity },
+  { key: 'par1', min: 1 },
+  { key: 'par30', min: 30 },
+  { key: 'par60', min: 60 },
+  { key: 'par90', min: 90 },
+];
+
+// No balance left to be at risk
+const CLOSED_STATUSES = ['Fully Paid', 'Write-Off'];
+
+function normalizeToUtcDay(dateInput) {
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
+}
+
+function emptyBuckets() {
+  const out = {};
+  for (const b of AGING_BUCKETS) out[b.key] = { count: 0, balance: 0, principal: 0 };
+  return out;
+}
+
+/**
+ * Cumulative PAR ratios: PAR30 = balance of loans >= 30 days late / total balance.
+ */
+function parRatios(buckets, totalBalance) {
+  const out = {};
+  const keys = AGING_BUCKETS.map((b) => b.key);
+  for (let i = 1; i < keys.length; i++) {
+    const atRisk = keys.slice(i).reduce((s, k) => s + buckets[k].balance, 0);
+    out[keys[i]] = totalBalance > 0 ? Math.round((atRisk / totalBalance) * 10000) / 10000 : 0;
+  }
+  return out;
+}
+
+function summarize(branchId, buckets) {
+  const totalLoans = Object.values(buckets).reduce((s, b) => s + b.count, 0);
+  const totalBalance = roundMoney(Object.values(buckets).reduce((s, b) => s + b.balance, 0));
+  const totalPrincipal = roundMoney(Object.values(buckets).reduce((s, b) => s + b.principal, 0));
+  return { branchId, totalLoans, totalBalance, totalPrincipal, buckets, par: parRatios(buckets, totalBalance) };
+}
+
+/**
+ * PAR / aging report.
+ * Balances are the loans' current outstanding balances (penalty + interest + principal,
+ * as in utils/loanBalance); `asOf` only moves the day that days-past-due are counted to.
+ * @param {Object} opts { branchId?: string (omit for all branches), asOf?: Date|string }
+ */
+async function portfolioAtRisk({ branchId, asOf } = {}) {
+  const asOfDay = normalizeToUtcDay(asOf || new Date());
+  if (!asOfDay) throw httpError(400, 'invalid asOf date');
+
+  const match = { loanStatus: { $nin: CLOSED_STATUSES } };
+  if (branchId) match.branchId = String(branchId).trim();
+
+  const branches = AGING_BUCKETS.slice(1).reverse().map((b) => ({
+    case: { $gte: ['$daysPastDue', b.min] },
+    then: b.key,
+  }));
+
+  const rows = await Loan.aggregate([
+    { $match: match },
+    {
+      $project: {
+        branchId: 1,
+        principal: { $max: [0, { $ifNull: ['$amortizationDue', 0] }] },
+        balance: {
+          $max: [
+            0,
+            {
+              $add: [
+                { $ifNull: ['$penaltyAmount', 0] },
+                { $ifNull: ['$totalInterestBalance', 0] },
+                { $ifNull: ['$amortizationDue', 0] },
+              ],
+            },
+          ],
+        },
+        daysPastDue: {
+          $cond: [
+            { $eq: [{ $ifNull: ['$nextDueDate', null] }, null] },
+            0,
+            { $floor: { $divide: [{ $subtract: [asOfDay, '$nextDueDate'] }, DAY_MS] } },
+          ],
+        },
+      },
+    },
+    { $match: { balance: { $gt: 0 } } },
+    { $addFields: { bucket: { $switch: { branches, default: 'current' } } } },
+    {
+      $group: {
+        _id: { branchId: '$branchId', bucket: '$bucket' },
+        count: { $sum: 1 },
+        balance: { $sum: '$balance' },
+        principal: { $sum: '$principal' },
+      },
+    },
+  ]);
+
+  const byBranch = new Map();
+  const overall = emptyBuckets();
+  for (const r of rows) {
+    const id = r._id.branchId || '';
+    if (!byBranch.has(id)) byBranch.set(id, emptyBuckets());
+    for (const target of [byBranch.get(id)[r._id.bucket], overall[r._id.bucket]]) {
+      target.count += r.count;
+      target.balance = roundMoney(target.balance + r.balance);
+      target.principal = roundMoney(target.principal + r.principal);
+    }
+  }
+
+  const branchRows = [...byBranch.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([id, buckets]) => summarize(id, buckets));
+
+  return {
+    asOf: asOfDay.toISOString(),
+    bucketDefinitions: { current: '0 days', par1: '1-29 days', par30: '30-59 days', par60: '60-89 days', par90: '90+ days' },
+    branches: branchRows,
+    totals: summarize(branchId ? String(branchId).trim() : 'ALL', overall),
+  };
+}
+
+module.exports = { AGING_BUCKETS, portfolioAtRisk };
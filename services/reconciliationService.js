@@ -0,0 +1,337 @@
+// services/reconciliationService.js
+// Reconciliation rules for daily reports.
+//
+// A branch-day balances when
+//   sum(openingBalances) + totalCollected - totalDisbursed - loanDisbursements
+//     - expenses - pettyCash + sum(zanacoAdjustments) = sum(closingBalances)
+// within RECONCILIATION_TOLERANCE (default 0.01). The result is stored on the
+// report as `reconciliation` every time it is written (see reportService.buildDailyFields).
+//
+// Carry-forward: each day's openingBalances should equal the closingBalances of
+// the branch's previous report. Writes check this via applyCarryForward and can
+// ask for the opening balances to be filled from that report instead.
+const DailyReport = require('../models/DailyReport');
+const { httpError } = require('../utils/httpError');
+const { reportBranchSpellings, resolveBranch } = require('./branchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOLERANCE = Number(process.env.RECONCILIATION_TOLERANCE) || 0.01;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function entriesOf(m) {
+  if (!m) return [];
+  if (m instanceof Map) return [...m.entries()];
+  return Object.entries(m);
+}
+
+function sumOf(m) {
+  return entriesOf(m).reduce((s, [, v]) => s + (Number(v) || 0), 0);
+}
+
+/** to - from per channel key (a key missing on one side counts as 0). */
+function channelVariance(from, to) {
+  const o = Object.fromEntries(entriesOf(from));
+  const c = Object.fromEntries(entriesOf(to));
+  const out = {};
+  for (const k of new Set([...Object.keys(o), ...Object.keys(c)])) {
+    out[k] = round2((Number(c[k]) || 0) - (Number(o[k]) || 0));
+  }
+  return out;
+}
+
+const TOTAL_FIELDS = ['totalCollected', 'totalDisbursed', 'loanDisbursements', 'expenses', 'pettyCash', 'collectedForOtherBranches'];
+
+// Each rule returns null when it passes, otherwise { message, expected?, actual? }
+const RULES = [
+  {
+    rule: 'balance_equation',
+    check(r, t) {
+      if (Math.abs(t.variance) <= TOLERANCE) return null;
+      return {
+        message: `Closing balances are off by ${t.variance} (opening + collected - disbursed - loans disbursed - expenses - petty cash + zanaco)`,
+        expected: t.expectedClosing,
+        actual: t.actualClosing,
+      };
+    },
+  },
+  {
+    rule: 'carry_forward',
+    check(r, t) {
+      if (!t.carryForwardVariance) return null;
+      const off = Object.entries(t.carryForwardVariance).filter(([, v]) => Math.abs(v) > TOLERANCE).map(([k]) => k);
+      if (!off.length) return null;
+      return { message: `Opening balances differ from closing balances of ${t.previousDate.toISOString().slice(0, 10)} for: ${off.join(', ')}` };
+    },
+  },
+  {
+    rule: 'non_negative_totals',
+    check(r) {
+      const bad = TOTAL_FIELDS.filter((f) => (Number(r[f]) || 0) < 0);
+      return bad.length ? { message: `Negative totals: ${bad.join(', ')}` } : null;
+    },
+  },
+  {
+    rule: 'non_negative_closing',
+    check(r) {
+      const bad = entriesOf(r.closingBalances).filter(([, v]) => (Number(v) || 0) < -TOLERANCE).map(([k]) => k);
+      return bad.length ? { message: `Negative closing balance for: ${bad.join(', ')}` } : null;
+    },
+  },
+];
+
+/**
+ * Run every rule against a daily report (plain fields or lean doc).
+ * `previous` is the branch's prior report ({ date, closingBalances }); without it
+ * the carry-forward rule is skipped.
+ * @returns { balanced, variance, expectedClosing, actualClosing, channelVariance,
+ *            previousDate, carryForwardVariance, failedRules: [{ rule, message, expected?, actual? }] }
+ */
+function reconcileDaily(report, { previous = null, openingAutoFilled = false } = {}) {
+  const r = report || {};
+  const openingTotal = sumOf(r.openingBalances);
+  const expectedClosing = round2(
+    openingTotal + (Number(r.totalCollected) || 0) - (Number(r.totalDisbursed) || 0) -
+    (Number(r.loanDisbursements) || 0) - (Number(r.expenses) || 0) - (Number(r.pettyCash) || 0) +
+    sumOf(r.zanacoAdjustments)
+  );
+  const actualClosing = round2(sumOf(r.closingBalances));
+  const totals = {
+    expectedClosing,
+    actualClosing,
+    variance: round2(actualClosing - expectedClosing),
+    previousDate: previous ? previous.date : null,
+    // opening - previous closing per channel key
+    carryForwardVariance: previous ? channelVariance(previous.closingBalances, r.openingBalances) : null,
+  };
+
+  const failedRules = [];
+  for (const { rule, check } of RULES) {
+    const failure = check(r, totals);
+    if (failure) failedRules.push({ rule, ...failure });
+  }
+
+  return {
+    balanced: failedRules.length === 0,
+    ...totals,
+    channelVariance: channelVariance(r.openingBalances, r.closingBalances),
+    openingAutoFilled,
+    failedRules,
+  };
+}
+
+// ---------------- Carry-forward ----------------
+
+function plainMap(m) {
+  return Object.fromEntries(entriesOf(m));
+}
+
+/** Latest stored report of the branch before `date`. */
+function findPreviousReport(branch, date) {
+  return DailyReport.findOne({ branch: { $in: reportBranchSpellings(branch) }, date: { $lt: date } })
+    .sort({ date: -1 })
+    .select('date closingBalances')
+    .lean();
+}
+
+/**
+ * Link each incoming report to the branch's previous report (an earlier one in
+ * the same batch wins over a stored one on the same date), optionally fill its
+ * opening balances from that report, and re-run reconciliation with the
+ * carry-forward rule. Mutates item.data.
+ * @param {Array} items [{ branch: registry branch, data: { date, openingBalances, ... }, autoFill }]
+ */
+async function applyCarryForward(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = item.branch.code;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => a.data.date - b.data.date);
+    for (let i = 0; i < group.length; i++) {
+      const item = group[i];
+      const date = item.data.date;
+      let batchPrev = null;
+      for (let j = i - 1; j >= 0; j--) {
+        if (group[j].data.date < date) { batchPrev = group[j].data; break; }
+      }
+      const stored = await findPreviousReport(item.branch, date);
+      const previous = batchPrev && (!stored || batchPrev.date >= stored.date) ? batchPrev : stored;
+
+      const autoFill = !!(item.autoFill && previous);
+      if (autoFill) item.data.openingBalances = plainMap(previous.closingBalances);
+      item.data.reconciliation = reconcileDaily(item.data, { previous, openingAutoFilled: autoFill });
+    }
+  }
+  return items;
+}
+
+/**
+ * Continuity of one branch's daily reports over [from, to] (default: last 30 days):
+ * calendar days without a report, and reports whose opening balances do not
+ * match the previous report's closing balances.
+ */
+async function continuityReport({ branch, from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 29 * DAY_MS);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) throw httpError(400, 'Invalid from/to');
+  const startDay = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+  const endDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()));
+  if (startDay > endDay) throw httpError(400, 'from must be before to');
+  if ((endDay - startDay) / DAY_MS > 366) throw httpError(400, 'Range is limited to 366 days');
+
+  const spellings = reportBranchSpellings(branch);
+  const [before, docs] = await Promise.all([
+    findPreviousReport(branch, startDay),
+    DailyReport.find({ branch: { $in: spellings }, date: { $gte: startDay, $lte: endDay } })
+      .sort({ date: 1 })
+      .select('date openingBalances closingBalances')
+      .lean(),
+  ]);
+
+  const reported = new Set(docs.map((d) => d.date.getTime()));
+  const missingDays = [];
+  for (let t = startDay.getTime(); t <= endDay.getTime(); t += DAY_MS) {
+    if (!reported.has(t)) missingDays.push(new Date(t).toISOString().slice(0, 10));
+  }
+
+  const breaks = [];
+  let previous = before;
+  for (const doc of docs) {
+    if (previous) {
+      const variance = channelVariance(previous.closingBalances, doc.openingBalances);
+      const prevClosing = plainMap(previous.closingBalances);
+      const opening = plainMap(doc.openingBalances);
+      const channels = {};
+      for (const [k, v] of Object.entries(variance)) {
+        if (Math.abs(v) > TOLERANCE) {
+          channels[k] = { previousClosing: Number(prevClosing[k]) || 0, opening: Number(opening[k]) || 0, diff: v };
+        }
+      }
+      if (Object.keys(channels).length) {
+        breaks.push({
+          date: doc.date,
+          previousDate: previous.date,
+          gapDays: Math.round((doc.date - previous.date) / DAY_MS) - 1,
+          channels,
+        });
+      }
+    }
+    previous = doc;
+  }
+
+  return {
+    branch: branch.name,
+    from: startDay,
+    to: endDay,
+    days: missingDays.length + docs.length,
+    reportedDays: docs.length,
+    missingDays,
+    breaks,
+    continuous: !missingDays.length && !breaks.length,
+  };
+}
+
+/**
+ * Unbalanced branch-days, newest first.
+ * @param {Object} opts { from, to, branches (stored spellings to match), limit }
+ */
+async function listExceptions({ from, to, branches = null, limit } = {}) {
+  const q = { 'reconciliation.balanced': false };
+  if (branches) q.branch = { $in: branches };
+  if (from || to) {
+    q.date = {};
+    if (from) {
+      const d = new Date(from);
+      if (isNaN(d.getTime())) throw httpError(400, 'Invalid from');
+      q.date.$gte = d;
+    }
+    if (to) {
+      const d = new Date(to);
+      if (isNaN(d.getTime())) throw httpError(400, 'Invalid to');
+      q.date.$lte = d;
+    }
+  }
+  const lim = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+  const docs = await DailyReport.find(q).sort({ date: -1, branch: 1 }).limit(lim)
+    .select('branch date reconciliation updatedAt').lean();
+  return docs.map((d) => ({
+    id: String(d._id),
+    branch: d.branch,
+    date: d.date,
+    updatedAt: d.updatedAt,
+    ...d.reconciliation,
+  }));
+}
+
+/**
+ * Recompute `reconciliation` on stored open reports (reports written before the
+ * rules existed); closed reports are left as they were closed, like
+ * reconcileNextReport. Writes go to the raw collection: the result is derived
+ * server data, so it must not bump sync versions or show up as an edit in the audit trail.
+ */
+async function reconcileStoredReports({ from, to, dryRun = false } = {}) {
+  const q = { closed: { $ne: true } };
+  if (from || to) {
+    q.date = {};
+    if (from) q.date.$gte = new Date(from);
+    if (to) q.date.$lte = new Date(to);
+  }
+  const summary = { checked: 0, unbalanced: 0, updated: 0 };
+  const cursor = DailyReport.find(q).sort({ branch: 1, date: 1 }).lean().cursor();
+  for await (const doc of cursor) {
+    // The previous report under any spelling of the branch (closed ones included),
+    // so legacy spellings and skipped closed days do not break the chain
+    const branch = (await resolveBranch(doc.branch)) || { name: doc.branch, code: doc.branch };
+    const previous = await findPreviousReport(branch, doc.date);
+    const reconciliation = reconcileDaily(doc, {
+      previous,
+      openingAutoFilled: !!(doc.reconciliation && doc.reconciliation.openingAutoFilled),
+    });
+    summary.checked++;
+    if (!reconciliation.balanced) summary.unbalanced++;
+    if (!dryRun) {
+      const res = await DailyReport.collection.updateOne({ _id: doc._id, closed: { $ne: true } }, { $set: { reconciliation } });
+      if (res.matchedCount) summary.updated++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Re-run reconciliation on the branch's first stored report after `date`: its
+ * carry-forward check compares against that day's closing balances, which have
+ * just changed. Derived data, so it goes to the raw collection like
+ * reconcileStoredReports; closed reports are left as they were closed.
+ * @returns { date, reconciliation } or null when there is no open later report
+ */
+async function reconcileNextReport(branch, date) {
+  const next = await DailyReport.findOne({ branch: { $in: reportBranchSpellings(branch) }, date: { $gt: date } })
+    .sort({ date: 1 })
+    .lean();
+  if (!next || next.closed) return null;
+  const previous = await findPreviousReport(branch, next.date);
+  const reconciliation = reconcileDaily(next, {
+    previous,
+    openingAutoFilled: !!(next.reconciliation && next.reconciliation.openingAutoFilled),
+  });
+  await DailyReport.collection.updateOne({ _id: next._id, closed: { $ne: true } }, { $set: { reconciliation } });
+  return { date: next.date, reconciliation };
+}
+
+module.exports = {
+  TOLERANCE,
+  RULES,
+  reconcileDaily,
+  applyCarryForward,
+  reconcileNextReport,
+  continuityReport,
+  listExceptions,
+  reconcileStoredReports,
+};
@@ -0,0 +1,216 @@
+// services/repaymentService.js
+// Posts / reverses payments against a Loan and keeps the loan's balance fields
+// (penaltyAmount, totalInterestBalance, amortizationDue) in step with the ledger.
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { httpError } = require('../utils/httpError');
+const { toNumber, roundMoney, balanceComponents, loanActualBalance } = require('../utils/loanBalance');
+const {
+  applyToSchedule,
+  revertFromSchedule,
+  deriveNextInstallment,
+  toPlainSchedule,
+} = require('./amortizationService');
+
+const CLOSED_STATUSES = ['Fully Paid', 'Write-Off'];
+// reversals re-read the loan and retry when a concurrent write moved updatedAt
+const REVERSAL_ATTEMPTS = 5;
+
+function assertObjectId(id, label) {
+  if (!mongoose.Types.ObjectId.isValid(String(id || ''))) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+}
+
+async function loadLoan(loanId) {
+  assertObjectId(loanId, 'loan id');
+  const loan = await Loan.findById(loanId).lean();
+  if (!loan) throw httpError(404, 'Loan not found');
+  return loan;
+}
+
+/**
+ * Split a payment over the outstanding components: penalty first, then
+ * interest, then principal. Anything left over is kept as `unapplied`.
+ */
+function allocatePayment(loan, amount) {
+  const due = balanceComponents(loan);
+  let remaining = roundMoney(amount);
+  const allocation = { penalty: 0, interest: 0, principal: 0, unapplied: 0 };
+
+  for (const part of ['penalty', 'interest', 'principal']) {
+    const take = roundMoney(Math.min(Math.max(due[part], 0), remaining));
+    allocation[part] = take;
+    remaining = roundMoney(remaining - take);
+  }
+  allocation.unapplied = remaining;
+
+  return {
+    allocation,
+    fields: {
+      penaltyAmount: roundMoney(due.penalty - allocation.penalty),
+      totalInterestBalance: roundMoney(due.interest - allocation.interest),
+      amortizationDue: roundMoney(due.principal - allocation.principal),
+    },
+  };
+}
+
+async function recordRepayment(loanId, input = {}, actorEmail = '') {
+  const amount = roundMoney(toNumber(input.amount));
+  if (!(amount > 0)) throw httpError(400, 'amount must be greater than 0');
+
+  const paidAt = input.paidAt ? new Date(input.paidAt) : new Date();
+  if (isNaN(paidAt.getTime())) throw httpError(400, 'invalid paidAt');
+
+  const loan = await loadLoan(loanId);
+  if (CLOSED_STATUSES.includes(loan.loanStatus)) {
+    throw httpError(409, `Cannot post a payment to a loan with status '${loan.loanStatus}'`);
+  }
+
+  const balanceBefore = loanActualBalance(loan);
+  const { allocation, fields } = allocatePayment(loan, amount);
+
+  const set = { ...fields };
+  const balanceAfter = loanActualBalance({ ...loan, ...fields });
+  if (balanceAfter <= 0) set.loanStatus = 'Fully Paid';
+
+  // Interest + principal also settle scheduled installments (penalties are outside the schedule)
+  let installments = [];
+  if (Array.isArray(loan.schedule) && loan.schedule.length) {
+    const schedule = toPlainSchedule(loan.schedule);
+    installments = applyToSchedule(schedule, allocation.interest + allocation.principal);
+    set.schedule = schedule;
+    Object.assign(set, deriveNextInstallment(schedule));
+  }
+
+  // updatedAt acts as a compare-and-set token so two concurrent postings
+  // cannot both start from the same balance.
+  const upd = await Loan.updateOne({ _id: loan._id, updatedAt: loan.updatedAt || null }, { $set: set });
+  if (!upd.matchedCount) throw httpError(409, 'Loan was modified concurrently, please retry');
+
+  let repayment;
+  try {
+    repayment = await Repayment.create({
+      loanId: loan._id,
+      branchId: loan.branchId || '',
+      amount,
+      paidAt,
+      method: input.method || 'cash',
+      reference: input.reference || '',
+      notes: input.notes || '',
+      allocation,
+      installments,
+      balanceBefore,
+      balanceAfter,
+      loanStatusBefore: loan.loanStatus || '',
+      recordedBy: actorEmail || '',
+    });
+  } catch (err) {
+    // best-effort rollback of the loan fields
+    await Loan.updateOne(
+      { _id: loan._id },
+      {
+        $set: {
+          penaltyAmount: loan.penaltyAmount,
+          totalInterestBalance: loan.totalInterestBalance,
+          amortizationDue: loan.amortizationDue,
+          loanStatus: loan.loanStatus,
+          schedule: loan.schedule || [],
+          nextDueDate: loan.nextDueDate || null,
+          nextInstallmentAmount: loan.nextInstallmentAmount || 0,
+        },
+      }
+    ).catch((e) => console.error('repayment rollback failed', e));
+    throw err;
+  }
+
+  const updatedLoan = await Loan.findById(loan._id).lean();
+  return { repayment, loan: updatedLoan };
+}
+
+async function reverseRepayment(loanId, repaymentId, input = {}, actorEmail = '') {
+  assertObjectId(loanId, 'loan id');
+  assertObjectId(repaymentId, 'repayment id');
+
+  const reason = String(input.reason || '').trim();
+  if (!reason) throw httpError(400, 'reason is required');
+
+  // Flip the status first so a double-submit cannot restore the loan twice
+  const repayment = await Repayment.findOneAndUpdate(
+    { _id: repaymentId, loanId, status: 'posted' },
+    { $set: { status: 'reversed', reversedAt: new Date(), reversedBy: actorEmail || '', reversalReason: reason } },
+    { new: true }
+  );
+
+  if (!repayment) {
+    const exists = await Repayment.exists({ _id: repaymentId, loanId });
+    if (!exists) throw httpError(404, 'Repayment not found');
+    throw httpError(409, 'Repayment already reversed');
+  }
+
+  try {
+    await restoreLoan(loanId, repayment);
+  } catch (err) {
+    // the loan was not restored: the repayment stays posted so it can be reversed again
+    await Repayment.updateOne(
+      { _id: repayment._id, status: 'reversed' },
+      { $set: { status: 'posted', reversedAt: null, reversedBy: '', reversalReason: '' } }
+    ).catch((e) => console.error('reversal rollback failed', e));
+    throw err;
+  }
+
+  const updatedLoan = await Loan.findById(loanId).lean();
+  return { repayment, loan: updatedLoan };
+}
+
+/**
+ * Give a reversed repayment's allocation back to the loan (and its schedule).
+ * Same updatedAt compare-and-set as recordRepayment, retried on conflict.
+ */
+async function restoreLoan(loanId, repayment) {
+  const a = repayment.allocation || {};
+  for (let attempt = 0; attempt < REVERSAL_ATTEMPTS; attempt++) {
+    const loan = await Loan.findById(loanId).select('schedule loanStatus updatedAt').lean();
+    if (!loan) throw httpError(404, 'Loan not found');
+
+    const update = {
+      $inc: {
+        penaltyAmount: toNumber(a.penalty),
+        totalInterestBalance: toNumber(a.interest),
+        amortizationDue: toNumber(a.principal),
+      },
+    };
+    const set = {};
+    if (Array.isArray(repayment.installments) && repayment.installments.length &&
+        Array.isArray(loan.schedule) && loan.schedule.length) {
+      const schedule = toPlainSchedule(loan.schedule);
+      revertFromSchedule(schedule, repayment.installments);
+      Object.assign(set, { schedule, ...deriveNextInstallment(schedule) });
+    }
+    // If this payment is what closed the loan, put the previous status back
+    const prevStatus = repayment.loanStatusBefore;
+    if (loan.loanStatus === 'Fully Paid' && prevStatus && prevStatus !== 'Fully Paid') set.loanStatus = prevStatus;
+    if (Object.keys(set).length) update.$set = set;
+
+    const upd = await Loan.updateOne({ _id: loanId, updatedAt: loan.updatedAt || null }, update);
+    if (upd.matchedCount) return;
+  }
+  throw httpError(409, 'Loan was modified concurrently, please retry');
+}
+
+async function listRepayments(loanId, { includeReversed = true } = {}) {
+  const loan = await loadLoan(loanId);
+
+  const q = { loanId: loan._id };
+  if (!includeReversed) q.status = 'posted';
+
+  const repayments = await Repayment.find(q).sort({ paidAt: -1, createdAt: -1 });
+  const totalPaid = repayments
+    .filter((r) => r.status === 'posted')
+    .reduce((s, r) => s + toNumber(r.amount), 0);
+
+  return { loan, repayments, totalPaid: roundMoney(totalPaid) };
+}
+
+module.exports = { allocatePayment, recordRepayment, reverseRepayment, listRepayments };
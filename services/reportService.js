@@ -0,0 +1,244 @@
+// services/reportService.js
+// Shared normalisation for DailyReport / MonthlyReport payloads, used by the
+// legacy bulk-sync writes (dailyReportService / monthlyReportService) and the
+// sync protocol (services/syncService.js).
+const { reconcileDaily } = require('./reconciliationService');
+const branchService = require('./branchService');
+
+function normalizeDateToDay(dateInput) {
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
+}
+
+function normalizeDateToMonthStart(dateInput) {
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1, 0, 0, 0));
+}
+
+function sanitizeNumericMap(maybe) {
+  if (!maybe || typeof maybe !== 'object') return {};
+  const out = {};
+  for (const [k, v] of Object.entries(maybe)) {
+    const num = (typeof v === 'number') ? v : (v === null || v === '' ? 0 : Number(v));
+    out[k] = Number.isNaN(num) ? 0 : num;
+  }
+  return out;
+}
+
+function sanitizeIntegerMap(maybe) {
+  if (!maybe || typeof maybe !== 'object') return {};
+  const out = {};
+  for (const [k, v] of Object.entries(maybe)) {
+    if (typeof v === 'number') out[k] = Math.trunc(v);
+    else if (typeof v === 'string') {
+      const asInt = parseInt(v, 10);
+      if (!Number.isNaN(asInt)) out[k] = asInt;
+      else {
+        const asFloat = parseFloat(v);
+        out[k] = Number.isNaN(asFloat) ? 0 : Math.trunc(asFloat);
+      }
+    } else out[k] = 0;
+  }
+  return out;
+}
+
+function toNumber(v) {
+  if (v == null) return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string') {
+    const n = Number(v);
+    return Number.isNaN(n) ? 0 : n;
+  }
+  return 0;
+}
+
+function toInteger(v) {
+  if (Number.isInteger(v)) return v;
+  return v ? parseInt(v, 10) || 0 : 0;
+}
+
+/**
+ * DailyReport fields from a client payload (branch/date are resolved by the caller),
+ * including the reconciliation result for those figures.
+ */
+function buildDailyFields(raw) {
+  const fields = {
+    openingBalances: sanitizeNumericMap(raw.openingBalances),
+    loanCounts: sanitizeIntegerMap(raw.loanCounts),
+    closingBalances: sanitizeNumericMap(raw.closingBalances),
+    totalDisbursed: toNumber(raw.totalDisbursed),
+    totalCollected: toNumber(raw.totalCollected),
+    collectedForOtherBranches: toNumber(raw.collectedForOtherBranches),
+    pettyCash: toNumber(raw.pettyCash),
+    expenses: toNumber(raw.expenses),
+    zanacoApplied: raw.zanacoApplied || {},
+    // what a device echoes back from a pull; its closingBalances already include it
+    zanacoAdjustments: sanitizeNumericMap(raw.zanacoAdjustments),
+    synced: true,
+    updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date()
+  };
+  fields.reconciliation = reconcileDaily(fields);
+  return fields;
+}
+
+const MONTHLY_AMOUNT_FIELDS = [
+  'expected', 'collected', 'totalUncollected', 'insufficient', 'unreported', 'lateCollection',
+  'uncollected', 'permicExpectedNextMonth', 'oldInputsAmount', 'newInputsAmount', 'cashAdvance',
+  'overallExpected', 'actualExpected', 'collected2', 'principalReloaned', 'defaultAmount',
+  'clearance', 'totalCollections', 'permicCashAdvance'
+];
+
+const MONTHLY_COUNT_FIELDS = [
+  'inputs', 'collectedInput', 'uncollectedInput', 'insufficientInput', 'unreportedInput',
+  'totalInputs', 'oldInputsCount', 'newInputsCount'
+];
+
+/**
+ * MonthlyReport fields from a client payload (branch/date are resolved by the caller).
+ */
+function buildMonthlyFields(raw) {
+  const out = {};
+  for (const k of MONTHLY_AMOUNT_FIELDS) out[k] = toNumber(raw[k]);
+  for (const k of MONTHLY_COUNT_FIELDS) out[k] = toInteger(raw[k]);
+  out.synced = true;
+  out.updatedAt = raw.updatedAt ? new Date(raw.updatedAt) : new Date();
+  return out;
+}
+
+// ---------------- Legacy bulk sync ----------------
+
+/**
+ * Registry branch + normalized date for one item of a bulk sync, or the reason
+ * it is skipped ({ skip: { reason, code?, details? } }).
+ * @param {Object} opts { scope (req.branchScope), normalizeDate, lock: (branch, date) => periodService lock or null }
+ */
+async function syncTarget(raw, { scope, normalizeDate, lock }) {
+  if (!raw || typeof raw !== 'object') return { skip: { reason: 'invalid item (not object)' } };
+  const rawBranch = raw.branch ? String(raw.branch).trim() : '';
+  if (!rawBranch) return { skip: { reason: 'missing branch' } };
+  const branch = await branchService.resolveBranch(rawBranch);
+  if (!branch || !branch.active) return { skip: { reason: branch ? 'inactive branch' : 'unknown branch' } };
+  if (scope && branch.code !== scope.code) return { skip: { reason: 'branch outside your scope' } };
+  const date = normalizeDate(raw.date);
+  if (!date) return { skip: { reason: 'invalid date' } };
+  const locked = await lock(branch, date);
+  if (locked) return { skip: { reason: locked.message, code: locked.code, details: locked.details } };
+  return { branch, date };
+}
+
+function bulkWriteSummary(result) {
+  if (!result) return undefined;
+  return {
+    insertedCount: result.insertedCount || 0,
+    matchedCount: result.matchedCount || 0,
+    modifiedCount: result.modifiedCount || 0,
+    upsertedCount: result.upsertedCount || 0,
+    upsertedIds: result.upsertedIds || {}
+  };
+}
+
+// E11000: an upsert filtered on `closed: { $ne: true }` found the branch-period closed
+const DUPLICATE_KEY = 11000;
+
+function isDuplicateKey(err) {
+  return !!err && err.code === DUPLICATE_KEY;
+}
+
+/**
+ * Upsert filter per prepared report: the existing document of that branch-period
+ * under any spelling of the branch (so the write renames it to the canonical name
+ * instead of adding a duplicate), else the canonical name. Both exclude closed
+ * reports; an _id filter on a closed report fails its upsert with E11000 as well.
+ */
+async function reportWriteFilters(Model, docs) {
+  const spellings = await Promise.all(docs.map(async (d) => {
+    const branch = await branchService.resolveBranch(d.branch);
+    return branch ? branchService.reportBranchSpellings(branch) : [d.branch];
+  }));
+  const existing = docs.length
+    ? await Model.find({ $or: docs.map((d, i) => ({ branch: { $in: spellings[i] }, date: d.date })) }).select('_id branch date').lean()
+    : [];
+
+  return docs.map((d, i) => {
+    const matches = existing.filter((e) =>
+      new Date(e.date).getTime() === new Date(d.date).getTime() &&
+      spellings[i].some((s) => (s instanceof RegExp ? s.test(e.branch) : s === e.branch)));
+    const doc = matches.find((e) => e.branch === d.branch) || matches[0];
+    return doc ? { _id: doc._id, closed: { $ne: true } } : { branch: d.branch, date: d.date, closed: { $ne: true } };
+  });
+}
+
+/**
+ * Upsert prepared report fields ({ branch: name, date, ... }) into open periods of `Model`.
+ * A period closed after the caller's lock check makes its upsert collide with the
+ * closed report; those items come back in `closed` (PERIOD_CLOSED), other
+ * failures are appended to `errors`. `saved` only lists items that were written.
+ * @returns { saved: [{ branch, date, id }], closed: [{ reason, code, item }], bulkWriteResult }
+ */
+async function writeReports(Model, docs, errors) {
+  const filters = await reportWriteFilters(Model, docs);
+  const operations = docs.map((data, i) => ({
+    updateOne: {
+      filter: filters[i],
+      update: { $set: data, $setOnInsert: { createdAt: new Date() } },
+      upsert: true
+    }
+  }));
+
+  let bulkResult;
+  const failed = new Map(); // operation index -> write error
+  try {
+    bulkResult = await Model.bulkWrite(operations, { ordered: false });
+  } catch (bulkErr) {
+    console.error(`${Model.modelName} bulkWrite error:`, bulkErr);
+    if (!Array.isArray(bulkErr.writeErrors) || !bulkErr.writeErrors.length) {
+      errors.push({ error: 'bulkWrite failed', detail: bulkErr.message || String(bulkErr) });
+      return { saved: [], closed: [], bulkWriteResult: undefined };
+    }
+    bulkResult = bulkErr.result;
+    for (const we of bulkErr.writeErrors) failed.set(we.index, we);
+  }
+
+  const written = [];
+  const closed = [];
+  docs.forEach((d, i) => {
+    const we = failed.get(i);
+    if (!we) return written.push(d);
+    const item = { branch: d.branch, date: new Date(d.date).toISOString() };
+    if (isDuplicateKey(we)) closed.push({ reason: 'period was closed while the report was being written', code: 'PERIOD_CLOSED', item });
+    else errors.push({ item, error: we.errmsg || String(we) });
+  });
+
+  let savedDocs = [];
+  if (written.length) {
+    try {
+      savedDocs = await Model.find({ $or: written.map((d) => ({ branch: d.branch, date: d.date })) }).select('branch date _id').lean();
+    } catch (qerr) {
+      console.error(`Query after ${Model.modelName} bulkWrite failed:`, qerr);
+      errors.push({ error: 'post-query failed', detail: qerr.message || String(qerr) });
+    }
+  }
+
+  const saved = savedDocs.map((d) => ({ branch: d.branch, date: new Date(d.date).toISOString(), id: d._id ? d._id.toString() : null }));
+  return { saved, closed, bulkWriteResult: bulkWriteSummary(bulkResult) };
+}
+
+module.exports = {
+  syncTarget,
+  bulkWriteSummary,
+  writeReports,
+  reportWriteFilters,
+  isDuplicateKey,
+  normalizeDateToDay,
+  normalizeDateToMonthStart,
+  sanitizeNumericMap,
+  sanitizeIntegerMap,
+  toNumber,
+  toInteger,
+  buildDailyFields,
+  buildMonthlyFields,
+  MONTHLY_AMOUNT_FIELDS,
+  MONTHLY_COUNT_FIELDS,
+};
@@ -0,0 +1,66 @@
+// services/statementService.js
+// Storage for generated PDF statements: the file goes to the GridFS
+// 'statements' bucket (same approach as routes/agreements.js), the lookup
+// record to the Statement model.
+const mongoose = require('mongoose');
+const { GridFSBucket, ObjectId } = require('mongodb');
+const Statement = require('../models/Statement');
+const { httpError } = require('../utils/httpError');
+
+const BUCKET = 'statements';
+
+let bucket;
+function getBucket() {
+  if (!mongoose.connection.db) throw httpError(503, 'DB not ready');
+  if (!bucket) bucket = new GridFSBucket(mongoose.connection.db, { bucketName: BUCKET });
+  return bucket;
+}
+
+/**
+ * Write a rendered PDF to GridFS and record it.
+ * @param {Object} opts { kind, branch (code), period, filename, buffer, generatedBy, summary, ...extra record fields }
+ */
+async function storeStatement({ buffer, filename, ...record }) {
+  const grid = getBucket();
+  const upload = grid.openUploadStream(filename, {
+    contentType: 'application/pdf',
+    metadata: { kind: record.kind, branch: record.branch, period: record.period, generatedBy: record.generatedBy || null },
+  });
+  await new Promise((resolve, reject) => {
+    upload.on('finish', resolve);
+    upload.on('error', reject);
+    upload.end(buffer);
+  });
+  return Statement.create({ ...record, fileId: upload.id, filename, size: buffer.length });
+}
+
+async function findStatement(id) {
+  if (!ObjectId.isValid(id)) throw httpError(400, 'Invalid statement id');
+  const doc = await Statement.findById(id).lean();
+  if (!doc) throw httpError(404, 'Statement not found');
+  return doc;
+}
+
+/** Readable stream of the stored PDF. */
+function openStatementFile(statement) {
+  return getBucket().openDownloadStream(statement.fileId);
+}
+
+/**
+ * Newest first.
+ * @param {Object} opts { kind, branch (code), from, to (period range), limit }
+ */
+async function listStatements({ kind, branch, from, to, limit } = {}) {
+  const q = {};
+  if (kind) q.kind = kind;
+  if (branch) q.branch = branch;
+  if (from || to) {
+    q.period = {};
+    if (from) q.period.$gte = from;
+    if (to) q.period.$lte = to;
+  }
+  const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  return Statement.find(q).sort({ period: -1, createdAt: -1 }).limit(lim).lean();
+}
+
+module.exports = { BUCKET, storeStatement, findStatement, openStatementFile, listStatements };
@@ -0,0 +1,285 @@
+// services/syncService.js
+// Offline sync protocol for DailyReport / MonthlyReport / ZanacoDistribution.
+//
+// Pull: clients keep the `nextCursor` of their last pull and ask for everything
+//       with a higher syncSeq (utils/syncTracking.js stamps every write).
+// Push: each change carries the `version` the client last saw (baseVersion).
+//       If the server copy has moved on, the write is not applied and a conflict
+//       with the server copy is returned; `force: true` overwrites instead.
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const SyncTombstone = require('../models/SyncTombstone');
+const Counter = require('../models/Counter');
+const { SEQ_NAME } = require('../utils/syncTracking');
+const { httpError } = require('../utils/httpError');
+const branchService = require('./branchService');
+const channelService = require('./channelService');
+const { applyCarryForward } = require('./reconciliationService');
+const { baseReport, withZanaco } = require('./zanacoApplyService');
+const { withLoanDisbursements } = require('./dailyReportService');
+const { assertDayOpen, assertMonthOpen } = require('./periodService');
+const zanacoWorkflowService = require('./zanacoWorkflowService');
+const {
+  normalizeDateToDay,
+  normalizeDateToMonthStart,
+  buildDailyFields,
+  buildMonthlyFields,
+  toNumber
+} = require('./reportService');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+function inScope(scope, branch) {
+  return !scope || (branch && branch.code === scope.code);
+}
+
+async function reportKey(data, scope, normalizeDate) {
+  const branch = await branchService.requireBranch(data.branch);
+  if (!inScope(scope, branch)) throw httpError(403, `No access to branch '${branch.name}'`, 'BRANCH_FORBIDDEN');
+  const date = normalizeDate(data.date);
+  if (!date) throw httpError(400, 'valid date is required');
+  // match finds the report under any stored spelling; writes rename it to branch.name
+  const match = { branch: { $in: branchService.reportBranchSpellings(branch) }, date };
+  return { branch, key: { branch: branch.name, date }, match };
+}
+
+// collection name -> model, how to build key + fields from a pushed payload, and the scope filter for pulls
+const COLLECTIONS = {
+  daily: {
+    model: DailyReport,
+    async prepare(data, scope) {
+      const { branch, key, match } = await reportKey(data, scope, normalizeDateToDay);
+      await assertDayOpen(branch, key.date);
+      const fields = await channelService.normalizeDailyChannels(buildDailyFields(data));
+      // applyOne compares baseVersion with the stored version (conflict unless forced)
+      const stored = await baseReport(branch, key.date, null, { check: false });
+      const item = { branch, data: { ...key, ...fields }, stored, autoFill: !!data.autoFillOpening };
+      await withZanaco([item]);
+      await withLoanDisbursements([item]);
+      await applyCarryForward([item]);
+      return { key, match, fields: item.data };
+    },
+    scopeFilter: (b) => ({ branch: { $in: branchService.reportBranchSpellings(b) } }),
+    tombstoneFilter: (b) => ({ 'key.branch': { $in: branchService.reportBranchSpellings(b) } }),
+  },
+  monthly: {
+    model: MonthlyReport,
+    async prepare(data, scope) {
+      const { branch, key, match } = await reportKey(data, scope, normalizeDateToMonthStart);
+      await assertMonthOpen(branch, key.date);
+      return { key, match, fields: { ...key, ...buildMonthlyFields(data) } };
+    },
+    scopeFilter: (b) => ({ branch: { $in: branchService.reportBranchSpellings(b) } }),
+    tombstoneFilter: (b) => ({ 'key.branch': { $in: branchService.reportBranchSpellings(b) } }),
+  },
+  zanaco: {
+    model: ZanacoDistribution,
+    // Allocations are written by the sending branch
+    async prepare(data, scope, op) {
+      const sender = await branchService.requireBranch(data.fromBranch || (scope && scope.code), { field: 'fromBranch' });
+      if (!inScope(scope, sender)) throw httpError(403, `No access to branch '${sender.name}'`, 'BRANCH_FORBIDDEN');
+      const receiver = await branchService.requireBranch(data.branch);
+      const date = normalizeDateToDay(data.date);
+      if (!date) throw httpError(400, 'valid date is required');
+      // Rows on a deactivated channel can still be deleted, not written
+      const { code: channel } = await channelService.requireChannel(data.channel, { allowInactive: op === 'delete' });
+      return {
+        key: { date, fromBranch: sender.code, branch: receiver.code, channel },
+        fields: { amount: toNumber(data.amount), metadata: { ...(data.metadata || {}), fromBranch: sender.code } },
+        sender,
+      };
+    },
+    // A changed amount is proposed to the receiver again; a rewritten or deleted
+    // applied allocation is taken back out of the daily reports
+    async beforeWrite(op, current, fields, actor) {
+      await zanacoWorkflowService.assertRevisable(current);
+      if (op !== 'delete') Object.assign(fields, zanacoWorkflowService.proposalFields(current, fields.amount, actor));
+    },
+    async afterWrite(op, doc, current, fields, { sender, actor }) {
+      if (op !== 'delete' && fields.status) await zanacoWorkflowService.notifyProposed([doc], { sender, actor });
+      await zanacoWorkflowService.reverseApplied(current, op === 'delete' ? null : doc);
+    },
+    // Both ends of an allocation see it
+    scopeFilter: (b) => branchService.zanacoInvolvingFilter(b),
+    tombstoneFilter: (b) => ({
+      $or: [{ 'key.branch': { $in: branchService.zanacoBranchSpellings(b) } }, { 'key.fromBranch': b.code }],
+    }),
+  },
+};
+
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+function parseCollections(input) {
+  if (!input) return COLLECTION_NAMES;
+  const list = (Array.isArray(input) ? input : String(input).split(',')).map((c) => String(c).trim()).filter(Boolean);
+  const unknown = list.filter((c) => !COLLECTIONS[c]);
+  if (unknown.length) throw httpError(400, `Unknown collection(s): ${unknown.join(', ')}`);
+  return list;
+}
+
+function keyOf(collection, doc) {
+  if (collection === 'zanaco') {
+    return { date: doc.date, fromBranch: doc.fromBranch || null, branch: doc.branch, channel: doc.channel };
+  }
+  return { branch: doc.branch, date: doc.date };
+}
+
+// ---------------- Pull ----------------
+
+/**
+ * Changes with syncSeq > since, oldest first, across the requested collections.
+ * Only changes up to the safe mark are served (syncSeqs below every write still
+ * in flight), so a cursor never moves past a change that has yet to commit.
+ * @param {Object} opts { since, limit, collections, branch (registry branch filter), scope (req.branchScope), known: { [id]: version } }
+ * @returns { changes: [{ collection, op, id, key, version, syncSeq, doc? }], nextCursor, hasMore, serverCursor }
+ */
+async function getChanges({ since = 0, limit, collections, branch = null, scope = null, known = {} } = {}) {
+  const cursor = Number(since) || 0;
+  if (cursor < 0) throw httpError(400, 'since must be >= 0');
+  const qLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const names = parseCollections(collections);
+  const filterBranch = scope || branch;
+  const safeMark = await Counter.safeMark(SEQ_NAME);
+  const window = { $gt: cursor, $lte: Math.max(cursor, safeMark) };
+
+  const batches = await Promise.all(names.map(async (name) => {
+    const spec = COLLECTIONS[name];
+    const q = { syncSeq: window };
+    if (filterBranch) Object.assign(q, spec.scopeFilter(filterBranch));
+    const docs = await spec.model.find(q).sort({ syncSeq: 1 }).limit(qLimit + 1).lean();
+    return docs.map((doc) => ({
+      collection: name,
+      op: 'upsert',
+      id: String(doc._id),
+      key: keyOf(name, doc),
+      version: doc.version || 0,
+      syncSeq: doc.syncSeq,
+      doc,
+    }));
+  }));
+
+  const tq = { collectionName: { $in: names }, syncSeq: window };
+  if (filterBranch) {
+    tq.$or = names.map((name) => ({ collectionName: name, ...COLLECTIONS[name].tombstoneFilter(filterBranch) }));
+  }
+  const tombstones = (await SyncTombstone.find(tq).sort({ syncSeq: 1 }).limit(qLimit + 1).lean()).map((t) => ({
+    collection: t.collectionName,
+    op: 'delete',
+    id: String(t.docId),
+    key: t.key,
+    version: t.version,
+    syncSeq: t.syncSeq,
+  }));
+
+  const merged = [...batches.flat(), ...tombstones].sort((a, b) => a.syncSeq - b.syncSeq);
+  const page = merged.slice(0, qLimit);
+  const hasMore = merged.length > qLimit;
+  const nextCursor = page.length ? page[page.length - 1].syncSeq : cursor;
+
+  // Drop upserts the client already holds at this version (cursor still advances past them)
+  const changes = page.filter((c) => !(c.op === 'upsert' && known[c.id] != null && Number(known[c.id]) >= c.version));
+
+  return { changes, nextCursor, hasMore, serverCursor: safeMark };
+}
+
+// ---------------- Push ----------------
+
+function conflict(change, key, server, reason) {
+  return {
+    status: 'conflict',
+    collection: change.collection,
+    clientId: change.clientId,
+    key,
+    reason,
+    baseVersion: Number(change.baseVersion || 0),
+    serverVersion: server ? server.version || 0 : null,
+    server: server || null,
+  };
+}
+
+async function applyOne(change, scope, actor) {
+  const spec = COLLECTIONS[change && change.collection];
+  if (!spec) throw httpError(400, `Unknown collection '${change && change.collection}'`);
+  const op = change.op || 'upsert';
+  if (!['upsert', 'delete'].includes(op)) throw httpError(400, `Unknown op '${op}'`);
+
+  const { key, match = key, fields, sender } = await spec.prepare(change.data || {}, scope, op);
+  const base = Number(change.baseVersion || 0);
+  const current = await spec.model.findOne(match).lean();
+
+  if (!change.force) {
+    if (current && (current.version || 0) !== base) return conflict(change, key, current, 'stale baseVersion');
+    if (!current && base > 0) return conflict(change, key, null, 'deleted on server');
+  }
+  const overwritten = !!change.force && (current ? (current.version || 0) !== base : base > 0);
+  if (spec.beforeWrite) await spec.beforeWrite(op, current, fields, actor);
+
+  if (op === 'delete') {
+    if (!current) return { status: 'applied', collection: change.collection, clientId: change.clientId, key, deleted: false };
+    const removed = await spec.model.findOneAndDelete({ _id: current._id, version: current.version || 0 }).lean();
+    if (!removed) return conflict(change, key, await spec.model.findOne(match).lean(), 'changed during write');
+    if (spec.afterWrite) await spec.afterWrite(op, null, current, fields, { sender, actor });
+    return { status: 'applied', collection: change.collection, clientId: change.clientId, key, deleted: true, overwritten };
+  }
+
+  let doc;
+  if (current) {
+    // compare-and-set on version so two devices pushing at once cannot both win
+    doc = await spec.model.findOneAndUpdate(
+      { _id: current._id, version: current.version || 0 },
+      { $set: { ...fields, version: (current.version || 0) + 1 } },
+      { new: true }
+    ).lean();
+    if (!doc) return conflict(change, key, await spec.model.findOne(match).lean(), 'changed during write');
+  } else {
+    try {
+      doc = (await spec.model.create({ ...key, ...fields })).toObject();
+    } catch (err) {
+      if (err && err.code === 11000) return conflict(change, key, await spec.model.findOne(match).lean(), 'created concurrently');
+      throw err;
+    }
+  }
+
+  if (spec.afterWrite) await spec.afterWrite(op, doc, current, fields, { sender, actor });
+
+  return {
+    status: 'applied',
+    collection: change.collection,
+    clientId: change.clientId,
+    key,
+    id: String(doc._id),
+    version: doc.version,
+    syncSeq: doc.syncSeq,
+    overwritten,
+  };
+}
+
+/**
+ * Apply pushed changes in order. One bad change does not stop the rest.
+ * change: { collection, op?: 'upsert'|'delete', baseVersion, data, force?, clientId? }
+ */
+async function applyChanges(changes, { scope = null, actor = null } = {}) {
+  if (!Array.isArray(changes)) throw httpError(400, 'changes must be an array');
+  const results = [];
+  for (const change of changes) {
+    try {
+      results.push(await applyOne(change, scope, actor));
+    } catch (err) {
+      if (!err.status) throw err;
+      results.push({
+        status: 'rejected',
+        collection: change && change.collection,
+        clientId: change && change.clientId,
+        error: err.message,
+        code: err.code,
+        details: err.details,
+      });
+    }
+  }
+  const count = (s) => results.filter((r) => r.status === s).length;
+  return { results, applied: count('applied'), conflicts: count('conflict'), rejected: count('rejected') };
+}
+
+module.exports = { COLLECTION_NAMES, getChanges, applyChanges };
@@ -0,0 +1,215 @@
+// services/zanacoApplyService.js
+// Server-side application of Zanaco allocations to daily closing balances.
+//
+// For a branch-day, the net per channel of its *applied* allocations
+// (received - sent, see zanacoWorkflowService) is added to the matching
+// closingBalances key, recorded in zanacoAdjustments and flagged in
+// zanacoApplied. Branches send closing balances without Zanaco for a new day, or
+// based on the stored report they last pulled (its version as baseVersion, so
+// they include its zanacoAdjustments); every daily write brings them up to the
+// current net, and recomputeDay moves a stored report by the difference
+// whenever an allocation is applied, edited or deleted, so the adjustment can
+// always be taken back.
+const DailyReport = require('../models/DailyReport');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const { assertDayOpen } = require('./periodService');
+const { normalizeDateToDay } = require('./reportService');
+const { applyCarryForward, reconcileNextReport } = require('./reconciliationService');
+
+function plain(m) {
+  if (!m) return {};
+  return m instanceof Map ? Object.fromEntries(m.entries()) : { ...m };
+}
+
+/** { channel: received - sent } over the branch-day's applied allocations (zero channels left out). */
+async function appliedNet(branch, date) {
+  const docs = await ZanacoDistribution.find({ date, status: 'applied', ...branchService.zanacoInvolvingFilter(branch) })
+    .select('branch fromBranch channel amount').lean();
+
+  const receivedBy = new Set(branchService.zanacoBranchSpellings(branch));
+  const net = {};
+  for (const d of docs) {
+    const amount = Number(d.amount) || 0;
+    if (receivedBy.has(d.branch)) net[d.channel] = (net[d.channel] || 0) + amount;
+    if (d.fromBranch === branch.code) net[d.channel] = (net[d.channel] || 0) - amount;
+  }
+  for (const k of Object.keys(net)) {
+    net[k] = roundMoney(net[k]);
+    if (net[k] === 0) delete net[k];
+  }
+  return net;
+}
+
+/** Closing balances, adjustments and flags for moving from `before` to `after` adjustments. */
+function adjusted({ closingBalances, zanacoApplied }, before, after) {
+  const closing = plain(closingBalances);
+  const flags = plain(zanacoApplied);
+  for (const ch of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const delta = roundMoney((after[ch] || 0) - (before[ch] || 0));
+    if (delta) closing[ch] = roundMoney((Number(closing[ch]) || 0) + delta);
+    if (after[ch]) flags[ch] = true;
+    else delete flags[ch];
+  }
+  return { closingBalances: closing, zanacoAdjustments: after, zanacoApplied: flags };
+}
+
+/**
+ * The stored report a daily push replaces (null for a new day). Its
+ * zanacoAdjustments are what the pushed closingBalances already include, which
+ * only holds when the push was based on this version: 409 STALE_REPORT otherwise.
+ * @param {Object} opts { check: false to skip the version check (the caller compares versions itself) }
+ */
+async function baseReport(branch, date, baseVersion, { check = true } = {}) {
+  const stored = await DailyReport.findOne({ branch: { $in: branchService.reportBranchSpellings(branch) }, date })
+    .select('version zanacoAdjustments').lean();
+  if (stored && check && Number(baseVersion) !== (stored.version || 0)) {
+    const day = date.toISOString().slice(0, 10);
+    const err = httpError(409, `Daily report for ${branch.name} on ${day} has changed on the server; pull it and send its version as baseVersion`, 'STALE_REPORT');
+    err.details = { branch: branch.name, date: day, version: stored.version || 0, baseVersion: baseVersion == null ? null : Number(baseVersion) };
+    throw err;
+  }
+  return stored;
+}
+
+/**
+ * Bring incoming daily reports up to the applied Zanaco net before they are written
+ * (call before reconciliationService.applyCarryForward). The sent closingBalances
+ * are taken to include the stored report's zanacoAdjustments (item.stored, from
+ * baseReport; looked up without a version check when absent), never the
+ * client-sent ones. Mutates item.data.
+ * @param {Array} items [{ branch: registry branch, data: { date, closingBalances, zanacoApplied, ... }, stored? }]
+ */
+async function withZanaco(items) {
+  for (const item of items) {
+    const stored = item.stored !== undefined ? item.stored : await baseReport(item.branch, item.data.date, null, { check: false });
+    const net = await appliedNet(item.branch, item.data.date);
+    Object.assign(item.data, adjusted(item.data, plain(stored && stored.zanacoAdjustments), net));
+  }
+  return items;
+}
+
+/**
+ * Bring a stored report in line with the branch-day's applied allocations:
+ * closingBalances move by the change in net per channel since the last apply.
+ * @returns { branch, date, changed, adjustments, missingReport? }
+ */
+async function recomputeDay(branch, dateInput) {
+  const date = normalizeDateToDay(dateInput);
+  if (!date) throw httpError(400, 'valid date is required');
+  const report = await DailyReport.findOne({ branch: { $in: branchService.reportBranchSpellings(branch) }, date }).lean();
+  const net = await appliedNet(branch, date);
+  const day = date.toISOString().slice(0, 10);
+  // The branch has not reported the day yet; the net is added when it does (withZanaco)
+  if (!report) return { branch: branch.name, date: day, changed: false, adjustments: net, missingReport: true };
+
+  const before = plain(report.zanacoAdjustments);
+  const same = Object.keys({ ...before, ...net }).every((ch) => roundMoney(before[ch] || 0) === roundMoney(net[ch] || 0));
+  if (same) return { branch: branch.name, date: day, changed: false, adjustments: net };
+
+  await assertDayOpen(branch, date);
+  const data = { ...report, ...adjusted(report, before, net) };
+  await applyCarryForward([{ branch, data }]);
+  data.reconciliation.openingAutoFilled = !!(report.reconciliation && report.reconciliation.openingAutoFilled);
+
+  // Through the model so devices pull the new closing balances and the change is audited
+  const updated = await DailyReport.findOneAndUpdate(
+    { _id: report._id, closed: { $ne: true } },
+    { $set: { closingBalances: data.closingBalances, zanacoAdjustments: net, zanacoApplied: data.zanacoApplied, reconciliation: data.reconciliation } },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(409, `Daily report for ${branch.name} on ${day} was closed`, 'PERIOD_CLOSED');
+  // The following day's carry-forward check was made against the old closing balances
+  await reconcileNextReport(branch, date);
+  return { branch: branch.name, date: day, changed: true, adjustments: net, closingBalances: plain(updated.closingBalances) };
+}
+
+/** Both ends of each allocation, one recompute per branch-day. */
+async function recomputeForAllocations(docs) {
+  const days = new Map();
+  for (const d of docs) {
+    for (const code of [d.branch, d.fromBranch]) {
+      if (!code) continue;
+      const b = await branchService.resolveBranch(code);
+      if (b) days.set(`${b.code}|${new Date(d.date).getTime()}`, { branch: b, date: d.date });
+    }
+  }
+  const results = [];
+  for (const { branch, date } of days.values()) results.push(await recomputeDay(branch, date));
+  return results;
+}
+
+/**
+ * Apply every acknowledged allocation a branch sent or received on a day,
+ * then recompute that day for the branch and each counterparty.
+ * @param {Object} opts { branch: registry branch, date, actor }
+ * @returns { applied, days: [recomputeDay result] }
+ */
+async function applyDay({ branch, date: dateInput, actor }) {
+  const date = normalizeDateToDay(dateInput);
+  if (!date) throw httpError(400, 'valid date is required');
+  await assertDayOpen(branch, date);
+
+  const pending = await ZanacoDistribution.find({ date, status: 'acknowledged', ...branchService.zanacoInvolvingFilter(branch) }).lean();
+  // Counterparties' days must be open too
+  for (const d of pending) {
+    for (const code of [d.branch, d.fromBranch]) {
+      const b = code && code !== branch.code ? await branchService.resolveBranch(code) : null;
+      if (b) await assertDayOpen(b, date);
+    }
+  }
+
+  const by = (actor && actor.email) || null;
+  const now = new Date();
+  const applied = [];
+  for (const d of pending) {
+    const updated = await ZanacoDistribution.findOneAndUpdate(
+      { _id: d._id, status: 'acknowledged' },
+      {
+        $set: { status: 'applied', appliedAt: now, appliedBy: by },
+        $push: { statusHistory: { status: 'applied', by, reason: '', amount: d.amount, at: now } },
+      },
+      { new: true }
+    ).lean();
+    if (updated) applied.push(updated);
+  }
+
+  // Recompute even with nothing newly applied: it also repairs days left behind by edits
+  let days;
+  try {
+    days = await recomputeForAllocations([...pending, { branch: branch.code, date }]);
+  } catch (err) {
+    await undoApply(applied);
+    throw err;
+  }
+  return { applied: applied.length, days };
+}
+
+/**
+ * Put allocations whose apply could not be carried into the daily reports
+ * (e.g. a day closed in the meantime) back to acknowledged, and bring any day
+ * that was already adjusted back in line, so a row never says applied without
+ * being in the balances.
+ * @param {Array} docs allocations as returned by the apply update
+ */
+async function undoApply(docs) {
+  const reverted = [];
+  for (const d of docs) {
+    const doc = await ZanacoDistribution.findOneAndUpdate(
+      { _id: d._id, status: 'applied', appliedAt: d.appliedAt },
+      { $set: { status: 'acknowledged', appliedAt: null, appliedBy: null }, $pop: { statusHistory: 1 } },
+      { new: true }
+    ).lean();
+    if (doc) reverted.push(doc);
+  }
+  try {
+    await recomputeForAllocations(reverted);
+  } catch (err) {
+    console.error('zanaco undo apply: recompute failed', err);
+  }
+  return reverted;
+}
+
+module.exports = { appliedNet, baseReport, withZanaco, recomputeDay, recomputeForAllocations, applyDay, undoApply };
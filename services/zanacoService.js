@@ -0,0 +1,496 @@
+// services/zanacoService.js
+// Zanaco allocation reads and writes behind routes/reports.js (and the sync
+// protocol's zanaco collection). Rows are keyed on date + fromBranch (sender
+// code) + branch (receiver code) + channel, so two branches sending to the same
+// receiver never overwrite each other. The lifecycle of a row lives in
+// zanacoWorkflowService and its effect on daily reports in zanacoApplyService.
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const channelService = require('./channelService');
+const { normalizeDateToDay, normalizeDateToMonthStart, bulkWriteSummary } = require('./reportService');
+const zanacoWorkflowService = require('./zanacoWorkflowService');
+
+/** Registry code for a channel spelling; 400 for unknown (and, unless allowInactive, inactive) channels. */
+async function channelCode(channel, opts) {
+  return (await channelService.requireChannel(channel, opts)).code;
+}
+
+function requireDay(input) {
+  if (!input) throw httpError(400, 'date required');
+  const date = normalizeDateToDay(input);
+  if (!date) throw httpError(400, 'invalid date');
+  return date;
+}
+
+/** Allocations are proposed by their sender: 403 unless a branch_admin (scope) is the sender. */
+function assertSender(scope, sender) {
+  if (scope && sender.code !== scope.code) throw httpError(403, `No access to branch '${sender.name}'`, 'BRANCH_FORBIDDEN');
+}
+
+/** Sender of a write: the given fromBranch, else the caller's own branch. */
+async function resolveSender(fromBranch, scope) {
+  if (fromBranch) return branchService.requireBranch(fromBranch, { field: 'fromBranch' });
+  if (scope) return scope;
+  throw httpError(400, 'fromBranch is required', 'BRANCH_REQUIRED');
+}
+
+/**
+ * Query for allocations on one day.
+ * @param {Object} opts { date (required), branch (receiver), fromBranch (sender), channel, scope (req.branchScope) }
+ * branch_admin only sees allocations their branch received or sent.
+ */
+async function distributionFilter({ date, branch, fromBranch, channel, scope = null }) {
+  const clauses = [{ date: requireDay(date) }];
+  if (branch) clauses.push(branchService.zanacoReceivedFilter(await branchService.requireBranch(branch, { allowInactive: true })));
+  if (fromBranch) {
+    const sender = await branchService.requireBranch(fromBranch, { allowInactive: true, field: 'fromBranch' });
+    clauses.push(branchService.zanacoSentFilter(sender));
+  }
+  if (channel) clauses.push({ channel: await channelCode(channel, { allowInactive: true }) });
+  if (scope) clauses.push(branchService.zanacoInvolvingFilter(scope));
+  return { $and: clauses };
+}
+
+/** Allocations matching distributionFilter(opts), newest first. */
+async function listDistributions(opts) {
+  return ZanacoDistribution.find(await distributionFilter(opts)).sort({ date: -1, channel: 1 }).lean();
+}
+
+/** { channel: total } over distributionFilter(opts). */
+async function channelTotals(opts) {
+  const rows = await ZanacoDistribution.aggregate([
+    { $match: await distributionFilter(opts) },
+    { $group: { _id: '$channel', total: { $sum: '$amount' } } },
+  ]);
+  const out = {};
+  for (const r of rows) out[r._id] = roundMoney(r.total);
+  return out;
+}
+
+/**
+ * { start, end } whole UTC days (end inclusive) from ?date= (one day), ?month=YYYY-MM
+ * or ?from=&to= (to defaults to from).
+ */
+function parsePeriod({ date, from, to, month } = {}) {
+  if (date) {
+    const day = requireDay(date);
+    return { start: day, end: day };
+  }
+  if (month) {
+    const start = normalizeDateToMonthStart(month);
+    if (!start) throw httpError(400, 'valid month is required (YYYY-MM)');
+    return { start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)) };
+  }
+  if (!from) throw httpError(400, 'date, month or from/to is required');
+  const start = normalizeDateToDay(from);
+  const end = normalizeDateToDay(to || from);
+  if (!start || !end) throw httpError(400, 'Invalid from/to');
+  if (start > end) throw httpError(400, 'from must be before to');
+  return { start, end };
+}
+
+function isoDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+/**
+ * What a branch received and sent per channel over a period, with a per-day breakdown.
+ * @param {Object} opts { branch: registry branch, date | month | from, to (see parsePeriod) }
+ * @returns { branch, from, to, received: { channel: amount, total }, sent: {...}, net, days: [{ date, received, sent, net }] }
+ */
+async function summary({ branch, ...period }) {
+  const { start, end } = parsePeriod(period);
+  const date = { $gte: start, $lte: end };
+  const byDayAndChannel = { $group: { _id: { date: '$date', channel: '$channel' }, total: { $sum: '$amount' } } };
+  const [receivedRows, sentRows] = await Promise.all([
+    ZanacoDistribution.aggregate([{ $match: { date, ...branchService.zanacoReceivedFilter(branch) } }, byDayAndChannel]),
+    ZanacoDistribution.aggregate([{ $match: { date, ...branchService.zanacoSentFilter(branch) } }, byDayAndChannel]),
+  ]);
+
+  const add = (totals, channel, amount) => {
+    totals[channel] = roundMoney((totals[channel] || 0) + amount);
+    totals.total = roundMoney(totals.total + amount);
+  };
+  // Every active channel appears, even with nothing moved
+  const zeroes = Object.fromEntries((await channelService.channelCodes()).map((c) => [c, 0]));
+  const received = { ...zeroes, total: 0 };
+  const sent = { ...zeroes, total: 0 };
+  const days = new Map();
+  const dayOf = (d) => {
+    const k = isoDay(d);
+    if (!days.has(k)) days.set(k, { date: k, received: { total: 0 }, sent: { total: 0 }, net: 0 });
+    return days.get(k);
+  };
+  for (const r of receivedRows) {
+    add(received, r._id.channel, r.total);
+    add(dayOf(r._id.date).received, r._id.channel, r.total);
+  }
+  for (const r of sentRows) {
+    add(sent, r._id.channel, r.total);
+    add(dayOf(r._id.date).sent, r._id.channel, r.total);
+  }
+  for (const d of days.values()) d.net = roundMoney(d.received.total - d.sent.total);
+
+  return {
+    branch: branch.name,
+    from: isoDay(start),
+    to: isoDay(end),
+    received,
+    sent,
+    net: roundMoney(received.total - sent.total),
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+  };
+}
+
+// Allocations head office settles by default: the ones both branches agreed on
+const SETTLEMENT_STATUSES = ['acknowledged', 'applied'];
+
+/**
+ * Transfers that zero out net positions, by a greedy heuristic: the largest debtor
+ * pays the largest creditor until one side is exhausted. Bounded at n - 1 transfers
+ * for n branches with a position, but not always the minimum (that would need
+ * grouping branches into zero-sum subsets).
+ * @param {Object} positions { code: net } (positive = owed to the branch)
+ * @returns [{ from: payer code, to: payee code, amount }]
+ */
+function suggestTransfers(positions) {
+  const creditors = [];
+  const debtors = [];
+  for (const [code, net] of Object.entries(positions)) {
+    const amount = roundMoney(net);
+    if (amount > 0) creditors.push({ code, amount });
+    else if (amount < 0) debtors.push({ code, amount: -amount });
+  }
+  const byAmount = (a, b) => b.amount - a.amount || a.code.localeCompare(b.code);
+  creditors.sort(byAmount);
+  debtors.sort(byAmount);
+
+  const transfers = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const amount = roundMoney(Math.min(debtors[i].amount, creditors[j].amount));
+    if (amount > 0) transfers.push({ from: debtors[i].code, to: creditors[j].code, amount });
+    debtors[i].amount = roundMoney(debtors[i].amount - amount);
+    creditors[j].amount = roundMoney(creditors[j].amount - amount);
+    if (debtors[i].amount <= 0) i++;
+    if (creditors[j].amount <= 0) j++;
+  }
+  return transfers;
+}
+
+/**
+ * Inter-branch Zanaco float over a period. An allocation from A to B means B
+ * holds A's float, so B owes A. Amounts owed both ways between two branches are
+ * netted per channel.
+ * @param {Object} opts { month | from, to (see parsePeriod), channel, statuses (default SETTLEMENT_STATUSES) }
+ * @returns {
+ *   from, to, statuses, channels, branches: [{ code, name }],
+ *   matrix: { channel|'total': { debtor code: { creditor code: amount } } },
+ *   positions: { code: { channel: net, total } } (positive = owed to the branch),
+ *   settlements: [{ channel, from, fromName, to, toName, amount }] (per channel: floats live in separate wallets;
+ *     greedy, at most n - 1 per channel, see suggestTransfers),
+ *   unmatched: [{ key, amount }] (branch codes not in the registry)
+ * }
+ */
+async function settlementMatrix({ channel, statuses = SETTLEMENT_STATUSES, ...period }) {
+  const { start, end } = parsePeriod(period);
+  const match = { date: { $gte: start, $lte: end } };
+  // rows without a status are proposed
+  match.status = statuses.includes('proposed') ? { $in: [...statuses, null] } : { $in: statuses };
+  if (channel) match.channel = await channelCode(channel, { allowInactive: true });
+
+  const rows = await ZanacoDistribution.aggregate([
+    { $match: match },
+    { $group: { _id: { sender: '$fromBranch', receiver: '$branch', channel: '$channel' }, amount: { $sum: '$amount' } } },
+  ]);
+
+  const branches = new Map();
+  const unmatched = new Map();
+  async function codeOf(key) {
+    const b = key ? await branchService.resolveBranch(key) : null;
+    if (!b) return null;
+    branches.set(b.code, b);
+    return b.code;
+  }
+
+  // gross[channel]['debtor|creditor'] = amount
+  const gross = new Map();
+  for (const r of rows) {
+    const amount = Number(r.amount) || 0;
+    if (!amount) continue;
+    const creditor = await codeOf(r._id.sender);
+    const debtor = await codeOf(r._id.receiver);
+    if (!creditor || !debtor) {
+      const key = !creditor ? r._id.sender : r._id.receiver;
+      unmatched.set(key, roundMoney((unmatched.get(key) || 0) + amount));
+      continue;
+    }
+    if (creditor === debtor) continue;
+    const ch = r._id.channel;
+    if (!gross.has(ch)) gross.set(ch, new Map());
+    const k = `${debtor}|${creditor}`;
+    gross.get(ch).set(k, (gross.get(ch).get(k) || 0) + amount);
+  }
+
+  // Registry order; rows stored before the registry existed sort last
+  const order = await channelService.channelCodes({ includeInactive: true });
+  const rank = (ch) => (order.includes(ch) ? order.indexOf(ch) : order.length);
+  const channels = [...gross.keys()].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  const matrix = { total: {} };
+  const positions = {};
+  const settlements = [];
+  const owe = (m, debtor, creditor, amount) => {
+    if (!m[debtor]) m[debtor] = {};
+    m[debtor][creditor] = roundMoney((m[debtor][creditor] || 0) + amount);
+  };
+  const move = (code, ch, amount) => {
+    if (!positions[code]) positions[code] = { total: 0 };
+    positions[code][ch] = roundMoney((positions[code][ch] || 0) + amount);
+    positions[code].total = roundMoney(positions[code].total + amount);
+  };
+
+  for (const ch of channels) {
+    matrix[ch] = {};
+    const net = {};
+    for (const [k, amount] of gross.get(ch)) {
+      const [debtor, creditor] = k.split('|');
+      const back = gross.get(ch).get(`${creditor}|${debtor}`) || 0;
+      const owed = roundMoney(amount - back);
+      if (owed <= 0) continue;
+      owe(matrix[ch], debtor, creditor, owed);
+      move(creditor, ch, owed);
+      move(debtor, ch, -owed);
+      net[creditor] = roundMoney((net[creditor] || 0) + owed);
+      net[debtor] = roundMoney((net[debtor] || 0) - owed);
+    }
+    for (const t of suggestTransfers(net)) {
+      settlements.push({
+        channel: ch,
+        from: t.from,
+        fromName: branches.get(t.from).name,
+        to: t.to,
+        toName: branches.get(t.to).name,
+        amount: t.amount,
+      });
+    }
+  }
+
+  // Channel-less view of the same debts, netted again across channels
+  const totals = {};
+  for (const ch of channels) {
+    for (const [debtor, row] of Object.entries(matrix[ch])) {
+      for (const [creditor, amount] of Object.entries(row)) {
+        totals[`${debtor}|${creditor}`] = (totals[`${debtor}|${creditor}`] || 0) + amount;
+      }
+    }
+  }
+  for (const [k, amount] of Object.entries(totals)) {
+    const [debtor, creditor] = k.split('|');
+    const owed = roundMoney(amount - (totals[`${creditor}|${debtor}`] || 0));
+    if (owed > 0) owe(matrix.total, debtor, creditor, owed);
+  }
+
+  return {
+    from: isoDay(start),
+    to: isoDay(end),
+    statuses,
+    channels,
+    branches: [...branches.values()].map((b) => ({ code: b.code, name: b.name })).sort((a, b) => a.name.localeCompare(b.name)),
+    matrix,
+    positions,
+    settlements,
+    unmatched: [...unmatched].map(([key, amount]) => ({ key, amount })),
+  };
+}
+
+/**
+ * Upsert one allocation.
+ * @param {Object} opts { date, branch (receiver), fromBranch (sender; defaults to scope), channel, amount, metadata, actor, scope }
+ * @returns the stored allocation
+ */
+async function saveAllocation({ date: dateInput, branch, fromBranch, channel, amount, metadata, actor, scope = null }) {
+  if (!dateInput || !branch || !channel) throw httpError(400, 'date, branch and channel required');
+  const date = requireDay(dateInput);
+  const receiver = await branchService.requireBranch(branch);
+  const code = await channelCode(channel);
+  const sender = await resolveSender(fromBranch, scope);
+  assertSender(scope, sender);
+
+  const filter = { date, fromBranch: sender.code, branch: receiver.code, channel: code };
+  const amt = Number(amount) || 0;
+  const current = await ZanacoDistribution.findOne(filter).lean();
+  await zanacoWorkflowService.assertRevisable(current);
+  const lifecycle = zanacoWorkflowService.proposalFields(current, amt, actor);
+  const update = {
+    $set: { ...filter, amount: amt, metadata: { ...(metadata || {}), fromBranch: sender.code }, ...lifecycle },
+  };
+  const doc = await ZanacoDistribution.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  if (lifecycle.status) await zanacoWorkflowService.notifyProposed([doc], { sender, actor });
+  await zanacoWorkflowService.reverseApplied(current, doc);
+  return doc;
+}
+
+/**
+ * Upsert a sender's allocations for one day.
+ * @param {Object} opts { date, fromBranch (defaults to scope), allocations: { receiver: { channel: amount } }, actor, scope }
+ * Rows that cannot be rewritten (e.g. an applied allocation on a closed day) are
+ * returned in `skipped`; 409 when none could be written. Rows whose write failed
+ * are returned in `errors`; 500 when every write failed.
+ * @returns { skipped, errors, bulkWriteResult }
+ */
+async function saveAllocations({ date: dateInput, fromBranch, allocations, actor, scope = null }) {
+  if (!dateInput || !allocations || typeof allocations !== 'object') {
+    throw httpError(400, 'date and allocations are required');
+  }
+  const date = requireDay(dateInput);
+  const sender = await resolveSender(fromBranch, scope);
+  assertSender(scope, sender);
+
+  // Resolve every receiver and channel up front so one bad key rejects the whole batch
+  const rows = [];
+  for (const [receiverInput, chMap] of Object.entries(allocations)) {
+    if (!chMap || typeof chMap !== 'object') continue;
+    const receiver = await branchService.requireBranch(receiverInput);
+    for (const [ch, amtRaw] of Object.entries(chMap)) {
+      const channel = await channelCode(ch);
+      rows.push({ filter: { date, fromBranch: sender.code, branch: receiver.code, channel }, amount: Number(amtRaw) || 0 });
+    }
+  }
+  if (rows.length === 0) throw httpError(400, 'no valid allocations provided');
+
+  // Current rows, so changed amounts are proposed again (and taken back out of the reports if applied)
+  const existing = await ZanacoDistribution.find({ $or: rows.map((r) => r.filter) }).lean();
+  const keyOf = (f) => `${f.branch}|${f.channel}`;
+  const currentByKey = new Map(existing.map((d) => [keyOf(d), d]));
+
+  const ops = [];
+  const skipped = [];
+  const written = []; // per op: { filter, proposed, revised: [previous, next] | null }
+  for (const { filter, amount } of rows) {
+    const current = currentByKey.get(keyOf(filter));
+    let lifecycle;
+    try {
+      lifecycle = zanacoWorkflowService.proposalFields(current, amount, actor);
+      if (lifecycle.status) await zanacoWorkflowService.assertRevisable(current);
+    } catch (err) {
+      if (!err.status) throw err;
+      skipped.push({ branch: filter.branch, channel: filter.channel, reason: err.message, code: err.code, details: err.details });
+      continue;
+    }
+    const update = {
+      $set: { ...filter, amount, metadata: { fromBranch: sender.code }, ...lifecycle },
+      $setOnInsert: { createdAt: new Date() },
+    };
+    ops.push({ updateOne: { filter, update, upsert: true } });
+    written.push({
+      filter,
+      proposed: !!lifecycle.status,
+      revised: current && lifecycle.status ? [current, { ...current, ...update.$set }] : null,
+    });
+  }
+  if (ops.length === 0) {
+    const err = httpError(409, 'No allocations could be written', skipped[0].code);
+    err.details = { skipped };
+    throw err;
+  }
+
+  // Only rows that were actually written are notified / taken back out of the reports
+  let result;
+  const errors = [];
+  const failed = new Set();
+  try {
+    result = await ZanacoDistribution.bulkWrite(ops, { ordered: false });
+  } catch (bulkErr) {
+    if (!Array.isArray(bulkErr.writeErrors) || !bulkErr.writeErrors.length) throw bulkErr;
+    console.error('zanaco bulkWrite error:', bulkErr);
+    result = bulkErr.result;
+    for (const we of bulkErr.writeErrors) {
+      failed.add(we.index);
+      const { filter } = written[we.index];
+      errors.push({ branch: filter.branch, channel: filter.channel, error: we.errmsg || String(we), code: we.code });
+    }
+  }
+  const succeeded = written.filter((w, i) => !failed.has(i));
+  if (!succeeded.length) {
+    const err = httpError(500, 'No allocations could be written', 'WRITE_FAILED');
+    err.details = { errors, skipped };
+    throw err;
+  }
+
+  const proposedKeys = succeeded.filter((w) => w.proposed).map((w) => w.filter);
+  if (proposedKeys.length) {
+    const proposed = await ZanacoDistribution.find({ $or: proposedKeys }).lean();
+    await zanacoWorkflowService.notifyProposed(proposed, { sender, actor });
+  }
+  for (const w of succeeded) {
+    if (w.revised) await zanacoWorkflowService.reverseApplied(...w.revised);
+  }
+
+  return { skipped, errors, bulkWriteResult: bulkWriteSummary(result) };
+}
+
+/**
+ * Give rows written before fromBranch was part of the key their sender, taken
+ * from metadata.fromBranch (or `defaultSender`). Rows whose sender cannot be
+ * resolved, or whose new key is already taken, are reported and left alone.
+ * Also drops the old date+branch+channel unique index, which would stop two
+ * senders allocating to the same receiver.
+ * @param {Object} opts { dryRun, defaultSender: branch identity for rows with no sender recorded }
+ */
+async function backfillFromBranch({ dryRun = false, defaultSender = null } = {}) {
+  const fallback = defaultSender ? await branchService.requireBranch(defaultSender, { allowInactive: true, field: 'defaultSender' }) : null;
+  const summary = { checked: 0, updated: 0, unresolved: [], conflicts: [], droppedIndex: false };
+
+  const legacy = await ZanacoDistribution.find({ $or: [{ fromBranch: { $exists: false } }, { fromBranch: null }, { fromBranch: '' }] }).lean();
+  for (const doc of legacy) {
+    summary.checked++;
+    const recorded = doc.metadata && doc.metadata.fromBranch;
+    const sender = recorded ? await branchService.resolveBranch(recorded) : fallback;
+    if (!sender) {
+      summary.unresolved.push({ id: String(doc._id), metadata: doc.metadata || {} });
+      continue;
+    }
+    const clash = await ZanacoDistribution.findOne({
+      _id: { $ne: doc._id }, date: doc.date, fromBranch: sender.code, branch: doc.branch, channel: doc.channel,
+    }).select('_id').lean();
+    if (clash) {
+      summary.conflicts.push({ id: String(doc._id), existingId: String(clash._id), fromBranch: sender.code });
+      continue;
+    }
+    if (dryRun) continue;
+    // Through the model so devices pull the row under its new key
+    await ZanacoDistribution.updateOne(
+      { _id: doc._id },
+      { $set: { fromBranch: sender.code, metadata: { ...(doc.metadata || {}), fromBranch: sender.code } } }
+    );
+    summary.updated++;
+  }
+
+  if (!dryRun) {
+    const indexes = await ZanacoDistribution.collection.indexes();
+    if (indexes.some((i) => i.name === 'date_1_branch_1_channel_1')) {
+      await ZanacoDistribution.collection.dropIndex('date_1_branch_1_channel_1');
+      summary.droppedIndex = true;
+    }
+    await ZanacoDistribution.createIndexes();
+  }
+  return summary;
+}
+
+module.exports = {
+  channelCode,
+  distributionFilter,
+  listDistributions,
+  channelTotals,
+  parsePeriod,
+  summary,
+  SETTLEMENT_STATUSES,
+  suggestTransfers,
+  settlementMatrix,
+  saveAllocation,
+  saveAllocations,
+  backfillFromBranch,
+};
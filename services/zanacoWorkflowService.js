@@ -0,0 +1,216 @@
+// services/zanacoWorkflowService.js
+// Lifecycle of a Zanaco allocation between two branches.
+//
+// The sender (fromBranch) proposes by writing the allocation. The receiver
+// (branch) acknowledges it or disputes it with a reason; a disputed allocation
+// can still be acknowledged, and writing a different amount proposes it again.
+// Either branch (or ovadmin) applies an acknowledged allocation, which adds it
+// to both branches' daily closing balances (services/zanacoApplyService.js).
+// Rewriting or deleting an applied allocation takes it back out of those
+// reports, so both days must still be open. The counterparty is notified at
+// every step. Rows written before the lifecycle existed have no status and
+// count as proposed.
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/loanBalance');
+const branchService = require('./branchService');
+const { assertDayOpen } = require('./periodService');
+const { notifyBranch } = require('./notificationService');
+const zanacoApplyService = require('./zanacoApplyService');
+
+const ZANACO_STATUSES = ['proposed', 'acknowledged', 'disputed', 'applied'];
+
+// action -> statuses it can start from, resulting status, and who may perform it
+const TRANSITIONS = {
+  acknowledge: { from: ['proposed', 'disputed'], to: 'acknowledged', by: 'receiver' },
+  dispute: { from: ['proposed', 'acknowledged'], to: 'disputed', by: 'receiver' },
+  apply: { from: ['acknowledged'], to: 'applied', by: 'either' },
+};
+
+function statusOf(doc) {
+  return (doc && doc.status) || 'proposed';
+}
+
+function isoDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+function describe(doc) {
+  return `${doc.channel} ${roundMoney(doc.amount)} on ${isoDay(doc.date)}`;
+}
+
+/** Both branches' days must be open before `current` (lean doc or null) is rewritten, if it was applied. */
+async function assertRevisable(current) {
+  if (!current || statusOf(current) !== 'applied') return;
+  for (const code of [current.branch, current.fromBranch]) {
+    const b = code ? await branchService.resolveBranch(code) : null;
+    if (b) await assertDayOpen(b, current.date);
+  }
+}
+
+/**
+ * Extra $set fields for a sender writing `amount` over `current` (lean doc or null).
+ * A new row or a changed amount becomes 'proposed' (an applied one is taken back,
+ * see reverseApplied); the same amount keeps its status.
+ */
+function proposalFields(current, amount, actor) {
+  if (current && Math.abs((Number(current.amount) || 0) - amount) < 0.005) return {};
+  const entry = { status: 'proposed', by: (actor && actor.email) || null, reason: '', amount, at: new Date() };
+  return {
+    status: 'proposed',
+    disputeReason: '',
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    appliedAt: null,
+    appliedBy: null,
+    statusHistory: [...((current && current.statusHistory) || []), entry],
+  };
+}
+
+/**
+ * After `previous` was rewritten as `next` (null when deleted): if it had been
+ * applied and no longer is, recompute the daily reports it was added to.
+ * @returns recomputed days (empty when nothing was applied)
+ */
+async function reverseApplied(previous, next) {
+  if (!previous || statusOf(previous) !== 'applied' || (next && statusOf(next) === 'applied')) return [];
+  return zanacoApplyService.recomputeForAllocations([previous, next].filter(Boolean));
+}
+
+/**
+ * Tell receivers about allocations that were (re)proposed, one notification per receiver.
+ * @param {Array} docs written allocations whose status is 'proposed'
+ */
+async function notifyProposed(docs, { sender, actor } = {}) {
+  const byReceiver = new Map();
+  for (const d of docs) {
+    if (!byReceiver.has(d.branch)) byReceiver.set(d.branch, []);
+    byReceiver.get(d.branch).push(d);
+  }
+  const from = sender ? sender.name : 'Another branch';
+  for (const [receiver, list] of byReceiver) {
+    await notifyBranch(receiver, {
+      title: 'Zanaco allocation to confirm',
+      message: list.length === 1
+        ? `${from} allocated ${describe(list[0])} to your branch. Please acknowledge or dispute it.`
+        : `${from} allocated ${list.length} amounts to your branch. Please acknowledge or dispute them.`,
+      type: 'info',
+      data: { kind: 'zanaco', action: 'proposed', ids: list.map((d) => String(d._id)) },
+    }, { exclude: actor && actor.email });
+  }
+}
+
+/**
+ * Move an allocation through the lifecycle.
+ * @param {Object} opts { id, action: 'acknowledge'|'dispute'|'apply', reason, actor (req.user), scope (req.branchScope) }
+ * @returns the updated allocation
+ */
+async function transition({ id, action, reason, actor, scope = null }) {
+  const spec = TRANSITIONS[action];
+  if (!spec) throw httpError(400, `Unknown action '${action}'`);
+  const doc = await ZanacoDistribution.findById(id).lean().catch(() => null);
+  if (!doc) throw httpError(404, 'Allocation not found');
+
+  const receiver = await branchService.resolveBranch(doc.branch);
+  const sender = doc.fromBranch ? await branchService.resolveBranch(doc.fromBranch) : null;
+
+  if (scope) {
+    const isReceiver = !!receiver && receiver.code === scope.code;
+    const isSender = !!sender && sender.code === scope.code;
+    if (spec.by === 'receiver' && !isReceiver) {
+      throw httpError(403, `Only the receiving branch can ${action} this allocation`, 'BRANCH_FORBIDDEN');
+    }
+    if (!isReceiver && !isSender) throw httpError(403, 'Allocation does not involve your branch', 'BRANCH_FORBIDDEN');
+  }
+
+  const current = statusOf(doc);
+  if (!spec.from.includes(current)) {
+    const err = httpError(409, `Cannot ${action} an allocation that is ${current}`, 'ZANACO_INVALID_TRANSITION');
+    err.details = { status: current, action, allowedFrom: spec.from };
+    throw err;
+  }
+  const why = String(reason || '').trim();
+  if (action === 'dispute' && !why) throw httpError(400, 'reason is required to dispute');
+  if (action === 'apply') {
+    if (receiver) await assertDayOpen(receiver, doc.date);
+    if (sender) await assertDayOpen(sender, doc.date);
+  }
+
+  const by = (actor && actor.email) || null;
+  const now = new Date();
+  const set = { status: spec.to };
+  if (action === 'acknowledge') Object.assign(set, { acknowledgedAt: now, acknowledgedBy: by, disputeReason: '' });
+  if (action === 'dispute') Object.assign(set, { disputeReason: why, acknowledgedAt: null, acknowledgedBy: null });
+  if (action === 'apply') Object.assign(set, { appliedAt: now, appliedBy: by });
+
+  // compare-and-set on the status we checked (missing status matches null)
+  const updated = await ZanacoDistribution.findOneAndUpdate(
+    { _id: doc._id, status: doc.status == null ? null : doc.status },
+    { $set: set, $push: { statusHistory: { status: spec.to, by, reason: why, amount: doc.amount, at: now } } },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(409, 'Allocation was changed by someone else; reload and try again', 'ZANACO_CHANGED');
+  if (action === 'apply') {
+    try {
+      await zanacoApplyService.recomputeForAllocations([updated]);
+    } catch (err) {
+      await zanacoApplyService.undoApply([updated]);
+      throw err;
+    }
+  }
+
+  // Notify the other side: the sender hears the receiver's answer; an apply goes to
+  // whichever branches did not do it themselves
+  const messages = {
+    acknowledge: { title: 'Zanaco allocation acknowledged', type: 'success', text: `${receiver ? receiver.name : doc.branch} acknowledged ${describe(doc)}.` },
+    dispute: { title: 'Zanaco allocation disputed', type: 'warning', text: `${receiver ? receiver.name : doc.branch} disputed ${describe(doc)}: ${why}` },
+    apply: { title: 'Zanaco allocation applied', type: 'info', text: `${describe(doc)} was applied to the daily reports.` },
+  };
+  const m = messages[action];
+  const targets = action === 'apply'
+    ? [receiver, sender].filter((b) => b && !(scope && b.code === scope.code))
+    : [sender].filter(Boolean);
+  for (const b of targets) {
+    await notifyBranch(b, { title: m.title, message: m.text, type: m.type, data: { kind: 'zanaco', action, ids: [String(doc._id)] } }, { exclude: by });
+  }
+
+  return updated;
+}
+
+/**
+ * Allocations in the workflow for one branch.
+ * @param {Object} opts { branch (registry branch), direction: 'incoming'|'outgoing'|'all', statuses, from, to }
+ */
+async function listForBranch({ branch, direction = 'all', statuses, from, to } = {}) {
+  const incoming = branchService.zanacoReceivedFilter(branch);
+  const outgoing = branchService.zanacoSentFilter(branch);
+  const clauses = [];
+  if (direction === 'incoming') clauses.push(incoming);
+  else if (direction === 'outgoing') clauses.push(outgoing);
+  else clauses.push({ $or: [incoming, outgoing] });
+
+  if (statuses && statuses.length) {
+    // rows without a status are proposed
+    const s = statuses.includes('proposed') ? { $in: [...statuses, null] } : { $in: statuses };
+    clauses.push({ status: s });
+  }
+  if (from || to) {
+    const date = {};
+    if (from) date.$gte = from;
+    if (to) date.$lte = to;
+    clauses.push({ date });
+  }
+  return ZanacoDistribution.find({ $and: clauses }).sort({ date: -1, channel: 1 }).limit(1000).lean();
+}
+
+module.exports = {
+  ZANACO_STATUSES,
+  TRANSITIONS,
+  statusOf,
+  assertRevisable,
+  proposalFields,
+  reverseApplied,
+  notifyProposed,
+  transition,
+  listForBranch,
+};
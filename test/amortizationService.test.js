@@ -0,0 +1,96 @@
+// test/amortizationService.test.js
+// Schedule regeneration against an in-memory loan: posted repayments are
+// re-applied to the new rows, the loan write is a compare-and-set on
+// updatedAt, and GET /schedule never writes. Stubs are put back after each test.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const amortizationService = require('../services/amortizationService');
+
+const originals = {
+  loanFindById: Loan.findById,
+  loanUpdateOne: Loan.updateOne,
+  repaymentFind: Repayment.find,
+  repaymentBulkWrite: Repayment.bulkWrite,
+};
+
+test.afterEach(() => {
+  Loan.findById = originals.loanFindById;
+  Loan.updateOne = originals.loanUpdateOne;
+  Repayment.find = originals.repaymentFind;
+  Repayment.bulkWrite = originals.repaymentBulkWrite;
+});
+
+function fakeStore(loan, repayments) {
+  const state = { loan: { ...loan }, loanWrites: 0, installments: new Map(), beforeWrite: null };
+  Loan.findById = () => ({ lean: async () => ({ ...state.loan }) });
+  Loan.updateOne = async (filter, update) => {
+    if (state.beforeWrite) {
+      const hook = state.beforeWrite;
+      state.beforeWrite = null;
+      hook(state);
+    }
+    if (+filter.updatedAt !== +state.loan.updatedAt) return { matchedCount: 0 };
+    state.loanWrites++;
+    Object.assign(state.loan, update.$set, { updatedAt: new Date(+state.loan.updatedAt + 1) });
+    return { matchedCount: 1 };
+  };
+  Repayment.find = () => {
+    const rows = repayments.filter((r) => r.status === 'posted').sort((a, b) => a.paidAt - b.paidAt);
+    const chain = { sort: () => chain, select: () => chain, lean: async () => rows };
+    return chain;
+  };
+  Repayment.bulkWrite = async (ops) => {
+    for (const { updateOne: { filter, update } } of ops) state.installments.set(String(filter._id), update.$set.installments);
+  };
+  return state;
+}
+
+const terms = { interestRate: 0, tenor: 4, frequency: 'monthly', method: 'flat', startDate: '2025-01-01' };
+
+function loanWithTerms() {
+  return { _id: new mongoose.Types.ObjectId(), principalAmount: 400, terms, schedule: [], updatedAt: new Date('2025-01-01T00:00:00Z') };
+}
+
+test('regenerating re-applies posted repayments in the order they were paid', async () => {
+  const later = { _id: new mongoose.Types.ObjectId(), status: 'posted', paidAt: new Date('2025-03-01'), allocation: { principal: 150, interest: 0 } };
+  const earlier = { _id: new mongoose.Types.ObjectId(), status: 'posted', paidAt: new Date('2025-02-01'), allocation: { principal: 100, interest: 0 } };
+  const reversed = { _id: new mongoose.Types.ObjectId(), status: 'reversed', paidAt: new Date('2025-01-15'), allocation: { principal: 999, interest: 0 } };
+  const loan = loanWithTerms();
+  const state = fakeStore(loan, [later, earlier, reversed]);
+
+  await amortizationService.regenerateSchedule(loan._id);
+
+  assert.deepStrictEqual(state.loan.schedule.map((r) => r.paidAmount), [100, 100, 50, 0]);
+  assert.deepStrictEqual(state.installments.get(String(earlier._id)), [{ number: 1, amount: 100 }]);
+  assert.deepStrictEqual(state.installments.get(String(later._id)), [{ number: 2, amount: 100 }, { number: 3, amount: 50 }]);
+  assert.ok(!state.installments.has(String(reversed._id)));
+  assert.strictEqual(state.loan.nextInstallmentAmount, 50);
+});
+
+test('a loan changed between read and write is re-read instead of overwritten', async () => {
+  const loan = loanWithTerms();
+  const state = fakeStore(loan, []);
+  // a concurrent write lands just before the first schedule write
+  state.beforeWrite = (s) => Object.assign(s.loan, { amortizationDue: 123, updatedAt: new Date(+s.loan.updatedAt + 10) });
+
+  await amortizationService.regenerateSchedule(loan._id);
+
+  assert.strictEqual(state.loanWrites, 1);
+  assert.strictEqual(state.loan.amortizationDue, 123);
+  assert.strictEqual(state.loan.schedule.length, 4);
+});
+
+test('reading a schedule that was never stored computes it without writing', async () => {
+  const loan = loanWithTerms();
+  const state = fakeStore(loan, []);
+
+  const result = await amortizationService.getSchedule(loan._id);
+
+  assert.strictEqual(result.schedule.length, 4);
+  assert.strictEqual(result.scheduleGeneratedAt, null);
+  assert.strictEqual(state.loanWrites, 0);
+  assert.deepStrictEqual(state.loan.schedule, []);
+});
@@ -0,0 +1,171 @@
+// test/penaltyEngine.test.js
+// Penalty accrual against in-memory loans and entries: each entry reaches
+// Loan.penaltyAmount exactly once, however often the run repeats or fails
+// part-way. Stubs are put back after each test.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const PenaltyEntry = require('../models/PenaltyEntry');
+const { computePenalty, overdueStatus, runPenaltyAccrual } = require('../services/penaltyEngine');
+
+const originals = {
+  loanFind: Loan.find,
+  loanUpdateOne: Loan.updateOne,
+  loanUpdateMany: Loan.updateMany,
+  entryUpdateOne: PenaltyEntry.updateOne,
+  entryFind: PenaltyEntry.find,
+  entryAggregate: PenaltyEntry.aggregate,
+};
+
+test.afterEach(() => {
+  Loan.find = originals.loanFind;
+  Loan.updateOne = originals.loanUpdateOne;
+  Loan.updateMany = originals.loanUpdateMany;
+  PenaltyEntry.updateOne = originals.entryUpdateOne;
+  PenaltyEntry.find = originals.entryFind;
+  PenaltyEntry.aggregate = originals.entryAggregate;
+});
+
+const same = (a, b) => String(a) === String(b);
+
+// failures: { flagEntry: n } makes the next n appliedToLoan writes throw, { incLoan: n } the next n $inc writes
+function fakeStore(loans) {
+  const state = { loans: loans.map((l) => ({ applyingPenaltyEntryIds: [], ...l })), entries: [], failures: {} };
+  const fail = (kind) => {
+    if (!state.failures[kind]) return;
+    state.failures[kind]--;
+    throw new Error(`${kind} failed`);
+  };
+
+  Loan.find = () => {
+    const chain = {
+      select: () => chain,
+      lean: () => chain,
+      cursor: () => state.loans.map((l) => ({ ...l })),
+    };
+    return chain;
+  };
+  Loan.updateOne = async (filter, update) => {
+    const loan = state.loans.find((l) => same(l._id, filter._id));
+    const guard = filter.applyingPenaltyEntryIds;
+    if (!loan || (guard && loan.applyingPenaltyEntryIds.some((id) => same(id, guard.$ne)))) return { matchedCount: 0 };
+    if (update.$inc) fail('incLoan');
+    for (const [k, v] of Object.entries(update.$inc || {})) loan[k] = (loan[k] || 0) + v;
+    Object.assign(loan, update.$set || {});
+    if (update.$addToSet) loan.applyingPenaltyEntryIds.push(update.$addToSet.applyingPenaltyEntryIds);
+    if (update.$pull) loan.applyingPenaltyEntryIds = loan.applyingPenaltyEntryIds.filter((id) => !same(id, update.$pull.applyingPenaltyEntryIds));
+    return { matchedCount: 1 };
+  };
+  Loan.updateMany = async () => ({ modifiedCount: 0 });
+
+  PenaltyEntry.updateOne = async (filter, update) => {
+    if (filter._id) {
+      fail('flagEntry');
+      Object.assign(state.entries.find((e) => same(e._id, filter._id)), update.$set);
+      return { matchedCount: 1 };
+    }
+    if (state.entries.some((e) => same(e.loanId, filter.loanId) && e.accrualKey === filter.accrualKey)) return { matchedCount: 1 };
+    const entry = { _id: new mongoose.Types.ObjectId(), ...update.$setOnInsert };
+    state.entries.push(entry);
+    return { matchedCount: 0, upsertedId: entry._id };
+  };
+  PenaltyEntry.find = (q) => {
+    const chain = { sort: () => chain, lean: async () => state.entries.filter((e) => e.appliedToLoan === q.appliedToLoan).map((e) => ({ ...e })) };
+    return chain;
+  };
+  PenaltyEntry.aggregate = async () => {
+    const byLoan = new Map();
+    for (const e of state.entries) {
+      const row = byLoan.get(String(e.loanId)) || { _id: e.loanId, total: 0, lastDailyAccrual: null };
+      row.total += e.amount;
+      byLoan.set(String(e.loanId), row);
+    }
+    return [...byLoan.values()];
+  };
+  return state;
+}
+
+const flat = { mode: 'flat', flatAmount: 50, graceDays: 0, capAmount: 0, capPercent: 0 };
+
+function overdueLoan(extra = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    loanStatus: 'Current',
+    principalAmount: 1000,
+    amortizationDue: 1000,
+    penaltyAmount: 0,
+    nextDueDate: new Date('2025-01-10'),
+    schedule: [{ number: 1, dueDate: new Date('2025-01-10'), amount: 500, paidAmount: 0 }, { number: 2, dueDate: new Date('2025-02-10'), amount: 500, paidAmount: 0 }],
+    ...extra,
+  };
+}
+
+test('running twice for the same day charges a loan once', async () => {
+  const state = fakeStore([overdueLoan()]);
+
+  await runPenaltyAccrual({ asOf: '2025-01-15', policy: flat });
+  const second = await runPenaltyAccrual({ asOf: '2025-01-15', policy: flat });
+
+  assert.strictEqual(state.loans[0].penaltyAmount, 50);
+  assert.strictEqual(state.entries.length, 1);
+  assert.strictEqual(second.penalized, 0);
+  assert.strictEqual(state.loans[0].loanStatus, 'Missed Repayment');
+});
+
+test('an entry whose loan update failed is added by the next run, once', async () => {
+  const state = fakeStore([overdueLoan()]);
+  state.failures.incLoan = 1;
+
+  await assert.rejects(runPenaltyAccrual({ asOf: '2025-01-15', policy: flat }));
+  assert.strictEqual(state.loans[0].penaltyAmount, 0);
+  assert.strictEqual(state.entries[0].appliedToLoan, false);
+
+  const next = await runPenaltyAccrual({ asOf: '2025-01-15', policy: flat });
+  assert.strictEqual(next.repaired, 1);
+  assert.strictEqual(state.loans[0].penaltyAmount, 50);
+  assert.strictEqual(state.entries[0].appliedToLoan, true);
+});
+
+test('an entry added to the loan but not flagged is not added again, even after a newer entry', async () => {
+  const state = fakeStore([overdueLoan()]);
+  state.failures.flagEntry = 1;
+
+  // January's entry reaches the loan, but flagging it fails
+  await assert.rejects(runPenaltyAccrual({ asOf: '2025-01-15', policy: flat }));
+  assert.strictEqual(state.loans[0].penaltyAmount, 50);
+
+  // a later missed installment is charged before the repair of the first runs
+  state.loans[0].nextDueDate = new Date('2025-02-10');
+  state.failures.flagEntry = 0;
+  await runPenaltyAccrual({ asOf: '2025-02-15', policy: flat });
+  await runPenaltyAccrual({ asOf: '2025-02-16', policy: flat });
+
+  assert.strictEqual(state.entries.length, 2);
+  assert.ok(state.entries.every((e) => e.appliedToLoan));
+  assert.strictEqual(state.loans[0].penaltyAmount, 100);
+  assert.deepStrictEqual(state.loans[0].applyingPenaltyEntryIds, []);
+});
+
+test('no penalty or status change inside the grace days', () => {
+  const loan = overdueLoan();
+  const policy = { ...flat, graceDays: 5 };
+  assert.strictEqual(computePenalty(loan, new Date('2025-01-15'), policy), null);
+  assert.strictEqual(overdueStatus(loan, new Date('2025-01-15'), policy), 'Current');
+  assert.strictEqual(overdueStatus(loan, new Date('2025-01-16'), policy), 'Missed Repayment');
+});
+
+test('Restructured loans keep their status', () => {
+  const loan = overdueLoan({ loanStatus: 'Restructured' });
+  assert.strictEqual(overdueStatus(loan, new Date('2025-06-01'), flat), 'Restructured');
+});
+
+test('loans without a schedule only accrue under a cap', () => {
+  const loan = overdueLoan({ schedule: [], nextInstallmentAmount: 200 });
+  const daily = { mode: 'percent_per_day', ratePerDay: 1, graceDays: 0, capAmount: 0, capPercent: 0 };
+  assert.strictEqual(computePenalty(loan, new Date('2025-01-15'), daily), null);
+
+  const capped = computePenalty(loan, new Date('2025-03-01'), { ...daily, capAmount: 30 });
+  assert.strictEqual(capped.amount, 30);
+  assert.strictEqual(computePenalty(loan, new Date('2025-03-02'), { ...daily, capAmount: 30 }, { total: 30 }), null);
+});
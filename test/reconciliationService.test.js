@@ -0,0 +1,86 @@
+// test/reconciliationService.test.js
+// reconcileDaily is pure: a report either satisfies
+//   opening + collected - disbursed - loans disbursed - expenses - petty cash + zanaco = closing
+// and carries its opening balances forward from the previous day, or the
+// failing rules say why not.
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconcileDaily, TOLERANCE } = require('../services/reconciliationService');
+
+function report(extra = {}) {
+  return {
+    openingBalances: { cash: 1000, airtel: 500 },
+    totalCollected: 800,
+    totalDisbursed: 300,
+    loanDisbursements: 200,
+    expenses: 50,
+    pettyCash: 25,
+    zanacoAdjustments: { cash: -100, airtel: 100 },
+    // 1500 + 800 - 300 - 200 - 50 - 25 + 0
+    closingBalances: { cash: 1225, airtel: 500 },
+    ...extra,
+  };
+}
+
+test('a report that satisfies the equation balances', () => {
+  const res = reconcileDaily(report());
+  assert.strictEqual(res.balanced, true);
+  assert.strictEqual(res.expectedClosing, 1725);
+  assert.strictEqual(res.actualClosing, 1725);
+  assert.strictEqual(res.variance, 0);
+  assert.deepStrictEqual(res.failedRules, []);
+  assert.deepStrictEqual(res.channelVariance, { cash: 225, airtel: 0 });
+});
+
+test('zanaco adjustments count towards the expected closing', () => {
+  const res = reconcileDaily(report({ zanacoAdjustments: { cash: 40 } }));
+  assert.strictEqual(res.balanced, false);
+  assert.strictEqual(res.expectedClosing, 1765);
+  assert.strictEqual(res.variance, -40);
+});
+
+test('a variance within the tolerance still balances', () => {
+  const res = reconcileDaily(report({ closingBalances: { cash: 1225 + TOLERANCE / 2, airtel: 500 } }));
+  assert.strictEqual(res.balanced, true);
+});
+
+test('an off closing balance fails the balance equation with expected and actual', () => {
+  const res = reconcileDaily(report({ closingBalances: { cash: 1200, airtel: 500 } }));
+  assert.strictEqual(res.balanced, false);
+  assert.strictEqual(res.variance, -25);
+  assert.deepStrictEqual(res.failedRules, [{
+    rule: 'balance_equation',
+    message: res.failedRules[0].message,
+    expected: 1725,
+    actual: 1700,
+  }]);
+});
+
+test('opening balances that differ from the previous closing fail carry-forward', () => {
+  const previous = { date: new Date('2025-01-01'), closingBalances: { cash: 1000, airtel: 450 } };
+  const res = reconcileDaily(report(), { previous });
+  assert.strictEqual(res.balanced, false);
+  assert.deepStrictEqual(res.carryForwardVariance, { cash: 0, airtel: 50 });
+  assert.deepStrictEqual(res.failedRules.map((f) => f.rule), ['carry_forward']);
+  assert.match(res.failedRules[0].message, /2025-01-01.*airtel/);
+
+  const matching = reconcileDaily(report(), { previous: { ...previous, closingBalances: { cash: 1000, airtel: 500 } } });
+  assert.strictEqual(matching.balanced, true);
+});
+
+test('negative totals and closing balances are reported alongside the equation', () => {
+  const res = reconcileDaily(report({ expenses: -50, closingBalances: { cash: 1325, airtel: -1 } }));
+  assert.strictEqual(res.balanced, false);
+  assert.deepStrictEqual(res.failedRules.map((f) => f.rule), ['balance_equation', 'non_negative_totals', 'non_negative_closing']);
+});
+
+test('Map-valued balances from a hydrated document are summed the same way', () => {
+  const plain = report();
+  const res = reconcileDaily({
+    ...plain,
+    openingBalances: new Map(Object.entries(plain.openingBalances)),
+    closingBalances: new Map(Object.entries(plain.closingBalances)),
+    zanacoAdjustments: new Map(Object.entries(plain.zanacoAdjustments)),
+  });
+  assert.strictEqual(res.balanced, true);
+});
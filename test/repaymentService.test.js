@@ -0,0 +1,144 @@
+// test/repaymentService.test.js
+// Posting and reversing a payment against one loan held in memory: the
+// reversal must give back exactly what the posting took, balances and
+// schedule alike. Loan / Repayment are stubbed and put back after each test.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const amortizationService = require('../services/amortizationService');
+const repaymentService = require('../services/repaymentService');
+
+const originals = {
+  loanFindById: Loan.findById,
+  loanUpdateOne: Loan.updateOne,
+  repaymentCreate: Repayment.create,
+  repaymentFindOneAndUpdate: Repayment.findOneAndUpdate,
+  repaymentUpdateOne: Repayment.updateOne,
+  repaymentExists: Repayment.exists,
+};
+
+test.afterEach(() => {
+  Loan.findById = originals.loanFindById;
+  Loan.updateOne = originals.loanUpdateOne;
+  Repayment.create = originals.repaymentCreate;
+  Repayment.findOneAndUpdate = originals.repaymentFindOneAndUpdate;
+  Repayment.updateOne = originals.repaymentUpdateOne;
+  Repayment.exists = originals.repaymentExists;
+});
+
+// deep copy that keeps Dates and ObjectIds intact
+function clone(v) {
+  if (v instanceof Date) return new Date(v);
+  if (v && v._bsontype) return v;
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+// One loan and its repayments; updateOne honours the updatedAt compare-and-set
+function fakeLedger(loan, { loanWrites = Infinity } = {}) {
+  const state = { loan: clone(loan), repayments: new Map(), loanWrites };
+  const query = (value) => ({ select: () => query(value), lean: async () => clone(value) });
+
+  Loan.findById = () => query(state.loan);
+  Loan.updateOne = async (filter, update) => {
+    if (state.loanWrites-- <= 0) return { matchedCount: 0 };
+    if ('updatedAt' in filter && +filter.updatedAt !== +state.loan.updatedAt) return { matchedCount: 0 };
+    for (const [k, v] of Object.entries(update.$inc || {})) state.loan[k] = (state.loan[k] || 0) + v;
+    Object.assign(state.loan, clone(update.$set || {}));
+    state.loan.updatedAt = new Date(+state.loan.updatedAt + 1);
+    return { matchedCount: 1 };
+  };
+
+  Repayment.create = async (doc) => {
+    const r = { _id: new mongoose.Types.ObjectId(), status: 'posted', ...clone(doc) };
+    state.repayments.set(String(r._id), r);
+    return clone(r);
+  };
+  Repayment.findOneAndUpdate = async (filter, update) => {
+    const r = state.repayments.get(String(filter._id));
+    if (!r || r.status !== filter.status) return null;
+    Object.assign(r, update.$set);
+    return clone(r);
+  };
+  Repayment.updateOne = async (filter, update) => {
+    const r = state.repayments.get(String(filter._id));
+    if (!r || r.status !== filter.status) return { matchedCount: 0 };
+    Object.assign(r, update.$set);
+    return { matchedCount: 1 };
+  };
+  Repayment.exists = async (filter) => state.repayments.has(String(filter._id));
+  return state;
+}
+
+function scheduledLoan() {
+  const terms = amortizationService.normalizeTerms({ interestRate: 10, tenor: 4, frequency: 'monthly', startDate: '2025-01-01' });
+  const schedule = amortizationService.buildSchedule(1000, terms);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    loanStatus: 'Current',
+    principalAmount: 1000,
+    amortizationDue: 1000,
+    totalInterestBalance: amortizationService.scheduleTotals(schedule).interest,
+    penaltyAmount: 25,
+    terms,
+    schedule,
+    ...amortizationService.deriveNextInstallment(schedule),
+    updatedAt: new Date('2025-01-01T00:00:00Z'),
+  };
+}
+
+test('allocatePayment takes penalty, then interest, then principal and keeps the rest unapplied', () => {
+  const { allocation, fields } = repaymentService.allocatePayment(
+    { penaltyAmount: 20, totalInterestBalance: 100, amortizationDue: 50 }, 200
+  );
+  assert.deepStrictEqual(allocation, { penalty: 20, interest: 100, principal: 50, unapplied: 30 });
+  assert.deepStrictEqual(fields, { penaltyAmount: 0, totalInterestBalance: 0, amortizationDue: 0 });
+});
+
+test('reversing a repayment restores the balances and installments it settled', async () => {
+  const loan = scheduledLoan();
+  const state = fakeLedger(loan);
+
+  const { repayment } = await repaymentService.recordRepayment(loan._id, { amount: 400, paidAt: '2025-02-01' }, 'teller@x');
+  assert.deepStrictEqual(repayment.allocation, { penalty: 25, interest: 375, principal: 0, unapplied: 0 });
+  assert.strictEqual(state.loan.penaltyAmount, 0);
+  assert.ok(state.loan.schedule[0].paidAmount > 0);
+
+  await repaymentService.reverseRepayment(loan._id, repayment._id, { reason: 'bounced' }, 'admin@x');
+
+  for (const k of ['penaltyAmount', 'totalInterestBalance', 'amortizationDue', 'nextInstallmentAmount', 'loanStatus']) {
+    assert.deepStrictEqual(state.loan[k], loan[k], k);
+  }
+  assert.deepStrictEqual(state.loan.schedule.map((r) => [r.paidAmount, r.status]), loan.schedule.map((r) => [0, 'pending']));
+  assert.strictEqual(state.repayments.get(String(repayment._id)).status, 'reversed');
+});
+
+test('a payment that closed the loan puts the previous status back when reversed', async () => {
+  const loan = { ...scheduledLoan(), schedule: [], penaltyAmount: 0, totalInterestBalance: 0, amortizationDue: 300, loanStatus: 'Missed Repayment' };
+  const state = fakeLedger(loan);
+
+  const { repayment } = await repaymentService.recordRepayment(loan._id, { amount: 300 });
+  assert.strictEqual(state.loan.loanStatus, 'Fully Paid');
+
+  await repaymentService.reverseRepayment(loan._id, repayment._id, { reason: 'wrong loan' });
+  assert.strictEqual(state.loan.loanStatus, 'Missed Repayment');
+  assert.strictEqual(state.loan.amortizationDue, 300);
+});
+
+test('a reversal whose loan update never lands leaves the repayment posted', async () => {
+  const loan = scheduledLoan();
+  const state = fakeLedger(loan);
+  const { repayment } = await repaymentService.recordRepayment(loan._id, { amount: 100 });
+  const afterPosting = clone(state.loan);
+
+  state.loanWrites = 0;
+  await assert.rejects(
+    repaymentService.reverseRepayment(loan._id, repayment._id, { reason: 'retry me' }),
+    (err) => err.status === 409
+  );
+  assert.strictEqual(state.repayments.get(String(repayment._id)).status, 'posted');
+  assert.deepStrictEqual(state.loan, afterPosting);
+});
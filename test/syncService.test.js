@@ -0,0 +1,132 @@
+// test/syncService.test.js
+// Pull cursor vs. writes that commit out of syncSeq order. Mongo is replaced
+// by in-memory stand-ins for Counter and the change-feed collections; the
+// originals are put back after each test.
+const test = require('node:test');
+const assert = require('node:assert');
+const Counter = require('../models/Counter');
+const DailyReport = require('../models/DailyReport');
+const SyncTombstone = require('../models/SyncTombstone');
+const syncService = require('../services/syncService');
+const { releaseSeq } = require('../utils/syncTracking');
+
+const LEASE_MS = 30 * 1000;
+const originals = {
+  reserve: Counter.reserve,
+  release: Counter.release,
+  safeMark: Counter.safeMark,
+  dailyFind: DailyReport.find,
+  tombstoneFind: SyncTombstone.find,
+};
+
+test.afterEach(() => {
+  Counter.reserve = originals.reserve;
+  Counter.release = originals.release;
+  Counter.safeMark = originals.safeMark;
+  DailyReport.find = originals.dailyFind;
+  SyncTombstone.find = originals.tombstoneFind;
+});
+
+function fakeFind(rows) {
+  return (q) => {
+    const { $gt, $lte } = q.syncSeq;
+    const hits = rows.filter((d) => d.syncSeq > $gt && d.syncSeq <= $lte).sort((a, b) => a.syncSeq - b.syncSeq);
+    const chain = { sort: () => chain, limit: (n) => { hits.length = Math.min(hits.length, n); return chain; }, lean: async () => hits };
+    return chain;
+  };
+}
+
+// Same contract as models/Counter.js, with the test's clock standing in for $$NOW
+function fakeCounter() {
+  const state = { _id: 'syncSeq', seq: 0, inFlight: [], published: 0 };
+  const open = () => state.inFlight.filter((r) => r.at.getTime() > Date.now() - LEASE_MS);
+  Counter.reserve = async (name, count = 1) => {
+    state.seq += count;
+    const reservation = { first: state.seq - count + 1, last: state.seq, at: new Date() };
+    state.inFlight = [...open(), reservation];
+    return { first: reservation.first, last: reservation.last };
+  };
+  Counter.release = async (name, first, last = first) => {
+    state.inFlight = state.inFlight.filter((r) => r.first !== first);
+    return last <= state.published;
+  };
+  Counter.safeMark = async () => {
+    const live = open();
+    const mark = live.length ? Math.min(...live.map((r) => r.first)) - 1 : state.seq;
+    state.published = Math.max(state.published, mark);
+    return state.published;
+  };
+  return state;
+}
+
+function feed(rows) {
+  DailyReport.find = fakeFind(rows);
+  SyncTombstone.find = fakeFind([]);
+}
+
+test('a pull does not move past a write that commits after a later one', async () => {
+  fakeCounter();
+  const committed = [];
+  feed(committed);
+
+  const a = await Counter.reserve('syncSeq');
+  const b = await Counter.reserve('syncSeq');
+
+  // b commits first
+  committed.push({ _id: 'b', branch: 'Lusaka', date: new Date('2025-01-02'), version: 1, syncSeq: b.first });
+  await Counter.release('syncSeq', b.first);
+
+  const early = await syncService.getChanges({ since: 0, collections: 'daily' });
+  assert.deepStrictEqual(early.changes, []);
+  assert.strictEqual(early.nextCursor, 0);
+  assert.strictEqual(early.serverCursor, 0);
+
+  committed.push({ _id: 'a', branch: 'Lusaka', date: new Date('2025-01-01'), version: 1, syncSeq: a.first });
+  await Counter.release('syncSeq', a.first);
+
+  const late = await syncService.getChanges({ since: early.nextCursor, collections: 'daily' });
+  assert.deepStrictEqual(late.changes.map((c) => c.id), ['a', 'b']);
+  assert.strictEqual(late.nextCursor, b.first);
+});
+
+test('an abandoned reservation stops holding the feed back once its lease expires', async () => {
+  const state = fakeCounter();
+  const committed = [];
+  feed(committed);
+
+  const crashed = await Counter.reserve('syncSeq');
+  state.inFlight[0].at = new Date(Date.now() - 60 * 1000);
+  const b = await Counter.reserve('syncSeq');
+  committed.push({ _id: 'b', branch: 'Lusaka', date: new Date('2025-01-02'), version: 1, syncSeq: b.first });
+  await Counter.release('syncSeq', b.first);
+
+  const res = await syncService.getChanges({ since: 0, collections: 'daily' });
+  assert.ok(crashed.first < b.first);
+  assert.deepStrictEqual(res.changes.map((c) => c.id), ['b']);
+});
+
+test('a write committing after its lease expired is stamped again above the published mark', async () => {
+  const state = fakeCounter();
+  const committed = [];
+  feed(committed);
+  const collection = {
+    async bulkWrite(ops) {
+      for (const { updateMany: { filter, update } } of ops) {
+        for (const d of committed) if (d.syncSeq === filter.syncSeq) d.syncSeq = update.$set.syncSeq;
+      }
+    },
+  };
+
+  const slow = await Counter.reserve('syncSeq');
+  state.inFlight[0].at = new Date(Date.now() - 60 * 1000);
+  const first = await syncService.getChanges({ since: 0, collections: 'daily' });
+  assert.strictEqual(first.serverCursor, slow.last);
+
+  // the slow write lands under the mark the client already holds
+  committed.push({ _id: 'slow', branch: 'Lusaka', date: new Date('2025-01-01'), version: 1, syncSeq: slow.first });
+  await releaseSeq(slow, collection);
+
+  const next = await syncService.getChanges({ since: first.serverCursor, collections: 'daily' });
+  assert.deepStrictEqual(next.changes.map((c) => c.id), ['slow']);
+  assert.ok(next.changes[0].syncSeq > first.serverCursor);
+});
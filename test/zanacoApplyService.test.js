@@ -0,0 +1,147 @@
+// test/zanacoApplyService.test.js
+// Applying a day's Zanaco allocations moves the closing balances of both
+// branches; when one side cannot be written the apply is undone and the
+// other side's closing balances go back to what they were. DailyReport,
+// MonthlyReport, ZanacoDistribution and the branch registry are in memory and
+// put back after each test.
+const test = require('node:test');
+const assert = require('node:assert');
+const DailyReport = require('../models/DailyReport');
+const MonthlyReport = require('../models/MonthlyReport');
+const ZanacoDistribution = require('../models/ZanacoDistribution');
+const branchService = require('../services/branchService');
+const zanacoApplyService = require('../services/zanacoApplyService');
+
+const originals = {
+  reportFindOne: DailyReport.findOne,
+  reportFindOneAndUpdate: DailyReport.findOneAndUpdate,
+  monthFindOne: MonthlyReport.findOne,
+  zanacoFind: ZanacoDistribution.find,
+  zanacoFindOneAndUpdate: ZanacoDistribution.findOneAndUpdate,
+  resolveBranch: branchService.resolveBranch,
+};
+
+test.afterEach(() => {
+  DailyReport.findOne = originals.reportFindOne;
+  DailyReport.findOneAndUpdate = originals.reportFindOneAndUpdate;
+  MonthlyReport.findOne = originals.monthFindOne;
+  ZanacoDistribution.find = originals.zanacoFind;
+  ZanacoDistribution.findOneAndUpdate = originals.zanacoFindOneAndUpdate;
+  branchService.resolveBranch = originals.resolveBranch;
+});
+
+const DAY = new Date('2025-03-04T00:00:00Z');
+const lusaka = { code: 'lusaka', name: 'Lusaka', aliases: [] };
+const ndola = { code: 'ndola', name: 'Ndola', aliases: [] };
+
+// Just enough of Mongo's query language for the filters these services send
+function matches(doc, q) {
+  return Object.entries(q).every(([k, cond]) => {
+    if (k === '$or') return cond.some((sub) => matches(doc, sub));
+    const v = doc[k];
+    if (cond instanceof Date) return v instanceof Date && +v === +cond;
+    if (cond instanceof RegExp) return cond.test(v);
+    if (cond && typeof cond === 'object' && !cond._bsontype) {
+      if ('$in' in cond) return cond.$in.some((c) => (c instanceof RegExp ? c.test(v) : c === v));
+      if ('$ne' in cond) return v !== cond.$ne;
+      if ('$lt' in cond) return v < cond.$lt;
+      if ('$gt' in cond) return v > cond.$gt;
+    }
+    return String(v) === String(cond);
+  });
+}
+
+function query(value) {
+  const chain = { sort: () => chain, select: () => chain, lean: async () => (value == null ? null : structuredClone(value)) };
+  return chain;
+}
+
+function fakeStore({ reports, allocations }) {
+  const state = { reports, allocations, afterApply: null };
+  DailyReport.findOne = (q) => query(state.reports.find((r) => matches(r, q)));
+  DailyReport.findOneAndUpdate = (filter, update) => {
+    const r = state.reports.find((d) => matches(d, filter));
+    if (r) Object.assign(r, structuredClone(update.$set));
+    return query(r);
+  };
+  MonthlyReport.findOne = () => query(null);
+
+  ZanacoDistribution.find = (q) => {
+    const chain = { select: () => chain, lean: async () => structuredClone(state.allocations.filter((d) => matches(d, q))) };
+    return chain;
+  };
+  ZanacoDistribution.findOneAndUpdate = (filter, update) => {
+    const d = state.allocations.find((a) => matches(a, filter));
+    if (d) {
+      Object.assign(d, update.$set);
+      if (update.$push) d.statusHistory.push(update.$push.statusHistory);
+      if (update.$pop) d.statusHistory.pop();
+      if (update.$set.status === 'applied' && state.afterApply) state.afterApply(state);
+    }
+    return query(d);
+  };
+  branchService.resolveBranch = async (code) => [lusaka, ndola].find((b) => b.code === code) || null;
+  return state;
+}
+
+function report(branch, cash) {
+  return {
+    _id: `${branch}-report`,
+    branch,
+    date: DAY,
+    openingBalances: { cash },
+    closingBalances: { cash },
+    zanacoAdjustments: {},
+    zanacoApplied: {},
+    closed: false,
+  };
+}
+
+function allocation() {
+  return { _id: 'z1', date: DAY, fromBranch: 'ndola', branch: 'lusaka', channel: 'cash', amount: 200, status: 'acknowledged', statusHistory: [] };
+}
+
+test('applying a day moves both branches\' closing balances by the allocation', async () => {
+  const state = fakeStore({ reports: [report('Lusaka', 1000), report('Ndola', 500)], allocations: [allocation()] });
+
+  const res = await zanacoApplyService.applyDay({ branch: lusaka, date: DAY, actor: { email: 'admin@x' } });
+
+  assert.strictEqual(res.applied, 1);
+  const [l, n] = state.reports;
+  assert.deepStrictEqual([l.closingBalances, l.zanacoAdjustments, l.zanacoApplied], [{ cash: 1200 }, { cash: 200 }, { cash: true }]);
+  assert.deepStrictEqual([n.closingBalances, n.zanacoAdjustments], [{ cash: 300 }, { cash: -200 }]);
+  assert.strictEqual(state.allocations[0].status, 'applied');
+});
+
+test('an apply that cannot reach the counterparty is undone and restores closingBalances', async () => {
+  const state = fakeStore({ reports: [report('Lusaka', 1000), report('Ndola', 500)], allocations: [allocation()] });
+  // Ndola closes its day between the open check and the recompute
+  state.afterApply = (s) => { s.reports[1].closed = true; };
+
+  await assert.rejects(
+    zanacoApplyService.applyDay({ branch: lusaka, date: DAY, actor: { email: 'admin@x' } }),
+    (err) => err.status === 409 && err.code === 'PERIOD_CLOSED'
+  );
+
+  const [l, n] = state.reports;
+  assert.deepStrictEqual(l.closingBalances, { cash: 1000 });
+  assert.deepStrictEqual(l.zanacoAdjustments, {});
+  assert.deepStrictEqual(l.zanacoApplied, {});
+  assert.deepStrictEqual(n.closingBalances, { cash: 500 });
+  assert.strictEqual(state.allocations[0].status, 'acknowledged');
+  assert.strictEqual(state.allocations[0].appliedAt, null);
+  assert.deepStrictEqual(state.allocations[0].statusHistory, []);
+});
+
+test('a daily push is adjusted from the stored adjustments, not the ones it sent', async () => {
+  const applied = { ...allocation(), status: 'applied' };
+  fakeStore({ reports: [], allocations: [applied] });
+  const stored = { version: 3, zanacoAdjustments: { cash: 200 } };
+  // the device already includes the stored +200 but claims no adjustments
+  const item = { branch: lusaka, stored, data: { date: DAY, closingBalances: { cash: 1200 }, zanacoAdjustments: {} } };
+
+  await zanacoApplyService.withZanaco([item]);
+
+  assert.deepStrictEqual(item.data.closingBalances, { cash: 1200 });
+  assert.deepStrictEqual(item.data.zanacoAdjustments, { cash: 200 });
+});
@@ -0,0 +1,213 @@
+// utils/auditTrail.js
+// Mongoose plugin writing an AuditLog entry for every document a write
+// creates, changes or deletes, whichever route or service makes it.
+//
+// Actor and route come from utils/requestContext.js (null actor = system).
+// Options:
+//  - entity: name stored on the log entry
+//  - fields: only audit these top-level paths (and their children); default all
+//  - ignore: extra paths to leave out of the diff
+//  - queries: false to audit document saves only, with no snapshot around
+//    query updates / deletes / bulkWrite (for bulk-loaded collections)
+// A single write opts out with the option { audit: false }
+// (Model.updateOne(filter, update, { audit: false }), bulkWrite(ops, { audit: false })).
+//
+// Snapshots only load the audited paths, and a query update that sets none of
+// the `fields` paths is not snapshotted at all.
+const AuditLog = require('../models/AuditLog');
+const { getContext, currentActor, currentRoute } = require('./requestContext');
+
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt', 'version', 'syncSeq', 'passwordHash'];
+
+function isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !v._bsontype;
+}
+
+function flatten(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v) && Object.keys(v).length) flatten(v, path, out);
+    else out[path] = v;
+  }
+  return out;
+}
+
+function comparable(v) {
+  if (v === undefined) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (v && v._bsontype) return String(v);
+  if (Array.isArray(v) || isPlainObject(v)) return JSON.stringify(v);
+  return v;
+}
+
+function underAny(path, roots) {
+  return roots.some((r) => path === r || path.startsWith(`${r}.`));
+}
+
+/** [{ path, before, after }] for every path whose value differs (either side may be null). */
+function diff(before, after, { fields, ignore }) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (underAny(path, ignore)) continue;
+    if (fields && !underAny(path, fields)) continue;
+    if (comparable(a[path]) === comparable(b[path])) continue;
+    changes.push({ path, before: a[path] === undefined ? null : a[path], after: b[path] === undefined ? null : b[path] });
+  }
+  return changes;
+}
+
+/** Top-level-or-dotted paths an update writes; null when they cannot be told (pipelines). */
+function updatedPaths(update) {
+  if (!update || Array.isArray(update)) return null;
+  const paths = [];
+  for (const [k, v] of Object.entries(update)) {
+    if (!k.startsWith('$')) paths.push(k);
+    else if (v && typeof v === 'object') paths.push(...Object.keys(v));
+  }
+  return paths;
+}
+
+function auditTrail(schema, { entity, fields = null, ignore = [], queries = true } = {}) {
+  const opts = { fields, ignore: [...ALWAYS_IGNORED, ...ignore] };
+  // only what the diff looks at (plus _id, which the default projection keeps)
+  const projection = fields
+    ? Object.fromEntries(fields.map((f) => [f, 1]))
+    : Object.fromEntries(opts.ignore.filter((p) => p !== '_id').map((p) => [p, 0]));
+
+  /** false when an update cannot change an audited path. */
+  function touchesAudited(update) {
+    if (!fields) return true;
+    const paths = updatedPaths(update);
+    return !paths || paths.some((p) => underAny(p, fields) || fields.some((f) => f.startsWith(`${p}.`)));
+  }
+
+  /** Pair up before/after snapshots by _id and store one entry per changed document. */
+  async function record(beforeDocs, afterDocs) {
+    try {
+      const before = new Map(beforeDocs.map((d) => [String(d._id), d]));
+      const after = new Map(afterDocs.map((d) => [String(d._id), d]));
+      const actor = currentActor() || {};
+      const route = currentRoute();
+      const entries = [];
+      for (const id of new Set([...before.keys(), ...after.keys()])) {
+        const prev = before.get(id) || null;
+        const next = after.get(id) || null;
+        const changes = diff(prev, next, opts);
+        if (!changes.length) continue;
+        entries.push({
+          entity,
+          entityId: (next || prev)._id,
+          action: !prev ? 'create' : (!next ? 'delete' : 'update'),
+          actor,
+          route,
+          changes
+        });
+      }
+      if (entries.length) await AuditLog.insertMany(entries);
+    } catch (err) {
+      // an audit failure must not fail the write that already happened
+      console.error(`audit (${entity}) error`, err);
+    }
+  }
+
+  async function findByIds(model, ids) {
+    if (!ids.length) return [];
+    return model.find({ _id: { $in: ids } }).select(projection).lean();
+  }
+
+  // ---- save / create ----
+  schema.pre('save', async function() {
+    this.$locals.auditBefore = this.isNew ? null : await this.constructor.findById(this._id).select(projection).lean();
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.auditBefore;
+    await record(before ? [before] : [], [doc.toObject({ depopulate: true })]);
+  });
+
+  // ---- query updates / deletes ----
+  const UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+  const DELETES = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+  schema.pre([...UPDATES, ...DELETES], { document: false, query: true }, async function() {
+    this._auditSkip = !queries || this.getOptions().audit === false ||
+      (UPDATES.includes(this.op) && !touchesAudited(this.getUpdate()));
+    if (this._auditSkip) return;
+    const q = this.model.find(this.getFilter()).select(projection).lean();
+    if (!this.op.endsWith('Many')) q.limit(1);
+    this._auditBefore = await q;
+  });
+
+  schema.post(UPDATES, { document: false, query: true }, async function() {
+    if (this._auditSkip) return;
+    const before = this._auditBefore || [];
+    let after = await findByIds(this.model, before.map((d) => d._id));
+    if (!before.length && this.getOptions().upsert) {
+      after = await this.model.find(this.getFilter()).limit(1).select(projection).lean();
+    }
+    await record(before, after);
+  });
+
+  schema.post(DELETES, { document: false, query: true }, async function() {
+    if (this._auditSkip) return;
+    await record(this._auditBefore || [], []);
+  });
+
+  // ---- bulkWrite ----
+  // Model-level hooks share no state between pre and post, so snapshots queue
+  // on the request context (or module-level for scripts, which run sequentially).
+  const scriptQueue = [];
+  function queue() {
+    const ctx = getContext();
+    if (!ctx) return scriptQueue;
+    ctx.auditQueues = ctx.auditQueues || {};
+    ctx.auditQueues[entity] = ctx.auditQueues[entity] || [];
+    return ctx.auditQueues[entity];
+  }
+
+  // A skipped bulkWrite queues null so its post hook still takes its own entry
+  schema.pre('bulkWrite', function(next, ops, options) {
+    if (!queries || (options && options.audit === false)) {
+      queue().push(null);
+      return next();
+    }
+    const filters = [];
+    for (const op of ops || []) {
+      if (op.updateOne || op.updateMany) {
+        const w = op.updateOne || op.updateMany;
+        if (w.filter && touchesAudited(w.update)) filters.push(w.filter);
+        continue;
+      }
+      const w = op.replaceOne || op.deleteOne || op.deleteMany;
+      if (w && w.filter) filters.push(w.filter);
+    }
+    const load = filters.length ? this.find({ $or: filters }).select(projection).lean() : Promise.resolve([]);
+    load.then((before) => {
+      queue().push(before);
+      next();
+    }, next);
+  });
+
+  async function afterBulk(model, result) {
+    const before = queue().shift();
+    if (before === null) return;
+    const ids = (before || []).map((d) => d._id);
+    if (result) {
+      ids.push(...Object.values(result.upsertedIds || {}), ...Object.values(result.insertedIds || {}));
+    }
+    await record(before || [], await findByIds(model, ids));
+  }
+
+  schema.post('bulkWrite', async function(result) {
+    await afterBulk(this, result);
+  });
+
+  // unordered bulk writes can fail part-way; audit whatever did get written
+  schema.post('bulkWrite', function(err, result, next) {
+    afterBulk(this, err && err.result).then(() => next(err), () => next(err));
+  });
+}
+
+module.exports = { auditTrail, diff };
@@ -0,0 +1,34 @@
+// utils/httpError.js
+
+/**
+ * Build an Error carrying an HTTP status (and optional machine-readable code)
+ * so services can fail with a meaningful status and routes can map it with
+ * `res.status(err.status || 500)`.
+ */
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Route-side counterpart: 4xx service errors go back as-is, anything else is
+ * logged and reported as a 500.
+ */
+function sendServiceError(res, err, label) {
+  if (err && err.status) {
+    const body = { success: false, error: err.message };
+    if (err.code) body.code = err.code;
+    if (err.details) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+  console.error(`${label} error`, err);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    message: err && err.message
+  });
+}
+
+module.exports = { httpError, sendServiceError };
@@ -0,0 +1,52 @@
+// utils/loanBalance.js
+// Shared "actual balance" rule for a Loan document (lean or hydrated).
+
+// robust number reader (handles strings + mongo numeric wrappers)
+function toNumber(v) {
+  if (v == null) return 0;
+  if (typeof v === "number") return v;
+
+  if (typeof v === "string") {
+    const cleaned = v.replace(/,/g, "").trim();
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : 0;
+  }
+
+  // Mongo export shapes: { $numberInt: "100" }, { $numberDecimal: "100.50" }
+  if (typeof v === "object") {
+    for (const k of Object.keys(v)) {
+      const lk = String(k).toLowerCase();
+      if (lk.includes("number")) return toNumber(v[k]);
+    }
+    if (v.amount != null) return toNumber(v.amount);
+  }
+
+  return 0;
+}
+
+function roundMoney(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/**
+ * Outstanding balance components, in the order payments are applied to them.
+ */
+function balanceComponents(loan) {
+  return {
+    penalty: toNumber(loan.penaltyAmount),
+    interest: toNumber(loan.totalInterestBalance),
+    principal: toNumber(loan.amortizationDue),
+  };
+}
+
+// ---------- “Actual balance” rule (one figure) ----------
+function loanActualBalance(loan) {
+  const status = String(loan.loanStatus || "").toLowerCase().trim();
+  if (status === "fully paid" || status === "write-off") return 0;
+
+  const { penalty, interest, principal } = balanceComponents(loan);
+  const total = principal + interest + penalty;
+  return total > 0 ? total : 0;
+}
+
+module.exports = { toNumber, roundMoney, balanceComponents, loanActualBalance };
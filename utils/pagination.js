@@ -0,0 +1,150 @@
+// utils/pagination.js
+// Cursor pagination shared by the list endpoints (reports, monthly reports,
+// users, admin submissions, clients).
+//
+// Query params understood by paginate():
+//   limit   page size (capped at maxLimit)
+//   cursor  opaque value from the previous page's nextCursor
+//   sort    field name, "-field" for descending (must be in `sortable`)
+//   fields  comma-separated projection (must be in `fields`)
+// Pages are ordered by (sort field, _id) so ties never repeat or skip rows.
+const mongoose = require('mongoose');
+const { httpError } = require('./httpError');
+
+function encodeCursor(doc, field, direction) {
+  const raw = doc[field];
+  const value = raw instanceof Date ? { d: raw.toISOString() } : (raw === undefined ? null : raw);
+  return Buffer.from(JSON.stringify({ f: field, s: direction, v: value, id: String(doc._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor, field, direction) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (_) {
+    throw httpError(400, 'Invalid cursor', 'INVALID_CURSOR');
+  }
+  if (!parsed || !parsed.id || parsed.f !== field || parsed.s !== direction) {
+    throw httpError(400, 'Cursor does not match this sort order', 'INVALID_CURSOR');
+  }
+  const v = parsed.v && typeof parsed.v === 'object' && parsed.v.d ? new Date(parsed.v.d) : parsed.v;
+  return { value: v, id: parsed.id };
+}
+
+/**
+ * Filter for rows after the cursor. Mongo sorts nulls lowest, so they come
+ * first ascending and last descending.
+ */
+function afterCursor(field, direction, { value, id }) {
+  const _id = mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id;
+  const cmp = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    const rest = [{ [field]: null, _id: { [cmp]: _id } }];
+    if (direction === 1) rest.push({ [field]: { $ne: null } });
+    return { $or: rest };
+  }
+  const rest = [{ [field]: { [cmp]: value } }, { [field]: value, _id: { [cmp]: _id } }];
+  if (direction === -1) rest.push({ [field]: null });
+  return { $or: rest };
+}
+
+function parseLimit(v, { defaultLimit = 50, maxLimit = 500 } = {}) {
+  if (v == null || v === '') return defaultLimit;
+  const n = parseInt(v, 10);
+  if (!Number.isFinite(n) || n < 1) throw httpError(400, 'limit must be a positive integer');
+  return Math.min(n, maxLimit);
+}
+
+function parseSort(v, { sortable = [], defaultSort, defaultDirection = -1 } = {}) {
+  if (!v) return { field: defaultSort, direction: defaultDirection };
+  const s = String(v).trim();
+  const direction = s.startsWith('-') ? -1 : 1;
+  const field = s.replace(/^[-+]/, '');
+  if (!sortable.includes(field)) throw httpError(400, `Cannot sort by '${field}' (allowed: ${sortable.join(', ')})`);
+  return { field, direction };
+}
+
+/** Projection from ?fields=a,b,c limited to `allowed`; null = the route's default. */
+function parseFields(v, allowed) {
+  if (!v) return null;
+  const list = String(v).split(',').map((f) => f.trim()).filter(Boolean);
+  const bad = list.filter((f) => !allowed.includes(f));
+  if (bad.length) throw httpError(400, `Unknown field(s): ${bad.join(', ')} (allowed: ${allowed.join(', ')})`);
+  return list;
+}
+
+/** { $gte, $lte } for ?from=&to= (to is inclusive of the whole day), or null. */
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) {
+    const d = new Date(from);
+    if (isNaN(d.getTime())) throw httpError(400, 'Invalid from date');
+    range.$gte = d;
+  }
+  if (to) {
+    const d = new Date(to);
+    if (isNaN(d.getTime())) throw httpError(400, 'Invalid to date');
+    // a bare YYYY-MM-DD means "through the end of that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) d.setUTCHours(23, 59, 59, 999);
+    range.$lte = d;
+  }
+  return range;
+}
+
+/** true/false for ?synced=true|false|1|0, undefined when absent. */
+function parseBoolean(v, name) {
+  if (v == null || v === '') return undefined;
+  const s = String(v).toLowerCase();
+  if (['true', '1', 'yes'].includes(s)) return true;
+  if (['false', '0', 'no'].includes(s)) return false;
+  throw httpError(400, `${name} must be true or false`);
+}
+
+/** Legacy list routes keep returning a bare array unless the caller asks for a page. */
+function wantsPage(query = {}) {
+  return query.limit != null || query.cursor != null;
+}
+
+/**
+ * One page of `model` matching `filter`.
+ * @param {Object} opts {
+ *   filter, query (req.query),
+ *   sortable: fields allowed in ?sort, defaultSort, defaultDirection,
+ *   fields: fields allowed in ?fields, select: default projection (string or array),
+ *   defaultLimit, maxLimit, lean (default true; false keeps documents for toJSON),
+ *   unbounded: return every match (legacy callers that did not ask for a page)
+ * }
+ * @returns { items, nextCursor, hasMore, limit }
+ */
+async function paginate(model, opts = {}) {
+  const { filter = {}, query = {}, fields = [], select = null, lean = true } = opts;
+  const { field, direction } = parseSort(query.sort, opts);
+  const limit = opts.unbounded ? null : parseLimit(query.limit, opts);
+
+  let find = filter;
+  if (query.cursor) {
+    const cond = afterCursor(field, direction, decodeCursor(query.cursor, field, direction));
+    find = Object.keys(filter).length ? { $and: [filter, cond] } : cond;
+  }
+
+  let q = model.find(find).sort({ [field]: direction, _id: direction });
+  if (limit) q = q.limit(limit + 1);
+  const picked = parseFields(query.fields, fields);
+  if (picked) q = q.select([...new Set([...picked, field, '_id'])].join(' '));
+  else if (select) q = q.select(select);
+  if (lean) q = q.lean();
+
+  const rows = await q;
+  const hasMore = limit != null && rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor(last, field, direction) : null,
+    hasMore,
+    limit,
+  };
+}
+
+module.exports = { paginate, wantsPage, dateRange, parseBoolean, parseFields, parseSort, parseLimit };
@@ -0,0 +1,105 @@
+// utils/pdfDocument.js
+// Small layout helpers on top of pdfkit for the generated statements:
+// title block, label/value lines and paged tables.
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+
+function formatMoney(n) {
+  const v = Number(n) || 0;
+  return v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDay(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : '';
+}
+
+/** A4 document; call toBuffer() before writing to it so no chunk is missed. */
+function createDocument(info = {}) {
+  return new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info });
+}
+
+/** Collects the rendered PDF once doc.end() is called. */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+function title(doc, text, subtitle) {
+  doc.font('Helvetica-Bold').fontSize(16).text(text, { align: 'left' });
+  if (subtitle) doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle).fillColor('black');
+  doc.moveDown();
+}
+
+function section(doc, text) {
+  if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(text, MARGIN).moveDown(0.3);
+  doc.font('Helvetica').fontSize(9);
+}
+
+/** Two-column label/value lines: [[label, value], ...] */
+function keyValues(doc, pairs) {
+  doc.font('Helvetica').fontSize(9);
+  for (const [label, value] of pairs) {
+    const y = doc.y;
+    doc.text(label, MARGIN, y, { width: 220 });
+    doc.text(String(value), MARGIN + 230, y, { width: 200, align: 'right' });
+  }
+  doc.moveDown(0.5);
+}
+
+function note(doc, text) {
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555').text(text, MARGIN).fillColor('black').font('Helvetica');
+}
+
+/**
+ * Table that repeats its header on every new page.
+ * @param {Array} columns [{ header, width, align?, value(row) }]
+ */
+function table(doc, columns, rows) {
+  const rowHeight = 14;
+  const bottom = () => doc.page.height - MARGIN - rowHeight;
+
+  function drawRow(cells, bold) {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map((c) => c.header), true);
+    }
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, i) => {
+      const c = columns[i];
+      doc.text(cell == null ? '' : String(cell), x + 2, y + 3, { width: c.width - 4, align: c.align || 'left', lineBreak: false, ellipsis: true });
+      x += c.width;
+    });
+    doc.moveTo(MARGIN, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.3).strokeColor('#cccccc').stroke().strokeColor('black');
+    doc.y = y + rowHeight;
+    doc.x = MARGIN;
+  }
+
+  drawRow(columns.map((c) => c.header), true);
+  for (const row of rows) drawRow(columns.map((c) => c.value(row)), false);
+  doc.moveDown(0.5);
+}
+
+/** "Page n of m" and a generated-at line on every page (needs bufferPages). */
+function footer(doc, text) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - MARGIN + 10;
+    doc.font('Helvetica').fontSize(7).fillColor('#777777');
+    doc.text(text, MARGIN, y, { lineBreak: false });
+    doc.text(`Page ${i + 1} of ${range.count}`, MARGIN, y, { width: doc.page.width - 2 * MARGIN, align: 'right', lineBreak: false });
+    doc.fillColor('black');
+  }
+}
+
+module.exports = { createDocument, toBuffer, title, section, keyValues, note, table, footer, formatMoney, formatDay };
@@ -0,0 +1,49 @@
+// utils/requestContext.js
+// Per-request context carried through async calls (AsyncLocalStorage), so
+// model hooks such as utils/auditTrail.js can tell who made a write and from
+// which route without every handler passing it down.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/** Express middleware; mount before any router that writes audited models. */
+function requestContext(req, res, next) {
+  storage.run({ req }, next);
+}
+
+/** Current context ({ req } or whatever runWithContext was given), or null outside a request. */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/** Run fn with an explicit context (scripts and scheduled jobs). */
+function runWithContext(ctx, fn) {
+  return storage.run(ctx, fn);
+}
+
+/** Actor of the current request, or null for system writes. */
+function currentActor() {
+  const ctx = getContext();
+  if (!ctx) return null;
+  if (ctx.actor) return ctx.actor;
+  const u = ctx.req && ctx.req.user;
+  if (!u) return null;
+  return {
+    id: u.id ? String(u.id) : (u._id ? String(u._id) : null),
+    email: u.email || null,
+    role: u.role || null,
+    branch: u.branch || null,
+  };
+}
+
+/** "METHOD /path" of the current request, or the label given to runWithContext. */
+function currentRoute() {
+  const ctx = getContext();
+  if (!ctx) return null;
+  if (ctx.route) return ctx.route;
+  const req = ctx.req;
+  if (!req) return null;
+  return `${req.method} ${(req.originalUrl || req.url || '').split('?')[0]}`;
+}
+
+module.exports = { requestContext, getContext, runWithContext, currentActor, currentRoute };
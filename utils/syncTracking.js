@@ -0,0 +1,186 @@
+// utils/syncTracking.js
+// Mongoose plugin for collections in the offline sync change feed
+// (DailyReport, MonthlyReport, ZanacoDistribution).
+//
+// Every write, whichever route makes it, gets:
+//  - version: +1 per write (clients send it back as baseVersion to detect conflicts)
+//  - syncSeq: next value of one global counter, so a single cursor spans all collections
+// Deletes leave a SyncTombstone carrying their own syncSeq.
+//
+// A syncSeq is reserved before its write commits, so concurrent writes can become
+// visible out of order. Each reservation stays in flight on the Counter until the
+// write has finished, and pulls only read up to Counter.safeMark (see syncService).
+// A write that outlives its lease may commit below a mark readers already passed;
+// release() reports that and the written documents are stamped again with fresh
+// values above it, so the feed still delivers them.
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const SyncTombstone = require('../models/SyncTombstone');
+
+const SEQ_NAME = 'syncSeq';
+const MAX_RESTAMPS = 3;
+
+function reserveSeq(count = 1) {
+  return Counter.reserve(SEQ_NAME, count);
+}
+
+/**
+ * Release a reservation. When its write committed (`collection` given: the raw
+ * collection it wrote to) after readers moved past it, move the documents
+ * carrying its values to a fresh reservation.
+ */
+async function releaseSeq(reservation, collection = null) {
+  if (!reservation) return;
+  try {
+    let current = reservation;
+    for (let attempt = 0; attempt <= MAX_RESTAMPS; attempt++) {
+      const late = await Counter.release(SEQ_NAME, current.first, current.last);
+      if (!late || !collection) return;
+      if (attempt === MAX_RESTAMPS) {
+        console.error(`syncSeq ${current.first}-${current.last} committed behind the feed and could not be re-stamped`);
+        return;
+      }
+      const count = current.last - current.first + 1;
+      const next = await reserveSeq(count);
+      const ops = [];
+      for (let i = 0; i < count; i++) {
+        ops.push({ updateMany: { filter: { syncSeq: current.first + i }, update: { $set: { syncSeq: next.first + i } } } });
+      }
+      await collection.bulkWrite(ops, { ordered: false });
+      current = next;
+    }
+  } catch (err) {
+    // the reservation expires on its own; the write itself is already done
+    console.error('syncSeq release error', err);
+  }
+}
+
+/** Move plain top-level fields into $set so operators can be added alongside. */
+function toOperatorUpdate(update) {
+  for (const k of Object.keys(update)) {
+    if (k.startsWith('$')) continue;
+    update.$set = update.$set || {};
+    update.$set[k] = update[k];
+    delete update[k];
+  }
+  return update;
+}
+
+/** Stamp syncSeq and bump version unless the caller set version explicitly (compare-and-set writes). */
+function stampUpdate(update, seq) {
+  toOperatorUpdate(update);
+  update.$set = update.$set || {};
+  update.$set.syncSeq = seq;
+  const explicit = update.$set.version !== undefined || (update.$inc && update.$inc.version !== undefined);
+  if (!explicit) update.$inc = { ...(update.$inc || {}), version: 1 };
+  if (update.$setOnInsert) {
+    delete update.$setOnInsert.version;
+    delete update.$setOnInsert.syncSeq;
+  }
+  return update;
+}
+
+function syncTracking(schema, { name, keyFields = [] } = {}) {
+  schema.add({
+    version: { type: Number, default: 0 },
+    syncSeq: { type: Number, default: 0, index: true }
+  });
+
+  async function recordTombstones(docs) {
+    if (!docs.length) return;
+    const reservation = await reserveSeq(docs.length);
+    let seq = reservation.first;
+    try {
+      await SyncTombstone.insertMany(docs.map((d) => ({
+        collectionName: name,
+        docId: d._id,
+        key: Object.fromEntries(keyFields.map((k) => [k, d[k] === undefined ? null : d[k]])),
+        version: d.version || 0,
+        syncSeq: seq++
+      })));
+    } catch (err) {
+      await releaseSeq(reservation);
+      throw err;
+    }
+    await releaseSeq(reservation, SyncTombstone.collection);
+  }
+
+  schema.pre('save', async function() {
+    if (!this.isNew && !this.isModified()) return;
+    this.$locals.syncReservation = await reserveSeq();
+    this.syncSeq = this.$locals.syncReservation.first;
+    this.version = (this.version || 0) + 1;
+  });
+
+  schema.post('save', async function(doc) {
+    await releaseSeq(doc.$locals.syncReservation, doc.constructor.collection);
+  });
+
+  schema.post('save', function(err, doc, next) {
+    releaseSeq(this.$locals.syncReservation).then(() => next(err));
+  });
+
+  const UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+  schema.pre(UPDATES, { document: false, query: true }, async function() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return; // aggregation-pipeline updates are left alone
+    this._syncReservation = await reserveSeq();
+    stampUpdate(update, this._syncReservation.first);
+  });
+
+  schema.post(UPDATES, { document: false, query: true }, async function() {
+    await releaseSeq(this._syncReservation, this.model.collection);
+  });
+
+  schema.post(UPDATES, { document: false, query: true }, function(err, res, next) {
+    releaseSeq(this._syncReservation).then(() => next(err));
+  });
+
+  // Model-level hooks cannot tell pre from post per call, so bulkWrite is wrapped
+  // instead: the reservation is released however the call ends.
+  schema.static('bulkWrite', async function(ops, options) {
+    const writes = (ops || []).filter((op) => op.updateOne || op.updateMany || op.insertOne);
+    if (!writes.length) return mongoose.Model.bulkWrite.call(this, ops, options);
+
+    const reservation = await reserveSeq(writes.length);
+    let seq = reservation.first;
+    for (const op of writes) {
+      if (op.insertOne) {
+        const d = op.insertOne.document;
+        d.syncSeq = seq++;
+        d.version = (d.version || 0) + 1;
+      } else {
+        const w = op.updateOne || op.updateMany;
+        stampUpdate(w.update, seq++);
+      }
+    }
+    let result;
+    try {
+      result = await mongoose.Model.bulkWrite.call(this, ops, options);
+    } catch (err) {
+      // unordered writes may have committed part of the batch
+      await releaseSeq(reservation, err && err.result ? this.collection : null);
+      throw err;
+    }
+    await releaseSeq(reservation, this.collection);
+    return result;
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await recordTombstones([doc]);
+  });
+
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    const select = ['_id', 'version', ...keyFields].join(' ');
+    const q = this.model.find(this.getFilter()).select(select).lean();
+    if (this.op === 'deleteOne') q.limit(1);
+    this._syncDeleted = await q;
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    await recordTombstones(this._syncDeleted || []);
+  });
+}
+
+module.exports = { syncTracking, reserveSeq, releaseSeq, SEQ_NAME };